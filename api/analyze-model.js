@@ -0,0 +1,33 @@
+// 必要なライブラリを読み込む
+import express from 'express';
+import '../frame_solver.js'; // DOM非依存の解析コア（ESモジュールとして読み込むと globalThis.FrameSolver を設定する）
+
+const { FrameSolver } = globalThis;
+
+// Expressのルーターを作成
+const router = express.Router();
+
+// POSTリクエストを処理する部分
+// リクエストボディ: { nodes, members, nodeLoads, memberLoads } (単位系は frame_solver.js を参照)
+router.post('/', (req, res) => {
+    try {
+        const model = req.body;
+        if (!model || !Array.isArray(model.nodes) || !Array.isArray(model.members)) {
+            return res.status(400).json({ error: 'モデルデータ (nodes, members) が空です。' });
+        }
+
+        const result = FrameSolver.analyzeModel(model);
+        res.status(200).json({
+            displacements: result.displacements,
+            reactions: result.reactions,
+            forces: result.forces
+        });
+    } catch (error) {
+        console.error('解析APIでエラーが発生しました:', error.message);
+        const status = error.code === 'UNSTABLE' ? 422 : 400;
+        res.status(status).json({ error: error.message });
+    }
+});
+
+// このファイルを既定のエクスポートとする
+export default router;
@@ -1,7 +1,9 @@
 // 必要なライブラリを読み込む
-const express = require('express');
-const https = require('https');
-require('dotenv').config({ path: '../.env' }); // ルートの.envファイルを読み込む
+import express from 'express';
+import https from 'https';
+import dotenv from 'dotenv';
+
+dotenv.config({ path: '../.env' }); // ルートの.envファイルを読み込む
 
 // Expressのルーターを作成
 const router = express.Router();
@@ -160,8 +162,8 @@ router.post('/', async (req, res) => {
     }
 });
 
-// このファイルを `module.exports` としてエクスポート
-module.exports = router;
+// このファイルを既定のエクスポートとする
+export default router;
 
 // フォールバック機能: 2スパン構造を生成
 function generateFallback2SpanFrame() {
@@ -234,7 +236,7 @@ function createEfficientPrompt(userPrompt, mode = 'new', currentModel = null) {
        **重要: スパン数に注意**
        - 1スパン = 2列の柱（左端、右端）
        - 2スパン = 3列の柱（左端、中央、右端）
-       - 3スパン = 4列の柱（左端、中央1、中央2、右端）`
+       - 3スパン = 4列の柱（左端、中央1、中央2、右端）
 
        **単純梁:**
        {"nodes":[{"x":0,"y":0,"s":"p"},{"x":8,"y":0,"s":"p"}],"members":[{"i":1,"j":2,"E":205000,"I":0.00011,"A":0.005245,"Z":0.000638}]}
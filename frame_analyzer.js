@@ -25,6 +25,30 @@ const MATERIAL_DENSITY_DATA = {
     "custom": 7850     // 任意入力時のデフォルト（スチール相当）
 };
 
+// 線膨張係数データ (1/℃)。キーは MATERIAL_DENSITY_DATA と同じ弾性係数 (N/mm²)
+const MATERIAL_THERMAL_EXPANSION_DATA = {
+    "205000": 1.2e-5,  // スチール
+    "193000": 1.73e-5, // ステンレス（SUS304）
+    "70000": 2.3e-5,   // アルミニウム
+    "7000": 0.5e-5,    // 木材（繊維方向）
+    "8000": 0.5e-5,
+    "9000": 0.5e-5,
+    "10000": 0.5e-5,
+    "custom": 1.2e-5   // 任意入力時のデフォルト（スチール相当）
+};
+
+// せん断弾性係数と弾性係数の比 G/E。キーは MATERIAL_DENSITY_DATA と同じ弾性係数 (N/mm²)
+const MATERIAL_SHEAR_MODULUS_RATIO = {
+    "205000": 1 / 2.6,  // スチール（ν=0.3）
+    "193000": 1 / 2.6,  // ステンレス（ν=0.3）
+    "70000": 1 / 2.66,  // アルミニウム（ν=0.33）
+    "7000": 1 / 15,     // 木材（G = E/15）
+    "8000": 1 / 15,
+    "9000": 1 / 15,
+    "10000": 1 / 15,
+    "custom": 1 / 2.6   // 任意入力時のデフォルト（スチール相当）
+};
+
 // 設定オブジェクト
 const CONFIG = {
     validation: {
@@ -58,6 +82,175 @@ const UNIT_CONVERSION = {
     G_STEEL: CONFIG.materials.steelShearModulus,
 };
 
+// 部材荷重種別の表示名（入力表・Excel出力で共通）
+const MEMBER_LOAD_TYPE_LABELS = {
+    uniform: '全長等分布',
+    partial: '部分等分布',
+    trapezoid: '台形・三角形分布',
+    point: '集中荷重',
+    moment: '集中モーメント'
+};
+
+// 部材荷重の方向・基準長さの表示名
+const MEMBER_LOAD_DIRECTION_LABELS = {
+    local: '部材直交',
+    globalX: '全体X (+X向き)',
+    globalY: '全体Y (下向き)'
+};
+const MEMBER_LOAD_BASIS_LABELS = {
+    length: '実長',
+    projection: '投影長'
+};
+
+// 境界条件の選択肢（拘束する自由度。傾斜支点では支点座標系の方向）
+const SUPPORT_TYPE_LABELS = {
+    free: '自由',
+    pinned: 'ピン',
+    fixed: '固定',
+    roller: 'ローラー (uy拘束)',
+    'roller-x': 'ローラー (ux拘束)',
+    'slide-x': 'スライド (uy・θ拘束)',
+    'slide-y': 'スライド (ux・θ拘束)',
+    rotation: '回転拘束 (θのみ)'
+};
+
+// 境界条件の option 要素のHTML（roller-y は roller と同じ拘束）
+const supportOptionsHTML = (support = 'free') => {
+    const selected = support === 'roller-y' ? 'roller' : support;
+    return Object.entries(SUPPORT_TYPE_LABELS).map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`).join('');
+};
+
+// 節点テーブルの境界条件セルのHTML
+const supportSelectHTML = (support = 'free') => `<select>${supportOptionsHTML(support)}</select>`;
+
+// 材端の接合条件（semi-rigid は回転剛性 kθ または固定度で指定する半剛接合）
+const CONNECTION_TYPE_LABELS = {
+    rigid: '剛',
+    pinned: 'ピン',
+    'semi-rigid': '半剛'
+};
+
+// 接合条件の option 要素のHTML（プリセットの略記 'p' はピン接合）
+const connectionOptionsHTML = (conn = 'rigid') => {
+    const selected = conn === 'p' ? 'pinned' : conn;
+    return Object.entries(CONNECTION_TYPE_LABELS).map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`).join('');
+};
+
+const formatOptionalNumber = (value) => (value === undefined || value === null || value === '' || isNaN(value)) ? '' : value;
+
+/**
+ * 部材テーブルの接合条件セルのHTML（半剛接合のときだけ回転剛性・固定度の入力欄を表示）
+ * @param {string} conn - 接合条件
+ * @param {object} [values] - { kr (kN・m/rad), fixity (0〜1) }
+ */
+const connectionCellHTML = (conn = 'rigid', values = {}) => `<select class="conn-type">${connectionOptionsHTML(conn)}</select>${connectionStiffnessInputsHTML(conn, values)}`;
+
+const connectionStiffnessInputsHTML = (conn, { kr, fixity } = {}) => {
+    const display = conn === 'semi-rigid' ? '' : ' style="display: none;"';
+    return `<input type="number" class="conn-kr" value="${formatOptionalNumber(kr)}" min="0" step="100" placeholder="kθ" title="半剛接合の回転剛性 kθ (kN・m/rad)"${display}>` +
+        `<input type="number" class="conn-fixity" value="${formatOptionalNumber(fixity)}" min="0" max="1" step="0.1" placeholder="固定度" title="半剛接合の固定度 r (0:ピン〜1:剛)。kθ が空欄のとき使用"${display}>`;
+};
+
+/**
+ * 接合条件セルの値（入力欄がない古い行・空欄は undefined）
+ * @returns {object} { conn, kr, fixity }
+ */
+const getConnectionCellValues = (cell) => {
+    const optional = (selector) => {
+        const value = cell?.querySelector(selector)?.value;
+        return value === undefined || value === '' ? undefined : parseFloat(value);
+    };
+    return { conn: cell?.querySelector('select')?.value || 'rigid', kr: optional('.conn-kr'), fixity: optional('.conn-fixity') };
+};
+
+// 接合条件の表示名（半剛接合は回転剛性を併記）
+const connectionLabel = (member, end) => {
+    const conn = member[`${end}_conn`] || 'rigid';
+    const kr = member[`${end}_kr`];
+    return conn === 'semi-rigid' && kr > 0 ? `${CONNECTION_TYPE_LABELS[conn]} (kθ=${kr.toFixed(0)} kN・m/rad)` : (CONNECTION_TYPE_LABELS[conn] || conn);
+};
+
+// 接合条件セルの回転剛性・固定度の入力欄を接合条件に合わせて表示
+const syncConnectionCell = (cell) => {
+    const isSemiRigid = cell.querySelector('select')?.value === 'semi-rigid';
+    cell.querySelectorAll('.conn-kr, .conn-fixity').forEach(input => { input.style.display = isSemiRigid ? '' : 'none'; });
+};
+
+/**
+ * 接合条件セルに値を設定（入力欄がない古い行には追加する）
+ * @param {HTMLTableCellElement} cell
+ * @param {object} values - { conn, kr, fixity }
+ */
+const setConnectionCellValues = (cell, { conn, kr, fixity }) => {
+    const select = cell.querySelector('select');
+    if (!cell.querySelector('.conn-kr')) {
+        select.innerHTML = connectionOptionsHTML(conn);
+        select.classList.add('conn-type');
+        select.insertAdjacentHTML('afterend', connectionStiffnessInputsHTML(conn));
+        select.addEventListener('change', () => syncConnectionCell(cell));
+    }
+    select.value = conn;
+    cell.querySelector('.conn-kr').value = formatOptionalNumber(kr);
+    cell.querySelector('.conn-fixity').value = formatOptionalNumber(fixity);
+    syncConnectionCell(cell);
+};
+
+/**
+ * ポップアップの接合条件欄（${prefix}-conn, ${prefix}-kr, ${prefix}-fixity）の読み書き
+ * 回転剛性・固定度の欄は ${prefix}-semi-rigid 要素ごと半剛接合のときだけ表示する。
+ */
+const syncConnectionPopup = (prefix) => {
+    const isSemiRigid = document.getElementById(`${prefix}-conn`)?.value === 'semi-rigid';
+    document.querySelectorAll(`#${prefix}-semi-rigid, label[for="${prefix}-kr"]`).forEach(el => { el.style.display = isSemiRigid ? '' : 'none'; });
+};
+const readConnectionPopup = (prefix) => {
+    const optional = (id) => {
+        const value = document.getElementById(id)?.value;
+        return value === undefined || value === '' ? undefined : parseFloat(value);
+    };
+    return { conn: document.getElementById(`${prefix}-conn`)?.value || 'rigid', kr: optional(`${prefix}-kr`), fixity: optional(`${prefix}-fixity`) };
+};
+const writeConnectionPopup = (prefix, { conn, kr, fixity }) => {
+    document.getElementById(`${prefix}-conn`).value = conn;
+    const krInput = document.getElementById(`${prefix}-kr`), fixityInput = document.getElementById(`${prefix}-fixity`);
+    if (krInput) krInput.value = formatOptionalNumber(kr);
+    if (fixityInput) fixityInput.value = formatOptionalNumber(fixity);
+    syncConnectionPopup(prefix);
+};
+
+// 節点のばね支点（kx, ky: kN/m、kr: kN・m/rad）の入力列
+const NODE_SPRING_KEYS = ['kx', 'ky', 'kr'];
+
+/**
+ * 節点テーブル行の支点角度・ばね定数・節点質量セルのHTMLを作成
+ * @param {object} node - { angle (°), kx, ky, kr, mass (t) }
+ */
+const nodeSupportCellsHTML = (node = {}) => [
+    `<input type="number" class="node-support-angle" value="${parseFloat(node.angle) || 0}" step="1" title="傾斜支点の角度（全体X軸から反時計回り、°）。拘束・強制変位・ばね・反力はこの角度だけ回転した支点座標系の方向">`,
+    ...NODE_SPRING_KEYS.map(key => `<input type="number" class="node-spring-${key}" value="${parseFloat(node[key]) || 0}" step="100" min="0">`),
+    `<input type="number" class="node-mass" value="${parseFloat(node.mass) || 0}" step="0.1" min="0" title="固有値解析で節点に加える質量（t）。X・Y方向に同じ値を用いる">`
+];
+
+/**
+ * 節点テーブル行の支点角度・ばね定数・節点質量（列がない古い行は0）
+ * @returns {object} { angle (°), kx, ky, kr, mass (t) }
+ */
+const getRowNodeSupport = (row) => NODE_SPRING_KEYS.reduce((values, key) => {
+    values[key] = parseFloat(row.querySelector(`.node-spring-${key}`)?.value) || 0;
+    return values;
+}, {
+    angle: parseFloat(row.querySelector('.node-support-angle')?.value) || 0,
+    mass: Math.max(0, parseFloat(row.querySelector('.node-mass')?.value) || 0)
+});
+
+// 支点またはばね支点を持つ節点か（反力の表示対象）
+const hasNodeSupport = (node) => node.support !== 'free' || NODE_SPRING_KEYS.some(key => node[key] > 0);
+
+// 反力表の節点番号（傾斜支点の反力は支点座標系の成分なので角度を併記）
+const reactionNodeLabel = (node, index) => node.support_angle
+    ? `${index + 1} (支点座標系 ${(node.support_angle * 180 / Math.PI).toFixed(1)}°)`
+    : `${index + 1}`;
+
 // ユーティリティ関数
 const utils = {
     /**
@@ -353,47 +546,17 @@ const calculateSelfWeight = {
                     }
                     
                 } else {
-                    // 斜め部材：垂直成分を等分布荷重、水平成分を節点荷重として処理
-                    const cosAngle = Math.abs(Math.cos(angle));
-                    const sinAngle = Math.abs(Math.sin(angle));
-                    
-                    // 垂直成分（等分布荷重相当）
-                    const verticalComponent = weightPerMeter * cosAngle; // システム規約で正の値=下向き
-                    // 水平成分（節点荷重として分散）
-                    const horizontalWeight = totalWeight * sinAngle;
-                    
+                    // 斜め部材：全体座標系の鉛直下向き等分布荷重（実長あたり）として作用させる
+                    // 部材直交方向と材軸方向への分解は解析側（FrameSolver.resolveMemberLoadComponent）で行う
                     memberSelfWeights.push({
                         memberIndex: index,
                         member: index + 1,
-                        w: verticalComponent, // 垂直成分（既に負の値）
+                        w: weightPerMeter,
                         totalWeight: totalWeight,
                         isFromSelfWeight: true,
-                        loadType: 'mixed',
-                        horizontalComponent: horizontalWeight,
-                        appliedNodeIndexes: [member.i, member.j]  // 水平成分が作用する節点
+                        loadType: 'distributed',
+                        direction: 'globalY'
                     });
-                    
-                    // 垂直成分は等分布荷重として処理されるため、節点荷重には追加しない
-                    // 水平成分のみを節点荷重として追加
-                    const horizontalHalfWeight = horizontalWeight / 2;
-                    const horizontalDirection = dx > 0 ? 1 : -1;
-                    
-                    // 節点iに水平成分
-                    if (!nodeWeightMap.has(member.i)) {
-                        nodeWeightMap.set(member.i, { nodeIndex: member.i, px: 0, py: 0, mz: 0 });
-                    }
-                    nodeWeightMap.get(member.i).px += horizontalDirection * horizontalHalfWeight;
-                    
-                    // 節点jに水平成分
-                    if (!nodeWeightMap.has(member.j)) {
-                        nodeWeightMap.set(member.j, { nodeIndex: member.j, px: 0, py: 0, mz: 0 });
-                    }
-                    nodeWeightMap.get(member.j).px += horizontalDirection * horizontalHalfWeight;
-                    
-                    // デバッグログ
-                    if (window.memberTypeLogCount <= 5) {
-                        console.log(`  → 斜め部材: 節点${member.i + 1}にpx=${(horizontalDirection * horizontalHalfWeight).toFixed(3)}kN, 節点${member.j + 1}にpx=${(horizontalDirection * horizontalHalfWeight).toFixed(3)}kN追加`);
-                    }
                 }
             }
         });
@@ -802,7 +965,9 @@ function detectMemberAtPosition(clientX, clientY) {
             const loadInput = loadRow.cells?.[1]?.querySelector('input');
             const memberId = parseInt(memberInput?.value, 10);
             const loadValue = parseOptionalFloat(loadInput?.value);
-            if (Number.isFinite(memberId)) {
+            const loadType = loadRow.querySelector('.member-load-type-select')?.value || 'uniform';
+            const loadDirection = loadRow.querySelector('.member-load-direction-select')?.value || 'local';
+            if (Number.isFinite(memberId) && loadType === 'uniform' && loadDirection === 'local') {
                 uniformLoadMap.set(memberId, loadValue);
             }
         });
@@ -1001,11 +1166,11 @@ function detectMemberAtPosition(clientX, clientY) {
                 connections: {
                     start: {
                         value: startConnSelect?.value || 'rigid',
-                        label: getSelectLabel(startConnSelect) || '剛'
+                        label: connectionLabel({ i_conn: startConnSelect?.value, i_kr: getConnectionCellValues(startConnSelect?.parentElement).kr }, 'i')
                     },
                     end: {
                         value: endConnSelect?.value || 'rigid',
-                        label: getSelectLabel(endConnSelect) || '剛'
+                        label: connectionLabel({ j_conn: endConnSelect?.value, j_kr: getConnectionCellValues(endConnSelect?.parentElement).kr }, 'j')
                     }
                 },
                 loads: {
@@ -1573,23 +1738,48 @@ document.addEventListener('DOMContentLoaded', () => {
         membersTable: document.getElementById('members-table').getElementsByTagName('tbody')[0],
         nodeLoadsTable: document.getElementById('node-loads-table').getElementsByTagName('tbody')[0],
         memberLoadsTable: document.getElementById('member-loads-table').getElementsByTagName('tbody')[0],
+        thermalLoadsTable: document.getElementById('thermal-loads-table').getElementsByTagName('tbody')[0],
+        initialStrainLoadsTable: document.getElementById('initial-strain-loads-table').getElementsByTagName('tbody')[0],
+        constraintsTable: document.getElementById('constraints-table').getElementsByTagName('tbody')[0],
+        loadCombinationsTable: document.getElementById('load-combinations-table').getElementsByTagName('tbody')[0],
+        inputLoadCaseSelect: document.getElementById('input-load-case-select'),
+        resultLoadSetSelect: document.getElementById('result-load-set-select'),
+        addLoadCombinationBtn: document.getElementById('add-load-combination-btn'),
         addNodeBtn: document.getElementById('add-node-btn'),
         addMemberBtn: document.getElementById('add-member-btn'),
         addNodeLoadBtn: document.getElementById('add-node-load-btn'),
         addMemberLoadBtn: document.getElementById('add-member-load-btn'),
+        addThermalLoadBtn: document.getElementById('add-thermal-load-btn'),
+        addInitialStrainLoadBtn: document.getElementById('add-initial-strain-load-btn'),
+        addConstraintBtn: document.getElementById('add-constraint-btn'),
         calculateBtn: document.getElementById('calculate-btn'),
         calculateAndAnimateBtn: document.getElementById('calculate-and-animate-btn'),
         presetSelector: document.getElementById('preset-selector'),
         displacementResults: document.getElementById('displacement-results'),
+        pDeltaCheckbox: document.getElementById('p-delta-checkbox'),
+        shearDeformationCheckbox: document.getElementById('shear-deformation-checkbox'),
+        rigidZoneAutoCheckbox: document.getElementById('rigid-zone-auto-checkbox'),
+        pDeltaResultsContainer: document.getElementById('p-delta-results-container'),
+        pDeltaSummary: document.getElementById('p-delta-summary'),
+        pDeltaResults: document.getElementById('p-delta-results'),
+        memberBehaviorResultsContainer: document.getElementById('member-behavior-results-container'),
+        memberBehaviorSummary: document.getElementById('member-behavior-summary'),
+        memberBehaviorResults: document.getElementById('member-behavior-results'),
+        responseSpectrumCheckbox: document.getElementById('response-spectrum-checkbox'),
+        responseSpectrumOptions: document.getElementById('response-spectrum-options'),
+        responseSpectrumResultsContainer: document.getElementById('response-spectrum-results-container'),
+        responseSpectrumSummary: document.getElementById('response-spectrum-summary'),
+        responseSpectrumModes: document.getElementById('response-spectrum-modes'),
+        responseSpectrumDrifts: document.getElementById('response-spectrum-drifts'),
         reactionResults: document.getElementById('reaction-results'),
         forceResults: document.getElementById('force-results'),
         errorMessage: document.getElementById('error-message'),
         modelCanvas: document.getElementById('model-canvas'),
         displacementCanvas: document.getElementById('displacement-canvas'),
         momentCanvas: document.getElementById('moment-canvas'),
+        soilPressureCanvas: document.getElementById('soil-pressure-canvas'),
         axialCanvas: document.getElementById('axial-canvas'),
         shearCanvas: document.getElementById('shear-canvas'),
-        stressCanvas: document.getElementById('stress-canvas'),
         modeSelectBtn: document.getElementById('mode-select'),
         modeAddNodeBtn: document.getElementById('mode-add-node'),
         modeAddMemberBtn: document.getElementById('mode-add-member'),
@@ -1662,6 +1852,7 @@ document.addEventListener('DOMContentLoaded', () => {
     let resultPanZoomStates = {
         displacement: { scale: 1, offsetX: 0, offsetY: 0, isInitialized: false },
         moment: { scale: 1, offsetX: 0, offsetY: 0, isInitialized: false },
+        'soil-pressure': { scale: 1, offsetX: 0, offsetY: 0, isInitialized: false },
         axial: { scale: 1, offsetX: 0, offsetY: 0, isInitialized: false },
         shear: { scale: 1, offsetX: 0, offsetY: 0, isInitialized: false },
         ratio: { scale: 1, offsetX: 0, offsetY: 0, isInitialized: false }
@@ -1672,7 +1863,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if(lastResults) {
             const newScale = parseFloat(e.target.value);
             if(!isNaN(newScale)) {
-                drawDisplacementDiagram(lastResults.nodes, lastResults.members, lastResults.D, lastResults.memberLoads, newScale);
+                drawDisplacementDiagram(lastResults.nodes, lastResults.members, lastResults.D, lastResults.memberLoads, lastResults.forces, newScale);
             }
         }
     });
@@ -1702,7 +1893,7 @@ document.addEventListener('DOMContentLoaded', () => {
     let lastMouseY = 0;
     let historyStack = [];
     const resolutionScale = 2.0;
-    let newMemberDefaults = { E: '205000', F: '235', I: '18400', A: '2340', Z: '1230', i_conn: 'rigid', j_conn: 'rigid' };
+    let newMemberDefaults = { E: '205000', F: '235', I: '18400', A: '2340', Z: '1230', i_conn: 'rigid', j_conn: 'rigid', i_kr: undefined, j_kr: undefined, i_fixity: undefined, j_fixity: undefined };
     
     // ポップアップの初期化（確実に非表示にする）
     if (elements.memberPropsPopup) {
@@ -1789,7 +1980,7 @@ document.addEventListener('DOMContentLoaded', () => {
     let unstableMembers = new Set();
     let instabilityMessage = '';
 
-    const analyzeInstability = (K_global, reduced_indices, nodes, members) => {
+    const analyzeInstability = (diagonal, reduced_indices, nodes, members, singularDofs = []) => {
         const analysis = {
             message: '',
             unstableNodes: new Set(),
@@ -1813,10 +2004,14 @@ document.addEventListener('DOMContentLoaded', () => {
             }
 
             // 3. 剛性マトリックスの特異性を分析
-            const matrixAnalysis = analyzeStiffnessMatrix(K_global, reduced_indices);
+            const matrixAnalysis = analyzeStiffnessMatrix(diagonal, reduced_indices, singularDofs);
             if (matrixAnalysis.zeroEnergyModes.length > 0) {
                 if (analysis.message) analysis.message += '\n';
                 analysis.message += `特異モード（零エネルギーモード）が検出されました`;
+                // 分解に失敗した自由度の節点を不安定節点として表示
+                const singularNodes = [...new Set(matrixAnalysis.zeroEnergyModes.map(idx => Math.floor(idx / 3)))];
+                singularNodes.forEach(idx => analysis.unstableNodes.add(idx));
+                analysis.message += ` (節点: ${singularNodes.map(i => i + 1).join(', ')})`;
             }
 
             // グローバル変数に設定（描画用）
@@ -1878,14 +2073,14 @@ document.addEventListener('DOMContentLoaded', () => {
         return { problematicMembers };
     };
 
-    const analyzeStiffnessMatrix = (K_global, reduced_indices) => {
+    const analyzeStiffnessMatrix = (diagonal, reduced_indices, singularDofs = []) => {
         const zeroEnergyModes = [];
         
         try {
             // 簡易的な特異性検出
-            // 対角要素がゼロまたは極小の要素を検出
+            // 対角要素がゼロまたは極小の要素、およびLDLᵀ分解でピボットが消失した自由度を検出
             reduced_indices.forEach((idx, i) => {
-                if (Math.abs(K_global[idx][idx]) < 1e-10) {
+                if (Math.abs(diagonal[idx]) < 1e-10 || singularDofs.includes(idx)) {
                     zeroEnergyModes.push(idx);
                 }
             });
@@ -1900,7 +2095,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const highlightInstabilityElements = (ctx, transform) => {
         if (!ctx || !transform) return;
         
-        const { nodes, members } = parseInputs();
+        // 入力値のエラー（剛域長が部材長を超える等）は解析実行時にエラーメッセージとして表示する
+        let parsed;
+        try { parsed = parseInputs(); } catch (error) { return; }
+        const { nodes, members } = parsed;
         if (!nodes.length) return;
 
         // 不安定な節点をハイライト
@@ -2113,10 +2311,15 @@ document.addEventListener('DOMContentLoaded', () => {
             const nodeInput = row.cells[0]?.querySelector('input');
             if (nodeInput) setupInputValidation(nodeInput, 'node-reference');
             
-        } else if (tableBody === elements.memberLoadsTable) {
-            // 部材荷重表：部材番号検証
+        } else if (tableBody === elements.memberLoadsTable || tableBody === elements.thermalLoadsTable || tableBody === elements.initialStrainLoadsTable) {
+            // 部材荷重表・温度荷重表・初期ひずみ荷重表：部材番号検証
             const memberInput = row.cells[0]?.querySelector('input');
             if (memberInput) setupInputValidation(memberInput, 'member-reference');
+
+        } else if (tableBody === elements.constraintsTable) {
+            // 拘束条件表：主節点番号検証
+            const masterInput = row.querySelector('.constraint-master');
+            if (masterInput) setupInputValidation(masterInput, 'node-reference');
         }
     };
 
@@ -2136,6 +2339,21 @@ document.addEventListener('DOMContentLoaded', () => {
         Array.from(elements.memberLoadsTable.rows).forEach(row => {
             setupTableInputValidation(row, elements.memberLoadsTable);
         });
+
+        // 温度荷重表の検証
+        Array.from(elements.thermalLoadsTable.rows).forEach(row => {
+            setupTableInputValidation(row, elements.thermalLoadsTable);
+        });
+
+        // 初期ひずみ荷重表の検証
+        Array.from(elements.initialStrainLoadsTable.rows).forEach(row => {
+            setupTableInputValidation(row, elements.initialStrainLoadsTable);
+        });
+
+        // 拘束条件表の検証
+        Array.from(elements.constraintsTable.rows).forEach(row => {
+            setupTableInputValidation(row, elements.constraintsTable);
+        });
     };
 
     const showSelectionChoiceMenu = (pageX, pageY, onSelectNodes, onSelectMembers) => {
@@ -2636,14 +2854,24 @@ document.addEventListener('DOMContentLoaded', () => {
                 <select id="bulk-i-conn" style="margin-left: 20px; display: none;">
                     <option value="rigid">剛接合</option>
                     <option value="pinned">ピン接合</option>
+                    <option value="semi-rigid">半剛接合</option>
                 </select>
+                <span id="bulk-i-semi-rigid" style="display: none;">
+                    <input type="number" id="bulk-i-kr" min="0" step="100" placeholder="kθ (kN・m/rad)" style="width: 110px;">
+                    <input type="number" id="bulk-i-fixity" min="0" max="1" step="0.1" placeholder="固定度" style="width: 70px;">
+                </span>
             </div>
             <div style="margin-bottom: 15px;">
                 <label><input type="checkbox" id="bulk-edit-j-conn"> 終端接合</label>
                 <select id="bulk-j-conn" style="margin-left: 20px; display: none;">
                     <option value="rigid">剛接合</option>
                     <option value="pinned">ピン接合</option>
+                    <option value="semi-rigid">半剛接合</option>
                 </select>
+                <span id="bulk-j-semi-rigid" style="display: none;">
+                    <input type="number" id="bulk-j-kr" min="0" step="100" placeholder="kθ (kN・m/rad)" style="width: 110px;">
+                    <input type="number" id="bulk-j-fixity" min="0" max="1" step="0.1" placeholder="固定度" style="width: 70px;">
+                </span>
             </div>
             <div style="margin-bottom: 15px;">
                 <label><input type="checkbox" id="bulk-edit-load"> 等分布荷重</label>
@@ -2662,6 +2890,7 @@ document.addEventListener('DOMContentLoaded', () => {
         `;
         
         document.body.appendChild(dialog);
+        ['bulk-i', 'bulk-j'].forEach(prefix => document.getElementById(`${prefix}-conn`).addEventListener('change', () => syncConnectionPopup(prefix)));
         
         // チェックボックスの変更イベント
         dialog.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
@@ -2672,6 +2901,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 
                 if (targetElement) {
                     targetElement.style.display = checkbox.checked ? 'inline-block' : 'none';
+                    // 半剛接合の回転剛性・固定度の欄は接合条件の選択に合わせて表示
+                    if (targetElement.id.endsWith('-conn')) {
+                        const prefix = targetElement.id.replace(/-conn$/, '');
+                        if (checkbox.checked) syncConnectionPopup(prefix);
+                        else document.getElementById(`${prefix}-semi-rigid`).style.display = 'none';
+                    }
                 } else if (containerElement) {
                     containerElement.style.display = checkbox.checked ? 'block' : 'none';
                     if (checkbox.checked && targetId === 'bulk-e') {
@@ -2776,11 +3011,11 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         if (document.getElementById('bulk-edit-i-conn').checked) {
-            updates.i_conn = document.getElementById('bulk-i-conn').value;
+            updates.i_conn = readConnectionPopup('bulk-i');
         }
         
         if (document.getElementById('bulk-edit-j-conn').checked) {
-            updates.j_conn = document.getElementById('bulk-j-conn').value;
+            updates.j_conn = readConnectionPopup('bulk-j');
         }
         
         // 断面選択の処理
@@ -2835,6 +3070,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (updates.sectionProperties.Zy) row.dataset.zy = updates.sectionProperties.Zy;
                 if (updates.sectionProperties.ix) row.dataset.ix = updates.sectionProperties.ix;
                 if (updates.sectionProperties.iy) row.dataset.iy = updates.sectionProperties.iy;
+                if (updates.sectionProperties.As) row.dataset.as = updates.sectionProperties.As;
+                if (updates.sectionProperties.Zp) row.dataset.zp = updates.sectionProperties.Zp;
 
                 if (updates.sectionProperties.sectionInfo) {
                     setRowSectionInfo(row, updates.sectionProperties.sectionInfo);
@@ -2853,16 +3090,13 @@ document.addEventListener('DOMContentLoaded', () => {
             const iConnIndex = hasDensityColumn ? 12 : 11; // 始端のインデックス
             const jConnIndex = hasDensityColumn ? 13 : 12; // 終端のインデックス
 
-            if (updates.i_conn) row.cells[iConnIndex].querySelector('select').value = updates.i_conn;
-            if (updates.j_conn) row.cells[jConnIndex].querySelector('select').value = updates.j_conn;
+            if (updates.i_conn) setConnectionCellValues(row.cells[iConnIndex], updates.i_conn);
+            if (updates.j_conn) setConnectionCellValues(row.cells[jConnIndex], updates.j_conn);
             
             // 等分布荷重の処理
             if (updates.memberLoad) {
                 // 既存の部材荷重を検索
-                const existingLoadRow = Array.from(elements.memberLoadsTable.rows).find(loadRow => {
-                    const memberInput = loadRow.cells[0].querySelector('input');
-                    return parseInt(memberInput.value) - 1 === memberIndex;
-                });
+                const existingLoadRow = findMemberLoadRow(memberIndex);
                 
                 if (existingLoadRow) {
                     // 既存の荷重を更新（部材座標系y方向のw値）
@@ -2874,6 +3108,8 @@ document.addEventListener('DOMContentLoaded', () => {
                         newLoadRow.innerHTML = `
                             <td><input type="number" value="${memberIndex + 1}" min="1"></td>
                             <td><input type="number" value="${updates.memberLoad.w}" step="0.01"></td>
+                            ${memberLoadDetailCellsHTML().map(cell => `<td>${cell}</td>`).join('')}
+                            <td>${loadCaseSelectHTML(getInputLoadCase())}</td>
                             <td><button class="delete-row-btn">×</button></td>
                         `;
                         
@@ -3088,10 +3324,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 <label><input type="checkbox" id="bulk-edit-support"> 境界条件</label>
                 <div id="bulk-support-container" style="margin-left: 20px; display: none;">
                     <select id="bulk-support-type" style="width: 150px;">
-                        <option value="free">自由</option>
-                        <option value="pinned">ピン</option>
-                        <option value="fixed">固定</option>
-                        <option value="roller">ローラー</option>
+                        ${supportOptionsHTML('free')}
                     </select>
                 </div>
             </div>
@@ -3194,72 +3427,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // ウィンドウオブジェクトに関数をアタッチ
     window.applyBulkNodeEdit = applyBulkNodeEdit;
     
-    // --- Matrix Math Library ---
-    const mat = {
-        create: (rows, cols, value = 0) => Array(rows).fill().map(() => Array(cols).fill(value)),
-        
-        multiply: (A, B) => {
-            // undefinedチェックを追加
-            if (!A || !B || !A.length || !B[0] || !B[0].length) {
-                console.error('Matrix multiply: Invalid matrices', { A, B });
-                return null;
-            }
-            const C = mat.create(A.length, B[0].length);
-            for (let i = 0; i < A.length; i++) {
-                for (let j = 0; j < B[0].length; j++) {
-                    for (let k = 0; k < A[0].length; k++) {
-                        C[i][j] += A[i][k] * B[k][j];
-                    }
-                }
-            }
-            return C;
-        },
-        
-        transpose: (A) => {
-            if (!A || !A[0]) return null;
-            return A[0].map((_, colIndex) => A.map(row => row[colIndex]));
-        },
-        
-        add: (A, B) => {
-            if (!A || !B || A.length !== B.length) return null;
-            return A.map((row, i) => row.map((val, j) => val + B[i][j]));
-        },
-        
-        subtract: (A, B) => {
-            if (!A || !B || A.length !== B.length) return null;
-            return A.map((row, i) => row.map((val, j) => val - B[i][j]));
-        },
-        
-        solve: (A, b) => {
-            if (!A || !b || !A.length) return null;
-            const n = A.length;
-            const aug = A.map((row, i) => [...row, b[i][0]]);
-            for (let i = 0; i < n; i++) {
-                let maxRow = i;
-                for (let k = i + 1; k < n; k++) {
-                    if (Math.abs(aug[k][i]) > Math.abs(aug[maxRow][i])) maxRow = k;
-                }
-                [aug[i], aug[maxRow]] = [aug[maxRow], aug[i]];
-                if (aug[i][i] === 0) continue;
-                for (let k = i + 1; k < n; k++) {
-                    const factor = aug[k][i] / aug[i][i];
-                    for (let j = i; j < n + 1; j++) aug[k][j] -= factor * aug[i][j];
-                }
-            }
-            const x = mat.create(n, 1);
-            for (let i = n - 1; i >= 0; i--) {
-                let sum = 0;
-                for (let j = i + 1; j < n; j++) sum += aug[i][j] * x[j][0];
-                if (aug[i][i] === 0 && aug[i][n] - sum !== 0) return null;
-                x[i][0] = aug[i][i] === 0 ? 0 : (aug[i][n] - sum) / aug[i][i];
-            }
-            return x;
-        }
-    };
-    
     // --- State and History Management ---
     const getCurrentState = () => {
-        const state = { nodes: [], members: [], nodeLoads: [], memberLoads: [] };
+        const state = { nodes: [], members: [], nodeLoads: [], memberLoads: [], thermalLoads: [], initialStrainLoads: [], constraints: [], loadCombinations: [] };
         Array.from(elements.nodesTable.rows).forEach(row => {
             state.nodes.push({
                 x: row.cells[1].querySelector('input').value,
@@ -3267,7 +3437,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 support: row.cells[3].querySelector('select').value,
                 dx_forced: row.cells[4]?.querySelector('input')?.value || 0,
                 dy_forced: row.cells[5]?.querySelector('input')?.value || 0,
-                r_forced: row.cells[6]?.querySelector('input')?.value || 0
+                r_forced: row.cells[6]?.querySelector('input')?.value || 0,
+                ...getRowNodeSupport(row)
             });
         });
         Array.from(elements.membersTable.rows).forEach(row => {
@@ -3318,10 +3489,28 @@ document.addEventListener('DOMContentLoaded', () => {
             const jConnSelect = jConnIndex >= 0 ? row.cells[jConnIndex]?.querySelector('select') : null;
             currentMember.i_conn = iConnSelect?.value || 'rigid';
             currentMember.j_conn = jConnSelect?.value || 'rigid';
+            // 半剛接合の回転剛性・固定度
+            const iConnection = getConnectionCellValues(iConnSelect?.parentElement), jConnection = getConnectionCellValues(jConnSelect?.parentElement);
+            currentMember.i_kr = iConnection.kr ?? '';
+            currentMember.j_kr = jConnection.kr ?? '';
+            currentMember.i_fixity = iConnection.fixity ?? '';
+            currentMember.j_fixity = jConnection.fixity ?? '';
             currentMember.Zx = row.dataset.zx;
             currentMember.Zy = row.dataset.zy;
             currentMember.ix = row.dataset.ix;
             currentMember.iy = row.dataset.iy;
+            currentMember.As = row.dataset.as;
+            currentMember.Zp = row.dataset.zp;
+            currentMember.rigidI = row.dataset.rigidI;
+            currentMember.rigidJ = row.dataset.rigidJ;
+            currentMember.ks = row.dataset.ks;
+            currentMember.foundationWidth = row.dataset.foundationWidth;
+            currentMember.taperI = row.dataset.taperI;
+            currentMember.taperA = row.dataset.taperA;
+            currentMember.taperZ = row.dataset.taperZ;
+            currentMember.haunchI = row.dataset.haunchI;
+            currentMember.haunchJ = row.dataset.haunchJ;
+            currentMember.behavior = row.dataset.behavior;
 
             // 断面情報と軸設定を保存
             const sectionInfoEncoded = row.dataset.sectionInfo;
@@ -3365,11 +3554,25 @@ document.addEventListener('DOMContentLoaded', () => {
             currentMember.sectionAxisLabel = sectionAxis?.label || '';
         });
         Array.from(elements.nodeLoadsTable.rows).forEach(row => {
-            state.nodeLoads.push({ node: row.cells[0].querySelector('input').value, px: row.cells[1].querySelector('input').value, py: row.cells[2].querySelector('input').value, mz: row.cells[3].querySelector('input').value });
+            state.nodeLoads.push({ node: row.cells[0].querySelector('input').value, px: row.cells[1].querySelector('input').value, py: row.cells[2].querySelector('input').value, mz: row.cells[3].querySelector('input').value, loadCase: getRowLoadCase(row) });
         });
         Array.from(elements.memberLoadsTable.rows).forEach(row => {
-            state.memberLoads.push({ member: row.cells[0].querySelector('input').value, w: row.cells[1].querySelector('input').value });
+            const { type, w2, a, b, direction, basis } = getRowMemberLoad(row);
+            state.memberLoads.push({ member: row.cells[0].querySelector('input').value, w: row.cells[1].querySelector('input').value, type, w2: w2 ?? '', a: a ?? '', b: b ?? '', direction, basis, loadCase: getRowLoadCase(row) });
+        });
+        Array.from(elements.thermalLoadsTable.rows).forEach(row => {
+            const value = (selector) => row.querySelector(selector)?.value ?? '';
+            state.thermalLoads.push({ member: row.cells[0].querySelector('input').value, dT: value('.thermal-load-dt'), dTg: value('.thermal-load-dtg'), h: value('.thermal-load-h'), alpha: value('.thermal-load-alpha'), loadCase: getRowLoadCase(row) });
+        });
+        Array.from(elements.initialStrainLoadsTable.rows).forEach(row => {
+            const value = (selector) => row.querySelector(selector)?.value ?? '';
+            state.initialStrainLoads.push({ member: row.cells[0].querySelector('input').value, dL: value('.initial-strain-load-dl'), P0: value('.initial-strain-load-p0'), kappa: value('.initial-strain-load-kappa'), loadCase: getRowLoadCase(row) });
+        });
+        Array.from(elements.constraintsTable.rows).forEach(row => {
+            const value = (selector) => row.querySelector(selector)?.value ?? '';
+            state.constraints.push({ type: value('.constraint-type'), master: value('.constraint-master'), slaves: value('.constraint-slaves'), dofs: value('.constraint-dofs') });
         });
+        state.loadCombinations = getLoadCombinations();
         return state;
     };
 
@@ -3421,6 +3624,10 @@ document.addEventListener('DOMContentLoaded', () => {
             elements.membersTable.innerHTML = '';
             elements.nodeLoadsTable.innerHTML = '';
             elements.memberLoadsTable.innerHTML = '';
+            elements.thermalLoadsTable.innerHTML = '';
+            elements.initialStrainLoadsTable.innerHTML = '';
+            elements.constraintsTable.innerHTML = '';
+            elements.loadCombinationsTable.innerHTML = '';
             
             // 節点復元
             state.nodes.forEach((n, index) => {
@@ -3450,17 +3657,18 @@ document.addEventListener('DOMContentLoaded', () => {
                 console.log(`🔍 節点 ${index + 1} 境界条件値: "${support}"`);
                 
                 // select要素のHTMLをログ出力
-                const selectHTML = `<select><option value="free"${support==='free'?' selected':''}>自由</option><option value="pinned"${support==='pinned'?' selected':''}>ピン</option><option value="fixed"${support==='fixed'?' selected':''}>固定</option><option value="roller"${support==='roller'?' selected':''}>ローラー</option></select>`;
+                const selectHTML = supportSelectHTML(support);
                 console.log(`🔍 節点 ${index + 1} のselect要素HTML:`, selectHTML);
                 
                 addRow(elements.nodesTable, [
                     `#`, 
                     `<input type="number" value="${n.x}">`, 
                     `<input type="number" value="${n.y}">`, 
-                    `<select><option value="free"${support==='free'?' selected':''}>自由</option><option value="pinned"${support==='pinned'?' selected':''}>ピン</option><option value="fixed"${support==='fixed'?' selected':''}>固定</option><option value="roller"${support==='roller'?' selected':''}>ローラー</option></select>`, 
+                    supportSelectHTML(support), 
                     `<input type="number" value="${n.dx_forced || 0}" step="0.1">`, 
                     `<input type="number" value="${n.dy_forced || 0}" step="0.1">`, 
-                    `<input type="number" value="${n.r_forced || 0}" step="0.001">`
+                    `<input type="number" value="${n.r_forced || 0}" step="0.001">`,
+                    ...nodeSupportCellsHTML(n)
                 ], false);
                 
                 // 作成されたselect要素の実際の値を確認
@@ -3507,7 +3715,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     
                     // console.log(`🔍 部材 ${index + 1} memberRowHTML引数:`, { i, j, E: E_value, I: I_m4, A: A_m2, Z: Z_m3 });
                     
-                    const memberHTML = memberRowHTML(i, j, E_value, "235", I_m4, A_m2, Z_m3, i_conn, j_conn, sectionName, sectionAxis);
+                    const memberHTML = memberRowHTML(i, j, E_value, "235", I_m4, A_m2, Z_m3, i_conn, j_conn, sectionName, sectionAxis, m);
                     if (!memberHTML || !Array.isArray(memberHTML)) {
                         console.warn('memberRowHTML returned invalid data:', memberHTML);
                         return;
@@ -3563,6 +3771,14 @@ document.addEventListener('DOMContentLoaded', () => {
                         if(m.Zy) newRow.dataset.zy = m.Zy;
                         if(m.ix) newRow.dataset.ix = m.ix;
                         if(m.iy) newRow.dataset.iy = m.iy;
+                        if(m.As) newRow.dataset.as = m.As;
+                        if(m.Zp) newRow.dataset.zp = m.Zp;
+                        if(m.rigidI !== undefined && m.rigidI !== '') newRow.dataset.rigidI = m.rigidI;
+                        if(m.rigidJ !== undefined && m.rigidJ !== '') newRow.dataset.rigidJ = m.rigidJ;
+                        if(m.ks) newRow.dataset.ks = m.ks;
+                        if(m.foundationWidth) newRow.dataset.foundationWidth = m.foundationWidth;
+                        ['taperI', 'taperA', 'taperZ', 'haunchI', 'haunchJ'].forEach(key => { if (m[key]) newRow.dataset[key] = m[key]; });
+                        if(m.behavior && m.behavior !== 'linear') newRow.dataset.behavior = m.behavior;
 
                         // 断面情報と軸情報を復元
                         let sectionInfoToApply = parseSectionInfo(m);
@@ -3601,14 +3817,34 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('🔍 restoreState: 節点荷重復元開始, 荷重数:', state.nodeLoads.length);
             state.nodeLoads.forEach((l, index) => {
                 console.log(`🔍 restoreState: 節点荷重 ${index + 1} 復元:`, l);
-                addRow(elements.nodeLoadsTable, [`<input type="number" value="${l.node}">`, `<input type="number" value="${l.px}">`, `<input type="number" value="${l.py}">`, `<input type="number" value="${l.mz}">`], false);
+                addRow(elements.nodeLoadsTable, [`<input type="number" value="${l.node}">`, `<input type="number" value="${l.px}">`, `<input type="number" value="${l.py}">`, `<input type="number" value="${l.mz}">`, loadCaseSelectHTML(l.loadCase)], false);
             });
             
             // 部材荷重復元
             console.log('🔍 restoreState: 部材荷重復元開始, 荷重数:', state.memberLoads.length);
             state.memberLoads.forEach((l, index) => {
                 console.log(`🔍 restoreState: 部材荷重 ${index + 1} 復元:`, l);
-                addRow(elements.memberLoadsTable, [`<input type="number" value="${l.member}">`, `<input type="number" value="${l.w}">`], false);
+                addRow(elements.memberLoadsTable, [`<input type="number" value="${l.member}">`, `<input type="number" value="${l.w}">`, ...memberLoadDetailCellsHTML(l), loadCaseSelectHTML(l.loadCase)], false);
+            });
+
+            // 温度荷重復元（古い状態データには存在しない）
+            (state.thermalLoads || []).forEach(l => {
+                addRow(elements.thermalLoadsTable, [`<input type="number" value="${l.member}">`, ...thermalLoadCellsHTML(l), loadCaseSelectHTML(l.loadCase)], false);
+            });
+
+            // 初期ひずみ荷重復元（古い状態データには存在しない）
+            (state.initialStrainLoads || []).forEach(l => {
+                addRow(elements.initialStrainLoadsTable, [`<input type="number" value="${l.member}">`, ...initialStrainLoadCellsHTML(l), loadCaseSelectHTML(l.loadCase)], false);
+            });
+
+            // 拘束条件復元（古い状態データには存在しない）
+            (state.constraints || []).forEach(c => {
+                addRow(elements.constraintsTable, constraintCellsHTML(c), false);
+            });
+            
+            // 荷重組合せ復元
+            (state.loadCombinations || []).forEach(combination => {
+                addRow(elements.loadCombinationsTable, loadCombinationCellsHTML(combination), false);
             });
             
             renumberTables();
@@ -3789,13 +4025,13 @@ document.addEventListener('DOMContentLoaded', () => {
         pushState();
         const deletedMemberNumber = row.rowIndex;
         
-        // 関連する部材荷重を削除
-        const loadsToDelete = Array.from(elements.memberLoadsTable.rows)
+        // 関連する部材荷重・温度荷重・初期ひずみ荷重を削除
+        const loadsToDelete = [elements.memberLoadsTable, elements.thermalLoadsTable, elements.initialStrainLoadsTable].flatMap(table => Array.from(table.rows))
             .filter(r => parseInt(r.cells[0].querySelector('input').value) - 1 === deletedMemberNumber);
         loadsToDelete.forEach(r => r.remove());
         
-        // 後続の部材荷重の番号を調整
-        Array.from(elements.memberLoadsTable.rows).forEach(r => {
+        // 後続の部材荷重・温度荷重・初期ひずみ荷重の番号を調整
+        [elements.memberLoadsTable, elements.thermalLoadsTable, elements.initialStrainLoadsTable].flatMap(table => Array.from(table.rows)).forEach(r => {
             const input = r.cells[0].querySelector('input');
             const current = parseInt(input.value);
             if (current - 1 > deletedMemberNumber) {
@@ -3866,7 +4102,7 @@ document.addEventListener('DOMContentLoaded', () => {
             return memberIndex + 1; // 1ベースの番号
         });
         
-        Array.from(elements.memberLoadsTable.rows).forEach(r => {
+        [elements.memberLoadsTable, elements.thermalLoadsTable, elements.initialStrainLoadsTable].flatMap(table => Array.from(table.rows)).forEach(r => {
             const m = r.cells[0].querySelector('input');
             const current = parseInt(m.value);
             
@@ -3888,6 +4124,7 @@ document.addEventListener('DOMContentLoaded', () => {
         membersToUpdate.forEach(item => item.input.value = item.newValue);
         nodeLoadsToUpdate.forEach(item => item.input.value = item.newValue);
         memberLoadsToUpdate.forEach(item => item.input.value = item.newValue);
+        updateConstraintNodesAfterDeletion(deletedNodeNumber);
         
         row.remove();
         renumberTables();
@@ -3928,16 +4165,254 @@ document.addEventListener('DOMContentLoaded', () => {
         setupTableInputValidation(row, tableBody);
     };
 
+    // --- Load Cases ---
+    /**
+     * 荷重ケース選択セルのHTMLを作成
+     * @param {string} loadCase - 荷重ケースID (G, P, S, W, K, T)
+     */
+    const loadCaseSelectHTML = (loadCase = FrameSolver.DEFAULT_LOAD_CASE) => {
+        const selected = FrameSolver.normalizeLoadCaseId(loadCase);
+        const options = FrameSolver.LOAD_CASES.filter(c => c.id !== 'FD')
+            .map(c => `<option value="${c.id}"${c.id === selected ? ' selected' : ''}>${c.id}: ${c.name}</option>`).join('');
+        return `<select class="load-case-select">${options}</select>`;
+    };
+
+    // 荷重の追加・編集先となる荷重ケース
+    const getInputLoadCase = () => FrameSolver.normalizeLoadCaseId(elements.inputLoadCaseSelect?.value);
+
+    // 荷重テーブル行の荷重ケース（列がない古い行は固定荷重）
+    const getRowLoadCase = (row) => FrameSolver.normalizeLoadCaseId(row.querySelector('.load-case-select')?.value);
+
+    // 入力中の荷重ケースに属する節点荷重行・部材荷重行を検索
+    const findNodeLoadRow = (nodeIndex) => Array.from(elements.nodeLoadsTable.rows)
+        .find(row => parseInt(row.cells[0].querySelector('input').value) - 1 === nodeIndex && getRowLoadCase(row) === getInputLoadCase());
+    const findMemberLoadRow = (memberIndex) => Array.from(elements.memberLoadsTable.rows)
+        .find(row => parseInt(row.cells[0].querySelector('input').value) - 1 === memberIndex && getRowLoadCase(row) === getInputLoadCase() && getRowMemberLoad(row).type === 'uniform' && getRowMemberLoad(row).direction === 'local');
+
+    /**
+     * 部材荷重テーブルの種別・終端値・載荷位置・荷重方向・基準長さセルのHTMLを作成
+     * @param {object} load - { type, w2, a, b, direction, basis }
+     */
+    const memberLoadDetailCellsHTML = (load = {}) => {
+        const type = FrameSolver.MEMBER_LOAD_TYPES.includes(load.type) ? load.type : 'uniform';
+        const direction = FrameSolver.MEMBER_LOAD_DIRECTIONS.includes(load.direction) ? load.direction : 'local';
+        const basis = FrameSolver.MEMBER_LOAD_BASES.includes(load.basis) ? load.basis : 'length';
+        const value = (v) => (v === undefined || v === null) ? '' : v;
+        const optionsHTML = (values, labels, selected) => values.map(v => `<option value="${v}"${v === selected ? ' selected' : ''}>${labels[v]}</option>`).join('');
+        return [
+            `<select class="member-load-type-select">${optionsHTML(FrameSolver.MEMBER_LOAD_TYPES, MEMBER_LOAD_TYPE_LABELS, type)}</select>`,
+            `<input type="number" class="member-load-w2" value="${value(load.w2)}" step="0.01" title="台形・三角形分布の終点側の荷重値 (kN/m)">`,
+            `<input type="number" class="member-load-a" value="${value(load.a)}" step="0.01" min="0" title="i端からの距離 (m)。空欄は0">`,
+            `<input type="number" class="member-load-b" value="${value(load.b)}" step="0.01" min="0" title="i端からの距離 (m)。空欄は部材長">`,
+            `<select class="member-load-direction-select" title="部材直交: 部材座標系の-y方向 / 全体X・全体Y: 全体座標系の方向（材軸方向成分も考慮）">${optionsHTML(FrameSolver.MEMBER_LOAD_DIRECTIONS, MEMBER_LOAD_DIRECTION_LABELS, direction)}</select>`,
+            `<select class="member-load-basis-select" title="投影長: 全体Yは水平投影長さ、全体Xは鉛直投影長さあたりの荷重（屋根の積雪など）">${optionsHTML(FrameSolver.MEMBER_LOAD_BASES, MEMBER_LOAD_BASIS_LABELS, basis)}</select>`
+        ];
+    };
+
+    // 種別・方向に応じて使用しない入力欄を無効化
+    const updateMemberLoadRowInputs = (row) => {
+        const { type, direction } = getRowMemberLoad(row);
+        const w2Input = row.querySelector('.member-load-w2'), aInput = row.querySelector('.member-load-a'), bInput = row.querySelector('.member-load-b');
+        const directionSelect = row.querySelector('.member-load-direction-select'), basisSelect = row.querySelector('.member-load-basis-select');
+        if (w2Input) w2Input.disabled = type !== 'trapezoid';
+        if (aInput) aInput.disabled = type === 'uniform';
+        if (bInput) bInput.disabled = !['partial', 'trapezoid'].includes(type);
+        if (directionSelect) directionSelect.disabled = type === 'moment';
+        if (basisSelect) basisSelect.disabled = direction === 'local' || ['point', 'moment'].includes(type);
+    };
+
+    /**
+     * 部材荷重テーブル行の荷重値・種別・方向（列がない古い行は部材直交方向の全長等分布）
+     * @returns {object} { w, type, w2, a, b, direction, basis }（a, b は空欄なら undefined）
+     */
+    const getRowMemberLoad = (row) => {
+        const optionalNumber = (input) => {
+            if (!input || input.value.trim() === '') return undefined;
+            const value = parseFloat(input.value);
+            return Number.isFinite(value) ? value : undefined;
+        };
+        const typeSelect = row.querySelector('.member-load-type-select');
+        const directionSelect = row.querySelector('.member-load-direction-select'), basisSelect = row.querySelector('.member-load-basis-select');
+        return {
+            w: parseFloat(row.cells[1].querySelector('input').value) || 0,
+            type: typeSelect && FrameSolver.MEMBER_LOAD_TYPES.includes(typeSelect.value) ? typeSelect.value : 'uniform',
+            w2: optionalNumber(row.querySelector('.member-load-w2')),
+            a: optionalNumber(row.querySelector('.member-load-a')),
+            b: optionalNumber(row.querySelector('.member-load-b')),
+            direction: directionSelect && FrameSolver.MEMBER_LOAD_DIRECTIONS.includes(directionSelect.value) ? directionSelect.value : 'local',
+            basis: basisSelect && FrameSolver.MEMBER_LOAD_BASES.includes(basisSelect.value) ? basisSelect.value : 'length'
+        };
+    };
+
+    /**
+     * 温度荷重テーブル行の一様温度変化・温度差・部材せい・線膨張係数セルのHTMLを作成
+     * @param {object} load - { dT, dTg, h (mm), alpha (×10⁻⁶/℃) }
+     */
+    const thermalLoadCellsHTML = (load = {}) => {
+        const value = (v) => (v === undefined || v === null) ? '' : v;
+        return [
+            `<input type="number" class="thermal-load-dt" value="${value(load.dT) === '' ? 0 : load.dT}" step="1" title="断面一様の温度変化 (℃)。上昇を正">`,
+            `<input type="number" class="thermal-load-dtg" value="${value(load.dTg) === '' ? 0 : load.dTg}" step="1" title="下面と上面の温度差 (℃)。下面（部材座標系の-y側）が高温のとき正">`,
+            `<input type="number" class="thermal-load-h" value="${value(load.h)}" step="1" min="0" title="温度差を与える断面の部材せい (mm)">`,
+            `<input type="number" class="thermal-load-alpha" value="${value(load.alpha)}" step="0.1" min="0" title="線膨張係数 (×10⁻⁶/℃)。空欄は部材の材料の値">`
+        ];
+    };
+
+    /**
+     * 温度荷重テーブル行の値を解析コアの単位で読み取る
+     * @returns {object} { type: 'thermal', w: 0, dT, dTg, h (m), alpha (1/℃, 空欄は undefined) }
+     */
+    const getRowThermalLoad = (row) => {
+        const number = (selector) => parseFloat(row.querySelector(selector)?.value);
+        const h = number('.thermal-load-h'), alpha = number('.thermal-load-alpha');
+        return {
+            type: 'thermal',
+            w: 0,
+            dT: number('.thermal-load-dt') || 0,
+            dTg: number('.thermal-load-dtg') || 0,
+            h: Number.isFinite(h) ? h / 1000 : undefined,
+            alpha: Number.isFinite(alpha) ? alpha * 1e-6 : undefined
+        };
+    };
+
+    /**
+     * 初期ひずみ荷重テーブル行の部材長の過不足・導入張力・初期曲率セルのHTMLを作成
+     * @param {object} load - { dL (mm), P0 (kN), kappa (×10⁻³ 1/m) }
+     */
+    const initialStrainLoadCellsHTML = (load = {}) => {
+        const value = (v) => (v === undefined || v === null || v === '') ? 0 : v;
+        return [
+            `<input type="number" class="initial-strain-load-dl" value="${value(load.dL)}" step="0.1" title="製作誤差などによる部材長の過不足 (mm)。部材が長すぎるとき正（両端を拘束すると圧縮）">`,
+            `<input type="number" class="initial-strain-load-p0" value="${value(load.P0)}" step="1" title="ターンバックル等で導入する張力 (kN)。両端を固定した部材にこの張力が生じる縮みとして与える">`,
+            `<input type="number" class="initial-strain-load-kappa" value="${value(load.kappa)}" step="0.1" title="部材に与える初期曲率 (×10⁻³ 1/m)。部材座標系で下に凸（温度荷重の ΔTg 正と同じ向き）を正">`
+        ];
+    };
+
+    /**
+     * 初期ひずみ荷重テーブル行の値を解析コアの単位で読み取る
+     * @returns {object} { type: 'initialStrain', w: 0, dL (m), P0 (kN), curvature (1/m) }
+     */
+    const getRowInitialStrainLoad = (row) => {
+        const number = (selector) => parseFloat(row.querySelector(selector)?.value) || 0;
+        return {
+            type: 'initialStrain',
+            w: 0,
+            dL: number('.initial-strain-load-dl') / 1000,
+            P0: number('.initial-strain-load-p0'),
+            curvature: number('.initial-strain-load-kappa') * 1e-3
+        };
+    };
+
+    // 拘束条件の種類（FrameSolver.CONSTRAINT_TYPES）の表示名
+    const CONSTRAINT_TYPE_LABELS = { rigid: '剛体リンク', diaphragm: '剛床（X方向変位を同一）', equal: '自由度の同一化' };
+
+    /**
+     * 拘束条件テーブル行の種類・主節点・従属節点・自由度セルのHTMLを作成
+     * @param {object} constraint - { type, master (節点番号), slaves ('2,3' 形式の節点番号), dofs ('x,r' 形式) }
+     */
+    const constraintCellsHTML = (constraint = {}) => {
+        const type = CONSTRAINT_TYPE_LABELS[constraint.type] ? constraint.type : 'rigid';
+        const text = (v) => String(v ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+        return [
+            `<select class="constraint-type">${Object.entries(CONSTRAINT_TYPE_LABELS).map(([key, label]) => `<option value="${key}"${key === type ? ' selected' : ''}>${label}</option>`).join('')}</select>`,
+            `<input type="number" class="constraint-master" value="${text(constraint.master || 1)}" min="1" title="変位を代表する主節点の番号">`,
+            `<input type="text" class="constraint-slaves" value="${text(constraint.slaves)}" placeholder="例: 2,3" title="主節点に従う従属節点の番号（カンマ区切り）。剛床で空欄のときは主節点と同じ高さでX方向が拘束されていない節点すべて">`,
+            `<input type="text" class="constraint-dofs" value="${text(constraint.dofs ?? 'x')}" placeholder="例: x,r" title="自由度の同一化で同一とする自由度（x: X方向変位、y: Y方向変位、r: 回転角）。剛体リンクは全自由度、剛床はX方向変位">`
+        ];
+    };
+
+    /**
+     * 拘束条件テーブル行の値を解析コアの形式で読み取る（節点番号は0始まりのインデックスに変換）
+     * @returns {object} { type, master, slaves, dofs }
+     */
+    const getRowConstraint = (row) => {
+        const value = (selector) => row.querySelector(selector)?.value ?? '';
+        const list = (selector) => value(selector).split(/[,、\s]+/).filter(item => item !== '');
+        return {
+            type: value('.constraint-type'),
+            master: parseInt(value('.constraint-master')) - 1,
+            slaves: list('.constraint-slaves').map(item => parseInt(item) - 1),
+            dofs: list('.constraint-dofs').map(item => item.toLowerCase())
+        };
+    };
+
+    /**
+     * 節点削除後に拘束条件の節点番号を調整する
+     * 主節点を削除した拘束条件と、従属節点がすべて削除された拘束条件（剛床の省略指定を除く）は行ごと削除する
+     * @param {number} deletedNodeNumber - 削除した節点番号（1始まり）
+     */
+    const updateConstraintNodesAfterDeletion = (deletedNodeNumber) => {
+        const shift = (number) => number > deletedNodeNumber ? number - 1 : number;
+        Array.from(elements.constraintsTable.rows).forEach(row => {
+            const masterInput = row.querySelector('.constraint-master');
+            const slavesInput = row.querySelector('.constraint-slaves');
+            const master = parseInt(masterInput.value);
+            const numbers = slavesInput.value.split(/[,、\s]+/).filter(item => item !== '').map(item => parseInt(item));
+            const slaves = numbers.filter(number => number !== deletedNodeNumber).map(shift);
+            if (master === deletedNodeNumber || (numbers.length > 0 && slaves.length === 0)) {
+                row.remove();
+                return;
+            }
+            masterInput.value = shift(master);
+            slavesInput.value = slaves.join(',');
+        });
+    };
+
+    // 荷重組合せテーブル行のセルHTMLを作成
+    const loadCombinationCellsHTML = (combination = {}) => {
+        const factors = combination.factors || {};
+        const term = combination.term === 'long' ? 'long' : 'short';
+        const name = String(combination.name || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+        return [
+            `<input type="text" value="${name}" placeholder="例: G+P+K">`,
+            `<select><option value="long"${term === 'long' ? ' selected' : ''}>長期</option><option value="short"${term === 'short' ? ' selected' : ''}>短期</option></select>`,
+            ...FrameSolver.LOAD_CASES.map(c => `<input type="number" step="0.1" data-load-case="${c.id}" value="${Number(factors[c.id]) || 0}">`)
+        ];
+    };
+
+    // 荷重組合せテーブルから組合せの定義を読み取る
+    const getLoadCombinations = () => Array.from(elements.loadCombinationsTable.rows).map((row, index) => {
+        const factors = {};
+        row.querySelectorAll('input[data-load-case]').forEach(input => { factors[input.dataset.loadCase] = parseFloat(input.value) || 0; });
+        return {
+            name: row.cells[0].querySelector('input').value.trim() || `組合せ${index + 1}`,
+            term: row.cells[1].querySelector('select').value,
+            factors
+        };
+    });
+
     const addRow = (tableBody, cells, saveHistory = true) => {
         return utils.executeWithErrorHandling(() => {
             if (saveHistory) pushState();
             
+            // 支点角度・ばね定数列が省略された節点行は傾斜・ばねなしで追加
+            if (tableBody === elements.nodesTable && cells.length === 7) {
+                cells = [...cells, ...nodeSupportCellsHTML()];
+            }
+            // 荷重ケース列が省略された荷重行は入力中の荷重ケースで追加
+            if ((tableBody === elements.nodeLoadsTable && cells.length === 4) || (tableBody === elements.memberLoadsTable && cells.length === 2) || (tableBody === elements.thermalLoadsTable && cells.length === 5) || (tableBody === elements.initialStrainLoadsTable && cells.length === 4)) {
+                cells = [...cells, loadCaseSelectHTML(getInputLoadCase())];
+            }
+            // 種別列が省略された部材荷重行は全長等分布として追加
+            if (tableBody === elements.memberLoadsTable && cells.length === 3) {
+                cells = [cells[0], cells[1], ...memberLoadDetailCellsHTML(), cells[2]];
+            }
+            
             const newRow = createTableRow(tableBody, cells);
             
             // テーブル固有の設定
             if (tableBody === elements.membersTable) {
                 setupMemberRowSpecialFeatures(newRow);
                 setupMaterialTypeHandling(newRow);
+                newRow.querySelectorAll('.conn-type').forEach(select => {
+                    select.addEventListener('change', () => syncConnectionCell(select.parentElement));
+                });
+            }
+            if (tableBody === elements.memberLoadsTable) {
+                newRow.querySelectorAll('.member-load-type-select, .member-load-direction-select').forEach(select => {
+                    select.addEventListener('change', () => updateMemberLoadRowInputs(newRow));
+                });
+                updateMemberLoadRowInputs(newRow);
             }
             
             // イベントリスナーの設定
@@ -3961,21 +4436,50 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.membersTable.querySelectorAll('tr').forEach((row, i) => row.cells[0].textContent = i + 1);
     };
     
+    /**
+     * 応答スペクトル解析の設定を入力欄から読み取る（チェックがなければ null）
+     * @returns {object|null} FrameSolver.solveResponseSpectrum() のオプション
+     */
+    const getResponseSpectrumOptions = () => {
+        if (!elements.responseSpectrumCheckbox?.checked) return null;
+        const value = (id) => document.getElementById(id).value;
+        const number = (id, fallback) => { const v = parseFloat(value(id)); return Number.isFinite(v) ? v : fallback; };
+        const defaults = FrameSolver.RESPONSE_SPECTRUM_DEFAULTS;
+        const type = value('rs-spectrum-type');
+        const spectrum = type === 'table'
+            ? {
+                type,
+                // 1行に「周期, 加速度」（カンマまたは空白区切り）
+                points: value('rs-spectrum-table').split('\n').map(line => line.trim()).filter(line => line)
+                    .map(line => { const [T, Sa] = line.split(/[\s,]+/).map(parseFloat); return { T, Sa }; })
+            }
+            : { type, Z: number('rs-zone-factor', defaults.spectrum.Z), soilClass: parseInt(value('rs-soil-class'), 10), C0: number('rs-c0', defaults.spectrum.C0) };
+        return {
+            direction: value('rs-direction'),
+            combination: value('rs-combination'),
+            damping: number('rs-damping', defaults.damping),
+            modes: Math.max(1, Math.min(50, Math.round(number('rs-mode-count', defaults.modes)))),
+            spectrum
+        };
+    };
+
     const calculate = () => {
         try {
             elements.errorMessage.style.display = 'none';
             clearResults(); 
-            const { nodes, members, nodeLoads, memberLoads, memberSelfWeights, nodeSelfWeights } = parseInputs();
+            const { nodes, members, nodeLoads, memberLoads, thermalLoads, initialStrainLoads, constraints, memberSelfWeights, nodeSelfWeights } = parseInputs();
             
-            // 解析用に自重の等分布荷重を部材荷重に合成
-            const combinedMemberLoads = [...memberLoads];
+            // 解析用に温度荷重・初期ひずみ荷重と自重の等分布荷重を部材荷重に合成（温度荷重・初期ひずみ荷重は解析コアで等価な固定端力に換算）
+            const combinedMemberLoads = [...memberLoads, ...thermalLoads, ...initialStrainLoads];
             if (memberSelfWeights && memberSelfWeights.length > 0) {
                 memberSelfWeights.forEach(selfWeightLoad => {
                     if (selfWeightLoad.loadType === 'distributed') {
-                        // 水平部材の自重を等分布荷重として追加
+                        // 水平・斜め部材の自重を等分布荷重として追加（斜め部材は全体Y方向）
                         const distributedLoad = {
                             memberIndex: selfWeightLoad.memberIndex,
-                            w: selfWeightLoad.w // 既に適切な符号（負の値）が設定済み
+                            w: selfWeightLoad.w, // 既に適切な符号（負の値）が設定済み
+                            direction: selfWeightLoad.direction || 'local',
+                            loadCase: 'G' // 自重は固定荷重
                         };
                         combinedMemberLoads.push(distributedLoad);
                         
@@ -3985,20 +4489,6 @@ document.addEventListener('DOMContentLoaded', () => {
                             console.log(`等分布荷重追加: 部材${selfWeightLoad.memberIndex + 1}, w=${distributedLoad.w.toFixed(4)}kN/m`);
                             window.distributedLoadLogCount = 1;
                         }
-                    } else if (selfWeightLoad.loadType === 'mixed' && selfWeightLoad.w !== 0) {
-                        // 斜め部材の垂直成分を等分布荷重として追加
-                        const distributedLoad = {
-                            memberIndex: selfWeightLoad.memberIndex,
-                            w: selfWeightLoad.w // 既に適切な符号（負の値）が設定済み
-                        };
-                        combinedMemberLoads.push(distributedLoad);
-                        
-                        // デバッグログ
-                        if (!window.distributedLoadLogCount) window.distributedLoadLogCount = 0;
-                        if (window.distributedLoadLogCount < 3) {
-                            console.log(`混合荷重(垂直成分)追加: 部材${selfWeightLoad.memberIndex + 1}, w=${distributedLoad.w.toFixed(4)}kN/m`);
-                            window.distributedLoadLogCount++;
-                        }
                     }
                 });
             }
@@ -4018,7 +4508,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const combinedNodeLoads = [...nodeLoads];
             if (nodeSelfWeights && nodeSelfWeights.length > 0) {
                 nodeSelfWeights.forEach(selfWeightLoad => {
-                    const existingLoad = combinedNodeLoads.find(load => load.nodeIndex === selfWeightLoad.nodeIndex);
+                    const existingLoad = combinedNodeLoads.find(load => load.nodeIndex === selfWeightLoad.nodeIndex && load.loadCase === 'G');
                     if (existingLoad) {
                         // 既存荷重に自重を加算
                         existingLoad.px += selfWeightLoad.px;
@@ -4030,204 +4520,43 @@ document.addEventListener('DOMContentLoaded', () => {
                             nodeIndex: selfWeightLoad.nodeIndex,
                             px: selfWeightLoad.px,
                             py: selfWeightLoad.py,
-                            mz: selfWeightLoad.mz
+                            mz: selfWeightLoad.mz,
+                            loadCase: 'G' // 自重は固定荷重
                         });
                     }
                 });
             }
-            const dof = nodes.length * 3;
-            let K_global = mat.create(dof, dof);
-            let F_global = mat.create(dof, 1);
-            const fixedEndForces = {};
-            
-            // 同一部材の荷重を合計して重複を防ぐ
-            const memberLoadMap = new Map();
-            combinedMemberLoads.forEach(load => {
-                const memberIndex = load.memberIndex;
-                if (memberLoadMap.has(memberIndex)) {
-                    // 既存荷重に加算
-                    memberLoadMap.get(memberIndex).w += load.w;
-                } else {
-                    // 新規追加
-                    memberLoadMap.set(memberIndex, { memberIndex, w: load.w });
-                }
-            });
-            
-            // デバッグログ：合計された荷重を確認
-            if (!window.mergedLoadLogCount) window.mergedLoadLogCount = 0;
-            if (window.mergedLoadLogCount === 0) {
-                console.log('=== 合計された部材荷重 ===');
-                memberLoadMap.forEach((load, memberIndex) => {
-                    console.log(`部材${memberIndex + 1}: w=${load.w.toFixed(4)}kN/m`);
-                });
-                console.log('========================');
-                window.mergedLoadLogCount = 1;
-            }
-            
-            // 合計された荷重で固定端力を計算
-            memberLoadMap.forEach(load => {
-                const member = members[load.memberIndex];
-                const L = member.length, w = load.w;
-                let fel;
-                if (member.i_conn === 'rigid' && member.j_conn === 'rigid') { fel = [0, w*L/2, w*L**2/12, 0, w*L/2, -w*L**2/12]; } 
-                else if (member.i_conn === 'pinned' && member.j_conn === 'rigid') { fel = [0, 3*w*L/8, 0, 0, 5*w*L/8, -w*L**2/8]; } 
-                else if (member.i_conn === 'rigid' && member.j_conn === 'pinned') { fel = [0, 5*w*L/8, w*L**2/8, 0, 3*w*L/8, 0]; } 
-                else { fel = [0, w*L/2, 0, 0, w*L/2, 0]; }
-                const T_t = mat.transpose(member.T), feg = mat.multiply(T_t, fel.map(v => [v])), i = member.i, j = member.j;
-                F_global[i*3][0] -= feg[0][0]; F_global[i*3+1][0] -= feg[1][0]; F_global[i*3+2][0] -= feg[2][0];
-                F_global[j*3][0] -= feg[3][0]; F_global[j*3+1][0] -= feg[4][0]; F_global[j*3+2][0] -= feg[5][0];
-                fixedEndForces[load.memberIndex] = fel; // 部材インデックスで正しく保存
-            });
-            combinedNodeLoads.forEach(load => { const i = load.nodeIndex * 3; F_global[i][0] += load.px; F_global[i+1][0] += load.py; F_global[i+2][0] += load.mz; });
-            members.forEach((member) => {
-                const {k_local, T, i, j} = member;
-                const T_t = mat.transpose(T);
-                if (!T_t) {
-                    console.error('Matrix transpose failed for member:', member);
-                    return;
-                }
-                const k_global_member = mat.multiply(mat.multiply(T_t, k_local), T);
-                if (!k_global_member) {
-                    console.error('Matrix multiply failed for member:', member);
-                    return;
-                }
-                const indices = [i*3, i*3+1, i*3+2, j*3, j*3+1, j*3+2];
-                for (let row = 0; row < 6; row++) for (let col = 0; col < 6; col++) K_global[indices[row]][indices[col]] += k_global_member[row][col];
-            });
-            // ==========================================================
-            // 強制変位を考慮した解析ロジック（自由節点も対応）
-            // ==========================================================
-
-            // 1. 物理的な支点による拘束自由度を定義
-            const support_constraints = new Set();
-            nodes.forEach((node, i) => {
-                if (node.support === 'fixed') {
-                    support_constraints.add(i * 3);
-                    support_constraints.add(i * 3 + 1);
-                    support_constraints.add(i * 3 + 2);
-                } else if (node.support === 'pinned') {
-                    support_constraints.add(i * 3);
-                    support_constraints.add(i * 3 + 1);
-                } else if (node.support === 'roller') {
-                    support_constraints.add(i * 3 + 1);
-                }
-            });
-
-            // 2. 強制変位が与えられた自由度を特定し、既知変位ベクトルD_sを作成
-            const D_s = mat.create(dof, 1);
-            const forced_disp_constraints = new Set();
-            nodes.forEach((node, i) => {
-                if (Math.abs(node.dx_forced) > 1e-9) {
-                    D_s[i * 3][0] = node.dx_forced;
-                    forced_disp_constraints.add(i * 3);
-                }
-                if (Math.abs(node.dy_forced) > 1e-9) {
-                    D_s[i * 3 + 1][0] = node.dy_forced;
-                    forced_disp_constraints.add(i * 3 + 1);
-                }
-                if (Math.abs(node.r_forced) > 1e-9) {
-                    D_s[i * 3 + 2][0] = node.r_forced;
-                    forced_disp_constraints.add(i * 3 + 2);
+            // 入力テーブルから組み立てたモデルをDOM非依存の解析コアで荷重ケースごとに解き、荷重組合せを重ね合わせる
+            let analysis;
+            try {
+                // 応答スペクトル解析では部材の質量（密度×断面積）を与える
+                const responseSpectrum = getResponseSpectrumOptions();
+                const analysisMembers = responseSpectrum ? members.map((member, idx) => ({ ...member, mass: getMemberMassPerLength(member, idx) })) : members;
+                analysis = FrameSolver.analyzeLoadCases({ nodes, members: analysisMembers, constraints, nodeLoads: combinedNodeLoads, memberLoads: combinedMemberLoads, combinations: getLoadCombinations(), pDelta: !!elements.pDeltaCheckbox?.checked, responseSpectrum });
+            } catch (solverError) {
+                const loadCase = FrameSolver.LOAD_CASES.find(c => c.id === solverError.loadCase);
+                const caseLabel = loadCase ? `荷重ケース ${loadCase.id}（${loadCase.name}）: ` : (solverError.combination ? `荷重組合せ ${solverError.combination}: ` : '');
+                if (solverError.code === 'UNSTABLE') {
+                    const instabilityAnalysis = analyzeInstability(solverError.diagonal, solverError.freeIndices, nodes, members, solverError.singularDofs);
+                    throw new Error(`${caseLabel}${solverError.message}\n${instabilityAnalysis.message}`);
                 }
-            });
-
-            // 3. 物理支点と強制変位を合算し、最終的な「拘束自由度」と「自由度」を決定
-            const constrained_indices_set = new Set([...support_constraints, ...forced_disp_constraints]);
-            const constrained_indices = Array.from(constrained_indices_set).sort((a, b) => a - b);
-            const free_indices = [...Array(dof).keys()].filter(i => !constrained_indices_set.has(i));
-
-            if (free_indices.length === 0) { // 完全拘束モデルの場合
-                const D_global = D_s;
-                const K_D = mat.multiply(K_global, D_global);
-                if (!K_D) {
-                    console.error('Matrix multiply failed: K_global * D_global');
-                    return;
+                if (['PDELTA_CRITICAL', 'PDELTA_NOT_CONVERGED', 'MEMBER_BEHAVIOR_NOT_CONVERGED', 'RESPONSE_SPECTRUM_CONFLICT', 'MODAL_NO_MASS', 'MODAL_UNSTABLE', 'MODAL_NOT_CONVERGED'].includes(solverError.code)) {
+                    throw new Error(`${caseLabel}${solverError.message}`);
                 }
-                const R = mat.subtract(K_D, F_global);
-                const memberForces = members.map((member, idx) => {
-                    const { T, k_local, i, j } = member;
-                    const d_global_member = [ ...D_global.slice(i * 3, i * 3 + 3), ...D_global.slice(j * 3, j * 3 + 3) ];
-                    const d_local = mat.multiply(T, d_global_member);
-                    if (!d_local) {
-                        console.error('Matrix multiply failed: T * d_global_member for member', idx);
-                        return { N_i: 0, Q_i: 0, M_i: 0, N_j: 0, Q_j: 0, M_j: 0 };
-                    }
-                    let f_local = mat.multiply(k_local, d_local);
-                    if (!f_local) {
-                        console.error('Matrix multiply failed: k_local * d_local for member', idx);
-                        return { N_i: 0, Q_i: 0, M_i: 0, N_j: 0, Q_j: 0, M_j: 0 };
-                    }
-                    if(fixedEndForces[idx]) { const fel_mat = fixedEndForces[idx].map(v=>[v]); f_local = mat.add(f_local, fel_mat); }
-                    return { N_i: f_local[0][0], Q_i: f_local[1][0], M_i: f_local[2][0], N_j: f_local[3][0], Q_j: f_local[4][0], M_j: f_local[5][0] };
-                });
-                displayResults(D_global, R, memberForces, nodes, members, nodeLoads, memberLoads);
-                return;
+                throw solverError;
             }
 
-            // 3. 行列を分割 (K_ff, K_fs, K_sf, K_ss)
-            const K_ff = free_indices.map(r => free_indices.map(c => K_global[r][c]));
-            const K_fs = free_indices.map(r => constrained_indices.map(c => K_global[r][c]));
-            const K_sf = constrained_indices.map(r => free_indices.map(c => K_global[r][c]));
-            const K_ss = constrained_indices.map(r => constrained_indices.map(c => K_global[r][c]));
-
-            // 4. ベクトルを分割
-            const F_f = free_indices.map(idx => [F_global[idx][0]]);
-            const F_s = constrained_indices.map(idx => [F_global[idx][0]]);
-            const D_s_constrained = constrained_indices.map(idx => [D_s[idx][0]]);
-
-            // 5. 強制変位による等価節点力を計算し、荷重ベクトルを修正
-            // F_modified = F_f - K_fs * D_s_constrained
-            const Kfs_Ds = mat.multiply(K_fs, D_s_constrained);
-            const F_modified = mat.subtract(F_f, Kfs_Ds);
-
-            // 6. 未知変位 D_f を解く
-            const D_f = mat.solve(K_ff, F_modified);
-            if (!D_f) {
-                const instabilityAnalysis = analyzeInstability(K_global, free_indices, nodes, members);
-                throw new Error(`解を求めることができませんでした。構造が不安定であるか、拘束が不適切である可能性があります。\n${instabilityAnalysis.message}`);
-            }
-
-            // 7. 全体変位ベクトル D_global を組み立てる
-            const D_global = mat.create(dof, 1);
-            free_indices.forEach((val, i) => { D_global[val][0] = D_f[i][0]; });
-            constrained_indices.forEach((val, i) => { D_global[val][0] = D_s_constrained[i][0]; });
-
-            // 8. 反力 R を計算
-            // R = K_sf * D_f + K_ss * D_s_constrained - F_s
-            const Ksf_Df = mat.multiply(K_sf, D_f);
-            const Kss_Ds = mat.multiply(K_ss, D_s_constrained);
-            let R_constrained = mat.add(Ksf_Df, Kss_Ds);
-            R_constrained = mat.subtract(R_constrained, F_s);
-
-            const R = mat.create(dof, 1);
-            constrained_indices.forEach((val, i) => { R[val][0] = R_constrained[i][0]; });
-
-            // ==========================================================
-            const memberForces = members.map((member, idx) => {
-                const { T, k_local, i, j } = member;
-                const d_global_member = [ ...D_global.slice(i * 3, i * 3 + 3), ...D_global.slice(j * 3, j * 3 + 3) ];
-                const d_local = mat.multiply(T, d_global_member);
-                let f_local = mat.multiply(k_local, d_local);
-                if(fixedEndForces[idx]) { const fel_mat = fixedEndForces[idx].map(v=>[v]); f_local = mat.add(f_local, fel_mat); }
-                return { N_i: f_local[0][0], Q_i: f_local[1][0], M_i: f_local[2][0], N_j: f_local[3][0], Q_j: f_local[4][0], M_j: f_local[5][0] };
-            });
-            
             // 計算成功時は不安定性ハイライトをクリア
             clearInstabilityHighlight();
             
-            // 解析結果をグローバルに保存（応力度コンター図用）
-            window.lastAnalysisResults = {
-                displacements: D_global,
-                reactions: R,
-                forces: memberForces,
-                nodes: nodes,
-                members: members
-            };
-            
-            // 合計された部材荷重を配列に変換
-            const finalMemberLoads = Array.from(memberLoadMap.values());
-            
-            displayResults(D_global, R, memberForces, nodes, members, combinedNodeLoads, finalMemberLoads);
+            // 荷重ケース・荷重組合せごとの結果を保存し、選択中の結果を表示
+            lastLoadSetResults = buildLoadSets(analysis, nodes, members);
+            window.lastLoadSetResults = lastLoadSetResults;
+            lastResponseSpectrum = analysis.cases.find(c => c.result.responseSpectrum)?.result.responseSpectrum || null;
+            window.lastResponseSpectrum = lastResponseSpectrum;
+            displayResponseSpectrumResults(lastResponseSpectrum, members);
+            updateResultLoadSetSelect();
+            showLoadSetResult(elements.resultLoadSetSelect.value);
         } catch (error) {
             elements.errorMessage.textContent = `エラー: ${error.message}`;
             elements.errorMessage.style.display = 'block';
@@ -4240,6 +4569,101 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
     
+    // 荷重ケース・荷重組合せごとの解析結果 [{ key, label, term, result }]
+    let lastLoadSetResults = null;
+    // 応答スペクトル解析の結果（荷重ケース K の result.responseSpectrum）
+    let lastResponseSpectrum = null;
+    // プッシュオーバー解析の結果（解析時の入力の節点・部材を含む。塑性ヒンジはモデル図に表示する）
+    let lastPushoverResults = null;
+    // 極限解析の結果（解析時の部材を含む。崩壊機構はモデル図に表示する）
+    let lastLimitResults = null;
+    // 移動荷重の結果（解析時の節点・部材を含む。包絡図の断面力を切り替えて再描画する）
+    let lastMovingLoadResults = null;
+
+    /**
+     * 表示切替用の荷重セット（全ケース合計・各荷重ケース・各荷重組合せ）を作成
+     * 全ケース合計は従来どおり全ての荷重と強制変位を同時に作用させた結果
+     */
+    const buildLoadSets = (analysis, nodes, members) => {
+        const sets = [{
+            key: 'ALL',
+            label: '全荷重ケース合計',
+            term: null,
+            // P-Δ解析や引張専用・圧縮専用部材を含む場合は重ね合わせが成り立たないため、全荷重を同時に載荷して解いた結果を用いる
+            result: analysis.total || FrameSolver.superposeResults(analysis.cases.map(c => ({ result: c.result, factor: 1 })), nodes, members)
+        }];
+        analysis.cases.forEach(c => sets.push({ key: `case:${c.id}`, label: `${c.id}: ${c.name}`, term: null, result: c.result }));
+        analysis.combinations.forEach((c, index) => sets.push({ key: `combo:${index}`, label: `${c.name} (${c.term === 'long' ? '長期' : '短期'})`, term: c.term, result: c.result }));
+        return sets;
+    };
+
+    // 包絡表示の対象となる荷重セット（荷重組合せ）
+    const ENVELOPE_LOAD_SET_KEY = 'ENVELOPE';
+    const getEnvelopeLoadSets = () => (lastLoadSetResults || []).filter(set => set.key.startsWith('combo:'));
+
+    // 結果表示用の荷重セット選択肢を更新（選択中の項目は可能な限り維持）
+    const updateResultLoadSetSelect = () => {
+        const select = elements.resultLoadSetSelect;
+        if (!select) return;
+        const previous = select.value;
+        const options = (lastLoadSetResults || []).map(set => ({ key: set.key, label: set.label }));
+        // 荷重組合せが2つ以上あれば包絡表示を選択可能にする
+        if (getEnvelopeLoadSets().length >= 2) options.push({ key: ENVELOPE_LOAD_SET_KEY, label: '包絡（全荷重組合せ）' });
+        select.innerHTML = options.map(option => `<option value="${option.key}">${option.label.replace(/</g, '&lt;')}</option>`).join('');
+        select.value = options.some(option => option.key === previous) ? previous : 'ALL';
+    };
+
+    /**
+     * 全荷重組合せの包絡値を求める
+     * 図・表の基本表示には節点変位が最大となる荷重組合せの結果を用いる
+     * @returns {{ base: object, envelope: object }|null}
+     */
+    const calculateLoadSetEnvelope = (members) => {
+        const sets = getEnvelopeLoadSets();
+        if (sets.length === 0) return null;
+        const envelope = FrameSolver.calculateEnvelope(sets.map(set => ({ label: set.label, result: set.result })), members);
+        envelope.terms = sets.map(set => set.term);
+        const maxDisplacement = (set) => Math.max(0, ...set.result.displacements.map(d => Math.hypot(d.x, d.y)));
+        const base = sets.reduce((a, b) => maxDisplacement(b) > maxDisplacement(a) ? b : a);
+        return { base, envelope };
+    };
+
+    /**
+     * 選択された荷重ケース／組合せの結果を図・表に表示する
+     * @param {string} key - 荷重セットのキー ('ALL', 'case:G', 'combo:0' など)
+     * @returns {object|null} 表示した荷重セット
+     */
+    const showLoadSetResult = (key) => {
+        if (!lastLoadSetResults) return null;
+        const { nodes, members, constraints } = parseInputs();
+        let set = lastLoadSetResults.find(s => s.key === key) || lastLoadSetResults[0];
+        let envelope = null;
+        if (key === ENVELOPE_LOAD_SET_KEY) {
+            const enveloped = calculateLoadSetEnvelope(members);
+            if (enveloped) {
+                envelope = enveloped.envelope;
+                set = { key, label: `包絡（全荷重組合せ／変位図・端力: ${enveloped.base.label}）`, term: null, result: enveloped.base.result };
+            }
+        }
+        const { D, R, forces, nodeLoads, memberLoads } = set.result;
+
+        // 解析結果をグローバルに保存（応力度コンター図用）
+        window.lastAnalysisResults = {
+            displacements: D,
+            reactions: R,
+            forces: forces,
+            nodes: nodes,
+            members: members,
+            loadSet: set.label,
+            envelope: envelope
+        };
+
+        // 包絡表示では無効化した部材が組合せごとに異なるため表示しない
+        displayResults(D, R, forces, nodes, members, nodeLoads, memberLoads, envelope, set.result.pDelta, envelope ? null : set.result.memberBehavior, constraints);
+        if (lastAnalysisResult) lastAnalysisResult.loadSetLabel = set.label;
+        return set;
+    };
+
     const parseInputs = () => {
         // プリセット読み込み中は簡易的なダミーデータを返してエラーを回避
         if (window.isLoadingPreset) {
@@ -4248,6 +4672,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 members: [],
                 nodeLoads: [],
                 memberLoads: [],
+                thermalLoads: [],
+                initialStrainLoads: [],
+                constraints: [],
                 memberSelfWeights: [],
                 nodeSelfWeights: []
             };
@@ -4279,9 +4706,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // 境界条件をrestraint形式に変換
             const support = supportSelect.value;
-            const restraint_x = support === 'fixed' || support === 'pinned' || support === 'roller-x';
-            const restraint_y = support === 'fixed' || support === 'pinned' || support === 'roller-y';
-            const restraint_r = support === 'fixed';
+            const [restraint_x, restraint_y, restraint_r] = FrameSolver.getNodeRestraints({ support });
+            const { angle, ...springs } = getRowNodeSupport(row);
 
             return {
                 id: i + 1,
@@ -4294,9 +4720,24 @@ document.addEventListener('DOMContentLoaded', () => {
                 // 強制変位を基本単位(m, rad)で格納
                 dx_forced: dx_forced_mm / 1000,
                 dy_forced: dy_forced_mm / 1000,
-                r_forced: r_forced_rad
+                r_forced: r_forced_rad,
+                // 傾斜支点の角度 (rad)、ばね定数と節点質量 (t)
+                support_angle: angle * Math.PI / 180,
+                ...springs
             };
         });
+        // 剛域長の自動設定: 接合部材の構面内の断面せいから各部材端の剛域長を求める
+        const autoRigidZones = elements.rigidZoneAutoCheckbox?.checked
+            ? FrameSolver.calculateRigidZoneLengths(nodes, Array.from(elements.membersTable.rows).map(row => {
+                let sectionInfo = null;
+                try { sectionInfo = row.dataset.sectionInfo ? JSON.parse(decodeURIComponent(row.dataset.sectionInfo)) : null; } catch (error) { sectionInfo = null; }
+                return {
+                    i: parseInt(row.cells[1]?.querySelector('input')?.value) - 1,
+                    j: parseInt(row.cells[2]?.querySelector('input')?.value) - 1,
+                    depth: deriveSectionDepth(sectionInfo, row.dataset.sectionAxisKey || sectionInfo?.axis?.key)
+                };
+            }))
+            : null;
         const members = Array.from(elements.membersTable.rows).map((row, index) => {
             // 安全な節点番号取得
             const iNodeInput = row.cells[1]?.querySelector('input');
@@ -4318,6 +4759,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             
             let E = (e_select.value === 'custom' ? parseFloat(e_input?.value || 0) : parseFloat(e_select.value)) * 1000;
+            const alpha = MATERIAL_THERMAL_EXPANSION_DATA[e_select.value] || MATERIAL_THERMAL_EXPANSION_DATA['custom'];
             
             // 弾性係数選択欄から材料名を直接取得
             const getMaterialNameFromSelect = (selectElement) => {
@@ -4343,7 +4785,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const strengthInputContainer = row.cells[4].firstElementChild;
             if (!strengthInputContainer) {
                 console.warn(`行 ${index} の強度入力コンテナが見つかりません`);
-                return { i, j, E, A: parseFloat(row.cells[5].querySelector('input').value), material, strengthProps: { type: 'unknown' } };
+                return { i, j, E, A: parseFloat(row.cells[5].querySelector('input').value), material, strengthProps: { type: 'unknown' }, alpha };
             }
             const strengthType = strengthInputContainer.dataset.strengthType;
             let strengthProps = { type: strengthType };
@@ -4458,7 +4900,8 @@ document.addEventListener('DOMContentLoaded', () => {
                     i_conn: 'rigid',
                     j_conn: 'rigid',
                     k_local: [[1,0,0,0,0,0],[0,1,0,0,0,0],[0,0,1,0,0,0],[0,0,0,1,0,0],[0,0,0,0,1,0],[0,0,0,0,0,1]],
-                    material: 'steel'
+                    material: 'steel',
+                    alpha
                 };
             }
             
@@ -4496,21 +4939,37 @@ document.addEventListener('DOMContentLoaded', () => {
                 i_conn = iConnSelect.value;
                 j_conn = jConnSelect.value;
             }
+            // 半剛接合の回転剛性・固定度（解析コアで kθ に換算し、固定度1は剛・0はピンに正規化）
+            const iConnection = getConnectionCellValues(iConnSelect?.parentElement), jConnection = getConnectionCellValues(jConnSelect?.parentElement);
             const Zx = parseFloat(row.dataset.zx) * 1e-6, Zy = parseFloat(row.dataset.zy) * 1e-6;
+            // 塑性断面係数 Zp (cm³→m³)。プッシュオーバー解析の全塑性モーメントに用いる
+            const Zp = parseFloat(row.dataset.zp) * 1e-6 || undefined;
             const ix = parseFloat(row.dataset.ix) * 1e-2 || Math.sqrt(I / A), iy = parseFloat(row.dataset.iy) * 1e-2 || ix;
             if (isNaN(E) || isNaN(I) || isNaN(A) || isNaN(Z)) throw new Error(`部材 ${index + 1} の物性値が無効です。`);
             if (i < 0 || j < 0 || i >= nodes.length || j >= nodes.length) throw new Error(`部材 ${index + 1} の節点番号が不正です。`);
             const ni = nodes[i], nj = nodes[j];
             if (!ni || !nj) throw new Error(`部材 ${index + 1} の節点データが無効です (i=${i}, j=${j})。`);
-            const dx = nj.x - ni.x, dy = nj.y - ni.y, L = Math.sqrt(dx**2 + dy**2);
-            if(L === 0) throw new Error(`部材 ${index+1} の長さが0です。`);
-            const c = dx/L, s = dy/L, T = [ [c,s,0,0,0,0], [-s,c,0,0,0,0], [0,0,1,0,0,0], [0,0,0,c,s,0], [0,0,0,-s,c,0], [0,0,0,0,0,1] ];
-            const EAL=E*A/L, EIL=E*I/L, EIL2=E*I/L**2, EIL3=E*I/L**3;
-            let k_local;
-            if (i_conn === 'rigid' && j_conn === 'rigid') k_local = [[EAL,0,0,-EAL,0,0],[0,12*EIL3,6*EIL2,0,-12*EIL3,6*EIL2],[0,6*EIL2,4*EIL,0,-6*EIL2,2*EIL],[-EAL,0,0,EAL,0,0],[0,-12*EIL3,-6*EIL2,0,12*EIL3,-6*EIL2],[0,6*EIL2,2*EIL,0,-6*EIL2,4*EIL]];
-            else if (i_conn === 'pinned' && j_conn === 'rigid') k_local = [[EAL,0,0,-EAL,0,0],[0,3*EIL3,0,0,-3*EIL3,3*EIL2],[0,0,0,0,0,0],[-EAL,0,0,EAL,0,0],[0,-3*EIL3,0,0,3*EIL3,-3*EIL2],[0,3*EIL2,0,0,-3*EIL2,3*EIL]];
-            else if (i_conn === 'rigid' && j_conn === 'pinned') k_local = [[EAL,0,0,-EAL,0,0],[0,3*EIL3,3*EIL2,0,-3*EIL3,0],[0,3*EIL2,3*EIL,0,-3*EIL2,0],[-EAL,0,0,EAL,0,0],[0,-3*EIL3,-3*EIL2,0,3*EIL3,0],[0,0,0,0,0,0]];
-            else k_local = [[EAL,0,0,-EAL,0,0],[0,0,0,0,0,0],[0,0,0,0,0,0],[-EAL,0,0,EAL,0,0],[0,0,0,0,0,0],[0,0,0,0,0,0]];
+            // せん断変形を考慮する場合はせん断断面積 As (cm²→m²) と材料のせん断弾性係数 G を渡す
+            const As = elements.shearDeformationCheckbox?.checked ? (parseFloat(row.dataset.as) * 1e-4 || 0) : 0;
+            const G = As > 0 ? E * (MATERIAL_SHEAR_MODULUS_RATIO[e_select.value] || MATERIAL_SHEAR_MODULUS_RATIO['custom']) : undefined;
+            // 材端の剛域長 (mm→m)。入力のない端は自動設定の値（自動設定しない場合は剛域なし）
+            const [i_rigid, j_rigid] = [['rigidI', 'i_rigid'], ['rigidJ', 'j_rigid']].map(([key, autoKey]) => {
+                const rigidLength = parseFloat(row.dataset[key]);
+                if (Number.isFinite(rigidLength)) return rigidLength * 1e-3;
+                return autoRigidZones ? autoRigidZones[index][autoKey] : 0;
+            });
+            // 弾性床の地盤反力係数 ks (kN/m³) と接地幅 B (mm→m)
+            const ks = parseFloat(row.dataset.ks) || 0, foundationWidth = parseFloat(row.dataset.foundationWidth) * 1e-3 || 0;
+            // 変断面部材の終端（ハンチ端）の断面 (cm⁴→m⁴, cm²→m², cm³→m³) とハンチ長 (mm→m)。I, A の入力がなければ等断面
+            const taper = parseFloat(row.dataset.taperI) > 0 && parseFloat(row.dataset.taperA) > 0 ? {
+                I: parseFloat(row.dataset.taperI) * 1e-8, A: parseFloat(row.dataset.taperA) * 1e-4, Z: parseFloat(row.dataset.taperZ) * 1e-6 || undefined,
+                i_haunch: parseFloat(row.dataset.haunchI) * 1e-3 || 0, j_haunch: parseFloat(row.dataset.haunchJ) * 1e-3 || 0
+            } : undefined;
+            // 部材長・座標変換・要素剛性は解析コアで計算
+            const prepared = FrameSolver.prepareMember({ i, j, E, A, I, As, G, i_conn, j_conn, i_kr: iConnection.kr, j_kr: jConnection.kr, i_fixity: iConnection.fixity, j_fixity: jConnection.fixity, i_rigid, j_rigid, behavior: row.dataset.behavior, ks, foundationWidth, Z, taper }, nodes, index);
+            const { length: L, c, s, T, k_local, i_kr, j_kr } = prepared;
+            i_conn = prepared.i_conn;
+            j_conn = prepared.j_conn;
 
             // 断面情報を取得（3Dビューア用）
             let sectionInfo = null;
@@ -4532,7 +4991,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 };
             }
 
-            return { i,j,E,strengthProps,I,A,Z,Zx,Zy,ix,iy,length:L,c,s,T,i_conn,j_conn,k_local,material,sectionInfo,sectionAxis };
+            return { i,j,E,strengthProps,I,A,Z,Zx,Zy,Zp,ix,iy,As,G,shearPhi:prepared.shearPhi,length:L,flexibleLength:prepared.flexibleLength,i_rigid:prepared.i_rigid,j_rigid:prepared.j_rigid,behavior:prepared.behavior,ks:prepared.ks,foundationWidth:prepared.foundationWidth,foundationStiffness:prepared.foundationStiffness,taper,sectionProfile:prepared.sectionProfile,c,s,T,i_conn,j_conn,i_kr,j_kr,k_local,material,sectionInfo,sectionAxis,alpha };
         });
         const nodeLoads = Array.from(elements.nodeLoadsTable.rows).map((r, i) => { 
             const n = parseInt(r.cells[0].querySelector('input').value) - 1; 
@@ -4540,7 +4999,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 console.warn(`節点荷重 ${i+1} の節点番号が不正です (節点番号: ${n + 1}, 最大節点数: ${nodes.length})。この荷重はスキップされます。`);
                 return null; // 無効な荷重は null を返す
             }
-            return { nodeIndex:n, px:parseFloat(r.cells[1].querySelector('input').value)||0, py:parseFloat(r.cells[2].querySelector('input').value)||0, mz:parseFloat(r.cells[3].querySelector('input').value)||0 }; 
+            return { nodeIndex:n, px:parseFloat(r.cells[1].querySelector('input').value)||0, py:parseFloat(r.cells[2].querySelector('input').value)||0, mz:parseFloat(r.cells[3].querySelector('input').value)||0, loadCase:getRowLoadCase(r) }; 
         }).filter(load => load !== null); // null の荷重を除外
         const memberLoads = Array.from(elements.memberLoadsTable.rows).map((r, i) => { 
             const m = parseInt(r.cells[0].querySelector('input').value) - 1; 
@@ -4548,8 +5007,26 @@ document.addEventListener('DOMContentLoaded', () => {
                 console.warn(`部材荷重 ${i+1} の部材番号が不正です (部材番号: ${m + 1}, 最大部材数: ${members.length})。この荷重はスキップされます。`);
                 return null; // 無効な荷重は null を返す
             }
-            return { memberIndex:m, w:parseFloat(r.cells[1].querySelector('input').value)||0 }; 
+            return { memberIndex:m, ...getRowMemberLoad(r), loadCase:getRowLoadCase(r) }; 
         }).filter(load => load !== null); // null の荷重を除外
+        const thermalLoads = Array.from(elements.thermalLoadsTable.rows).map((r, i) => {
+            const m = parseInt(r.cells[0].querySelector('input').value) - 1;
+            if (m < 0 || m >= members.length) {
+                console.warn(`温度荷重 ${i+1} の部材番号が不正です (部材番号: ${m + 1}, 最大部材数: ${members.length})。この荷重はスキップされます。`);
+                return null;
+            }
+            return { memberIndex:m, ...getRowThermalLoad(r), loadCase:getRowLoadCase(r) };
+        }).filter(load => load !== null);
+        const initialStrainLoads = Array.from(elements.initialStrainLoadsTable.rows).map((r, i) => {
+            const m = parseInt(r.cells[0].querySelector('input').value) - 1;
+            if (m < 0 || m >= members.length) {
+                console.warn(`初期ひずみ荷重 ${i+1} の部材番号が不正です (部材番号: ${m + 1}, 最大部材数: ${members.length})。この荷重はスキップされます。`);
+                return null;
+            }
+            return { memberIndex:m, ...getRowInitialStrainLoad(r), loadCase:getRowLoadCase(r) };
+        }).filter(load => load !== null);
+        // 拘束条件は不正な節点番号も含めて解析コアに渡し、解析時のエラーとして知らせる
+        const constraints = Array.from(elements.constraintsTable.rows).map(r => getRowConstraint(r));
         
         // 自重荷重を追加
         const considerSelfWeightCheckbox = document.getElementById('consider-self-weight-checkbox');
@@ -4570,29 +5047,135 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
         
-        return { nodes, members, nodeLoads, memberLoads, memberSelfWeights, nodeSelfWeights };
+        return { nodes, members, nodeLoads, memberLoads, thermalLoads, initialStrainLoads, constraints, memberSelfWeights, nodeSelfWeights };
     };
     
     // window変数として登録（クロススコープアクセス用）
     window.parseInputs = parseInputs;
     
     const clearResults = () => {
-        const canvases = [elements.displacementCanvas, elements.momentCanvas, elements.axialCanvas, elements.shearCanvas, elements.ratioCanvas];
+        const canvases = [elements.displacementCanvas, elements.momentCanvas, elements.soilPressureCanvas, elements.axialCanvas, elements.shearCanvas, elements.ratioCanvas];
         canvases.forEach(c => { if (c) { const ctx = c.getContext('2d'); ctx.clearRect(0, 0, c.width, c.height); } });
         const tables = [elements.displacementResults, elements.reactionResults, elements.forceResults, elements.sectionCheckResults];
         tables.forEach(t => { if(t) t.innerHTML = ''; });
         lastResults = null;
         lastAnalysisResult = null;
         lastSectionCheckResults = null;
+        lastLoadSetResults = null;
+        window.lastLoadSetResults = null;
+        lastResponseSpectrum = null;
+        window.lastResponseSpectrum = null;
+        displayResponseSpectrumResults(null);
+        displayMemberBehaviorResults(null);
         window.lastResults = null; // グローバル変数もクリア
         window.lastSectionCheckResults = null;
         window.lastBucklingResults = null;
     };
     
-    const displayResults = (D, R, forces, nodes, members, nodeLoads, memberLoads) => {
-        lastResults = { D, R, forces, nodes, members, nodeLoads, memberLoads };
-        window.lastResults = lastResults; // グローバルに保存
-
+    // 包絡値 { max, min, maxSet, minSet } の符号を反転（最大・最小を入れ替え）
+    const flipEnvelopeEntry = (entry) => ({ max: -entry.min, min: -entry.max, maxSet: entry.minSet, minSet: entry.maxSet });
+    // 部材ステーション k の包絡値を { max, min, maxSet, minSet } で取り出す
+    const getStationEnvelope = (memberEnvelope, key, k) => {
+        const e = memberEnvelope[key];
+        return { max: e.max[k], min: e.min[k], maxSet: e.maxSet[k], minSet: e.minSet[k] };
+    };
+    // 包絡値の表セル（上段: 最大、下段: 最小、括弧内は支配荷重組合せ）
+    const envelopeCellHTML = (entry, labels, factor = 1, digits = 2) =>
+        `${(entry.max * factor).toFixed(digits)} <small>(${labels[entry.maxSet]})</small><br>${(entry.min * factor).toFixed(digits)} <small>(${labels[entry.minSet]})</small>`;
+
+    const displayEnvelopeTables = (envelope, nodes, members) => {
+        const labels = envelope.labels.map(label => label.replace(/</g, '&lt;'));
+        let dispHTML = `<thead><tr><th>節点 #</th><th>変位 δx (mm)<br>最大/最小</th><th>変位 δy (mm)<br>最大/最小</th><th>回転角 θz (rad)<br>最大/最小</th></tr></thead><tbody>`;
+        envelope.nodes.forEach((n, i) => { dispHTML += `<tr><td>${i+1}</td><td>${envelopeCellHTML(n.x, labels, 1000)}</td><td>${envelopeCellHTML(n.y, labels, 1000)}</td><td>${envelopeCellHTML(n.rotation, labels, 1, 4)}</td></tr>`; });
+        elements.displacementResults.innerHTML = dispHTML + '</tbody>';
+        let reactHTML = `<thead><tr><th>節点 #</th><th>反力 Rx (kN)<br>最大/最小</th><th>反力 Ry (kN)<br>最大/最小</th><th>反力 Mz (kN・m)<br>最大/最小</th></tr></thead><tbody>`;
+        nodes.forEach((n, i) => { if (hasNodeSupport(n)) { const r = envelope.reactions[i]; reactHTML += `<tr><td>${reactionNodeLabel(n, i)}</td><td>${envelopeCellHTML(flipEnvelopeEntry(r.x), labels)}</td><td>${envelopeCellHTML(flipEnvelopeEntry(r.y), labels)}</td><td>${envelopeCellHTML(flipEnvelopeEntry(r.mz), labels)}</td></tr>`; } });
+        elements.reactionResults.innerHTML = reactHTML + '</tbody>';
+        let forceHTML = `<thead><tr><th>部材 #</th><th>始端 #i</th><th>終端 #j</th><th>軸力 N (kN)<br>最大/最小</th><th>せん断力 Q (kN)<br>最大/最小</th><th>曲げM (kN・m)<br>最大/最小</th></tr></thead><tbody>`;
+        envelope.members.forEach((env, i) => {
+            const ni = members[i].i+1, nj = members[i].j+1, last = env.x.length - 1;
+            forceHTML += `<tr><td rowspan="2">${i+1}</td><td>${ni} (i端)</td><td>-</td><td>${envelopeCellHTML(getStationEnvelope(env, 'N', 0), labels)}</td><td>${envelopeCellHTML(getStationEnvelope(env, 'Q', 0), labels)}</td><td>${envelopeCellHTML(flipEnvelopeEntry(getStationEnvelope(env, 'M', 0)), labels)}</td></tr>`;
+            forceHTML += `<tr><td>-</td><td>${nj} (j端)</td><td>${envelopeCellHTML(getStationEnvelope(env, 'N', last), labels)}</td><td>${envelopeCellHTML(getStationEnvelope(env, 'Q', last), labels)}</td><td>${envelopeCellHTML(getStationEnvelope(env, 'M', last), labels)}</td></tr>`;
+        });
+        elements.forceResults.innerHTML = forceHTML + '</tbody>';
+    };
+
+    /**
+     * P-Δ解析の1次解析に対する増幅率を表示（線形解析では非表示）
+     * @param {object|null} pDelta - 解析結果の pDelta { iterations, amplification }
+     */
+    const displayPDeltaResults = (pDelta, members) => {
+        if (!elements.pDeltaResultsContainer) return;
+        elements.pDeltaResultsContainer.style.display = pDelta ? '' : 'none';
+        if (!pDelta) return;
+        const { amplification } = pDelta;
+        const formatRatio = (ratio) => ratio === null ? '-' : ratio.toFixed(3);
+        elements.pDeltaSummary.textContent = `反復 ${pDelta.iterations} 回で収束 ／ 最大端モーメントの増幅率 ${formatRatio(amplification.moment)} ／ 最大水平変位の増幅率 ${formatRatio(amplification.drift)}`;
+        let html = `<thead><tr><th>部材 #</th><th>1次 |M|max (kN・m)</th><th>2次 |M|max (kN・m)</th><th>増幅率</th></tr></thead><tbody>`;
+        amplification.members.forEach((m, i) => {
+            if (!members[i]) return;
+            html += `<tr><td>${i + 1}</td><td>${m.first.toFixed(2)}</td><td>${m.second.toFixed(2)}</td><td>${formatRatio(m.ratio)}</td></tr>`;
+        });
+        elements.pDeltaResults.innerHTML = html + '</tbody>';
+    };
+
+    /**
+     * 引張専用・圧縮専用部材の有効・無効と軸力を表示（該当する部材がない場合は非表示）
+     * @param {object|null} memberBehavior - 解析結果の memberBehavior { iterations, inactiveMembers }
+     */
+    const displayMemberBehaviorResults = (memberBehavior, members, forces) => {
+        if (!elements.memberBehaviorResultsContainer) return;
+        elements.memberBehaviorResultsContainer.style.display = memberBehavior ? '' : 'none';
+        if (!memberBehavior) return;
+        const behaviorLabels = { 'tension-only': '引張専用', 'compression-only': '圧縮専用' };
+        const { iterations, inactiveMembers } = memberBehavior;
+        elements.memberBehaviorSummary.textContent = `反復 ${iterations} 回で収束 ／ 無効化した部材: ${inactiveMembers.length > 0 ? inactiveMembers.map(idx => idx + 1).join(', ') : 'なし'}`;
+        let html = `<thead><tr><th>部材 #</th><th>挙動</th><th>状態</th><th>軸力 N (kN)</th></tr></thead><tbody>`;
+        members.forEach((m, i) => {
+            if (!behaviorLabels[m.behavior]) return;
+            const inactive = inactiveMembers.includes(i);
+            const state = inactive ? `<span style="color: #c0392b; font-weight: bold;">無効（${m.behavior === 'tension-only' ? '圧縮' : '引張'}）</span>` : '有効';
+            html += `<tr><td>${i + 1}</td><td>${behaviorLabels[m.behavior]}</td><td>${state}</td><td>${inactive ? '-' : ((forces[i].N_j - forces[i].N_i) / 2).toFixed(2)}</td></tr>`;
+        });
+        elements.memberBehaviorResults.innerHTML = html + '</tbody>';
+    };
+
+    /**
+     * 応答スペクトル解析の結果（モードごとの応答・ベースシア・部材角）を表示（応答スペクトル解析を行わない場合は非表示）
+     * @param {object|null} responseSpectrum - 荷重ケース K の result.responseSpectrum
+     */
+    const displayResponseSpectrumResults = (responseSpectrum, members) => {
+        if (!elements.responseSpectrumResultsContainer) return;
+        elements.responseSpectrumResultsContainer.style.display = responseSpectrum ? '' : 'none';
+        if (!responseSpectrum) return;
+        const { direction, combination, damping, spectrum, baseShear, totalMass, massRatio, modes, drifts } = responseSpectrum;
+        const spectrumLabel = spectrum.type === 'table'
+            ? `任意スペクトル（${spectrum.points.length} 点）`
+            : `建築基準法 Z = ${spectrum.Z}、第${spectrum.soilClass}種地盤（Tc = ${FrameSolver.SOIL_PERIODS[spectrum.soilClass]} s）、C0 = ${spectrum.C0}`;
+        const coefficient = totalMass > 0 ? baseShear / (totalMass * FrameSolver.GRAVITY) : 0;
+        const massWarning = massRatio < 0.9 ? '（90%未満のためモード数を増やしてください）' : '';
+        elements.responseSpectrumSummary.textContent = `${direction.toUpperCase()}方向加振 ／ ${spectrumLabel} ／ ${combination}（h = ${damping}）／ ベースシア ${baseShear.toFixed(2)} kN（ベースシア係数 ${coefficient.toFixed(3)}、質量 ${totalMass.toFixed(3)} t）／ 有効質量比の合計 ${(massRatio * 100).toFixed(1)}%${massWarning}`;
+        let html = `<thead><tr><th>次数</th><th>固有周期 T (s)</th><th>加速度 Sa (m/s²)</th><th>刺激係数 β</th><th>有効質量 (t)</th><th>有効質量比 (%)</th><th>ベースシア (kN)</th></tr></thead><tbody>`;
+        modes.forEach((mode, k) => {
+            html += `<tr><td>${k + 1}</td><td>${mode.period.toFixed(4)}</td><td>${mode.acceleration.toFixed(3)}</td><td>${mode.participationFactor.toFixed(3)}</td><td>${mode.effectiveMass.toFixed(3)}</td><td>${(mode.massRatio * 100).toFixed(1)}</td><td>${mode.baseShear.toFixed(2)}</td></tr>`;
+        });
+        elements.responseSpectrumModes.innerHTML = html + '</tbody>';
+        html = `<thead><tr><th>部材 #</th><th>材軸直交方向の相対変位 (mm)</th><th>部材角 R (rad)</th><th>1/R</th></tr></thead><tbody>`;
+        drifts.forEach((drift, i) => {
+            if (!members[i]) return;
+            const angle = Math.abs(drift.angle);
+            html += `<tr><td>${i + 1}</td><td>${(Math.abs(drift.relative) * 1000).toFixed(2)}</td><td>${angle.toExponential(3)}</td><td>${angle > 0 ? `1/${Math.round(1 / angle)}` : '-'}</td></tr>`;
+        });
+        elements.responseSpectrumDrifts.innerHTML = html + '</tbody>';
+    };
+
+    const displayResults = (D, R, forces, nodes, members, nodeLoads, memberLoads, envelope = null, pDelta = null, memberBehavior = null, constraints = []) => {
+        // 引張専用・圧縮専用の条件により無効化した部材に印を付ける（図では破線で表示）
+        const inactiveMembers = memberBehavior?.inactiveMembers || [];
+        if (inactiveMembers.length > 0) members = members.map((m, idx) => (inactiveMembers.includes(idx) ? { ...m, inactive: true } : m));
+        lastResults = { D, R, forces, nodes, members, nodeLoads, memberLoads, envelope, pDelta, memberBehavior, constraints };
+        window.lastResults = lastResults; // グローバルに保存
+
         // エクセル出力用の解析結果を保存
         lastAnalysisResult = {
             displacements: D ? Array.from({length: D.length / 3}, (_, i) => ({
@@ -4611,10 +5194,13 @@ document.addEventListener('DOMContentLoaded', () => {
             })) : [],
             nodes: nodes || [],
             members: members || [],
+            envelope: envelope,
             sectionCheckResults: null  // 後で断面検定実行時に設定される
         };
 
-        // 構造解析完了後に自動で座屈解析を実行
+        // 構造解析完了後に自動で部材ごとの座屈解析を実行（骨組の座屈固有値解析は計算量が大きいためボタン操作で実行し、それまでは接合条件による座屈長とする）
+        lastFrameBuckling = null;
+        window.lastFrameBuckling = null;
         if (forces && forces.length > 0) {
             try {
                 lastBucklingResults = calculateBucklingAnalysis();
@@ -4628,12 +5214,16 @@ document.addEventListener('DOMContentLoaded', () => {
         
         elements.errorMessage.style.display = 'none';
         let dispHTML = `<thead><tr><th>節点 #</th><th>変位 δx (mm)</th><th>変位 δy (mm)</th><th>回転角 θz (rad)</th></tr></thead><tbody>`; for (let i = 0; i < D.length / 3; i++) { dispHTML += `<tr><td>${i+1}</td><td>${(D[i*3][0]*1000).toFixed(2)}</td><td>${(D[i*3+1][0]*1000).toFixed(2)}</td><td>${D[i*3+2][0].toFixed(2)}</td></tr>`; } elements.displacementResults.innerHTML = dispHTML + '</tbody>';
-        let reactHTML = `<thead><tr><th>節点 #</th><th>反力 Rx (kN)</th><th>反力 Ry (kN)</th><th>反力 Mz (kN・m)</th></tr></thead><tbody>`; nodes.forEach((n, i) => { if (n.support !== 'free') { const rx = -R[i*3][0]||0, ry = -R[i*3+1][0]||0, mz = -R[i*3+2][0]||0; reactHTML += `<tr><td>${i+1}</td><td>${rx.toFixed(2)}</td><td>${ry.toFixed(2)}</td><td>${mz.toFixed(2)}</td></tr>`; } }); elements.reactionResults.innerHTML = reactHTML + '</tbody>';
+        let reactHTML = `<thead><tr><th>節点 #</th><th>反力 Rx (kN)</th><th>反力 Ry (kN)</th><th>反力 Mz (kN・m)</th></tr></thead><tbody>`; nodes.forEach((n, i) => { if (hasNodeSupport(n)) { const rx = -R[i*3][0]||0, ry = -R[i*3+1][0]||0, mz = -R[i*3+2][0]||0; reactHTML += `<tr><td>${reactionNodeLabel(n, i)}</td><td>${rx.toFixed(2)}</td><td>${ry.toFixed(2)}</td><td>${mz.toFixed(2)}</td></tr>`; } }); elements.reactionResults.innerHTML = reactHTML + '</tbody>';
         let forceHTML = `<thead><tr><th>部材 #</th><th>始端 #i</th><th>終端 #j</th><th>軸力 N (kN)</th><th>せん断力 Q (kN)</th><th>曲げM (kN・m)</th></tr></thead><tbody>`; forces.forEach((f, i) => { const ni = members[i].i+1, nj = members[i].j+1; forceHTML += `<tr><td rowspan="2">${i+1}</td><td>${ni} (i端)</td><td>-</td><td>${(-f.N_i).toFixed(2)}</td><td>${f.Q_i.toFixed(2)}</td><td>${f.M_i.toFixed(2)}</td></tr><tr><td>-</td><td>${nj} (j端)</td><td>${f.N_j.toFixed(2)}</td><td>${(-f.Q_j).toFixed(2)}</td><td>${f.M_j.toFixed(2)}</td></tr>`; }); elements.forceResults.innerHTML = forceHTML + '</tbody>';
-        drawDisplacementDiagram(nodes, members, D, memberLoads);
-        drawMomentDiagram(nodes, members, forces, memberLoads);
-        drawAxialForceDiagram(nodes, members, forces);
-        drawShearForceDiagram(nodes, members, forces, memberLoads);
+        if (envelope) displayEnvelopeTables(envelope, nodes, members);
+        displayPDeltaResults(pDelta, members);
+        displayMemberBehaviorResults(memberBehavior, members, forces);
+        drawDisplacementDiagram(nodes, members, D, memberLoads, forces);
+        drawMomentDiagram(nodes, members, forces, memberLoads, envelope);
+        drawSoilPressureDiagram(nodes, members, memberLoads, envelope);
+        drawAxialForceDiagram(nodes, members, forces, memberLoads, envelope);
+        drawShearForceDiagram(nodes, members, forces, memberLoads, envelope);
     };
 
 // --- Canvas Drawing ---
@@ -4740,7 +5330,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!canvas) return null;
         
         const isModelCanvas = canvas.id === 'model-canvas';
-        const isResultCanvas = ['displacement-canvas', 'moment-canvas', 'axial-canvas', 'shear-canvas', 'ratio-canvas'].includes(canvas.id);
+        const isResultCanvas = ['displacement-canvas', 'moment-canvas', 'soil-pressure-canvas', 'axial-canvas', 'shear-canvas', 'ratio-canvas'].includes(canvas.id);
         
         const minX = nodes.length > 0 ? Math.min(...nodes.map(n => n.x)) : 0;
         const maxX = nodes.length > 0 ? Math.max(...nodes.map(n => n.x)) : 0;
@@ -4937,10 +5527,36 @@ document.addEventListener('DOMContentLoaded', () => {
         members.forEach((m, memberIndex) => { 
             const start = transform(nodes[m.i].x, nodes[m.i].y); 
             const end = transform(nodes[m.j].x, nodes[m.j].y); 
+            // 引張専用・圧縮専用の条件により無効化した部材は破線で表示
+            if (m.inactive) {
+                ctx.save();
+                ctx.setLineDash([6, 4]);
+                ctx.strokeStyle = '#e06666';
+            }
             ctx.beginPath(); 
             ctx.moveTo(start.x, start.y); 
             ctx.lineTo(end.x, end.y); 
             ctx.stroke(); 
+            if (m.inactive) ctx.restore();
+            
+            // 剛域（節点からフェイス位置まで）を太線で表示
+            if (m.i_rigid > 0 || m.j_rigid > 0) {
+                ctx.save();
+                ctx.lineWidth = 6;
+                ctx.globalAlpha = 0.5;
+                ctx.lineCap = 'butt';
+                [[m.i, m.i_rigid, 1], [m.j, m.j_rigid, -1]].forEach(([nodeIndex, rigidLength, sign]) => {
+                    if (!(rigidLength > 0)) return;
+                    const node = nodes[nodeIndex];
+                    const from = transform(node.x, node.y);
+                    const face = transform(node.x + sign * rigidLength * m.c, node.y + sign * rigidLength * m.s);
+                    ctx.beginPath();
+                    ctx.moveTo(from.x, from.y);
+                    ctx.lineTo(face.x, face.y);
+                    ctx.stroke();
+                });
+                ctx.restore();
+            }
             
             // 部材番号を表示（改良版：重複回避）
             if (showMemberNumbers) {
@@ -4985,8 +5601,285 @@ document.addEventListener('DOMContentLoaded', () => {
             } 
         }); 
     };
-    const drawConnections = (ctx, transform, nodes, members) => { ctx.fillStyle = 'white'; ctx.strokeStyle = '#333'; ctx.lineWidth = 1.5; const offset = 6; members.forEach(m => { const n_i = nodes[m.i]; const p_i = transform(n_i.x, n_i.y); if (m.i_conn === 'pinned') { const p_i_offset = { x: p_i.x + offset * m.c, y: p_i.y - offset * m.s }; ctx.beginPath(); ctx.arc(p_i_offset.x, p_i_offset.y, 3, 0, 2 * Math.PI); ctx.fill(); ctx.stroke(); } if (m.j_conn === 'pinned') { const n_j = nodes[m.j]; const p_j = transform(n_j.x, n_j.y); const p_j_offset = { x: p_j.x - offset * m.c, y: p_j.y + offset * m.s }; ctx.beginPath(); ctx.arc(p_j_offset.x, p_j_offset.y, 3, 0, 2 * Math.PI); ctx.fill(); ctx.stroke(); } }); };
-    const drawBoundaryConditions = (ctx, transform, nodes) => { const size = 10; nodes.forEach(node => { if (node.support === 'free') return; const pos = transform(node.x, node.y); ctx.strokeStyle = '#008000'; ctx.fillStyle = '#008000'; ctx.lineWidth = 1.5; ctx.beginPath(); if (node.support === 'fixed') { ctx.moveTo(pos.x - size, pos.y + size); ctx.lineTo(pos.x + size, pos.y + size); for(let i=0; i < 5; i++){ ctx.moveTo(pos.x - size + i*size/2, pos.y + size); ctx.lineTo(pos.x - size + i*size/2 - size/2, pos.y + size + size/2); } } else if (node.support === 'pinned') { ctx.moveTo(pos.x, pos.y); ctx.lineTo(pos.x - size, pos.y + size); ctx.lineTo(pos.x + size, pos.y + size); ctx.closePath(); ctx.stroke(); ctx.moveTo(pos.x - size*1.2, pos.y + size); ctx.lineTo(pos.x + size*1.2, pos.y + size); } else if (node.support === 'roller') { ctx.moveTo(pos.x, pos.y); ctx.lineTo(pos.x - size, pos.y + size); ctx.lineTo(pos.x + size, pos.y + size); ctx.closePath(); ctx.stroke(); ctx.moveTo(pos.x - size, pos.y + size + 3); ctx.lineTo(pos.x + size, pos.y + size + 3); } ctx.stroke(); }); };
+    /**
+     * 材端の接合記号を描画（ピン接合は白抜きの円、半剛接合は半分を塗りつぶした円）
+     * 剛域を持つ部材端ではフェイス位置に描く
+     */
+    const drawConnections = (ctx, transform, nodes, members) => {
+        ctx.fillStyle = 'white'; ctx.strokeStyle = '#333'; ctx.lineWidth = 1.5;
+        const offset = 6;
+        const drawHinge = (conn, center, direction) => {
+            if (conn !== 'pinned' && conn !== 'semi-rigid') return;
+            ctx.beginPath(); ctx.arc(center.x, center.y, 3, 0, 2 * Math.PI); ctx.fillStyle = 'white'; ctx.fill(); ctx.stroke();
+            if (conn === 'semi-rigid') {
+                // 部材側の半円を塗りつぶす
+                const angle = Math.atan2(direction.y, direction.x);
+                ctx.beginPath(); ctx.arc(center.x, center.y, 3, angle - Math.PI / 2, angle + Math.PI / 2); ctx.closePath(); ctx.fillStyle = '#333'; ctx.fill();
+            }
+        };
+        members.forEach(m => {
+            const a = m.i_rigid || 0, b = m.j_rigid || 0;
+            const p_i = transform(nodes[m.i].x + a * m.c, nodes[m.i].y + a * m.s), p_j = transform(nodes[m.j].x - b * m.c, nodes[m.j].y - b * m.s);
+            drawHinge(m.i_conn, { x: p_i.x + offset * m.c, y: p_i.y - offset * m.s }, { x: m.c, y: -m.s });
+            drawHinge(m.j_conn, { x: p_j.x - offset * m.c, y: p_j.y + offset * m.s }, { x: -m.c, y: m.s });
+        });
+        ctx.fillStyle = 'white';
+    };
+    /**
+     * 拘束条件（多点拘束）を主節点から従属節点への破線と種類の記号（剛・床・等）で描画する
+     * 剛床は解析コアと同じ規則で従属節点を求め、同じ高さの節点を結ぶ1本の破線とする。解析コアが受け付けない入力は入力どおりの節点を結ぶ
+     */
+    const drawConstraints = (ctx, transform, nodes, constraints) => {
+        if (!constraints || constraints.length === 0) return;
+        const styles = { rigid: { color: '#d35400', mark: '剛' }, diaphragm: { color: '#16a085', mark: '床' }, equal: { color: '#2980b9', mark: '等' } };
+        let groups;
+        try {
+            groups = FrameSolver.normalizeModel({ nodes, members: [], constraints }).constraints;
+        } catch (e) {
+            groups = constraints.filter(c => styles[c.type] && nodes[c.master]).map(c => ({ ...c, slaves: c.slaves.filter(i => i !== c.master && nodes[i]) }));
+        }
+        const drawMark = (p, { color, mark }) => {
+            ctx.fillStyle = 'white';
+            ctx.fillRect(p.x - 8, p.y - 8, 16, 16);
+            ctx.strokeRect(p.x - 8, p.y - 8, 16, 16);
+            ctx.fillStyle = color;
+            ctx.fillText(mark, p.x, p.y + 1);
+        };
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        groups.forEach(({ type, master, slaves }) => {
+            const style = styles[type];
+            const pm = transform(nodes[master].x, nodes[master].y);
+            const points = slaves.map(i => transform(nodes[i].x, nodes[i].y));
+            ctx.strokeStyle = style.color;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            if (type === 'diaphragm') {
+                // 梁と重ならないように床の位置から少し上にずらす
+                const xs = [pm, ...points].map(p => p.x);
+                ctx.moveTo(Math.min(...xs), pm.y - 6);
+                ctx.lineTo(Math.max(...xs), pm.y - 6);
+            } else {
+                points.forEach(p => { ctx.moveTo(pm.x, pm.y); ctx.lineTo(p.x, p.y); });
+            }
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = style.color;
+            ctx.beginPath();
+            ctx.arc(pm.x, pm.y, 4, 0, 2 * Math.PI);
+            ctx.fill();
+            points.forEach(p => {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 4, 0, 2 * Math.PI);
+                ctx.stroke();
+            });
+            if (type === 'diaphragm' || points.length === 0) drawMark({ x: pm.x + 14, y: pm.y - 16 }, style);
+            else points.forEach(p => drawMark({ x: (pm.x + p.x) / 2, y: (pm.y + p.y) / 2 }, style));
+        });
+        ctx.restore();
+    };
+    /**
+     * 極限解析の崩壊機構（最大変位を 40px とした変形）と塑性ヒンジを描画する
+     * 解析後に部材の構成（部材数・接続節点）が変わった場合は描画しない
+     */
+    const drawLimitMechanism = (ctx, transform, nodes, members) => {
+        if (!lastLimitResults) return;
+        const analyzedMembers = lastLimitResults.members;
+        if (analyzedMembers.length !== members.length || analyzedMembers.some((m, idx) => m.i !== members[idx].i || m.j !== members[idx].j)) return;
+        const origin = transform(0, 0), unit = transform(1, 0);
+        const amplitude = 40 / (Math.abs(unit.x - origin.x) || 1);
+        const { shapes } = lastLimitResults.mechanism;
+        const pointAt = (m, { x, u, v }) => {
+            const ni = nodes[m.i];
+            return transform(ni.x + x * m.c + amplitude * (u * m.c - v * m.s), ni.y + x * m.s + amplitude * (u * m.s + v * m.c));
+        };
+        ctx.save();
+        ctx.strokeStyle = '#8e44ad';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        members.forEach((m, idx) => {
+            ctx.beginPath();
+            shapes[idx].forEach((point, k) => {
+                const p = pointAt(m, point);
+                if (k === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+            });
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'left';
+        lastLimitResults.hinges.forEach((hinge, k) => {
+            const m = members[hinge.member];
+            const point = shapes[hinge.member].find(p => Math.abs(p.x - hinge.x) < 1e-9 * m.length);
+            if (!point) return;
+            const p = pointAt(m, point);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 5, 0, 2 * Math.PI);
+            ctx.fillStyle = 'white';
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#8e44ad';
+            ctx.fillText(k + 1, p.x + 7, p.y - 7);
+        });
+        ctx.restore();
+    };
+    /**
+     * プッシュオーバー解析で生じた塑性ヒンジ（剛域のフェイス位置）を発生順の番号とともに描画する
+     * 解析後に部材の構成（部材数・接続節点）が変わった場合は描画しない
+     */
+    const drawPushoverHinges = (ctx, transform, nodes, members) => {
+        if (!lastPushoverResults) return;
+        const analyzedMembers = lastPushoverResults.members;
+        if (analyzedMembers.length !== members.length || analyzedMembers.some((m, idx) => m.i !== members[idx].i || m.j !== members[idx].j)) return;
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'center';
+        const offset = 14;
+        lastPushoverResults.hinges.forEach((hinge, k) => {
+            const m = members[hinge.member];
+            const sign = hinge.end === 'i' ? 1 : -1;
+            const node = nodes[hinge.end === 'i' ? m.i : m.j];
+            const rigidLength = (hinge.end === 'i' ? m.i_rigid : m.j_rigid) || 0;
+            const face = transform(node.x + sign * rigidLength * m.c, node.y + sign * rigidLength * m.s);
+            const center = { x: face.x + sign * offset * m.c, y: face.y - sign * offset * m.s };
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, 5, 0, 2 * Math.PI);
+            ctx.fillStyle = '#e74c3c';
+            ctx.fill();
+            ctx.strokeStyle = '#922b21';
+            ctx.stroke();
+            ctx.fillStyle = '#922b21';
+            ctx.fillText(k + 1, center.x + 11 * m.s, center.y + 11 * m.c + 4);
+        });
+        ctx.restore();
+    };
+    /**
+     * ばね支点を描画（並進ばねはジグザグ線、回転ばねは渦巻き）
+     * 支点条件で拘束された方向のばねは解析で無視されるため描画しない。傾斜支点では支点座標系の向きに描く
+     */
+    const drawSpringSupport = (ctx, pos, node) => {
+        const [fixX, fixY, fixR] = FrameSolver.getNodeRestraints(node);
+        const kx = node.kx > 0 && !fixX;
+        const ky = node.ky > 0 && !fixY;
+        const kr = node.kr > 0 && !fixR;
+        if (!kx && !ky && !kr) return;
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(-(node.support_angle || 0));
+        pos = { x: 0, y: 0 };
+        ctx.strokeStyle = '#8e44ad';
+        ctx.fillStyle = '#8e44ad';
+        ctx.lineWidth = 1.5;
+        // 節点から (dirX, dirY) 方向に伸びるジグザグのばねと固定端のハッチ
+        const drawZigzag = (dirX, dirY) => {
+            const length = 30, coils = 4, amplitude = 4, lead = 6;
+            const normalX = -dirY, normalY = dirX;
+            ctx.beginPath();
+            ctx.moveTo(pos.x, pos.y);
+            ctx.lineTo(pos.x + dirX * lead, pos.y + dirY * lead);
+            for (let i = 0; i < coils * 2; i++) {
+                const t = lead + (length - 2 * lead) * (i + 0.5) / (coils * 2);
+                const side = i % 2 === 0 ? 1 : -1;
+                ctx.lineTo(pos.x + dirX * t + normalX * amplitude * side, pos.y + dirY * t + normalY * amplitude * side);
+            }
+            const endX = pos.x + dirX * length, endY = pos.y + dirY * length;
+            ctx.lineTo(endX - dirX * lead, endY - dirY * lead);
+            ctx.lineTo(endX, endY);
+            ctx.moveTo(endX - normalX * 7, endY - normalY * 7);
+            ctx.lineTo(endX + normalX * 7, endY + normalY * 7);
+            for (let i = -1; i <= 1; i++) {
+                ctx.moveTo(endX + normalX * 5 * i, endY + normalY * 5 * i);
+                ctx.lineTo(endX + normalX * 5 * i + dirX * 4 - normalX * 3, endY + normalY * 5 * i + dirY * 4 - normalY * 3);
+            }
+            ctx.stroke();
+        };
+        if (kx) drawZigzag(-1, 0);
+        if (ky) drawZigzag(0, 1);
+        if (kr) {
+            ctx.beginPath();
+            for (let t = 0; t <= Math.PI * 3; t += Math.PI / 12) {
+                const radius = 4 + 8 * t / (Math.PI * 3);
+                const x = pos.x + radius * Math.cos(t), y = pos.y - radius * Math.sin(t);
+                if (t === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        }
+        ctx.restore();
+    };
+    /**
+     * 支点記号を描画
+     * 記号は支点座標系で描き、傾斜支点（support_angle）はその角度だけ回転させる
+     */
+    const drawBoundaryConditions = (ctx, transform, nodes) => {
+        const size = 10;
+        // 節点の下側に接する地盤線とハッチ
+        const drawGround = (y, halfWidth) => {
+            ctx.moveTo(-halfWidth, y); ctx.lineTo(halfWidth, y);
+            for (let i = 0; i < 5; i++) {
+                const x = -halfWidth + i * halfWidth / 2;
+                ctx.moveTo(x, y); ctx.lineTo(x - size / 2, y + size / 2);
+            }
+        };
+        const drawTriangle = () => {
+            ctx.moveTo(0, 0); ctx.lineTo(-size, size); ctx.lineTo(size, size); ctx.closePath();
+        };
+        // 回転を拘束したまま支点座標系のx方向に滑るスライド支点（固定板＋ローラー）
+        const drawSlide = () => {
+            ctx.moveTo(0, 0); ctx.lineTo(0, size * 0.6);
+            ctx.moveTo(-size, size * 0.6); ctx.lineTo(size, size * 0.6);
+            ctx.stroke();
+            [-size / 2, size / 2].forEach(x => { ctx.beginPath(); ctx.arc(x, size * 0.6 + 3, 3, 0, 2 * Math.PI); ctx.stroke(); });
+            ctx.beginPath();
+            drawGround(size * 0.6 + 6, size);
+        };
+        const drawRoller = () => {
+            drawTriangle(); ctx.stroke();
+            ctx.moveTo(-size, size + 3); ctx.lineTo(size, size + 3);
+        };
+        nodes.forEach(node => {
+            const pos = transform(node.x, node.y);
+            drawSpringSupport(ctx, pos, node);
+            if (node.support === 'free') return;
+            ctx.save();
+            ctx.translate(pos.x, pos.y);
+            ctx.rotate(-(node.support_angle || 0));
+            ctx.strokeStyle = '#008000'; ctx.fillStyle = '#008000'; ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            switch (node.support) {
+                case 'fixed':
+                    drawGround(size, size);
+                    break;
+                case 'pinned':
+                    drawTriangle(); ctx.stroke();
+                    ctx.moveTo(-size * 1.2, size); ctx.lineTo(size * 1.2, size);
+                    break;
+                case 'roller':
+                case 'roller-y':
+                    drawRoller();
+                    break;
+                case 'roller-x':
+                    ctx.rotate(Math.PI / 2);
+                    drawRoller();
+                    break;
+                case 'slide-x':
+                    drawSlide();
+                    break;
+                case 'slide-y':
+                    ctx.rotate(Math.PI / 2);
+                    drawSlide();
+                    break;
+                case 'rotation':
+                    ctx.rect(-size / 2, -size / 2, size, size);
+                    break;
+            }
+            ctx.stroke();
+            ctx.restore();
+        });
+    };
     const drawDimensions = (ctx, transform, nodes, members, labelManager, obstacles) => { const offset = 15; ctx.strokeStyle = '#0000ff'; ctx.lineWidth = 1; members.forEach(m => { const n1 = nodes[m.i]; const n2 = nodes[m.j]; const p1 = transform(n1.x, n1.y); const p2 = transform(n2.x, n2.y); const midX = (p1.x + p2.x) / 2; const midY = (p1.y + p2.y) / 2; const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x); const offsetX = offset * Math.sin(angle); const offsetY = -offset * Math.cos(angle); const labelTargetX = midX + offsetX; const labelTargetY = midY + offsetY; const labelText = `${m.length.toFixed(2)}m`; ctx.fillStyle = '#0000ff'; labelManager.draw(ctx, labelText, labelTargetX, labelTargetY, obstacles); }); };
     const drawExternalLoads = (ctx, transform, nodes, members, nodeLoads, memberLoads, memberSelfWeights, nodeSelfWeights, labelManager, obstacles) => { 
         const arrowSize = 10; 
@@ -5011,6 +5904,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // まず分布荷重を描画して、そのテキスト領域と矢印領域を障害物に追加
         memberLoads.forEach(load => { 
             if (load.w === 0) return; 
+            if ((load.type && load.type !== 'uniform') || (load.direction && load.direction !== 'local')) return; // 部材直交方向の全長等分布以外は後で描画
             
             // 荷重タイプに応じた表示制御
             if (load.isFromSelfWeight) {
@@ -5107,6 +6001,122 @@ document.addEventListener('DOMContentLoaded', () => {
             });
         }); 
         
+        // 部分等分布・台形分布・集中荷重・集中モーメントを描画
+        if (showExternalLoads) {
+            const drawArrow = (baseX, baseY, tipX, tipY, headSize = 5) => {
+                const headAngle = Math.atan2(tipY - baseY, tipX - baseX);
+                ctx.beginPath();
+                ctx.moveTo(baseX, baseY);
+                ctx.lineTo(tipX, tipY);
+                ctx.moveTo(tipX, tipY);
+                ctx.lineTo(tipX - headSize * Math.cos(headAngle - Math.PI / 6), tipY - headSize * Math.sin(headAngle - Math.PI / 6));
+                ctx.moveTo(tipX, tipY);
+                ctx.lineTo(tipX - headSize * Math.cos(headAngle + Math.PI / 6), tipY - headSize * Math.sin(headAngle + Math.PI / 6));
+                ctx.stroke();
+            };
+            // 温度荷重・初期ひずみ荷重は部材に沿った破線と荷重値の文字で表示
+            const drawMemberStrainLoad = (load, labelText, color) => {
+                const member = members[load.memberIndex];
+                if (!member || !labelText) return;
+                const p1 = transform(nodes[member.i].x, nodes[member.i].y);
+                const p2 = transform(nodes[member.j].x, nodes[member.j].y);
+                const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x);
+                const offsetX = -Math.sin(angle) * 6, offsetY = Math.cos(angle) * 6;
+                ctx.save();
+                ctx.strokeStyle = color;
+                ctx.fillStyle = color;
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                ctx.moveTo(p1.x + offsetX, p1.y + offsetY);
+                ctx.lineTo(p2.x + offsetX, p2.y + offsetY);
+                ctx.stroke();
+                ctx.restore();
+                const labelPos = { x: (p1.x + p2.x) / 2 + offsetX * 3, y: (p1.y + p2.y) / 2 + offsetY * 3 };
+                ctx.fillStyle = color;
+                labelManager.draw(ctx, labelText, labelPos.x, labelPos.y, loadObstacles);
+                const metrics = ctx.measureText(labelText);
+                loadObstacles.push({ x1: labelPos.x - metrics.width / 2 - 6, y1: labelPos.y - 18, x2: labelPos.x + metrics.width / 2 + 6, y2: labelPos.y + 6 });
+                ctx.fillStyle = '#ff4500';
+            };
+            memberLoads.forEach((load, loadIndex) => {
+                const signed = (v, unit) => `${v > 0 ? '+' : ''}${v}${unit}`;
+                if (load.type === 'thermal') {
+                    drawMemberStrainLoad(load, [load.dT ? `ΔT=${signed(load.dT, '℃')}` : '', load.dTg ? `ΔTg=${signed(load.dTg, '℃')}` : ''].filter(Boolean).join(' '), '#c0392b');
+                    return;
+                }
+                if (load.type === 'initialStrain') {
+                    // 入力単位（mm, kN, ×10⁻³ 1/m）で表示
+                    const round = (v) => parseFloat(v.toPrecision(4));
+                    drawMemberStrainLoad(load, [load.dL ? `ΔL=${signed(round(load.dL * 1000), 'mm')}` : '', load.P0 ? `P0=${signed(round(load.P0), 'kN')}` : '', load.curvature ? `κ=${signed(round(load.curvature * 1000), '×10⁻³/m')}` : ''].filter(Boolean).join(' '), '#8e44ad');
+                    return;
+                }
+                const isLocalUniform = (!load.type || load.type === 'uniform') && (!load.direction || load.direction === 'local');
+                if (isLocalUniform || load.isFromSelfWeight || !load.w) return;
+                const member = members[load.memberIndex];
+                if (!member) return;
+                let component;
+                try { component = FrameSolver.normalizeMemberLoad(load, member, loadIndex); } catch (e) { return; }
+                const p1 = transform(nodes[member.i].x, nodes[member.i].y);
+                const p2 = transform(nodes[member.j].x, nodes[member.j].y);
+                const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x);
+                // 矢印の根元側へのベクトル（荷重の向きと逆向き）。全体座標系方向の荷重は画面の水平・鉛直方向に描く
+                let perpVecX = Math.sin(angle), perpVecY = -Math.cos(angle);
+                if (component.direction === 'globalX') { perpVecX = -1; perpVecY = 0; }
+                else if (component.direction === 'globalY') { perpVecX = 0; perpVecY = -1; }
+                const directionNote = component.direction ? `(${MEMBER_LOAD_DIRECTION_LABELS[component.direction].split(' ')[0]}${load.basis === 'projection' && component.type === 'distributed' ? '・投影' : ''})` : '';
+                const pointAt = (x) => ({ x: p1.x + (p2.x - p1.x) * x / member.length, y: p1.y + (p2.y - p1.y) * x / member.length });
+                const arrowLength = arrowSize * 1.5;
+                ctx.strokeStyle = '#ff4500';
+                ctx.fillStyle = '#ff4500';
+                ctx.lineWidth = 1.5;
+                let labelText, labelPos;
+                if (component.type === 'distributed') {
+                    const maxW = Math.max(Math.abs(component.w1), Math.abs(component.w2));
+                    if (maxW === 0) return;
+                    const numArrows = Math.max(2, Math.round(5 * (component.b - component.a) / member.length));
+                    const bases = [];
+                    for (let i = 0; i <= numArrows; i++) {
+                        const x = component.a + (component.b - component.a) * i / numArrows;
+                        const q = component.w1 + (component.w2 - component.w1) * i / numArrows;
+                        const tip = pointAt(x), len = arrowLength * Math.abs(q) / maxW, dir = Math.sign(q);
+                        const base = { x: tip.x + dir * len * perpVecX, y: tip.y + dir * len * perpVecY };
+                        bases.push(base);
+                        if (len > 1) drawArrow(base.x, base.y, tip.x, tip.y);
+                    }
+                    ctx.beginPath();
+                    bases.forEach((b, i) => { if (i === 0) ctx.moveTo(b.x, b.y); else ctx.lineTo(b.x, b.y); });
+                    ctx.stroke();
+                    const mid = pointAt((component.a + component.b) / 2), dir = Math.sign(component.w1 + component.w2) || 1;
+                    labelPos = { x: mid.x + dir * (arrowLength + 10) * perpVecX, y: mid.y + dir * (arrowLength + 10) * perpVecY };
+                    // 投影長さあたりの荷重は実長換算前の入力値で表示
+                    labelText = (load.type === 'trapezoid' ? `${Number(load.w).toFixed(2)}〜${(Number(load.w2) || 0).toFixed(2)}kN/m` : `${Math.abs(Number(load.w)).toFixed(2)}kN/m`) + directionNote;
+                } else if (component.type === 'point') {
+                    const tip = pointAt(component.a), dir = Math.sign(component.P), len = arrowLength * 2;
+                    const base = { x: tip.x + dir * len * perpVecX, y: tip.y + dir * len * perpVecY };
+                    drawArrow(base.x, base.y, tip.x, tip.y, 7);
+                    labelPos = { x: base.x + dir * 8 * perpVecX, y: base.y + dir * 8 * perpVecY };
+                    labelText = `P=${Math.abs(component.P).toFixed(2)}kN${directionNote}`;
+                } else {
+                    // 集中モーメント（反時計回り正）
+                    const center = pointAt(component.a), radius = 12;
+                    const counterClockwise = component.M > 0;
+                    const start = counterClockwise ? Math.PI * 0.25 : Math.PI * 0.75;
+                    const end = counterClockwise ? -Math.PI * 1.25 : Math.PI * 2.25;
+                    ctx.beginPath();
+                    ctx.arc(center.x, center.y, radius, start, end, counterClockwise);
+                    ctx.stroke();
+                    const tipX = center.x + radius * Math.cos(end), tipY = center.y + radius * Math.sin(end);
+                    const tangent = end + (counterClockwise ? -Math.PI / 2 : Math.PI / 2);
+                    drawArrow(tipX - 6 * Math.cos(tangent), tipY - 6 * Math.sin(tangent), tipX, tipY);
+                    labelPos = { x: center.x, y: center.y - radius - 6 };
+                    labelText = `M=${component.M.toFixed(2)}kN・m`;
+                }
+                labelManager.draw(ctx, labelText, labelPos.x, labelPos.y, loadObstacles);
+                const metrics = ctx.measureText(labelText);
+                loadObstacles.push({ x1: labelPos.x - metrics.width / 2 - 6, y1: labelPos.y - 18, x2: labelPos.x + metrics.width / 2 + 6, y2: labelPos.y + 6 });
+            });
+        }
+
         // 等分布荷重描画後に色をリセット
         ctx.strokeStyle = '#ff4500';
         ctx.fillStyle = '#ff4500';
@@ -5124,7 +6134,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 const memberNumber = load.memberIndex + 1;
                 
                 if (load.loadType === 'distributed') {
-                    // 水平部材：等分布荷重として描画
+                    // 水平・斜め部材：鉛直下向きの等分布荷重として描画
                     if (load.w === 0) return;
                     
                     const L = Math.sqrt((p2.x - p1.x)**2 + (p2.y - p1.y)**2);
@@ -5179,54 +6189,6 @@ document.addEventListener('DOMContentLoaded', () => {
                     // const loadText = `部材${memberNumber}自重：${load.totalWeight.toFixed(2)}kN`;
                     // labelManager.draw(ctx, loadText, textX, textY, loadObstacles);
                     
-                } else if (load.loadType === 'mixed') {
-                    // 斜め部材：混合荷重として描画
-                    
-                    // 垂直成分（等分布荷重）の描画
-                    if (load.w > 0) {
-                        const L = Math.sqrt((p2.x - p1.x)**2 + (p2.y - p1.y)**2);
-                        const arrowSpacing = 20, numArrows = Math.max(2, Math.floor(L / arrowSpacing));
-                        
-                        for (let i = 0; i <= numArrows; i++) {
-                            const t = i / numArrows;
-                            const x = p1.x + t * (p2.x - p1.x);
-                            const y = p1.y + t * (p2.y - p1.y);
-                            const arrowLength = 12;
-                            
-                            // 垂直下向きの矢印
-                            ctx.beginPath();
-                            ctx.moveTo(x, y - arrowLength);
-                            ctx.lineTo(x, y);
-                            ctx.lineTo(x - 2, y - 4);
-                            ctx.moveTo(x, y);
-                            ctx.lineTo(x + 2, y - 4);
-                            ctx.stroke();
-                        }
-                    }
-                    
-                    // 水平成分（節点荷重）の描画
-                    if (load.horizontalComponent > 0) {
-                        const arrowLength = 15;
-                        const arrowSize = 6;
-                        const horizontalDir = (p2.x - p1.x) > 0 ? 1 : -1;
-                        
-                        // 両端節点に水平矢印
-                        [p1, p2].forEach((point, idx) => {
-                            ctx.beginPath();
-                            ctx.moveTo(point.x - arrowLength * horizontalDir, point.y);
-                            ctx.lineTo(point.x, point.y);
-                            ctx.lineTo(point.x - arrowSize * horizontalDir, point.y - arrowSize/2);
-                            ctx.moveTo(point.x, point.y);
-                            ctx.lineTo(point.x - arrowSize * horizontalDir, point.y + arrowSize/2);
-                            ctx.stroke();
-                        });
-                    }
-                    
-                    const textX = (p1.x + p2.x) / 2;
-                    const textY = (p1.y + p2.y) / 2 - 20;
-                    // 混合荷重の個別表示は削除（節点合計で表示）
-                    // const loadText = `部材${memberNumber}自重：${load.totalWeight.toFixed(2)}kN (混合)`;
-                    // labelManager.draw(ctx, loadText, textX, textY, loadObstacles);
                 }
                 
                 // 自重荷重のテキスト領域を障害物として追加（等分布荷重のみ）
@@ -5697,7 +6659,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (elements.gridToggle.checked) {
                 drawGrid(ctx, transform, elements.modelCanvas.clientWidth, elements.modelCanvas.clientHeight);
             }
-            const { nodes, members, nodeLoads, memberLoads, memberSelfWeights, nodeSelfWeights } = parseInputs();
+            const { nodes, members, nodeLoads, memberLoads, thermalLoads, initialStrainLoads, constraints, memberSelfWeights, nodeSelfWeights } = parseInputs();
             if (nodes.length > 0) {
                 const labelManager = LabelManager();
                 window.lastLabelManager = labelManager; // グローバルにアクセス可能にする
@@ -5711,7 +6673,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 drawConnections(ctx, transform, nodes, members);
                 drawBoundaryConditions(ctx, transform, nodes);
                 drawDimensions(ctx, transform, nodes, members, labelManager, nodeObstacles);
-                drawExternalLoads(ctx, transform, nodes, members, nodeLoads, memberLoads, memberSelfWeights, nodeSelfWeights, labelManager, nodeObstacles);
+                drawExternalLoads(ctx, transform, nodes, members, nodeLoads, [...memberLoads, ...(thermalLoads || []), ...(initialStrainLoads || [])], memberSelfWeights, nodeSelfWeights, labelManager, nodeObstacles);
+                drawConstraints(ctx, transform, nodes, constraints);
+                drawPushoverHinges(ctx, transform, nodes, members);
+                drawLimitMechanism(ctx, transform, nodes, members);
                 if (canvasMode === 'addMember' && firstMemberNode !== null) {
                     const node = nodes[firstMemberNode];
                     const pos = transform(node.x, node.y);
@@ -5757,7 +6722,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Make drawOnCanvas globally accessible
     window.drawOnCanvas = drawOnCanvas;
     
-    const drawDisplacementDiagram = (nodes, members, D_global, memberLoads, manualScale = null) => {
+    const drawDisplacementDiagram = (nodes, members, D_global, memberLoads, forces, manualScale = null) => {
         const drawingCtx = getDrawingContext(elements.displacementCanvas);
         if (!drawingCtx) return;
         const { ctx, transform, scale } = drawingCtx;
@@ -5782,26 +6747,12 @@ document.addEventListener('DOMContentLoaded', () => {
             } else {
                 let max_dx = 0, max_dy = 0;
                 members.forEach((m, idx) => {
-                    const L = m.length, c = m.c, s = m.s;
-                    const d_global_member_vec = [ ...D_global.slice(m.i * 3, m.i * 3 + 3), ...D_global.slice(m.j * 3, m.j * 3 + 3) ];
-                    const d_local_vec = mat.multiply(m.T, d_global_member_vec);
-                    const [ui, vi, thi, uj, vj, thj] = d_local_vec.map(v => v[0]);
-                    const load = memberLoads.find(l => l.memberIndex === idx), w = load ? load.w : 0, E = m.E, I = m.I;
-                    for (let k = 0; k <= 20; k++) {
-                        const x = (k / 20) * L, xi = x / L;
-                        const N1 = 1 - 3*xi**2 + 2*xi**3, N2 = x * (1 - xi)**2, N3 = 3*xi**2 - 2*xi**3, N4 = (x**2 / L) * (xi - 1);
-                        const u_local = (1 - xi) * ui + xi * uj, v_homogeneous = N1*vi + N2*thi + N3*vj + N4*thj;
-                        let v_particular = 0;
-                        if (w !== 0 && E > 0 && I > 0) {
-                            if (m.i_conn === 'rigid' && m.j_conn === 'rigid') v_particular = (w * x**2 * (L - x)**2) / (24 * E * I);
-                            else if (m.i_conn === 'pinned' && m.j_conn === 'pinned') v_particular = (w * x * (L**3 - 2 * L * x**2 + x**3)) / (24 * E * I);
-                            else if (m.i_conn === 'rigid' && m.j_conn === 'pinned') v_particular = (w * x**2 * (3 * L**2 - 5 * L * x + 2 * x**2)) / (48 * E * I);
-                            else if (m.i_conn === 'pinned' && m.j_conn === 'rigid') v_particular = (w * x * (L**3 - 3 * L * x**2 + 2 * x**3)) / (48 * E * I);
-                        }
-                        const v_local = v_homogeneous - v_particular;
+                    const c = m.c, s = m.s;
+                    const load = memberLoads.find(l => l.memberIndex === idx);
+                    FrameSolver.calculateMemberStations(m, forces[idx], load, D_global, 20).forEach(({ u: u_local, v: v_local }) => {
                         max_dx = Math.max(max_dx, Math.abs(u_local * c - v_local * s));
                         max_dy = Math.max(max_dy, Math.abs(u_local * s + v_local * c));
-                    }
+                    });
                 });
                 // モデルの最大変位量 (モデル単位)
                 const max_model_disp = Math.max(max_dx, max_dy);
@@ -5826,29 +6777,16 @@ document.addEventListener('DOMContentLoaded', () => {
         ctx.strokeStyle = 'red'; ctx.lineWidth = 2;
         const maxIntermediateLabels = [];
         members.forEach((m, idx) => {
-            const L = m.length, c = m.c, s = m.s, ni = nodes[m.i];
-            const d_global_member_vec = [ ...D_global.slice(m.i * 3, m.i * 3 + 3), ...D_global.slice(m.j * 3, m.j * 3 + 3) ];
-            const d_local_vec = mat.multiply(m.T, d_global_member_vec), [ui, vi, thi, uj, vj, thj] = d_local_vec.map(v => v[0]);
-            const load = memberLoads.find(l => l.memberIndex === idx), w = load ? load.w : 0, E = m.E, I = m.I;
+            const c = m.c, s = m.s, ni = nodes[m.i];
+            const load = memberLoads.find(l => l.memberIndex === idx);
             let maxDispMag = 0, maxDispPoint = null;
             ctx.beginPath();
-            for (let k = 0; k <= 20; k++) {
-                const x = (k / 20) * L, xi = x / L;
-                const N1=1-3*xi**2+2*xi**3, N2=x*(1-xi)**2, N3=3*xi**2-2*xi**3, N4=(x**2/L)*(xi-1);
-                const u_local = (1-xi)*ui+xi*uj, v_homogeneous = N1*vi+N2*thi+N3*vj+N4*thj;
-                let v_particular = 0;
-                if (w !== 0 && E > 0 && I > 0) {
-                    if (m.i_conn==='rigid'&&m.j_conn==='rigid') v_particular=(w*x**2*(L-x)**2)/(24*E*I);
-                    else if(m.i_conn==='pinned'&&m.j_conn==='pinned')v_particular=(w*x*(L**3-2*L*x**2+x**3))/(24*E*I);
-                    else if(m.i_conn==='rigid'&&m.j_conn==='pinned')v_particular=(w*x**2*(3*L**2-5*L*x+2*x**2))/(48*E*I);
-                    else if(m.i_conn==='pinned'&&m.j_conn==='rigid')v_particular=(w*x*(L**3-3*L*x**2+2*x**3))/(48*E*I);
-                }
-                const v_local = v_homogeneous - v_particular;
+            FrameSolver.calculateMemberStations(m, forces[idx], load, D_global, 20).forEach(({ x, u: u_local, v: v_local }, k) => {
                 const disp_x_global=u_local*c-v_local*s, disp_y_global=u_local*s+v_local*c, dispMag=Math.sqrt(disp_x_global**2+disp_y_global**2);
                 if (dispMag > maxDispMag) { maxDispMag=dispMag; const original_x=ni.x+x*c, original_y=ni.y+x*s; maxDispPoint={x:original_x,y:original_y,dx:disp_x_global,dy:disp_y_global,mag:maxDispMag}; }
                 const p = transform(ni.x+x*c+disp_x_global*dispScale, ni.y+x*s+disp_y_global*dispScale);
                 if (k === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
-            }
+            });
             ctx.stroke();
             const disp_i_mag = Math.sqrt(D_global[m.i*3][0]**2 + D_global[m.i*3+1][0]**2);
             const disp_j_mag = Math.sqrt(D_global[m.j*3][0]**2 + D_global[m.j*3+1][0]**2);
@@ -6025,7 +6963,81 @@ document.addEventListener('DOMContentLoaded', () => {
         drawnLabels.push(paddedRect);
     };
 
-    const drawMomentDiagram = (nodes, members, forces, memberLoads) => { 
+    /**
+     * 包絡図（最大・最小の2本の境界線）を描画する
+     * 曲げモーメント図・せん断力図・軸力図で共通に使用し、各部材の最大値・最小値を支配荷重セット名とともに表示する
+     * @param {HTMLCanvasElement} canvas - 描画先キャンバス
+     * @param {Array} nodes - 節点配列
+     * @param {Array} members - 部材配列
+     * @param {object} envelope - FrameSolver.calculateEnvelope の戻り値
+     * @param {string} key - 'M' | 'Q' | 'N'
+     * @param {number} maxOffsetPixels - 最大値の描画オフセット（ピクセル）
+     */
+    const drawEnvelopeDiagram = (canvas, nodes, members, envelope, key, maxOffsetPixels) => {
+        const drawingCtx = getDrawingContext(canvas);
+        if (!drawingCtx) return;
+        const { ctx, transform, scale } = drawingCtx;
+        const labelManager = LabelManager();
+        drawStructure(ctx, transform, nodes, members, '#ccc', false, true);
+        const allObstacles = nodes.map(n => {
+            const pos = transform(n.x, n.y);
+            return {x1: pos.x - 16, y1: pos.y - 16, x2: pos.x + 16, y2: pos.y + 16};
+        });
+
+        let maxValue = 0;
+        envelope.members.forEach(env => {
+            if (!env) return;
+            env[key].max.forEach(v => maxValue = Math.max(maxValue, Math.abs(v)));
+            env[key].min.forEach(v => maxValue = Math.max(maxValue, Math.abs(v)));
+        });
+        const valueScale = (scale > 0 && maxValue > 1e-9) ? (maxOffsetPixels / scale) / maxValue : 0;
+
+        const curves = [
+            { bound: 'max', setKey: 'maxSet', stroke: 'red', fill: 'rgba(255,0,0,0.15)' },
+            { bound: 'min', setKey: 'minSet', stroke: 'blue', fill: 'rgba(0,0,255,0.15)' }
+        ];
+        members.forEach((m, idx) => {
+            const env = envelope.members[idx];
+            if (!env) return;
+            const n_i = nodes[m.i], n_j = nodes[m.j];
+            const toPoint = (x_local, value) => {
+                const offset = -value * valueScale;
+                return transform(n_i.x + x_local * m.c - offset * m.s, n_i.y + x_local * m.s + offset * m.c);
+            };
+            curves.forEach(curve => {
+                const values = env[key][curve.bound];
+                const start = transform(n_i.x, n_i.y), end = transform(n_j.x, n_j.y);
+                ctx.beginPath();
+                ctx.moveTo(start.x, start.y);
+                env.x.forEach((x_local, k) => { const pt = toPoint(x_local, values[k]); ctx.lineTo(pt.x, pt.y); });
+                ctx.lineTo(end.x, end.y);
+                ctx.closePath();
+                ctx.fillStyle = curve.fill;
+                ctx.strokeStyle = curve.stroke;
+                ctx.lineWidth = 1;
+                ctx.fill();
+                ctx.stroke();
+            });
+            // 最大値・最小値とその支配荷重セットを表示
+            ctx.font = "bold 16px Arial";
+            curves.forEach(curve => {
+                const values = env[key][curve.bound];
+                let k_peak = 0;
+                values.forEach((v, k) => { if (curve.bound === 'max' ? v > values[k_peak] : v < values[k_peak]) k_peak = k; });
+                const value = values[k_peak];
+                if (Math.abs(value) < 1e-3 || (curve.bound === 'max' ? value < 0 : value > 0)) return;
+                const pt = toPoint(env.x[k_peak], value);
+                const text = `${value.toFixed(2)} (${envelope.labels[env[key][curve.setKey][k_peak]]})`;
+                ctx.fillStyle = curve.stroke;
+                labelManager.draw(ctx, text, pt.x, pt.y, allObstacles);
+            });
+        });
+        ctx.fillStyle = '#333'; ctx.font = "14px Arial"; ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic';
+        ctx.fillText('包絡図（赤: 最大, 青: 最小）', 10, 20);
+    };
+
+    const drawMomentDiagram = (nodes, members, forces, memberLoads, envelope = null) => { 
+        if (envelope) return drawEnvelopeDiagram(elements.momentCanvas, nodes, members, envelope, 'M', 60);
         const drawingCtx = getDrawingContext(elements.momentCanvas); 
         if (!drawingCtx) return; 
         const { ctx, transform, scale } = drawingCtx; 
@@ -6043,20 +7055,19 @@ document.addEventListener('DOMContentLoaded', () => {
             const pos = transform(n.x, n.y); 
             return {x1: pos.x - 20, y1: pos.y - 20, x2: pos.x + 20, y2: pos.y + 20}; 
         }); 
+        // 部材ごとのモーメント分布（せん断力0の位置と荷重位置を分割点に含める）
+        const memberStations = forces.map((f, idx) => { 
+            const load = memberLoads.find(l => l.memberIndex === idx); 
+            const extremePositions = FrameSolver.findShearZeroPositions(members[idx], f, load); 
+            return { 
+                stations: FrameSolver.calculateMemberStations(members[idx], f, load, null, 20, [...FrameSolver.getMemberLoadPositions(load), ...extremePositions]), 
+                extremePositions 
+            }; 
+        }); 
         let maxMoment = 0; 
         forces.forEach((f, idx) => { 
-            const member = members[idx]; 
-            const load = memberLoads.find(l => l.memberIndex === idx); 
-            const w = load ? load.w : 0; 
-            const L = member.length; 
             let localMax = Math.max(Math.abs(f.M_i), Math.abs(f.M_j)); 
-            if (w !== 0 && Math.abs(f.Q_i) > 1e-9) { 
-                const x_q_zero = f.Q_i / w; 
-                if (x_q_zero > 0 && x_q_zero < L) { 
-                    const M_max_parabolic = -f.M_i * (1 - x_q_zero / L) + f.M_j * (x_q_zero / L) + w * L * x_q_zero / 2 - w * x_q_zero**2 / 2; 
-                    localMax = Math.max(localMax, Math.abs(M_max_parabolic)); 
-                } 
-            } 
+            memberStations[idx].stations.forEach(st => { localMax = Math.max(localMax, Math.abs(st.M)); }); 
             maxMoment = Math.max(maxMoment, localMax); 
         }); 
         const maxOffsetPixels = 60; 
@@ -6067,20 +7078,17 @@ document.addEventListener('DOMContentLoaded', () => {
         } 
         members.forEach((m, idx) => { 
             const force = forces[idx]; 
-            const load = memberLoads.find(l => l.memberIndex === idx); 
-            const w = load ? load.w : 0; 
+            const { stations, extremePositions } = memberStations[idx]; 
             const n_i = nodes[m.i], n_j = nodes[m.j]; 
             ctx.beginPath(); 
             const start = transform(n_i.x, n_i.y); 
             ctx.moveTo(start.x, start.y); 
-            const numPoints = 20; 
-            for (let i = 0; i <= numPoints; i++) { 
-                const x_local = (i / numPoints) * m.length, M_linear = -force.M_i * (1 - x_local / m.length) + force.M_j * (x_local / m.length), M_parabolic = w * m.length * x_local / 2 - w * x_local**2 / 2; 
-                const m_local = M_linear + M_parabolic, offset = -m_local * momentScale; 
+            stations.forEach(st => { 
+                const x_local = st.x, offset = -st.M * momentScale; 
                 const globalX = n_i.x + x_local * m.c - offset * m.s, globalY = n_i.y + x_local * m.s + offset * m.c; 
                 const pt = transform(globalX, globalY); 
                 ctx.lineTo(pt.x, pt.y); 
-            } 
+            }); 
             const end = transform(n_j.x, n_j.y); 
             ctx.lineTo(end.x, end.y); 
             ctx.fillStyle = 'rgba(255, 0, 0, 0.2)'; 
@@ -6112,20 +7120,89 @@ document.addEventListener('DOMContentLoaded', () => {
                 const memberLineEnd = end; // 部材ラインの終了点
                 drawNodeMomentLabel(ctx, m.j, `${force.M_j.toFixed(2)}`, momentPos_j.x, momentPos_j.y, nodeLabels, drawnLabels, idx, 'j', memberDirection, memberLineStart, memberLineEnd);
             } 
-            if (w !== 0 && Math.abs(force.Q_i) > 1e-9) { 
-                const x_max = force.Q_i / w; 
-                if (x_max > 1e-6 && x_max < m.length - 1e-6) { 
-                    const M_linear = -force.M_i*(1-x_max/m.length)+force.M_j*(x_max/m.length), M_parabolic=w*m.length*x_max/2-w*x_max**2/2; 
-                    const M_max=M_linear+M_parabolic, offset=-M_max*momentScale; 
-                    const globalX=n_i.x+x_max*m.c-offset*m.s, globalY=n_i.y+x_max*m.s+offset*m.c; 
-                    const pt=transform(globalX,globalY); 
-                    ctx.font = "bold 24px Arial"; // 2倍のサイズに変更
-                    drawIntermediateMomentLabel(ctx, `${M_max.toFixed(2)}`, pt.x, pt.y, drawnLabels, idx, 'max'); 
-                } 
-            } 
+            // 部材中間の極値（せん断力0の位置）と集中荷重位置、剛域のフェイス位置のモーメント
+            const labelPositions = [...extremePositions, ...FrameSolver.getMemberLoadPositions(memberLoads.find(l => l.memberIndex === idx)), m.i_rigid || 0, m.length - (m.j_rigid || 0)]; 
+            labelPositions.filter((x, n) => x > 1e-6 && x < m.length - 1e-6 && labelPositions.findIndex(p => Math.abs(p - x) < 1e-6) === n).forEach(x_max => { 
+                const st = stations.find(q => Math.abs(q.x - x_max) < 1e-9); 
+                if (!st || Math.abs(st.M) < 1e-3) return; 
+                const M_max = st.M, offset = -M_max * momentScale; 
+                const globalX=n_i.x+x_max*m.c-offset*m.s, globalY=n_i.y+x_max*m.s+offset*m.c; 
+                const pt=transform(globalX,globalY); 
+                ctx.font = "bold 24px Arial"; // 2倍のサイズに変更
+                drawIntermediateMomentLabel(ctx, `${M_max.toFixed(2)}`, pt.x, pt.y, drawnLabels, idx, 'max'); 
+            }); 
         }); 
     };
-    const drawAxialForceDiagram = (nodes, members, forces) => { 
+    /**
+     * 弾性床上の梁の地盤反力図（接地圧 kN/m²、圧縮を正として部材の -y 側に描く）
+     * 弾性床の部材がなければ図を表示しない。包絡表示では部材のたわみの包絡値から接地圧 ks·(-v) の最大・最小を描く。
+     */
+    const drawSoilPressureDiagram = (nodes, members, memberLoads, envelope = null) => {
+        const canvas = elements.soilPressureCanvas;
+        const container = document.getElementById('soil-pressure-container');
+        if (!canvas || !container) return;
+        const hasFoundation = members.some(m => m.foundationStiffness > 0);
+        container.style.display = hasFoundation ? '' : 'none';
+        if (!hasFoundation) return;
+        if (envelope) {
+            // 剛域には地盤ばねがないため接地圧は0とする
+            const pressureEnvelope = {
+                labels: envelope.labels,
+                members: members.map((m, idx) => {
+                    const env = envelope.members[idx];
+                    if (!(m.foundationStiffness > 0) || !env) return null;
+                    const onFoundation = env.x.map(x => x >= (m.i_rigid || 0) - 1e-9 && x <= m.length - (m.j_rigid || 0) + 1e-9);
+                    const toPressure = (values) => values.map((v, k) => onFoundation[k] ? -m.ks * v : 0);
+                    return { x: env.x, p: { max: toPressure(env.v.min), min: toPressure(env.v.max), maxSet: env.v.minSet, minSet: env.v.maxSet } };
+                })
+            };
+            return drawEnvelopeDiagram(canvas, nodes, members, pressureEnvelope, 'p', 40);
+        }
+        const drawingCtx = getDrawingContext(canvas);
+        if (!drawingCtx) return;
+        const { ctx, transform, scale } = drawingCtx;
+        const labelManager = LabelManager();
+        drawStructure(ctx, transform, nodes, members, '#ccc', false, true);
+        const allObstacles = nodes.map(n => {
+            const pos = transform(n.x, n.y);
+            return {x1: pos.x - 16, y1: pos.y - 16, x2: pos.x + 16, y2: pos.y + 16};
+        });
+        const pressures = members.map((m, idx) => FrameSolver.getFoundationPressures(m, memberLoads.find(l => l.memberIndex === idx)));
+        let maxPressure = 0;
+        pressures.forEach(points => points.forEach(p => { maxPressure = Math.max(maxPressure, Math.abs(p.pressure)); }));
+        const maxOffsetPixels = 40;
+        const pressureScale = (scale > 0 && maxPressure > 1e-9) ? (maxOffsetPixels / scale) / maxPressure : 0;
+        members.forEach((m, idx) => {
+            const points = pressures[idx];
+            if (points.length === 0) return;
+            const n_i = nodes[m.i];
+            const toPoint = (x_local, value) => {
+                const offset = -value * pressureScale;
+                return transform(n_i.x + x_local * m.c - offset * m.s, n_i.y + x_local * m.s + offset * m.c);
+            };
+            const start = toPoint(points[0].x, 0), end = toPoint(points[points.length - 1].x, 0);
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            points.forEach(p => { const pt = toPoint(p.x, p.pressure); ctx.lineTo(pt.x, pt.y); });
+            ctx.lineTo(end.x, end.y);
+            ctx.closePath();
+            ctx.fillStyle = 'rgba(139, 69, 19, 0.2)';
+            ctx.strokeStyle = 'saddlebrown';
+            ctx.lineWidth = 1;
+            ctx.fill();
+            ctx.stroke();
+            // 部材ごとの最大接地圧（浮き上がりによる負の接地圧があれば最小値も）を表示
+            ctx.font = "bold 16px Arial";
+            ctx.fillStyle = 'saddlebrown';
+            const peaks = [points.reduce((p, q) => q.pressure > p.pressure ? q : p), points.reduce((p, q) => q.pressure < p.pressure ? q : p)];
+            peaks.filter((p, n) => Math.abs(p.pressure) > 1e-3 && (n === 0 || p.pressure < 0)).forEach(p => {
+                const pt = toPoint(p.x, p.pressure);
+                labelManager.draw(ctx, `${p.pressure.toFixed(2)}`, pt.x, pt.y, allObstacles);
+            });
+        });
+    };
+    const drawAxialForceDiagram = (nodes, members, forces, memberLoads = [], envelope = null) => { 
+        if (envelope) return drawEnvelopeDiagram(elements.axialCanvas, nodes, members, envelope, 'N', 40);
         const drawingCtx = getDrawingContext(elements.axialCanvas); 
         if (!drawingCtx) return; 
         const { ctx, transform, scale } = drawingCtx; 
@@ -6140,15 +7217,47 @@ document.addEventListener('DOMContentLoaded', () => {
             return {x1: pos.x - 16, y1: pos.y - 16, x2: pos.x + 16, y2: pos.y + 16}; 
         });
         const allObstacles = [...nodeObstacles]; 
+        // 材軸方向の部材荷重がある部材は軸力が位置により変化する
+        const axialStations = members.map((m, idx) => { 
+            const load = memberLoads.find(l => l.memberIndex === idx); 
+            return load && (load.components || []).some(c => c.axis === 'x') ? FrameSolver.calculateMemberStations(m, forces[idx], load, null, 10) : null; 
+        }); 
         let maxAxial = 0; 
         forces.forEach(f => maxAxial = Math.max(maxAxial, Math.abs(f.N_i), Math.abs(f.N_j))); 
+        axialStations.forEach(stations => (stations || []).forEach(st => { maxAxial = Math.max(maxAxial, Math.abs(st.N)); })); 
         const maxOffsetPixels = 40; 
         let axialScale = 0; 
         if (scale > 0 && maxAxial > 0) { 
             const maxOffsetModelUnits = maxOffsetPixels / scale; 
             axialScale = maxOffsetModelUnits / maxAxial; 
         } 
+        const drawAxialLabel = (N, x, y) => { 
+            ctx.fillStyle = '#333'; ctx.font = "bold 24px Arial"; 
+            labelManager.draw(ctx, `${N.toFixed(2)}`, x, y, allObstacles); 
+            const labelWidth = ctx.measureText(`${N.toFixed(2)}`).width; 
+            allObstacles.push({ x1: x - labelWidth/2 - 8, y1: y - 24 - 8, x2: x + labelWidth/2 + 8, y2: y + 8 }); 
+        }; 
+        // 軸力が変化する部材：ステーションを結ぶ多角形で描き、両端の値を表示
+        const drawVaryingAxialForce = (m, stations) => { 
+            const n_i = nodes[m.i], n_j = nodes[m.j]; 
+            const pointAt = (st) => { const offset = -st.N * axialScale; return transform(n_i.x + st.x*m.c - offset*m.s, n_i.y + st.x*m.s + offset*m.c); }; 
+            const p_start = transform(n_i.x, n_i.y), p_end = transform(n_j.x, n_j.y); 
+            ctx.beginPath(); 
+            ctx.moveTo(p_start.x, p_start.y); 
+            stations.forEach(st => { const p = pointAt(st); ctx.lineTo(p.x, p.y); }); 
+            ctx.lineTo(p_end.x, p_end.y); 
+            ctx.closePath(); 
+            const N_mean = stations.reduce((sum, st) => sum + st.N, 0) / stations.length; 
+            ctx.fillStyle = N_mean > 0 ? 'rgba(255,0,0,0.2)' : 'rgba(0,0,255,0.2)'; 
+            ctx.strokeStyle = N_mean > 0 ? 'red' : 'blue'; 
+            ctx.fill(); 
+            ctx.stroke(); 
+            [stations[0], stations[stations.length - 1]].forEach(st => { 
+                if (Math.abs(st.N) > 1e-3) { const p = pointAt(st); drawAxialLabel(st.N, p.x, p.y); } 
+            }); 
+        }; 
         members.forEach((m, idx) => { 
+            if (axialStations[idx]) return drawVaryingAxialForce(m, axialStations[idx]); 
             const N = -forces[idx].N_i, offset = -N * axialScale; 
             const n_i = nodes[m.i], n_j = nodes[m.j]; 
             const p1_offset_x = -offset*m.s, p1_offset_y = offset*m.c; 
@@ -6182,7 +7291,8 @@ document.addEventListener('DOMContentLoaded', () => {
             } 
         }); 
     };
-    const drawShearForceDiagram = (nodes, members, forces, memberLoads) => { 
+    const drawShearForceDiagram = (nodes, members, forces, memberLoads, envelope = null) => { 
+        if (envelope) return drawEnvelopeDiagram(elements.shearCanvas, nodes, members, envelope, 'Q', 50);
         const drawingCtx = getDrawingContext(elements.shearCanvas); 
         if (!drawingCtx) return; 
         const { ctx, transform, scale } = drawingCtx; 
@@ -6207,7 +7317,8 @@ document.addEventListener('DOMContentLoaded', () => {
         } 
         members.forEach((m, idx) => { 
             const Q_i = forces[idx].Q_i, Q_j = -forces[idx].Q_j; 
-            const load=memberLoads.find(l=>l.memberIndex===idx), w=load?load.w:0; 
+            const load=memberLoads.find(l=>l.memberIndex===idx); 
+            const hasSpanLoad = !!load && (load.w !== 0 || (load.components || []).length > 0); 
             const n_i=nodes[m.i], n_j=nodes[m.j]; 
             const offset_i=-Q_i*shearScale; 
             const p1_offset_x=-offset_i*m.s, p1_offset_y=offset_i*m.c; 
@@ -6217,19 +7328,23 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.moveTo(p_start.x, p_start.y); 
             ctx.lineTo(p1.x, p1.y); 
             let p2; 
-            if (w === 0) { 
+            if (!hasSpanLoad) { 
                 const offset_j=-Q_j*shearScale; 
                 const p2_offset_x=-offset_j*m.s, p2_offset_y=offset_j*m.c; 
                 p2=transform(n_j.x+p2_offset_x, n_j.y+p2_offset_y); 
                 ctx.lineTo(p2.x, p2.y); 
             } else { 
-                const numPoints = 10; 
-                for(let i=1; i<=numPoints; i++){ 
-                    const x_local=(i/numPoints)*m.length, Q_local=Q_i-w*x_local, offset_local=-Q_local*shearScale; 
-                    const globalX=n_i.x+x_local*m.c-offset_local*m.s, globalY=n_i.y+x_local*m.s+offset_local*m.c; 
-                    p2=transform(globalX, globalY); 
-                    ctx.lineTo(p2.x, p2.y); 
-                } 
+                // 集中荷重位置ではせん断力が不連続になるため、直前の値で段差を描く
+                const pointLoads = (load.components || []).filter(c => c.type === 'point'); 
+                FrameSolver.calculateMemberStations(m, forces[idx], load, null, 10).forEach(st => { 
+                    const jump = pointLoads.filter(c => Math.abs(c.a - st.x) < 1e-9 && c.a < m.length).reduce((sum, c) => sum + c.P, 0); 
+                    [st.Q + jump, st.Q].forEach(Q_local => { 
+                        const offset_local=-Q_local*shearScale; 
+                        const globalX=n_i.x+st.x*m.c-offset_local*m.s, globalY=n_i.y+st.x*m.s+offset_local*m.c; 
+                        p2=transform(globalX, globalY); 
+                        ctx.lineTo(p2.x, p2.y); 
+                    }); 
+                }); 
             } 
             ctx.lineTo(p_end.x, p_end.y); 
             ctx.closePath(); 
@@ -6267,207 +7382,41 @@ document.addEventListener('DOMContentLoaded', () => {
         }); 
     };
 
-// --- 応力度の計算とカラーマッピング ---
-    const calculateCombinedStress = (force, sectionData) => {
-        const { N_i, M_i, N_j, M_j } = force;
-        const { A, Iy } = sectionData;
-        
-        // 部材両端での応力度を計算
-        const stress_i = {
-            axial: N_i / A,
-            bending_top: Math.abs(M_i) / Iy * (sectionData.H / 2),  // 上端での曲げ応力
-            bending_bottom: Math.abs(M_i) / Iy * (sectionData.H / 2) // 下端での曲げ応力
-        };
-        
-        const stress_j = {
-            axial: N_j / A,
-            bending_top: Math.abs(M_j) / Iy * (sectionData.H / 2),
-            bending_bottom: Math.abs(M_j) / Iy * (sectionData.H / 2)
-        };
-        
-        // 合成応力度（最大値）
-        const combined_i = Math.max(
-            Math.abs(stress_i.axial + stress_i.bending_top),
-            Math.abs(stress_i.axial - stress_i.bending_bottom)
-        );
-        
-        const combined_j = Math.max(
-            Math.abs(stress_j.axial + stress_j.bending_top),
-            Math.abs(stress_j.axial - stress_j.bending_bottom)
-        );
-        
-        return Math.max(combined_i, combined_j);
-    };
-
-    const getStressColor = (stress, maxStress) => {
-        if (maxStress === 0) return 'rgb(0, 0, 255)'; // 青
-        
-        const ratio = Math.min(stress / maxStress, 1.0);
-        
-        // 4段階の色相変化：青→緑→黄→赤
-        if (ratio <= 0.33) {
-            // 青から緑へ (0-33%)
-            const localRatio = ratio / 0.33;
-            const r = 0;
-            const g = Math.round(255 * localRatio);
-            const b = Math.round(255 * (1 - localRatio));
-            return `rgb(${r}, ${g}, ${b})`;
-        } else if (ratio <= 0.66) {
-            // 緑から黄へ (33-66%)
-            const localRatio = (ratio - 0.33) / 0.33;
-            const r = Math.round(255 * localRatio);
-            const g = 255;
-            const b = 0;
-            return `rgb(${r}, ${g}, ${b})`;
-        } else {
-            // 黄から赤へ (66-100%)
-            const localRatio = (ratio - 0.66) / 0.34;
-            const r = 255;
-            const g = Math.round(255 * (1 - localRatio));
-            const b = 0;
-            return `rgb(${r}, ${g}, ${b})`;
+// --- 弾性座屈解析機能 ---
+    // 骨組全体の座屈固有値解析の結果（表示中の荷重状態の軸力を基準とする）
+    let lastFrameBuckling = null;
+
+    /**
+     * 表示中の荷重状態の軸力を基準に骨組全体の座屈固有値解析を行う
+     * 解析できない場合（軸力がなくても不安定など）は error を持つ結果を返し、部材ごとの座屈検討は接合条件による係数で続行する
+     * @returns {object} FrameSolver.analyzeBuckling() の結果、または { modes: [], error }
+     */
+    const calculateFrameBuckling = (nodes, members, forces, constraints = []) => {
+        try {
+            return FrameSolver.analyzeBuckling({ nodes, members, constraints, axialForces: forces.map(f => [-f.N_i, f.N_j]) });
+        } catch (error) {
+            console.warn('骨組の座屈固有値解析中にエラーが発生しました:', error);
+            return { modes: [], error };
         }
     };
 
-    const drawStressContour = (nodes, members, forces, sections) => {
-        console.log('=== DRAWING STRESS CONTOUR START ===');
-        console.log('Received parameters:', {
-            nodesCount: nodes ? nodes.length : 'null',
-            membersCount: members ? members.length : 'null',
-            forcesCount: forces ? forces.length : 'null',
-            sectionsCount: sections ? sections.length : 'null'
-        });
-        
-        if (!elements.stressCanvas) {
-            console.error('❌ Stress canvas element not found!');
-            return;
-        }
-        
-        console.log('✅ Stress canvas element found:', elements.stressCanvas);
-        
-        const drawingCtx = getDrawingContext(elements.stressCanvas);
-        if (!drawingCtx) {
-            console.log('❌ Failed to get drawing context for stress canvas');
-            return;
-        }
-        
-        const { ctx, transform, scale } = drawingCtx;
-        console.log('✅ Drawing context obtained successfully');
-        
-        // キャンバスをクリア
-        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-        console.log('✅ Canvas cleared');
-        
-        // 最大応力度を計算
-        let maxStress = 0;
-        const memberStresses = [];
-        
-        members.forEach((member, idx) => {
-            const force = forces[idx];
-            const sectionData = sections[member.sectionIndex];
-            
-            if (sectionData) {
-                const stress = calculateCombinedStress(force, sectionData);
-                memberStresses[idx] = stress;
-                maxStress = Math.max(maxStress, stress);
-            } else {
-                memberStresses[idx] = 0;
-            }
-        });
-        
-        console.log(`Maximum stress: ${maxStress.toFixed(2)} N/mm²`);
-        console.log('Member stresses:', memberStresses.slice(0, 5)); // 最初の5つを表示
-        
-        // 各部材を応力度に応じて色分けして描画
-        let drawnMembers = 0;
-        members.forEach((member, idx) => {
-            const stress = memberStresses[idx];
-            const color = getStressColor(stress, maxStress);
-            const n_i = nodes[member.i];
-            const n_j = nodes[member.j];
-            
-            if (!n_i || !n_j) {
-                console.log(`Missing nodes for member ${idx}:`, { i: member.i, j: member.j });
-                return;
-            }
-            
-            const start = transform(n_i.x, n_i.y);
-            const end = transform(n_j.x, n_j.y);
-            
-            ctx.beginPath();
-            ctx.moveTo(start.x, start.y);
-            ctx.lineTo(end.x, end.y);
-            ctx.strokeStyle = color;
-            ctx.lineWidth = 4; // 太い線で表示
-            ctx.stroke();
-            
-            drawnMembers++;
-            
-            // 最初の3つの部材の情報をログ出力
-            if (idx < 3) {
-                console.log(`Member ${idx}: stress=${stress.toFixed(2)}, color=${color}, start=(${start.x.toFixed(1)},${start.y.toFixed(1)}), end=(${end.x.toFixed(1)},${end.y.toFixed(1)})`);
-            }
-        });
-        
-        console.log(`Drew ${drawnMembers} members`);
-        
-        // 節点を描画
-        let drawnNodes = 0;
-        nodes.forEach((node, idx) => {
-            const pos = transform(node.x, node.y);
-            ctx.beginPath();
-            ctx.arc(pos.x, pos.y, 4, 0, 2 * Math.PI);
-            ctx.fillStyle = '#333';
-            ctx.fill();
-            drawnNodes++;
-        });
-        
-        console.log(`Drew ${drawnNodes} nodes`);
-        
-        // 凡例を描画
-        drawStressLegend(ctx, maxStress);
-        console.log('Legend drawn');
-        console.log('=== DRAWING STRESS CONTOUR COMPLETED ===');
-    };
-
-    const drawStressLegend = (ctx, maxStress) => {
-        const legendX = 20;
-        const legendY = 20;
-        const legendWidth = 200;
-        const legendHeight = 20;
-        
-        // 背景
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-        ctx.fillRect(legendX - 5, legendY - 5, legendWidth + 60, legendHeight + 30);
-        ctx.strokeStyle = '#333';
-        ctx.strokeRect(legendX - 5, legendY - 5, legendWidth + 60, legendHeight + 30);
-        
-        // グラデーション
-        for (let i = 0; i <= legendWidth; i++) {
-            const ratio = i / legendWidth;
-            const color = getStressColor(ratio * maxStress, maxStress);
-            ctx.strokeStyle = color;
-            ctx.beginPath();
-            ctx.moveTo(legendX + i, legendY);
-            ctx.lineTo(legendX + i, legendY + legendHeight);
-            ctx.stroke();
-        }
-        
-        // ラベル
-        ctx.fillStyle = '#333';
-        ctx.font = '12px Arial';
-        ctx.fillText('0', legendX - 2, legendY + legendHeight + 15);
-        ctx.fillText(`${maxStress.toFixed(1)} N/mm²`, legendX + legendWidth - 30, legendY + legendHeight + 15);
-        ctx.fillText('応力度コンター', legendX + 70, legendY - 10);
+    /**
+     * 半剛接合を含む部材の座屈長さ係数
+     * 材端の回転拘束を剛比 G = 2EI/(kθ·L)（剛接合 0、ピン接合 ∞）に置き換え、
+     * 水平移動が拘束された骨組の座屈長さ係数の近似式 K = (3GaGb + 1.4(Ga+Gb) + 0.64) / (3GaGb + 2.0(Ga+Gb) + 1.28) で求める。
+     * 両端剛で 0.5、一端ピンで 0.7、両端ピンで 1.0 となり、剛・ピン接合の係数と連続する。
+     */
+    const semiRigidBucklingLengthFactor = (member) => {
+        const EI = member.E * member.I, L = member.length;
+        const [Ga, Gb] = FrameSolver.getEndRotationalSprings(member).map(k => k === null ? 0 : (k > 0 ? 2 * EI / (k * L) : Infinity));
+        if (Ga === Infinity && Gb === Infinity) return 1.0;
+        if (Ga === Infinity || Gb === Infinity) {
+            const G = Ga === Infinity ? Gb : Ga;
+            return (3 * G + 1.4) / (3 * G + 2.0);
+        }
+        return (3 * Ga * Gb + 1.4 * (Ga + Gb) + 0.64) / (3 * Ga * Gb + 2.0 * (Ga + Gb) + 1.28);
     };
 
-    // 応力度関数をwindow変数として登録（クロススコープアクセス用）
-    window.calculateCombinedStress = calculateCombinedStress;
-    window.getStressColor = getStressColor;
-    window.drawStressContour = drawStressContour;
-    window.drawStressLegend = drawStressLegend;
-
-// --- 弾性座屈解析機能 ---
     const calculateBucklingAnalysis = () => {
         if (!lastResults) return [];
         const { members, forces } = lastResults;
@@ -6490,22 +7439,39 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
 
-            // 座屈長の計算（接合条件による係数）
-            let bucklingLengthFactor = 1.0;
-            if (i_conn === 'rigid' && j_conn === 'rigid') {
-                bucklingLengthFactor = 0.5; // 両端固定
+            // 部材ごとの座屈長の計算（接合条件による係数）
+            let memberLengthFactor = 1.0;
+            if (i_conn === 'semi-rigid' || j_conn === 'semi-rigid') {
+                memberLengthFactor = semiRigidBucklingLengthFactor(member); // 半剛接合（材端の回転剛性から補間）
+            } else if (i_conn === 'rigid' && j_conn === 'rigid') {
+                memberLengthFactor = 0.5; // 両端固定
             } else if ((i_conn === 'rigid' && j_conn === 'pinned') || 
                       (i_conn === 'pinned' && j_conn === 'rigid')) {
-                bucklingLengthFactor = 0.7; // 一端固定・一端ピン
+                memberLengthFactor = 0.7; // 一端固定・一端ピン
             } else if (i_conn === 'pinned' && j_conn === 'pinned') {
-                bucklingLengthFactor = 1.0; // 両端ピン
-            }
-            
+                memberLengthFactor = 1.0; // 両端ピン
+            }
+
+            // 部材ごとの検討は構面外の座屈も含むため最小回転半径（通常はiy < ix）を用いる。
+            // 骨組の1次座屈モードから逆算した座屈長は構面内の値なので、構面内の回転半径で別に検討し、細長比の大きい方（座屈荷重の小さい方）で判定する
+            const checks = [{
+                factor: memberLengthFactor,
+                basis: '接合条件による',
+                radius: Math.min(ix, iy),
+                mode: ix < iy ? 'X軸まわり座屈（強軸）' : iy < ix ? 'Y軸まわり座屈（弱軸）' : '等方性断面'
+            }];
+            const frameMember = lastFrameBuckling?.modes?.[0]?.members[idx];
+            if (frameMember) {
+                checks.push({ factor: frameMember.effectiveLengthFactor, basis: '骨組の1次座屈モードから逆算', radius: Math.sqrt(member.I / A), mode: '構面内座屈（骨組の座屈モード）' });
+            }
+            checks.forEach(check => { check.slendernessRatio = length * check.factor / check.radius; });
+            const governing = checks.reduce((a, b) => (b.slendernessRatio > a.slendernessRatio ? b : a));
+
+            const bucklingLengthFactor = governing.factor;
+            const bucklingLengthBasis = governing.basis;
             const bucklingLength = length * bucklingLengthFactor; // 座屈長 (m)
-            
-            // 弱軸まわりの座屈（通常はiy < ix）
-            const i_min = Math.min(ix, iy); // 最小回転半径 (m)
-            const slendernessRatio = bucklingLength / i_min; // 細長比
+            const i_min = governing.radius; // 判定に用いる回転半径 (m)
+            const slendernessRatio = governing.slendernessRatio; // 細長比
             
             // オイラー座屈荷重の計算
             const E_Pa = E * 1000; // N/mm² → Pa (実際はE*1000なのでE*1000*1000000)
@@ -6521,14 +7487,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const compressionForce = axialForceKN < 0 ? Math.abs(axialForceKN) * 1000 : 0; // 負の値を圧縮力として抽出、N単位に変換
             
             // 座屈モードの判定
-            let bucklingMode = '';
-            if (ix < iy) {
-                bucklingMode = 'X軸まわり座屈（強軸）';
-            } else if (iy < ix) {
-                bucklingMode = 'Y軸まわり座屈（弱軸）';  
-            } else {
-                bucklingMode = '等方性断面';
-            }
+            const bucklingMode = governing.mode;
             
             // 安全率の計算
             let safetyFactor = 'N/A';
@@ -6564,6 +7523,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 safetyFactor: safetyFactor,
                 axialForce: axialForceKN, // kN単位（負の値が圧縮、正の値が引張）
                 bucklingLengthFactor: bucklingLengthFactor,
+                bucklingLengthBasis: bucklingLengthBasis,
+                bucklingChecks: checks.map(({ factor, basis, radius, slendernessRatio, mode }) => ({ factor, basis, radius, slendernessRatio, mode })),
                 connectionType: `i:${i_conn}, j:${j_conn}`,
                 memberLength: length,
                 momentOfInertia: I_min,
@@ -6576,9 +7537,15 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
 // --- Section Check Logic and Drawing ---
+    // 剛域内（フェイス位置より節点側）の位置か。断面検定はフェイス位置から内側の可撓部分で行う
+    const isInRigidZone = (member, x) => {
+        const tolerance = 1e-9 * Math.max(1, member.length);
+        return x < (member.i_rigid || 0) - tolerance || x > member.length - (member.j_rigid || 0) + tolerance;
+    };
+
     const calculateSectionCheck = (loadTerm) => {
         if (!lastResults) return [];
-        const { members, forces, memberLoads } = lastResults;
+        const { members, forces, memberLoads, envelope } = lastResults;
         const results = [];
         members.forEach((member, idx) => {
             const { strengthProps, A, Z, ix, iy, E, length } = member;
@@ -6586,72 +7553,114 @@ document.addEventListener('DOMContentLoaded', () => {
                 results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: 'データ不足', status: 'error', ratios: Array(21).fill(0)});
                 return;
             }
-            let ft, fc, fb, fs;
-            const termIndex = (loadTerm === 'long') ? 0 : 1;
-            
-            switch(strengthProps.type) {
-                case 'F-value': case 'F-stainless': case 'F-aluminum':
-                    const F = strengthProps.value;
-                    if (!F || isNaN(F)) { results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: 'F値無効', status: 'error', ratios: Array(21).fill(0)}); return; }
-                    const factor = (loadTerm === 'long') ? 1.5 : 1.0;
-                    ft = F / factor; fb = F / factor; fs = F / (factor * Math.sqrt(3));
-                    const lk = length, i_min = Math.min(ix, iy);
-                    fc = ft;
-                    if (i_min > 1e-9) {
-                        const lambda = lk / i_min, E_n_mm2 = E * 1e-3;
-                        const lambda_p = Math.PI * Math.sqrt(E_n_mm2 / (0.6 * F));
-                        if (lambda <= lambda_p) { fc = (1 - 0.4 * (lambda / lambda_p)**2) * F / factor; } 
-                        else { fc = (0.277 * F) / ((lambda / lambda_p)**2); }
-                    }
-                    break;
-                case 'wood-type': {
-                    let baseStresses;
-                    if (strengthProps.preset === 'custom') {
-                        baseStresses = strengthProps.baseStrengths;
-                        if (!baseStresses || isNaN(baseStresses.ft) || isNaN(baseStresses.fc) || isNaN(baseStresses.fb) || isNaN(baseStresses.fs)) {
-                            results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: '木材基準強度無効', status: 'error', ratios: Array(21).fill(0) });
-                            return; // continue forEach
+
+            // 荷重期間ごとの許容応力度（算定不可の場合は checkType を返す）
+            const getAllowableStresses = (term) => {
+                let ft, fc, fb, fs;
+                switch(strengthProps.type) {
+                    case 'F-value': case 'F-stainless': case 'F-aluminum':
+                        const F = strengthProps.value;
+                        if (!F || isNaN(F)) return { checkType: 'F値無効' };
+                        const factor = (term === 'long') ? 1.5 : 1.0;
+                        ft = F / factor; fb = F / factor; fs = F / (factor * Math.sqrt(3));
+                        const lk = length, i_min = Math.min(ix, iy);
+                        fc = ft;
+                        if (i_min > 1e-9) {
+                            const lambda = lk / i_min, E_n_mm2 = E * 1e-3;
+                            const lambda_p = Math.PI * Math.sqrt(E_n_mm2 / (0.6 * F));
+                            if (lambda <= lambda_p) { fc = (1 - 0.4 * (lambda / lambda_p)**2) * F / factor; } 
+                            else { fc = (0.277 * F) / ((lambda / lambda_p)**2); }
                         }
-                    } else {
-                        baseStresses = WOOD_BASE_STRENGTH_DATA[strengthProps.preset];
-                        if (!baseStresses) {
-                            results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: '木材データ無', status: 'error', ratios: Array(21).fill(0) });
-                            return; // continue forEach
+                        break;
+                    case 'wood-type': {
+                        let baseStresses;
+                        if (strengthProps.preset === 'custom') {
+                            baseStresses = strengthProps.baseStrengths;
+                            if (!baseStresses || isNaN(baseStresses.ft) || isNaN(baseStresses.fc) || isNaN(baseStresses.fb) || isNaN(baseStresses.fs)) {
+                                return { checkType: '木材基準強度無効' };
+                            }
+                        } else {
+                            baseStresses = WOOD_BASE_STRENGTH_DATA[strengthProps.preset];
+                            if (!baseStresses) return { checkType: '木材データ無' };
                         }
+                        // プリセット・任意入力共通の計算ロジック
+                        const factor = (term === 'long') ? (1.1 / 3) : (2 / 3);
+                        ft = baseStresses.ft * factor;
+                        fc = baseStresses.fc * factor;
+                        fb = baseStresses.fb * factor;
+                        fs = baseStresses.fs * factor;
+                        break;
                     }
-                    // プリセット・任意入力共通の計算ロジック
-                    const factor = (loadTerm === 'long') ? (1.1 / 3) : (2 / 3);
-                    ft = baseStresses.ft * factor;
-                    fc = baseStresses.fc * factor;
-                    fb = baseStresses.fb * factor;
-                    fs = baseStresses.fs * factor;
-                    break;
+                    case 'Fc':
+                    default:
+                        return { checkType: '未対応材料' };
                 }
-                case 'Fc':
-                default:
-                    results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: '未対応材料', status: 'error', ratios: Array(21).fill(0)});
-                    return;
+                return { ft, fc, fb, fs };
+            };
+
+            // 検定に用いる荷重セット（包絡表示時は各荷重組合せ、それ以外は表示中の結果のみ）
+            let loadSets;
+            if (envelope) {
+                loadSets = envelope.stations.map((setStations, s) => ({ term: envelope.terms?.[s] || loadTerm, stations: setStations[idx] }));
+            } else {
+                const load = memberLoads.find(l => l.memberIndex === idx);
+                loadSets = [{ term: loadTerm, stations: FrameSolver.calculateMemberStations(member, forces[idx], load, null, 20) }];
+            }
+            const allowables = loadSets.map(set => getAllowableStresses(set.term));
+            const invalid = allowables.find(a => a.checkType);
+            if (invalid) {
+                results.push({ maxRatio: 'N/A', N: 0, M: 0, checkType: invalid.checkType, status: 'error', ratios: Array(21).fill(0)});
+                return;
             }
 
-            const force = forces[idx], load = memberLoads.find(l => l.memberIndex === idx), w = load ? load.w : 0;
-            const L = length, N = -force.N_i, Z_mm3 = Z * 1e9, A_mm2 = A * 1e6;
-            let maxRatio = 0, M_at_max = 0;
-            const ratios = [];
-            for (let k = 0; k <= 20; k++) {
-                const x = (k / 20) * L, M_linear = -force.M_i * (1 - x/L) + force.M_j * (x/L), M_parabolic = w * L * x / 2 - w * x**2 / 2;
-                const M_x = M_linear + M_parabolic, sigma_a = (N * 1000) / A_mm2, sigma_b = (Math.abs(M_x) * 1e6) / Z_mm3;
-                let ratio_x = 0;
-                if(isNaN(sigma_a) || isNaN(sigma_b) || !ft || !fc || !fb) { ratio_x = Infinity; }
-                else if (sigma_a >= 0) { // 引張
-                    ratio_x = (sigma_a / ft) + (sigma_b / fb);
-                } 
-                else { // 圧縮
-                    ratio_x = (Math.abs(sigma_a) / fc) + (sigma_b / fb);
+            let maxRatio = 0, M_at_max = 0, N_at_max = loadSets[0].stations[0].N, setAtMax = 0;
+            const ratios = [], governingSets = [];
+            // 検定位置（等分点＋荷重位置。全荷重セットで共通）
+            const positions = loadSets[0].stations.map(st => st.x);
+            for (let k = 0; k < positions.length; k++) {
+                // 剛域内は検定しない（検定比0）
+                if (isInRigidZone(member, positions[k])) {
+                    ratios.push(0);
+                    governingSets.push(0);
+                    continue;
                 }
-                ratios.push(ratio_x);
-                if (ratio_x > maxRatio) { maxRatio = ratio_x; M_at_max = M_x; }
+                // 変断面部材はこの位置の断面性能で検定する
+                const section = FrameSolver.getSectionAt(member, positions[k]);
+                const Z_mm3 = section.Z * 1e9, A_mm2 = section.A * 1e6;
+                // 各荷重セットの検定比のうち最大のものをこの位置の検定比とする
+                let ratio_k = -Infinity, governing = 0;
+                loadSets.forEach((set, s) => {
+                    const { ft, fc, fb } = allowables[s];
+                    const { N, M: M_x } = set.stations[k];
+                    const sigma_a = (N * 1000) / A_mm2, sigma_b = (Math.abs(M_x) * 1e6) / Z_mm3;
+                    let ratio_x = 0;
+                    if(isNaN(sigma_a) || isNaN(sigma_b) || !ft || !fc || !fb) { ratio_x = Infinity; }
+                    else if (sigma_a >= 0) { // 引張
+                        ratio_x = (sigma_a / ft) + (sigma_b / fb);
+                    } 
+                    else { // 圧縮
+                        ratio_x = (Math.abs(sigma_a) / fc) + (sigma_b / fb);
+                    }
+                    if (ratio_x > ratio_k) { ratio_k = ratio_x; governing = s; }
+                });
+                ratios.push(ratio_k);
+                governingSets.push(governing);
+                if (ratio_k > maxRatio) {
+                    maxRatio = ratio_k;
+                    M_at_max = loadSets[governing].stations[k].M;
+                    N_at_max = loadSets[governing].stations[k].N;
+                    setAtMax = governing;
+                }
+            }
+            const result = { maxRatio, N: N_at_max, M: M_at_max, checkType: '組合せ応力', status: maxRatio > 1.0 ? 'NG' : 'OK', ratios, positions };
+            if (envelope) {
+                // 包絡検定では各位置の支配荷重セットを記録
+                result.governingSetIndices = governingSets;
+                result.governingSets = governingSets.map(s => envelope.labels[s]);
+                result.loadSet = envelope.labels[setAtMax];
+                result.checkType = `組合せ応力 (${result.loadSet})`;
             }
-            results.push({ maxRatio, N, M: M_at_max, checkType: '組合せ応力', status: maxRatio > 1.0 ? 'NG' : 'OK', ratios });
+            results.push(result);
         });
         return results;
     };
@@ -6674,13 +7683,26 @@ document.addEventListener('DOMContentLoaded', () => {
         const res = lastSectionCheckResults[memberIndex];
         if (!res || !res.ratios) return;
 
-        const { members, forces, memberLoads } = lastResults;
+        const { members, forces, memberLoads, envelope } = lastResults;
         const member = members[memberIndex];
         const force = forces[memberIndex];
+        const isEnvelope = !!(envelope && res.governingSetIndices);
         const load = memberLoads.find(l => l.memberIndex === memberIndex);
         const w = load ? load.w : 0;
         const L = member.length;
         const numPoints = res.ratios.length;
+        // 検定と同じ位置の断面力（等分点＋荷重位置）
+        const stations = FrameSolver.calculateMemberStations(member, force, load, null, 20, res.positions ? res.positions.filter(x => x > 0 && x < L) : undefined);
+        // 弾性床の地盤反力（解析結果として加わる成分）は荷重の一覧に含めない
+        const loadDescriptions = ((load && load.components) || []).filter(c => !c.foundation).map(c => {
+            const axisNote = c.axis === 'x' ? '（材軸方向）' : '';
+            if (c.type === 'point') return `集中荷重${axisNote}: P = ${c.P.toFixed(2)} kN (a = ${c.a.toFixed(2)} m)`;
+            if (c.type === 'moment') return `集中モーメント: M = ${c.M} kN·m (a = ${c.a.toFixed(2)} m)`;
+            if (c.type === 'thermal' && c.imposed) return `初期ひずみ荷重: 初期ひずみ ε0 = ${c.strain.toExponential(3)}, 初期曲率 κ0 = ${c.curvature.toExponential(3)} 1/m`;
+            if (c.type === 'thermal') return `温度荷重: 熱ひずみ αΔT = ${c.strain.toExponential(3)}, 熱曲率 αΔTg/h = ${c.curvature.toExponential(3)} 1/m`;
+            return `分布荷重${axisNote}: w = ${c.w1.toFixed(2)} → ${c.w2.toFixed(2)} kN/m (${c.a.toFixed(2)} 〜 ${c.b.toFixed(2)} m)`;
+        });
+        if (member.foundationStiffness > 0) loadDescriptions.push(`弾性床: ks = ${member.ks} kN/m³, B = ${(member.foundationWidth * 1e3).toFixed(0)} mm`);
 
         // 材料特性の取得
         const { strengthProps, A, Z, ix, iy, E } = member;
@@ -6748,6 +7770,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 materialInfo = `材料: ${materialName}`;
         }
 
+        // 変断面部材の両端（フェイス位置）の断面性能
+        const iSection = FrameSolver.getSectionAt(member, member.i_rigid || 0);
+        const jSection = FrameSolver.getSectionAt(member, L - (member.j_rigid || 0));
+
         let detailHtml = `
             <div style="font-family: Arial, sans-serif;">
                 <h3>部材 ${memberIndex + 1} の詳細応力度計算結果</h3>
@@ -6758,8 +7784,10 @@ document.addEventListener('DOMContentLoaded', () => {
                     <p>部材長: ${L.toFixed(2)} m</p>
                     <p>断面積 A: ${(A * 1e4).toFixed(2)} cm²</p>
                     <p>断面係数 Z: ${(Z * 1e6).toFixed(2)} cm³</p>
+                    ${member.sectionProfile ? `<p>変断面: i端 A = ${(iSection.A * 1e4).toFixed(2)} cm², Z = ${(iSection.Z * 1e6).toFixed(2)} cm³ ／ j端 A = ${(jSection.A * 1e4).toFixed(2)} cm², Z = ${(jSection.Z * 1e6).toFixed(2)} cm³（応力度は各位置の断面性能で計算）</p>` : ''}
                     <p>回転半径 ix: ${(ix * 1e2).toFixed(2)} cm, iy: ${(iy * 1e2).toFixed(2)} cm</p>
                     ${w !== 0 ? `<p>等分布荷重: ${w} kN/m</p>` : ''}
+                    ${loadDescriptions.map(text => `<p>${text}</p>`).join('')}
                 </div>
                 <div style="margin-bottom: 20px; padding: 10px; background-color: #e8f4fd; border-radius: 5px;">
                     <h4>許容応力度 (${selectedTerm === 'long' ? '長期' : '短期'})</h4>
@@ -6768,11 +7796,16 @@ document.addEventListener('DOMContentLoaded', () => {
                     <p>曲げ許容応力度 fb: ${allowableStresses.fb.toFixed(2)} N/mm²</p>
                     <p>せん断許容応力度 fs: ${allowableStresses.fs.toFixed(2)} N/mm²</p>
                 </div>
+                ${isEnvelope ? `
+                <div style="margin-bottom: 20px; padding: 10px; background-color: #fff2e8; border-radius: 5px;">
+                    <h4>包絡検定</h4>
+                    <p>各位置で検定比が最大となる荷重組合せの断面力を用いています（最大検定比: ${res.loadSet}）。</p>
+                </div>` : `
                 <div style="margin-bottom: 20px; padding: 10px; background-color: #fff2e8; border-radius: 5px;">
                     <h4>部材端力</h4>
                     <p>i端: N = ${(-force.N_i).toFixed(2)} kN, Q = ${force.Q_i.toFixed(2)} kN, M = ${force.M_i.toFixed(2)} kN·m</p>
                     <p>j端: N = ${force.N_j.toFixed(2)} kN, Q = ${(-force.Q_j).toFixed(2)} kN, M = ${force.M_j.toFixed(2)} kN·m</p>
-                </div>
+                </div>`}
                 <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
                     <thead>
                         <tr style="background-color: #f0f0f0;">
@@ -6785,28 +7818,31 @@ document.addEventListener('DOMContentLoaded', () => {
                             <th style="border: 1px solid #ccc; padding: 8px;">曲げ応力度 σ_b (N/mm²)</th>
                             <th style="border: 1px solid #ccc; padding: 8px;">検定比 (D/C)</th>
                             <th style="border: 1px solid #ccc; padding: 8px;">判定</th>
+                            ${isEnvelope ? '<th style="border: 1px solid #ccc; padding: 8px;">支配荷重組合せ</th>' : ''}
                         </tr>
                     </thead>
                     <tbody>`;
 
         for (let k = 0; k < numPoints; k++) {
-            const x = (k / (numPoints - 1)) * L;
+            const x = res.positions ? res.positions[k] : (k / (numPoints - 1)) * L;
             const ratio = res.ratios[k];
+            if (isInRigidZone(member, x)) continue;
             
-            // 実際の曲げモーメント計算（等分布荷重を考慮）
-            const M_linear = -force.M_i * (1 - x/L) + force.M_j * (x/L);
-            const M_parabolic = w * L * x / 2 - w * x**2 / 2;
-            const M_x = M_linear + M_parabolic;
-            
-            // せん断力の計算（等分布荷重を考慮）
-            const Q_x = force.Q_i - w * x;
-            
-            const N = -force.N_i; // 軸力は部材全体で一定
-            const sigma_a = (N * 1000) / (A * 1e6);
-            const sigma_b = (Math.abs(M_x) * 1e6) / (Z * 1e9);
+            // 部材荷重を考慮した断面力（軸力は部材全体で一定）
+            const station = stations.find(st => Math.abs(st.x - x) < 1e-9 * Math.max(1, L)) || stations[Math.min(k, stations.length - 1)];
+            let { N, Q: Q_x, M: M_x } = station;
+            if (isEnvelope) {
+                // 包絡検定ではこの位置の支配荷重組合せの断面力を用いる
+                const station = envelope.stations[res.governingSetIndices[k]][memberIndex][k];
+                ({ N, Q: Q_x, M: M_x } = station);
+            }
+            // 変断面部材はこの位置の断面性能を用いる
+            const section = FrameSolver.getSectionAt(member, x);
+            const sigma_a = (N * 1000) / (section.A * 1e6);
+            const sigma_b = (Math.abs(M_x) * 1e6) / (section.Z * 1e9);
             
             // せん断応力度の計算（τ = Q / A）
-            const tau = (Math.abs(Q_x) * 1000) / (A * 1e6);
+            const tau = (Math.abs(Q_x) * 1000) / (section.A * 1e6);
             
             // せん断検定比の計算
             const shear_ratio = tau / allowableStresses.fs;
@@ -6828,6 +7864,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     <td style="border: 1px solid #ccc; padding: 8px; text-align: center;">${sigma_b.toFixed(2)}</td>
                     <td style="border: 1px solid #ccc; padding: 8px; text-align: center; font-weight: bold;">${combined_ratio.toFixed(3)}</td>
                     <td style="border: 1px solid #ccc; padding: 8px; text-align: center;">${status}</td>
+                    ${isEnvelope ? `<td style="border: 1px solid #ccc; padding: 8px; text-align: center;">${res.governingSets[k]}</td>` : ''}
                 </tr>`;
         }
 
@@ -6991,8 +8028,59 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // 座屈解析結果表示関数
     let lastBucklingResults = null;
+
+    // 骨組の座屈固有値解析の結果（座屈荷重係数の一覧）を表示する
+    const displayFrameBucklingResults = () => {
+        const summary = document.getElementById('frame-buckling-summary');
+        const table = document.getElementById('frame-buckling-modes');
+        if (!summary || !table) return;
+        const frame = lastFrameBuckling;
+        table.innerHTML = '';
+        if (!frame) {
+            summary.textContent = lastResults ? '「座屈固有値解析を実行」で骨組全体の座屈荷重係数を求め、1次モードから部材の座屈長を逆算します。' : '';
+            return;
+        }
+        if (frame.error) {
+            summary.textContent = `固有値解析を実行できませんでした: ${frame.error.message}`;
+            return;
+        }
+        if (frame.modes.length === 0) {
+            summary.textContent = '圧縮軸力を受ける部材がないため、座屈モードはありません。';
+            return;
+        }
+        const { segments, equations } = frame.solverInfo;
+        summary.textContent = `表示中の荷重状態の軸力を基準とした座屈荷重係数 λ（荷重を λ 倍すると弾性座屈）／ 各部材を ${segments} 分割（方程式数 ${equations}）`;
+        let html = `<thead><tr><th>次数</th><th>座屈荷重係数 λ</th><th>判定</th><th>モード形</th></tr></thead><tbody>`;
+        frame.modes.forEach((mode, k) => {
+            const status = mode.factor < 1.0 ? ['❌ 座屈危険', 'color: red; font-weight: bold;'] : mode.factor < 2.0 ? ['⚠️ 要注意', 'color: orange; font-weight: bold;'] : ['✅ 安全', 'color: green;'];
+            html += `<tr><td>${k + 1}</td><td>${mode.factor.toFixed(3)}</td><td style="${status[1]}">${status[0]}</td><td><button onclick="animateBucklingMode(${k})">アニメーション</button></td></tr>`;
+        });
+        table.innerHTML = html + '</tbody>';
+    };
     
+    /**
+     * 表示中の解析結果の軸力を基準に骨組の座屈固有値解析を実行し、部材ごとの座屈検討を更新する
+     */
+    const runFrameBucklingAnalysis = () => {
+        if (!lastResults || !lastResults.forces) {
+            const summary = document.getElementById('frame-buckling-summary');
+            if (summary) summary.textContent = '先に計算を実行してください。';
+            return;
+        }
+        const { nodes, members, forces, constraints } = lastResults;
+        lastFrameBuckling = calculateFrameBuckling(nodes, members, forces, constraints);
+        window.lastFrameBuckling = lastFrameBuckling;
+        try {
+            lastBucklingResults = calculateBucklingAnalysis();
+            window.lastBucklingResults = lastBucklingResults;
+        } catch (error) {
+            console.warn('座屈解析中にエラーが発生しました:', error);
+        }
+        displayBucklingResults();
+    };
+
     const displayBucklingResults = () => {
+        displayFrameBucklingResults();
         if (!lastBucklingResults) { 
             document.getElementById('buckling-analysis-results').innerHTML = ''; 
             return; 
@@ -7005,6 +8093,7 @@ document.addEventListener('DOMContentLoaded', () => {
             <th>座屈荷重 (kN)</th>
             <th>安全率</th>
             <th>座屈長 (m)</th>
+            <th>座屈長係数</th>
             <th>細長比</th>
             <th>座屈モード</th>
             <th>接合条件</th>
@@ -7041,6 +8130,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 <td>${typeof result.criticalLoad === 'number' ? result.criticalLoad.toFixed(0) : result.criticalLoad}</td>
                 <td>${typeof result.safetyFactor === 'number' ? result.safetyFactor.toFixed(2) : result.safetyFactor}</td>
                 <td>${typeof result.bucklingLength === 'number' ? result.bucklingLength.toFixed(2) : result.bucklingLength}</td>
+                <td title="${result.bucklingLengthBasis || ''}">${typeof result.bucklingLengthFactor === 'number' ? result.bucklingLengthFactor.toFixed(2) : '-'}${result.bucklingLengthBasis === '骨組の1次座屈モードから逆算' ? '*' : ''}</td>
                 <td>${typeof result.slendernessRatio === 'number' ? result.slendernessRatio.toFixed(1) : result.slendernessRatio}</td>
                 <td>${result.bucklingMode}</td>
                 <td>${result.connectionType}</td>
@@ -7074,8 +8164,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 <div style="margin-bottom: 20px; padding: 10px; background-color: #e8f4fd; border-radius: 5px;">
                     <h4>座屈解析結果</h4>
                     <p>座屈長: ${typeof result.bucklingLength === 'number' ? result.bucklingLength.toFixed(2) : result.bucklingLength} m</p>
-                    <p>座屈長係数: ${result.bucklingLengthFactor}</p>
+                    <p>座屈長係数: ${typeof result.bucklingLengthFactor === 'number' ? result.bucklingLengthFactor.toFixed(3) : result.bucklingLengthFactor}（${result.bucklingLengthBasis || '接合条件による'}）</p>
                     <p>細長比 λ: ${typeof result.slendernessRatio === 'number' ? result.slendernessRatio.toFixed(1) : result.slendernessRatio}</p>
+                    ${(result.bucklingChecks || []).length > 1 ? `<p>検討した座屈: ${result.bucklingChecks.map(check => `${check.mode} λ = ${check.slendernessRatio.toFixed(1)}（係数 ${check.factor.toFixed(3)}、${check.basis}）`).join(' ／ ')}（細長比の大きい方で判定）</p>` : ''}
                     <p>オイラー座屈荷重: ${typeof result.criticalLoad === 'number' ? result.criticalLoad.toFixed(0) : result.criticalLoad} kN</p>
                     <p>現在の軸力: ${typeof result.axialForce === 'number' ? result.axialForce.toFixed(2) : result.axialForce} kN ${typeof result.axialForce === 'number' && result.axialForce < 0 ? '(圧縮)' : result.axialForce > 0 ? '(引張)' : ''}</p>
                     <p>座屈モード: ${result.bucklingMode}</p>
@@ -7092,11 +8183,14 @@ document.addEventListener('DOMContentLoaded', () => {
                     <p>オイラー座屈荷重: P<sub>cr</sub> = π²EI/(lk)²</p>
                     <p>ここで、E: 弾性係数、I: 最小断面二次モーメント、lk: 座屈長</p>
                     <p><strong>軸力の符号規則:</strong> マイナス値が圧縮力、プラス値が引張力</p>
-                    <p>座屈長は接合条件により決まります：</p>
+                    <p>圧縮軸力を受ける部材の座屈長は、骨組全体の座屈固有値解析で求めた1次座屈荷重係数 λ₁ から逆算します：</p>
+                    <p>lk = π√(EI / (λ₁·N))（N: 部材の圧縮軸力、I: 構面内の断面二次モーメント）</p>
+                    <p>固有値解析の結果がない部材は接合条件により決まります：</p>
                     <ul>
                         <li>両端ピン: lk = L (係数 1.0)</li>
                         <li>一端固定・一端ピン: lk = 0.7L (係数 0.7)</li>
                         <li>両端固定: lk = 0.5L (係数 0.5)</li>
+                        <li>半剛接合: 材端の回転剛性 kθ から剛比 G = 2EI/(kθL) を求め、係数 0.5〜1.0 を補間</li>
                     </ul>
                 </div>
             </div>
@@ -7127,12 +8221,13 @@ document.addEventListener('DOMContentLoaded', () => {
             const res = lastSectionCheckResults[idx];
             if(res.status === 'error') return;
             const n_i = nodes[m.i], n_j = nodes[m.j];
+            const positionAt = (k) => res.positions ? res.positions[k] : (k / (res.ratios.length - 1)) * m.length;
             if (res.maxRatio > 1.0) {
                  ctx.beginPath();
                  const start = transform(n_i.x, n_i.y), end = transform(n_j.x, n_j.y);
                  ctx.moveTo(start.x, start.y);
-                 for (let k = 0; k <= 20; k++) {
-                    const ratio = res.ratios[k], offset = -ratio * ratioScale, x_local = (k/20) * m.length;
+                 for (let k = 0; k < res.ratios.length; k++) {
+                    const ratio = res.ratios[k], offset = -ratio * ratioScale, x_local = positionAt(k);
                     const globalX = n_i.x + x_local * m.c - offset * m.s, globalY = n_i.y + x_local * m.s + offset * m.c;
                     ctx.lineTo(transform(globalX, globalY).x, transform(globalX, globalY).y);
                  }
@@ -7142,8 +8237,8 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.beginPath();
             const start = transform(n_i.x, n_i.y);
             ctx.moveTo(start.x, start.y);
-            for (let k = 0; k <= 20; k++) {
-                const ratio = Math.min(res.ratios[k], 1.0), offset = -ratio * ratioScale, x_local = (k/20) * m.length;
+            for (let k = 0; k < res.ratios.length; k++) {
+                const ratio = Math.min(res.ratios[k], 1.0), offset = -ratio * ratioScale, x_local = positionAt(k);
                 const globalX = n_i.x + x_local * m.c - offset * m.s, globalY = n_i.y + x_local * m.s + offset * m.c;
                 ctx.lineTo(transform(globalX, globalY).x, transform(globalX, globalY).y);
             }
@@ -7162,7 +8257,7 @@ document.addEventListener('DOMContentLoaded', () => {
             let maxRatioK = 0;
             
             // 各部材の最大検定比の位置を特定
-            for (let k = 0; k <= 20; k++) {
+            for (let k = 0; k < res.ratios.length; k++) {
                 if (res.ratios[k] > maxRatioValue) {
                     maxRatioValue = res.ratios[k];
                     maxRatioK = k;
@@ -7170,7 +8265,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             
             // 最大検定比の位置の座標を計算
-            const x_local_max = (maxRatioK/20) * m.length;
+            const x_local_max = positionAt(maxRatioK);
             const offset_max = -maxRatioValue * ratioScale;
             const globalX_max = n_i.x + x_local_max * m.c - offset_max * m.s;
             const globalY_max = n_i.y + x_local_max * m.s + offset_max * m.c;
@@ -7363,182 +8458,935 @@ document.addEventListener('DOMContentLoaded', () => {
         if (canvasId === 'displacement-canvas') {
             if (lastResults && lastResults.D && lastResults.D.length > 0) {
                 console.log('変位図: ズーム操作で再描画', { hasLastResults: !!lastResults, hasD: !!lastResults.D, d_length: lastResults.D.length });
-                drawDisplacementDiagram(lastResults.nodes, lastResults.members, lastResults.D, lastResults.memberLoads);
+                drawDisplacementDiagram(lastResults.nodes, lastResults.members, lastResults.D, lastResults.memberLoads, lastResults.forces);
+            } else {
+                console.log('変位図: データ不足で再描画スキップ', { hasLastResults: !!lastResults, hasD: lastResults ? !!lastResults.D : false });
+            }
+        } else if (canvasId === 'moment-canvas' && lastResults && lastResults.forces) {
+            drawMomentDiagram(lastResults.nodes, lastResults.members, lastResults.forces, lastResults.memberLoads, lastResults.envelope);
+        } else if (canvasId === 'soil-pressure-canvas' && lastResults && lastResults.forces) {
+            drawSoilPressureDiagram(lastResults.nodes, lastResults.members, lastResults.memberLoads, lastResults.envelope);
+        } else if (canvasId === 'axial-canvas' && lastResults && lastResults.forces) {
+            drawAxialForceDiagram(lastResults.nodes, lastResults.members, lastResults.forces, lastResults.memberLoads, lastResults.envelope);
+        } else if (canvasId === 'shear-canvas' && lastResults && lastResults.forces) {
+            drawShearForceDiagram(lastResults.nodes, lastResults.members, lastResults.forces, lastResults.memberLoads, lastResults.envelope);
+        } else if (canvasId === 'ratio-canvas') {
+            drawRatioDiagram();
+        }
+    };
+
+    // 結果図用のパン関数
+    const panResultCanvas = (canvasId, deltaX, deltaY) => {
+        const state = resultPanZoomStates[canvasId.replace('-canvas', '')];
+        if (!state.isInitialized) return;
+        
+        state.offsetX += deltaX;
+        state.offsetY += deltaY;
+        
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+        
+        // 該当する結果図を再描画
+        if (canvasId === 'displacement-canvas') {
+            if (lastResults && lastResults.D && lastResults.D.length > 0) {
+                console.log('変位図: パン操作で再描画', { hasLastResults: !!lastResults, hasD: !!lastResults.D, d_length: lastResults.D.length });
+                drawDisplacementDiagram(lastResults.nodes, lastResults.members, lastResults.D, lastResults.memberLoads, lastResults.forces);
             } else {
                 console.log('変位図: データ不足で再描画スキップ', { hasLastResults: !!lastResults, hasD: lastResults ? !!lastResults.D : false });
             }
         } else if (canvasId === 'moment-canvas' && lastResults && lastResults.forces) {
-            drawMomentDiagram(lastResults.nodes, lastResults.members, lastResults.forces, lastResults.memberLoads);
+            drawMomentDiagram(lastResults.nodes, lastResults.members, lastResults.forces, lastResults.memberLoads, lastResults.envelope);
+        } else if (canvasId === 'soil-pressure-canvas' && lastResults && lastResults.forces) {
+            drawSoilPressureDiagram(lastResults.nodes, lastResults.members, lastResults.memberLoads, lastResults.envelope);
         } else if (canvasId === 'axial-canvas' && lastResults && lastResults.forces) {
-            drawAxialForceDiagram(lastResults.nodes, lastResults.members, lastResults.forces);
+            drawAxialForceDiagram(lastResults.nodes, lastResults.members, lastResults.forces, lastResults.memberLoads, lastResults.envelope);
         } else if (canvasId === 'shear-canvas' && lastResults && lastResults.forces) {
-            drawShearForceDiagram(lastResults.nodes, lastResults.members, lastResults.forces, lastResults.memberLoads);
+            drawShearForceDiagram(lastResults.nodes, lastResults.members, lastResults.forces, lastResults.memberLoads, lastResults.envelope);
         } else if (canvasId === 'ratio-canvas') {
             drawRatioDiagram();
         }
     };
 
-    // 結果図用のパン関数
-    const panResultCanvas = (canvasId, deltaX, deltaY) => {
-        const state = resultPanZoomStates[canvasId.replace('-canvas', '')];
-        if (!state.isInitialized) return;
-        
-        state.offsetX += deltaX;
-        state.offsetY += deltaY;
-        
-        const canvas = document.getElementById(canvasId);
-        if (!canvas) return;
-        
-        // 該当する結果図を再描画
-        if (canvasId === 'displacement-canvas') {
-            if (lastResults && lastResults.D && lastResults.D.length > 0) {
-                console.log('変位図: パン操作で再描画', { hasLastResults: !!lastResults, hasD: !!lastResults.D, d_length: lastResults.D.length });
-                drawDisplacementDiagram(lastResults.nodes, lastResults.members, lastResults.D, lastResults.memberLoads);
-            } else {
-                console.log('変位図: データ不足で再描画スキップ', { hasLastResults: !!lastResults, hasD: lastResults ? !!lastResults.D : false });
-            }
-        } else if (canvasId === 'moment-canvas' && lastResults && lastResults.forces) {
-            drawMomentDiagram(lastResults.nodes, lastResults.members, lastResults.forces, lastResults.memberLoads);
-        } else if (canvasId === 'axial-canvas' && lastResults && lastResults.forces) {
-            drawAxialForceDiagram(lastResults.nodes, lastResults.members, lastResults.forces);
-        } else if (canvasId === 'shear-canvas' && lastResults && lastResults.forces) {
-            drawShearForceDiagram(lastResults.nodes, lastResults.members, lastResults.forces, lastResults.memberLoads);
-        } else if (canvasId === 'ratio-canvas') {
-            drawRatioDiagram();
+    // 結果図のキャンバスにマウス操作機能を追加
+    const addResultCanvasMouseControls = (canvasId) => {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) {
+            console.error(`キャンバスが見つかりません: ${canvasId}`);
+            return;
+        }
+
+        console.log(`マウス操作機能を追加: ${canvasId}`, { canvas: canvas });
+
+        let isDragging = false;
+        let lastMouseX = 0;
+        let lastMouseY = 0;
+
+        // マウスダウンイベント
+        canvas.addEventListener('mousedown', (e) => {
+            if (e.button === 0) { // 左クリック
+                console.log(`マウスダウン: ${canvasId}`, { 
+                    hasLastResults: !!lastResults, 
+                    hasD: lastResults ? !!lastResults.D : false,
+                    d_length: lastResults && lastResults.D ? lastResults.D.length : 0
+                });
+                isDragging = true;
+                lastMouseX = e.clientX;
+                lastMouseY = e.clientY;
+                canvas.style.cursor = 'grabbing';
+            }
+        });
+
+        // マウス移動イベント
+        canvas.addEventListener('mousemove', (e) => {
+            if (isDragging) {
+                const deltaX = e.clientX - lastMouseX;
+                const deltaY = e.clientY - lastMouseY;
+                panResultCanvas(canvasId, deltaX, deltaY);
+                lastMouseX = e.clientX;
+                lastMouseY = e.clientY;
+            }
+        });
+
+        // マウスアップイベント
+        canvas.addEventListener('mouseup', (e) => {
+            if (e.button === 0) {
+                isDragging = false;
+                canvas.style.cursor = 'grab';
+            }
+        });
+
+        // マウスリーブイベント
+        canvas.addEventListener('mouseleave', () => {
+            isDragging = false;
+            canvas.style.cursor = 'grab';
+        });
+
+        // ホイールイベント（ズーム）
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = canvas.getBoundingClientRect();
+            const centerX = e.clientX - rect.left;
+            const centerY = e.clientY - rect.top;
+            const zoomFactor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+            zoomResultCanvas(canvasId, zoomFactor, centerX, centerY);
+        }, { passive: false });
+
+        // カーソルスタイルを設定
+        canvas.style.cursor = 'grab';
+    };
+
+    const animateDisplacement = (nodes, members, D_global, memberLoads, forces) => {
+        const drawingCtx = getDrawingContext(elements.modelCanvas);
+        if (!drawingCtx) return;
+        const { ctx, transform, scale } = drawingCtx;
+
+        let dispScale = parseFloat(elements.animScaleInput.value);
+
+        if (isNaN(dispScale)) {
+            dispScale = lastDisplacementScale || 0;
+            elements.animScaleInput.placeholder = `自動(${dispScale.toFixed(2)})`;
+        }
+        
+        const duration = 2000;
+        let startTime = null;
+
+        const animationFrame = (timestamp) => {
+            if (!startTime) startTime = timestamp;
+            const elapsedTime = timestamp - startTime;
+            let progress = Math.min(elapsedTime / duration, 1);
+            progress = progress < 0.5 ? 4 * progress * progress * progress : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+
+            const currentDrawingCtx = getDrawingContext(elements.modelCanvas);
+            if (!currentDrawingCtx) return;
+            
+            const { ctx, transform } = currentDrawingCtx;
+            if (elements.gridToggle.checked) { drawGrid(ctx, transform, elements.modelCanvas.clientWidth, elements.modelCanvas.clientHeight); }
+            drawStructure(ctx, transform, nodes, members, '#ccc', true, true);
+            drawBoundaryConditions(ctx, transform, nodes);
+            
+            ctx.strokeStyle = 'red';
+            ctx.lineWidth = 2;
+            members.forEach((m, idx) => {
+                const c = m.c, s = m.s, ni = nodes[m.i];
+                const load = memberLoads.find(l => l.memberIndex === idx);
+                ctx.beginPath();
+                FrameSolver.calculateMemberStations(m, forces[idx], load, D_global, 20).forEach(({ x, u: u_local, v: v_local }, k) => {
+                    const p_deformed = { x: ni.x + (x*c - (v_local*dispScale*progress)*s) + (u_local*dispScale*progress*c), y: ni.y + (x*s + (v_local*dispScale*progress)*c) + (u_local*dispScale*progress*s) };
+                    const p = transform(p_deformed.x, p_deformed.y);
+                    if (k === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+                });
+                ctx.stroke();
+            });
+
+            if (progress < 1) { requestAnimationFrame(animationFrame); } 
+            else { drawOnCanvas(); }
+        };
+        requestAnimationFrame(animationFrame);
+    };
+
+    /**
+     * 骨組の座屈モード形をモデル図上で往復アニメーション表示する
+     * モード形は最大並進成分を1に正規化しているため、構造全体の寸法の1/10を振幅とする
+     * @param {number} modeIndex - 座屈モードのインデックス（0始まり）
+     */
+    const animateBucklingMode = (modeIndex) => {
+        const mode = lastFrameBuckling?.modes?.[modeIndex];
+        if (!mode || !lastResults) return;
+        const { nodes, members } = lastResults;
+        const xs = nodes.map(n => n.x), ys = nodes.map(n => n.y);
+        const amplitude = 0.1 * (Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) || 1);
+
+        const duration = 3000;
+        let startTime = null;
+
+        const animationFrame = (timestamp) => {
+            if (!startTime) startTime = timestamp;
+            const elapsedTime = timestamp - startTime;
+            const progress = Math.min(elapsedTime / duration, 1);
+            const scale = amplitude * Math.sin(4 * Math.PI * progress);
+
+            const currentDrawingCtx = getDrawingContext(elements.modelCanvas);
+            if (!currentDrawingCtx) return;
+
+            const { ctx, transform } = currentDrawingCtx;
+            if (elements.gridToggle.checked) { drawGrid(ctx, transform, elements.modelCanvas.clientWidth, elements.modelCanvas.clientHeight); }
+            drawStructure(ctx, transform, nodes, members, '#ccc', true, true);
+            drawBoundaryConditions(ctx, transform, nodes);
+
+            ctx.strokeStyle = 'purple';
+            ctx.lineWidth = 2;
+            members.forEach((m, idx) => {
+                const c = m.c, s = m.s, ni = nodes[m.i];
+                ctx.beginPath();
+                mode.memberShapes[idx].forEach(({ x, u: u_local, v: v_local }, k) => {
+                    const p = transform(ni.x + x*c + (u_local*c - v_local*s)*scale, ni.y + x*s + (u_local*s + v_local*c)*scale);
+                    if (k === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+                });
+                ctx.stroke();
+            });
+            ctx.fillStyle = 'purple';
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = 'left';
+            ctx.fillText(`座屈モード ${modeIndex + 1}次  λ = ${mode.factor.toFixed(3)}`, 10, 20);
+
+            if (progress < 1) { requestAnimationFrame(animationFrame); }
+            else { drawOnCanvas(); }
+        };
+        requestAnimationFrame(animationFrame);
+    };
+    window.animateBucklingMode = animateBucklingMode;
+
+    const frameBucklingBtn = document.getElementById('frame-buckling-btn');
+    if (frameBucklingBtn) frameBucklingBtn.onclick = runFrameBucklingAnalysis;
+
+    // --- 固有値解析（固有振動）機能 ---
+    // 固有値解析の結果（解析時の入力の節点・部材を含む）
+    let lastModalResults = null;
+
+    /**
+     * 部材の単位長さあたり質量 (t/m) = 密度 (kg/m³) / 1000 × 断面積 (m²)
+     * 密度列（自重考慮時のみ表示）がなければ弾性係数に対応する材料の密度を用いる
+     */
+    const getMemberMassPerLength = (member, index) => {
+        const row = elements.membersTable.rows[index];
+        const densityInput = row?.querySelector('.density-cell input');
+        const eValue = row?.cells[3]?.querySelector('select')?.value;
+        const density = densityInput ? (parseFloat(densityInput.value) || 0) : (MATERIAL_DENSITY_DATA[eValue] ?? MATERIAL_DENSITY_DATA.custom);
+        return Math.max(0, density) / 1000 * member.A;
+    };
+
+    /**
+     * 入力中のモデルで固有値解析を実行し、結果を表示する
+     */
+    const runModalAnalysis = () => {
+        const summary = document.getElementById('modal-summary');
+        lastModalResults = null;
+        window.lastModalResults = null;
+        try {
+            const { nodes, members, constraints } = parseInputs();
+            if (nodes.length === 0 || members.length === 0) throw new Error('節点と部材を入力してください。');
+            const modes = Math.max(1, Math.min(30, Math.round(parseFloat(document.getElementById('modal-mode-count').value) || FrameSolver.MODAL_DEFAULTS.modes)));
+            const massType = document.getElementById('modal-mass-type').value;
+            const massMembers = members.map((member, idx) => ({ ...member, mass: getMemberMassPerLength(member, idx) }));
+            lastModalResults = { ...FrameSolver.analyzeModal({ nodes, members: massMembers, constraints }, { modes, massType }), nodes, members };
+            window.lastModalResults = lastModalResults;
+        } catch (error) {
+            console.warn('固有値解析中にエラーが発生しました:', error);
+            document.getElementById('modal-results').innerHTML = '';
+            summary.textContent = `固有値解析を実行できませんでした: ${error.message}`;
+            return;
+        }
+        displayModalResults();
+    };
+
+    const displayModalResults = () => {
+        const summary = document.getElementById('modal-summary');
+        const table = document.getElementById('modal-results');
+        if (!summary || !table || !lastModalResults) return;
+        const { modes, totalMass, solverInfo } = lastModalResults;
+        const massLabel = solverInfo.massType === 'lumped' ? '集中質量' : '整合質量';
+        summary.textContent = `${massLabel}マトリクス ／ 各部材を ${solverInfo.segments} 分割（方程式数 ${solverInfo.equations}）／ 有効質量比の基準とした質量 X: ${totalMass.x.toFixed(3)} t, Y: ${totalMass.y.toFixed(3)} t`;
+        if (modes.length === 0) {
+            table.innerHTML = '';
+            summary.textContent += ' ／ 振動モードがありません。';
+            return;
+        }
+        const percent = (ratio) => (ratio * 100).toFixed(1);
+        let html = `<thead><tr><th>次数</th><th>固有周期 T (s)</th><th>振動数 f (Hz)</th><th>円振動数 ω (rad/s)</th><th>有効質量比 X (%)</th><th>累積 X (%)</th><th>有効質量比 Y (%)</th><th>累積 Y (%)</th><th>モード形</th></tr></thead><tbody>`;
+        modes.forEach((mode, k) => {
+            const { x, y } = mode.participation;
+            html += `<tr><td>${k + 1}</td><td>${mode.period.toFixed(4)}</td><td>${mode.frequency.toFixed(3)}</td><td>${mode.circularFrequency.toFixed(3)}</td><td>${percent(x.ratio)}</td><td>${percent(x.cumulative)}</td><td>${percent(y.ratio)}</td><td>${percent(y.cumulative)}</td><td><button onclick="animateVibrationMode(${k})">アニメーション</button></td></tr>`;
+        });
+        table.innerHTML = html + '</tbody>';
+    };
+
+    /**
+     * 固有モード形を変位図上で往復アニメーション表示する（終了後は変位図を描き直す）
+     * @param {number} modeIndex - 固有モードのインデックス（0始まり）
+     */
+    const animateVibrationMode = (modeIndex) => {
+        const mode = lastModalResults?.modes?.[modeIndex];
+        if (!mode) return;
+        const { nodes, members } = lastModalResults;
+        const xs = nodes.map(n => n.x), ys = nodes.map(n => n.y);
+        const amplitude = 0.1 * (Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) || 1);
+
+        const duration = 3000;
+        let startTime = null;
+
+        const animationFrame = (timestamp) => {
+            if (!startTime) startTime = timestamp;
+            const elapsedTime = timestamp - startTime;
+            const progress = Math.min(elapsedTime / duration, 1);
+            const scale = amplitude * Math.sin(4 * Math.PI * progress);
+
+            const currentDrawingCtx = getDrawingContext(elements.displacementCanvas);
+            if (!currentDrawingCtx) return;
+
+            const { ctx, transform } = currentDrawingCtx;
+            drawStructure(ctx, transform, nodes, members, '#ccc', true, true);
+            drawBoundaryConditions(ctx, transform, nodes);
+
+            ctx.strokeStyle = 'teal';
+            ctx.lineWidth = 2;
+            members.forEach((m, idx) => {
+                const c = m.c, s = m.s, ni = nodes[m.i];
+                ctx.beginPath();
+                mode.memberShapes[idx].forEach(({ x, u: u_local, v: v_local }, k) => {
+                    const p = transform(ni.x + x*c + (u_local*c - v_local*s)*scale, ni.y + x*s + (u_local*s + v_local*c)*scale);
+                    if (k === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+                });
+                ctx.stroke();
+            });
+            ctx.fillStyle = 'teal';
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = 'left';
+            ctx.fillText(`固有モード ${modeIndex + 1}次  T = ${mode.period.toFixed(4)} s  (f = ${mode.frequency.toFixed(3)} Hz)`, 10, 20);
+
+            if (progress < 1) { requestAnimationFrame(animationFrame); return; }
+            if (lastResults && lastResults.D) {
+                drawDisplacementDiagram(lastResults.nodes, lastResults.members, lastResults.D, lastResults.memberLoads, lastResults.forces);
+            } else {
+                getDrawingContext(elements.displacementCanvas);
+            }
+        };
+        requestAnimationFrame(animationFrame);
+    };
+    window.animateVibrationMode = animateVibrationMode;
+
+    const modalAnalysisBtn = document.getElementById('modal-analysis-btn');
+    if (modalAnalysisBtn) modalAnalysisBtn.onclick = runModalAnalysis;
+
+    // --- 時刻歴応答解析機能 ---
+    // 読み込んだ加速度記録のテキストとファイル名
+    let timeHistoryRecord = null;
+    // 時刻歴応答解析の結果（解析時の入力の節点・部材を含む）
+    let lastTimeHistoryResults = null;
+
+    // 部材端力の成分（結果表と同じく i端は -N_i, Q_i, M_i、j端は N_j, -Q_j, M_j を表示する）
+    const TIME_HISTORY_FORCE_COMPONENTS = {
+        'i.N': { key: 'N_i', sign: -1, label: 'i端 軸力 N', unit: 'kN' },
+        'i.Q': { key: 'Q_i', sign: 1, label: 'i端 せん断力 Q', unit: 'kN' },
+        'i.M': { key: 'M_i', sign: 1, label: 'i端 曲げM', unit: 'kN・m' },
+        'j.N': { key: 'N_j', sign: 1, label: 'j端 軸力 N', unit: 'kN' },
+        'j.Q': { key: 'Q_j', sign: -1, label: 'j端 せん断力 Q', unit: 'kN' },
+        'j.M': { key: 'M_j', sign: 1, label: 'j端 曲げM', unit: 'kN・m' }
+    };
+    // 節点変位の成分（変位は mm、回転角は rad で表示する）
+    const TIME_HISTORY_DISPLACEMENT_COMPONENTS = {
+        x: { factor: 1000, label: '水平変位 δx', unit: 'mm' },
+        y: { factor: 1000, label: '鉛直変位 δy', unit: 'mm' },
+        rotation: { factor: 1, label: '回転角 θ', unit: 'rad' }
+    };
+
+    const thRecordFileInput = document.getElementById('th-record-file');
+    if (thRecordFileInput) {
+        thRecordFileInput.addEventListener('change', () => {
+            const file = thRecordFileInput.files?.[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                timeHistoryRecord = { name: file.name, text: e.target.result };
+                document.getElementById('th-summary').textContent = `加速度記録「${file.name}」を読み込みました。`;
+            };
+            reader.onerror = () => { document.getElementById('th-summary').textContent = `加速度記録「${file.name}」を読み込めませんでした。`; };
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * 読み込んだ加速度記録と入力中のモデルで時刻歴応答解析を実行し、結果を表示する
+     */
+    const runTimeHistoryAnalysis = () => {
+        const summary = document.getElementById('th-summary');
+        lastTimeHistoryResults = null;
+        window.lastTimeHistoryResults = null;
+        try {
+            if (!timeHistoryRecord) throw new Error('加速度記録のファイルを選択してください。');
+            const { nodes, members, constraints } = parseInputs();
+            if (nodes.length === 0 || members.length === 0) throw new Error('節点と部材を入力してください。');
+            const numberOrNull = (id) => { const value = parseFloat(document.getElementById(id).value); return value > 0 ? value : null; };
+            const record = FrameSolver.parseAccelerogram(timeHistoryRecord.text, {
+                unit: document.getElementById('th-acceleration-unit').value,
+                dt: numberOrNull('th-record-dt')
+            });
+            const options = {
+                direction: document.getElementById('th-direction').value,
+                scale: parseFloat(document.getElementById('th-scale').value) || 1,
+                damping: parseFloat(document.getElementById('th-damping').value) || 0,
+                dt: numberOrNull('th-dt'),
+                duration: numberOrNull('th-duration'),
+                newmarkBeta: parseFloat(document.getElementById('th-newmark-beta').value) || FrameSolver.TIME_HISTORY_DEFAULTS.newmarkBeta
+            };
+            const massMembers = members.map((member, idx) => ({ ...member, mass: getMemberMassPerLength(member, idx) }));
+            lastTimeHistoryResults = { ...FrameSolver.analyzeTimeHistory({ nodes, members: massMembers, constraints }, record, options), nodes, members, recordName: timeHistoryRecord.name };
+            window.lastTimeHistoryResults = lastTimeHistoryResults;
+        } catch (error) {
+            console.warn('時刻歴応答解析中にエラーが発生しました:', error);
+            ['th-node-peaks', 'th-member-peaks'].forEach(id => { document.getElementById(id).innerHTML = ''; });
+            const canvas = document.getElementById('time-history-canvas');
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            summary.textContent = `時刻歴応答解析を実行できませんでした: ${error.message}`;
+            return;
+        }
+        displayTimeHistoryResults();
+    };
+
+    const displayTimeHistoryResults = () => {
+        const summary = document.getElementById('th-summary');
+        if (!summary || !lastTimeHistoryResults) return;
+        const { nodes, members, peaks, rayleigh, solverInfo, recordName } = lastTimeHistoryResults;
+        const [w1, w2] = rayleigh.circularFrequencies;
+        summary.textContent = `「${recordName}」 ${solverInfo.direction.toUpperCase()}方向 ／ Δt = ${solverInfo.dt} s × ${solverInfo.steps} ステップ（${solverInfo.duration.toFixed(2)} s）／ Newmark-β法 β = ${solverInfo.newmarkBeta === 0.25 ? '1/4' : solverInfo.newmarkBeta.toFixed(4)} ／ レーリー減衰 h = ${solverInfo.damping}（T₁ = ${(2 * Math.PI / w1).toFixed(4)} s, T₂ = ${(2 * Math.PI / w2).toFixed(4)} s）／ 最大地動加速度 ${peaks.groundAcceleration.absMax.toFixed(3)} m/s² ／ 最大ベースシア ${peaks.baseShear.absMax.toFixed(2)} kN`;
+
+        // 出力する節点・部材の選択肢（選択は可能な限り保持する）
+        const fillSelect = (id, count, label) => {
+            const select = document.getElementById(id);
+            const previous = select.value;
+            select.innerHTML = Array.from({ length: count }, (_, k) => `<option value="${k}">${label} ${k + 1}</option>`).join('');
+            if (previous !== '' && Number(previous) < count) select.value = previous;
+        };
+        fillSelect('th-node-select', nodes.length, '節点');
+        fillSelect('th-member-select', members.length, '部材');
+
+        const peakCells = (peak, factor, digits) => `<td>${(peak.max * factor).toFixed(digits)}</td><td>${peak.maxTime.toFixed(3)}</td><td>${(peak.min * factor).toFixed(digits)}</td><td>${peak.minTime.toFixed(3)}</td>`;
+        let nodeHTML = `<thead><tr><th rowspan="2">節点 #</th><th colspan="4">水平変位 δx (mm)</th><th colspan="4">鉛直変位 δy (mm)</th><th colspan="4">回転角 θ (rad)</th></tr><tr>${'<th>最大</th><th>時刻 (s)</th><th>最小</th><th>時刻 (s)</th>'.repeat(3)}</tr></thead><tbody>`;
+        peaks.displacements.forEach((p, i) => { nodeHTML += `<tr><td>${i + 1}</td>${peakCells(p.x, 1000, 2)}${peakCells(p.y, 1000, 2)}${peakCells(p.rotation, 1, 5)}</tr>`; });
+        document.getElementById('th-node-peaks').innerHTML = nodeHTML + '</tbody>';
+
+        let memberHTML = `<thead><tr><th>部材 #</th><th>端</th><th colspan="2">軸力 N (kN)</th><th colspan="2">せん断力 Q (kN)</th><th colspan="2">曲げM (kN・m)</th></tr><tr><th></th><th></th>${'<th>最大</th><th>最小</th>'.repeat(3)}</tr></thead><tbody>`;
+        peaks.forces.forEach((p, idx) => {
+            ['i', 'j'].forEach((end, k) => {
+                const cells = ['N', 'Q', 'M'].map(name => {
+                    const { key, sign } = TIME_HISTORY_FORCE_COMPONENTS[`${end}.${name}`];
+                    const values = [p[key].max * sign, p[key].min * sign];
+                    return `<td>${Math.max(...values).toFixed(2)}</td><td>${Math.min(...values).toFixed(2)}</td>`;
+                }).join('');
+                memberHTML += `<tr>${k === 0 ? `<td rowspan="2">${idx + 1}</td>` : ''}<td>${members[idx][end] + 1} (${end}端)</td>${cells}</tr>`;
+            });
+        });
+        document.getElementById('th-member-peaks').innerHTML = memberHTML + '</tbody>';
+
+        drawTimeHistoryPlots();
+    };
+
+    /**
+     * 地動加速度・選択した節点の変位・選択した部材の端力の時刻歴を上下に並べて描画する
+     */
+    const drawTimeHistoryPlots = () => {
+        const canvas = document.getElementById('time-history-canvas');
+        if (!canvas || !lastTimeHistoryResults) return;
+        const { time, groundAcceleration, displacements, forces } = lastTimeHistoryResults;
+        const nodeIndex = Number(document.getElementById('th-node-select').value) || 0;
+        const memberIndex = Number(document.getElementById('th-member-select').value) || 0;
+        const displacement = TIME_HISTORY_DISPLACEMENT_COMPONENTS[document.getElementById('th-node-component').value];
+        const nodeComponent = document.getElementById('th-node-component').value;
+        const force = TIME_HISTORY_FORCE_COMPONENTS[document.getElementById('th-member-component').value];
+        const plots = [
+            { title: '地動加速度', unit: 'm/s²', values: groundAcceleration, factor: 1, color: '#7f8c8d' },
+            { title: `節点 ${nodeIndex + 1} ${displacement.label}`, unit: displacement.unit, values: displacements[nodeIndex][nodeComponent], factor: displacement.factor, color: '#2980b9' },
+            { title: `部材 ${memberIndex + 1} ${force.label}`, unit: force.unit, values: forces[memberIndex][force.key], factor: force.sign, color: '#c0392b' }
+        ];
+
+        const panelHeight = 170;
+        canvas.style.height = `${panelHeight * plots.length}px`;
+        const rect = canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = rect.width * dpr;
+        canvas.height = rect.height * dpr;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+        ctx.clearRect(0, 0, rect.width, rect.height);
+
+        const left = 70, right = 20, top = 25, bottom = 30;
+        const width = rect.width - left - right;
+        const tMax = time[time.length - 1] || 1;
+        plots.forEach((plot, k) => {
+            const y0 = k * panelHeight + top, height = panelHeight - top - bottom;
+            const scaled = Array.from(plot.values, v => v * plot.factor);
+            const absMax = scaled.reduce((max, v) => Math.max(max, Math.abs(v)), 0) || 1;
+            const toX = (t) => left + t / tMax * width;
+            const toY = (v) => y0 + height / 2 - v / absMax * height / 2;
+
+            // 枠・ゼロ線・軸の目盛
+            ctx.strokeStyle = '#ccc';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(left, y0, width, height);
+            ctx.beginPath();
+            ctx.moveTo(left, toY(0));
+            ctx.lineTo(left + width, toY(0));
+            ctx.stroke();
+            ctx.fillStyle = '#333';
+            ctx.font = '11px Arial';
+            ctx.textAlign = 'right';
+            [absMax, 0, -absMax].forEach(v => ctx.fillText(Math.abs(v) < 1e-3 && v !== 0 ? v.toExponential(2) : v.toFixed(3), left - 5, toY(v) + 4));
+            ctx.textAlign = 'center';
+            const tickStep = [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100].find(s => tMax / s <= 10) || 200;
+            for (let t = 0; t <= tMax + 1e-9; t += tickStep) ctx.fillText(t.toFixed(tickStep < 1 ? 1 : 0), toX(t), y0 + height + 14);
+            ctx.fillText('時刻 (s)', left + width / 2, y0 + height + 26);
+
+            // 時刻歴
+            ctx.strokeStyle = plot.color;
+            ctx.lineWidth = 1.2;
+            ctx.beginPath();
+            scaled.forEach((v, i) => { if (i === 0) ctx.moveTo(toX(time[i]), toY(v)); else ctx.lineTo(toX(time[i]), toY(v)); });
+            ctx.stroke();
+
+            // 絶対値の最大点
+            const peakIndex = scaled.reduce((best, v, i) => (Math.abs(v) > Math.abs(scaled[best]) ? i : best), 0);
+            ctx.fillStyle = plot.color;
+            ctx.beginPath();
+            ctx.arc(toX(time[peakIndex]), toY(scaled[peakIndex]), 3, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.font = 'bold 12px Arial';
+            ctx.textAlign = 'left';
+            ctx.fillText(`${plot.title} (${plot.unit})  最大 ${scaled[peakIndex].toFixed(plot.unit === 'rad' ? 5 : 3)}（${time[peakIndex].toFixed(2)} s）`, left, y0 - 8);
+        });
+    };
+
+    const thAnalysisBtn = document.getElementById('th-analysis-btn');
+    if (thAnalysisBtn) thAnalysisBtn.onclick = runTimeHistoryAnalysis;
+    ['th-node-select', 'th-node-component', 'th-member-select', 'th-member-component'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.addEventListener('change', drawTimeHistoryPlots);
+    });
+
+    // --- プッシュオーバー解析機能 ---
+    // 解析の終了条件の表示名
+    const PUSHOVER_STOP_REASONS = {
+        mechanism: '崩壊機構の形成',
+        maxDisplacement: '制御節点の変位が上限に到達',
+        maxSteps: `最大ステップ数（${FrameSolver.PUSHOVER_DEFAULTS.maxSteps}）に到達`,
+        noHinge: '塑性ヒンジが生じる部材端に曲げモーメントが生じない'
+    };
+    // 全塑性モーメントを F値から求める材料強度の種別（木材・コンクリートの部材には塑性ヒンジを設けない）
+    const PLASTIC_STRENGTH_TYPES = ['F-value', 'F-stainless', 'F-aluminum'];
+
+    /**
+     * 部材の全塑性モーメント Mp = Zp × F (kN·m)。Zp が未入力の部材は断面係数 Z を用いる
+     * @returns {number|null} F値を持たない材料の部材は null
+     */
+    const getMemberPlasticMoment = (member) => {
+        const F = member.strengthProps?.value;
+        if (!PLASTIC_STRENGTH_TYPES.includes(member.strengthProps?.type) || !(F > 0)) return null;
+        const modulus = member.Zp > 0 ? member.Zp : member.Z;
+        return modulus > 0 ? modulus * F * 1000 : null;
+    };
+
+    /**
+     * 指定した荷重ケースの節点荷重・部材荷重（G を含む場合は自重も加える）
+     * @param {object} parsed - parseInputs() の戻り値
+     * @param {Array<string>} caseIds - 荷重ケースID
+     */
+    const getCaseLoads = ({ nodeLoads, memberLoads, memberSelfWeights, nodeSelfWeights }, caseIds) => {
+        const inCases = (load) => caseIds.includes(FrameSolver.normalizeLoadCaseId(load.loadCase));
+        const withSelfWeight = caseIds.includes('G');
+        return {
+            nodeLoads: [...nodeLoads.filter(inCases), ...(withSelfWeight ? nodeSelfWeights || [] : []).map(l => ({ nodeIndex: l.nodeIndex, px: l.px, py: l.py, mz: l.mz }))],
+            memberLoads: [...memberLoads.filter(inCases), ...(withSelfWeight ? memberSelfWeights || [] : []).filter(l => l.loadType === 'distributed').map(l => ({ memberIndex: l.memberIndex, w: l.w, direction: l.direction || 'local' }))]
+        };
+    };
+
+    /**
+     * 入力中のモデルでプッシュオーバー解析を実行し、容量曲線と塑性ヒンジの発生順序を表示する
+     */
+    const runPushoverAnalysis = () => {
+        const summary = document.getElementById('pushover-summary');
+        lastPushoverResults = null;
+        window.lastPushoverResults = null;
+        try {
+            const parsed = parseInputs();
+            const { nodes, members, constraints } = parsed;
+            if (nodes.length === 0 || members.length === 0) throw new Error('節点と部材を入力してください。');
+            const loadCase = document.getElementById('pushover-load-case').value;
+            const pattern = parsed.nodeLoads.filter(load => FrameSolver.normalizeLoadCaseId(load.loadCase) === loadCase);
+            // 先行載荷する鉛直荷重（荷重パターンに選んだケースは除く）
+            const gravity = document.getElementById('pushover-gravity-checkbox').checked ? getCaseLoads(parsed, ['G', 'P'].filter(id => id !== loadCase)) : { nodeLoads: [], memberLoads: [] };
+            const controlNode = parseInt(document.getElementById('pushover-control-node').value, 10);
+            if (controlNode > nodes.length || controlNode < 1) throw new Error(`制御節点 ${controlNode} は存在しません。`);
+            const maxDisplacement = parseFloat(document.getElementById('pushover-max-displacement').value);
+            const plasticMembers = members.map(member => ({ ...member, Mp: getMemberPlasticMoment(member) ?? undefined }));
+            const result = FrameSolver.analyzePushover({ nodes, members: plasticMembers, constraints, nodeLoads: gravity.nodeLoads, memberLoads: gravity.memberLoads }, {
+                pattern,
+                direction: document.getElementById('pushover-direction').value,
+                controlNode: controlNode >= 1 ? controlNode - 1 : undefined,
+                maxDisplacement: maxDisplacement > 0 ? maxDisplacement / 1000 : null
+            });
+            lastPushoverResults = { ...result, nodes, members: plasticMembers, loadCase };
+            window.lastPushoverResults = lastPushoverResults;
+        } catch (error) {
+            console.warn('プッシュオーバー解析中にエラーが発生しました:', error);
+            document.getElementById('pushover-hinges').innerHTML = '';
+            const canvas = document.getElementById('pushover-canvas');
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            summary.textContent = `プッシュオーバー解析を実行できませんでした: ${error.message}`;
+            drawOnCanvas();
+            return;
+        }
+        displayPushoverResults();
+        drawOnCanvas();
+    };
+
+    const displayPushoverResults = () => {
+        const summary = document.getElementById('pushover-summary');
+        if (!summary || !lastPushoverResults) return;
+        const { curve, hinges, stopReason, loadFactor, baseShear, controlNode, direction, patternTotal, members, loadCase } = lastPushoverResults;
+        const last = curve[curve.length - 1];
+        const elasticModulusMembers = members.map((m, idx) => (m.Mp && !(m.Zp > 0) ? idx + 1 : null)).filter(Boolean);
+        const noHingeMembers = members.map((m, idx) => (m.Mp ? null : idx + 1)).filter(Boolean);
+        summary.textContent = `荷重ケース ${loadCase} の節点荷重（合計 ${Math.abs(patternTotal).toFixed(2)} kN）を${direction.toUpperCase()}方向に漸増 ／ 制御節点 ${controlNode + 1} ／ ${PUSHOVER_STOP_REASONS[stopReason]}（塑性ヒンジ ${hinges.length} 箇所）／ 最大ベースシア ${baseShear.toFixed(2)} kN（荷重係数 ${loadFactor.toFixed(3)}）／ 制御節点の変位 ${(last.displacement * 1000).toFixed(2)} mm`
+            + (elasticModulusMembers.length > 0 ? ` ／ Zp 未入力のため Z を用いた部材: ${elasticModulusMembers.join(', ')}` : '')
+            + (noHingeMembers.length > 0 ? ` ／ 塑性ヒンジを考慮しない部材（F値なし）: ${noHingeMembers.join(', ')}` : '');
+
+        let html = `<thead><tr><th>順序</th><th>ステップ</th><th>部材 #</th><th>位置</th><th>M (kN・m)</th><th>Mp (kN・m)</th><th>ベースシア (kN)</th><th>制御節点の変位 (mm)</th></tr></thead><tbody>`;
+        hinges.forEach((h, k) => {
+            html += `<tr><td>${k + 1}</td><td>${h.step}</td><td>${h.member + 1}</td><td>${h.end}端（節点 ${members[h.member][h.end] + 1}）</td><td>${h.moment.toFixed(2)}</td><td>${h.Mp.toFixed(2)}</td><td>${h.baseShear.toFixed(2)}</td><td>${(h.displacement * 1000).toFixed(2)}</td></tr>`;
+        });
+        document.getElementById('pushover-hinges').innerHTML = html + '</tbody>';
+
+        drawPushoverCurve();
+    };
+
+    /**
+     * 容量曲線（ベースシア − 制御節点の変位）を描画し、塑性ヒンジの発生点にステップ番号を付ける
+     */
+    const drawPushoverCurve = () => {
+        const canvas = document.getElementById('pushover-canvas');
+        if (!canvas || !lastPushoverResults) return;
+        const { curve, hinges, controlNode, direction } = lastPushoverResults;
+        canvas.style.height = '360px';
+        const rect = canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = rect.width * dpr;
+        canvas.height = rect.height * dpr;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+        ctx.clearRect(0, 0, rect.width, rect.height);
+
+        const left = 70, right = 30, top = 30, bottom = 45;
+        const width = rect.width - left - right, height = rect.height - top - bottom;
+        const displacements = curve.map(p => p.displacement * 1000), shears = curve.map(p => p.baseShear);
+        const xMin = Math.min(0, ...displacements), xMax = Math.max(...displacements, xMin + 1e-6);
+        const yMax = Math.max(...shears) * 1.1 || 1;
+        const toX = (d) => left + (d - xMin) / (xMax - xMin) * width;
+        const toY = (v) => top + height - v / yMax * height;
+
+        // 枠と軸の目盛
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(left, top, width, height);
+        ctx.fillStyle = '#333';
+        ctx.font = '11px Arial';
+        for (let k = 0; k <= 5; k++) {
+            const v = yMax * k / 5, d = xMin + (xMax - xMin) * k / 5;
+            ctx.textAlign = 'right';
+            ctx.fillText(v.toFixed(1), left - 5, toY(v) + 4);
+            ctx.textAlign = 'center';
+            ctx.fillText(d.toFixed(1), toX(d), top + height + 14);
+        }
+        ctx.fillText(`制御節点 ${controlNode + 1} の${direction.toUpperCase()}方向変位 (mm)`, left + width / 2, top + height + 32);
+        ctx.save();
+        ctx.translate(16, top + height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText('ベースシア (kN)', 0, 0);
+        ctx.restore();
+
+        // 容量曲線
+        ctx.strokeStyle = '#2980b9';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        curve.forEach((p, i) => { if (i === 0) ctx.moveTo(toX(displacements[i]), toY(p.baseShear)); else ctx.lineTo(toX(displacements[i]), toY(p.baseShear)); });
+        ctx.stroke();
+
+        // 塑性ヒンジの発生点（同じステップのヒンジはまとめて表示）
+        ctx.fillStyle = '#e74c3c';
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'left';
+        [...new Set(hinges.map(h => h.step))].forEach(step => {
+            const p = curve.find(point => point.step === step);
+            const x = toX(p.displacement * 1000), y = toY(p.baseShear);
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, 2 * Math.PI);
+            ctx.fill();
+            const numbers = hinges.map((h, k) => (h.step === step ? k + 1 : null)).filter(Boolean);
+            ctx.fillText(`#${numbers.join(',')}`, x + 6, y + 14);
+        });
+        ctx.fillStyle = '#333';
+        ctx.font = 'bold 12px Arial';
+        ctx.fillText('容量曲線（番号は塑性ヒンジの発生順）', left, top - 10);
+    };
+
+    // 容量曲線と塑性ヒンジの発生順序だけをエクセルに出力する
+    const exportPushoverToExcel = async () => {
+        try {
+            if (!lastPushoverResults) throw new Error('先にプッシュオーバー解析を実行してください。');
+            if (typeof XLSX === 'undefined') await loadSheetJS();
+            const workbook = XLSX.utils.book_new();
+            await addPushoverSheet(workbook);
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:\-T]/g, '');
+            XLSX.writeFile(workbook, `プッシュオーバー解析_${timestamp}.xlsx`);
+        } catch (error) {
+            console.error('プッシュオーバー解析結果のエクセル出力でエラーが発生しました:', error);
+            safeAlert('エクセル出力でエラーが発生しました: ' + error.message);
         }
     };
 
-    // 結果図のキャンバスにマウス操作機能を追加
-    const addResultCanvasMouseControls = (canvasId) => {
-        const canvas = document.getElementById(canvasId);
-        if (!canvas) {
-            console.error(`キャンバスが見つかりません: ${canvasId}`);
+    const pushoverAnalysisBtn = document.getElementById('pushover-analysis-btn');
+    if (pushoverAnalysisBtn) pushoverAnalysisBtn.onclick = runPushoverAnalysis;
+    const pushoverExportBtn = document.getElementById('pushover-export-btn');
+    if (pushoverExportBtn) pushoverExportBtn.onclick = exportPushoverToExcel;
+
+    // --- 崩壊荷重（極限解析）機能 ---
+    /**
+     * 入力中のモデルで剛塑性解析を行い、崩壊荷重係数と崩壊機構の塑性ヒンジを表示する（崩壊機構はモデル図に描画）
+     */
+    const runLimitAnalysis = () => {
+        const summary = document.getElementById('limit-summary');
+        lastLimitResults = null;
+        window.lastLimitResults = null;
+        try {
+            const parsed = parseInputs();
+            const { nodes, members, constraints } = parsed;
+            if (nodes.length === 0 || members.length === 0) throw new Error('節点と部材を入力してください。');
+            const loadCase = document.getElementById('limit-load-case').value;
+            const constantCases = document.getElementById('limit-constant-gravity-checkbox').checked ? ['G', 'P'].filter(id => id !== loadCase) : [];
+            const scaledCases = (loadCase === 'all' ? FrameSolver.LOAD_CASES.map(c => c.id).filter(id => id !== 'FD') : [loadCase]).filter(id => !constantCases.includes(id));
+            const scaled = getCaseLoads(parsed, scaledCases);
+            const plasticMembers = members.map(member => ({ ...member, Mp: getMemberPlasticMoment(member) ?? undefined }));
+            const result = FrameSolver.analyzeLimit({ nodes, members: plasticMembers, constraints, nodeLoads: scaled.nodeLoads, memberLoads: scaled.memberLoads }, {
+                constantLoads: getCaseLoads(parsed, constantCases)
+            });
+            lastLimitResults = { ...result, members: plasticMembers, loadCase, constantCases };
+            window.lastLimitResults = lastLimitResults;
+        } catch (error) {
+            console.warn('極限解析中にエラーが発生しました:', error);
+            document.getElementById('limit-hinges').innerHTML = '';
+            summary.textContent = `崩壊荷重を計算できませんでした: ${error.message}`;
+            drawOnCanvas();
             return;
         }
+        displayLimitResults();
+        drawOnCanvas();
+    };
 
-        console.log(`マウス操作機能を追加: ${canvasId}`, { canvas: canvas });
+    const displayLimitResults = () => {
+        const summary = document.getElementById('limit-summary');
+        if (!summary || !lastLimitResults) return;
+        const { loadFactor, hinges, work, members, loadCase, constantCases, refinements } = lastLimitResults;
+        const elasticModulusMembers = members.map((m, idx) => (m.Mp && !(m.Zp > 0) ? idx + 1 : null)).filter(Boolean);
+        const noHingeMembers = members.map((m, idx) => (m.Mp ? null : idx + 1)).filter(Boolean);
+        summary.textContent = `崩壊荷重係数 λ = ${loadFactor.toFixed(3)}（${loadCase === 'all' ? '全荷重ケース' : `荷重ケース ${loadCase} `}を係数倍${constantCases.length > 0 ? `、${constantCases.join('・')} は一定` : ''}）／ 塑性ヒンジ ${hinges.length} 箇所`
+            + ` ／ 仮想仕事式: λ × ${work.loads.toFixed(3)}${constantCases.length > 0 ? ` + (${work.constantLoads.toFixed(3)})` : ''} = Σ Mp・θ = ${work.dissipation.toFixed(3)}（最大変位を1とした崩壊機構）`
+            + (refinements > 0 ? ` ／ 部材中間の検討断面の追加 ${refinements} 回` : '')
+            + (elasticModulusMembers.length > 0 ? ` ／ Zp 未入力のため Z を用いた部材: ${elasticModulusMembers.join(', ')}` : '')
+            + (noHingeMembers.length > 0 ? ` ／ 塑性化を考慮しない部材（F値なし）: ${noHingeMembers.join(', ')}` : '');
+
+        let html = `<thead><tr><th>番号</th><th>部材 #</th><th>位置</th><th>M (kN・m)</th><th>Mp (kN・m)</th><th>回転角 θ</th></tr></thead><tbody>`;
+        hinges.forEach((h, k) => {
+            const position = h.end ? `${h.end}端（節点 ${members[h.member][h.end] + 1}）` : `i端から ${h.x.toFixed(3)} m`;
+            html += `<tr><td>${k + 1}</td><td>${h.member + 1}</td><td>${position}</td><td>${h.moment.toFixed(2)}</td><td>${h.Mp.toFixed(2)}</td><td>${h.rotation.toFixed(4)}</td></tr>`;
+        });
+        document.getElementById('limit-hinges').innerHTML = html + '</tbody>';
+    };
 
-        let isDragging = false;
-        let lastMouseX = 0;
-        let lastMouseY = 0;
+    const limitAnalysisBtn = document.getElementById('limit-analysis-btn');
+    if (limitAnalysisBtn) limitAnalysisBtn.onclick = runLimitAnalysis;
 
-        // マウスダウンイベント
-        canvas.addEventListener('mousedown', (e) => {
-            if (e.button === 0) { // 左クリック
-                console.log(`マウスダウン: ${canvasId}`, { 
-                    hasLastResults: !!lastResults, 
-                    hasD: lastResults ? !!lastResults.D : false,
-                    d_length: lastResults && lastResults.D ? lastResults.D.length : 0
-                });
-                isDragging = true;
-                lastMouseX = e.clientX;
-                lastMouseY = e.clientY;
-                canvas.style.cursor = 'grabbing';
-            }
+    // --- 影響線・移動荷重機能 ---
+    /**
+     * 影響線・移動荷重の入力（載荷経路と応答）を読み込む
+     * @returns {{ path: Array<number>, response: object }} 部材・節点番号は0始まりのインデックス
+     */
+    const readInfluenceInputs = () => {
+        const pathText = document.getElementById('influence-path').value.trim();
+        if (pathText === '') throw new Error('載荷経路の部材番号を入力してください（例: 1,2,3）。');
+        const path = pathText.split(/[\s,、]+/).filter(Boolean).map(v => {
+            const number = Number(v);
+            if (!Number.isInteger(number)) throw new Error(`載荷経路の部材番号「${v}」が不正です。`);
+            return number - 1;
         });
+        const [type, component] = document.getElementById('influence-response').value.split('-');
+        const target = parseInt(document.getElementById('influence-target').value, 10) - 1;
+        const response = type === 'reaction'
+            ? { type, node: target, component }
+            : { type, member: target, x: parseFloat(document.getElementById('influence-position').value) || 0, component };
+        return { path, response };
+    };
 
-        // マウス移動イベント
-        canvas.addEventListener('mousemove', (e) => {
-            if (isDragging) {
-                const deltaX = e.clientX - lastMouseX;
-                const deltaY = e.clientY - lastMouseY;
-                panResultCanvas(canvasId, deltaX, deltaY);
-                lastMouseX = e.clientX;
-                lastMouseY = e.clientY;
-            }
-        });
+    const describeInfluenceResponse = (response) => (response.type === 'reaction'
+        ? `節点 ${response.node + 1} の反力 ${{ x: 'Rx', y: 'Ry', mz: 'Mz' }[response.component]}`
+        : `部材 ${response.member + 1} の${{ N: '軸力 N', Q: 'せん断力 Q', M: '曲げモーメント M' }[response.component]}（i端から ${response.x.toFixed(2)} m）`);
 
-        // マウスアップイベント
-        canvas.addEventListener('mouseup', (e) => {
-            if (e.button === 0) {
-                isDragging = false;
-                canvas.style.cursor = 'grab';
-            }
+    /**
+     * 影響線を載荷経路の部材に沿って描画する（正の値は部材の上側、鉛直部材では左側）
+     */
+    const drawInfluenceLine = (canvas, nodes, members, influence, response) => {
+        const drawingCtx = getDrawingContext(canvas);
+        if (!drawingCtx) return;
+        const { ctx, transform, scale } = drawingCtx;
+        const labelManager = LabelManager();
+        drawStructure(ctx, transform, nodes, members, '#ccc', true, true);
+        const obstacles = nodes.map(n => {
+            const pos = transform(n.x, n.y);
+            return { x1: pos.x - 16, y1: pos.y - 16, x2: pos.x + 16, y2: pos.y + 16 };
         });
 
-        // マウスリーブイベント
-        canvas.addEventListener('mouseleave', () => {
-            isDragging = false;
-            canvas.style.cursor = 'grab';
+        const maxValue = Math.max(...influence.points.map(p => Math.abs(p.value)));
+        const valueScale = (scale > 0 && maxValue > 1e-9) ? (60 / scale) / maxValue : 0;
+        const toPoint = (point, value) => {
+            const m = members[point.member], n_i = nodes[m.i];
+            // 部材の法線のうち上向き（鉛直部材では左向き）を正とする
+            const flip = m.c < -1e-9 || (Math.abs(m.c) <= 1e-9 && m.s < 0) ? -1 : 1;
+            const offset = value * valueScale * flip;
+            return transform(n_i.x + point.a * m.c - offset * m.s, n_i.y + point.a * m.s + offset * m.c);
+        };
+        influence.legs.forEach(leg => {
+            const points = influence.points.filter(p => p.s >= leg.start - 1e-9 && p.s <= leg.start + leg.length + 1e-9)
+                .map(p => ({ ...p, member: leg.member, a: leg.reversed ? leg.length - (p.s - leg.start) : p.s - leg.start }));
+            if (points.length === 0) return;
+            const start = toPoint(points[0], 0), end = toPoint(points[points.length - 1], 0);
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            points.forEach(p => { const pt = toPoint(p, p.value); ctx.lineTo(pt.x, pt.y); });
+            ctx.lineTo(end.x, end.y);
+            ctx.closePath();
+            ctx.fillStyle = 'rgba(142, 68, 173, 0.15)';
+            ctx.strokeStyle = '#8e44ad';
+            ctx.lineWidth = 1.5;
+            ctx.fill();
+            ctx.stroke();
         });
 
-        // ホイールイベント（ズーム）
-        canvas.addEventListener('wheel', (e) => {
-            e.preventDefault();
-            const rect = canvas.getBoundingClientRect();
-            const centerX = e.clientX - rect.left;
-            const centerY = e.clientY - rect.top;
-            const zoomFactor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
-            zoomResultCanvas(canvasId, zoomFactor, centerX, centerY);
-        }, { passive: false });
+        // 応答位置
+        ctx.fillStyle = '#e67e22';
+        const target = response.type === 'reaction'
+            ? transform(nodes[response.node].x, nodes[response.node].y)
+            : toPoint({ member: response.member, a: response.x }, 0);
+        ctx.beginPath();
+        ctx.arc(target.x, target.y, 5, 0, 2 * Math.PI);
+        ctx.fill();
 
-        // カーソルスタイルを設定
-        canvas.style.cursor = 'grab';
+        // 最大値・最小値
+        ctx.font = 'bold 14px Arial';
+        [{ peak: influence.max, color: 'red' }, { peak: influence.min, color: 'blue' }].forEach(({ peak, color }) => {
+            if (Math.abs(peak.value) < 1e-6) return;
+            const point = influence.points.find(p => p.s === peak.s);
+            const pt = toPoint(point, point.value);
+            ctx.fillStyle = color;
+            labelManager.draw(ctx, `${peak.value.toFixed(3)}`, pt.x, pt.y, obstacles);
+        });
+        ctx.fillStyle = '#333'; ctx.font = '14px Arial'; ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic';
+        ctx.fillText(`影響線: ${describeInfluenceResponse(response)}（単位荷重 1 kN 下向き）`, 10, 20);
     };
 
-    const animateDisplacement = (nodes, members, D_global, memberLoads) => {
-        const drawingCtx = getDrawingContext(elements.modelCanvas);
-        if (!drawingCtx) return;
-        const { ctx, transform, scale } = drawingCtx;
-
-        let dispScale = parseFloat(elements.animScaleInput.value);
-
-        if (isNaN(dispScale)) {
-            dispScale = lastDisplacementScale || 0;
-            elements.animScaleInput.placeholder = `自動(${dispScale.toFixed(2)})`;
+    /**
+     * 単位荷重を載荷経路上で移動させ、指定した応答の影響線を描画する
+     */
+    const runInfluenceLine = () => {
+        const summary = document.getElementById('influence-summary');
+        try {
+            const { nodes, members, constraints } = parseInputs();
+            if (nodes.length === 0 || members.length === 0) throw new Error('節点と部材を入力してください。');
+            const { path, response } = readInfluenceInputs();
+            const influence = FrameSolver.analyzeInfluenceLine({ nodes, members, constraints }, { path, response });
+            window.lastInfluenceResults = influence;
+            const at = (s) => `経路の始点から ${s.toFixed(2)} m`;
+            summary.textContent = `${describeInfluenceResponse(response)} の影響線 ／ 載荷経路 部材 ${path.map(i => i + 1).join('→')}（経路長 ${influence.length.toFixed(2)} m）`
+                + ` ／ 最大 ${influence.max.value.toFixed(3)}（${at(influence.max.s)}） ／ 最小 ${influence.min.value.toFixed(3)}（${at(influence.min.s)}）`;
+            drawInfluenceLine(document.getElementById('influence-canvas'), nodes, members, influence, response);
+        } catch (error) {
+            console.warn('影響線の計算中にエラーが発生しました:', error);
+            summary.textContent = `影響線を計算できませんでした: ${error.message}`;
         }
-        
-        const duration = 2000;
-        let startTime = null;
+    };
 
-        const animationFrame = (timestamp) => {
-            if (!startTime) startTime = timestamp;
-            const elapsedTime = timestamp - startTime;
-            let progress = Math.min(elapsedTime / duration, 1);
-            progress = progress < 0.5 ? 4 * progress * progress * progress : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+    const drawMovingLoadEnvelope = () => {
+        if (!lastMovingLoadResults) return;
+        const { nodes, members, envelope } = lastMovingLoadResults;
+        drawEnvelopeDiagram(document.getElementById('moving-load-canvas'), nodes, members, envelope, document.getElementById('moving-load-component').value, 60);
+    };
 
-            const currentDrawingCtx = getDrawingContext(elements.modelCanvas);
-            if (!currentDrawingCtx) return;
-            
-            const { ctx, transform } = currentDrawingCtx;
-            if (elements.gridToggle.checked) { drawGrid(ctx, transform, elements.modelCanvas.clientWidth, elements.modelCanvas.clientHeight); }
-            drawStructure(ctx, transform, nodes, members, '#ccc', true, true);
-            drawBoundaryConditions(ctx, transform, nodes);
-            
-            ctx.strokeStyle = 'red';
-            ctx.lineWidth = 2;
-            members.forEach((m, idx) => {
-                const L = m.length, c = m.c, s = m.s, ni = nodes[m.i];
-                const d_global_member_vec = [ ...D_global.slice(m.i * 3, m.i * 3 + 3), ...D_global.slice(m.j * 3, m.j * 3 + 3) ];
-                const d_local_vec = mat.multiply(m.T, d_global_member_vec);
-                const [ui, vi, thi, uj, vj, thj] = d_local_vec.map(v => v[0]);
-                const load = memberLoads.find(l => l.memberIndex === idx), w = load ? load.w : 0, E = m.E, I = m.I;
-                ctx.beginPath();
-                for (let k = 0; k <= 20; k++) {
-                    const x = (k / 20) * L, xi = x / L;
-                    const N1 = 1 - 3*xi**2 + 2*xi**3, N2 = x * (1 - xi)**2, N3 = 3*xi**2 - 2*xi**3, N4 = (x**2 / L) * (xi - 1);
-                    const u_local = (1 - xi) * ui + xi * uj, v_homogeneous = N1*vi + N2*thi + N3*vj + N4*thj;
-                    let v_particular = 0;
-                    if (w !== 0 && E > 0 && I > 0) {
-                        if (m.i_conn === 'rigid' && m.j_conn === 'rigid') v_particular = (w * x**2 * (L - x)**2) / (24 * E * I);
-                        else if (m.i_conn === 'pinned' && m.j_conn === 'pinned') v_particular = (w * x * (L**3 - 2 * L * x**2 + x**3)) / (24 * E * I);
-                        else if (m.i_conn === 'rigid' && m.j_conn === 'pinned') v_particular = (w * x**2 * (3 * L**2 - 5 * L * x + 2 * x**2)) / (48 * E * I);
-                        else if (m.i_conn === 'pinned' && m.j_conn === 'rigid') v_particular = (w * x * (L**3 - 3 * L * x**2 + 2 * x**3)) / (48 * E * I);
-                    }
-                    const v_local = v_homogeneous - v_particular;
-                    const p_deformed = { x: ni.x + (x*c - (v_local*dispScale*progress)*s) + (u_local*dispScale*progress*c), y: ni.y + (x*s + (v_local*dispScale*progress)*c) + (u_local*dispScale*progress*s) };
-                    const p = transform(p_deformed.x, p_deformed.y);
-                    if (k === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
-                }
-                ctx.stroke();
+    /**
+     * 軸重の列を載荷経路上で移動させ、応答の最大・最小と経路の部材の断面力の包絡図を求める
+     */
+    const runMovingLoad = () => {
+        const summary = document.getElementById('influence-summary');
+        lastMovingLoadResults = null;
+        try {
+            const { nodes, members, constraints } = parseInputs();
+            if (nodes.length === 0 || members.length === 0) throw new Error('節点と部材を入力してください。');
+            const { path, response } = readInfluenceInputs();
+            const axles = FrameSolver.parseAxleLoads(document.getElementById('moving-load-axles').value);
+            const step = parseFloat(document.getElementById('moving-load-step').value);
+            const result = FrameSolver.analyzeMovingLoad({ nodes, members, constraints }, {
+                path,
+                axles,
+                response,
+                step: step > 0 ? step : null,
+                bothDirections: document.getElementById('moving-load-both-directions').checked
             });
-
-            if (progress < 1) { requestAnimationFrame(animationFrame); } 
-            else { drawOnCanvas(); }
-        };
-        requestAnimationFrame(animationFrame);
+            lastMovingLoadResults = { ...result, nodes, members, path, response, axles };
+            const { positions, response: peak, envelope } = result;
+            const totalLoad = axles.reduce((sum, axle) => sum + axle.P, 0);
+            const unit = ['M', 'mz'].includes(response.component) ? 'kN・m' : 'kN';
+            summary.textContent = `移動荷重: ${axles.length} 軸（総重量 ${totalLoad.toFixed(1)} kN、軸列長 ${result.trainLength.toFixed(2)} m） ／ 載荷位置 ${positions.length} ケース`
+                + ` ／ ${describeInfluenceResponse(response)} の最大 ${peak.max.toFixed(2)} ${unit}（${envelope.labels[peak.maxPosition]}） ／ 最小 ${peak.min.toFixed(2)} ${unit}（${envelope.labels[peak.minPosition]}）`;
+        } catch (error) {
+            console.warn('移動荷重の計算中にエラーが発生しました:', error);
+            summary.textContent = `移動荷重を計算できませんでした: ${error.message}`;
+            return;
+        }
+        window.lastMovingLoadResults = lastMovingLoadResults;
+        drawMovingLoadEnvelope();
     };
 
+    const influenceLineBtn = document.getElementById('influence-line-btn');
+    if (influenceLineBtn) influenceLineBtn.onclick = runInfluenceLine;
+    const movingLoadBtn = document.getElementById('moving-load-btn');
+    if (movingLoadBtn) movingLoadBtn.onclick = runMovingLoad;
+    const movingLoadComponent = document.getElementById('moving-load-component');
+    if (movingLoadComponent) movingLoadComponent.addEventListener('change', drawMovingLoadEnvelope);
+
     // --- Canvas Interaction ---
     const getNodeAt = (canvasX, canvasY) => { 
         console.log('getNodeAt called:', { canvasX, canvasY, hasLastDrawingContext: !!lastDrawingContext });
@@ -7794,8 +9642,7 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('add-popup-i').value = newMemberDefaults.I;
         document.getElementById('add-popup-a').value = newMemberDefaults.A;
         document.getElementById('add-popup-z').value = newMemberDefaults.Z;
-        document.getElementById('add-popup-i-conn').value = newMemberDefaults.i_conn;
-        document.getElementById('add-popup-j-conn').value = newMemberDefaults.j_conn;
+        ['i', 'j'].forEach(end => writeConnectionPopup(`add-popup-${end}`, { conn: newMemberDefaults[`${end}_conn`], kr: newMemberDefaults[`${end}_kr`], fixity: newMemberDefaults[`${end}_fixity`] }));
         
         // ポップアップを画面中央に表示
         const popup = elements.addMemberPopup;
@@ -7925,19 +9772,22 @@ document.addEventListener('DOMContentLoaded', () => {
         const iInput = document.getElementById('add-popup-i');
         const aInput = document.getElementById('add-popup-a');
         const zInput = document.getElementById('add-popup-z');
-        const iConnSelect = document.getElementById('add-popup-i-conn');
-        const jConnSelect = document.getElementById('add-popup-j-conn');
 
         if (iInput) newMemberDefaults.I = iInput.value;
         if (aInput) newMemberDefaults.A = aInput.value;
         if (zInput) newMemberDefaults.Z = zInput.value;
-        if (iConnSelect) newMemberDefaults.i_conn = iConnSelect.value;
-        if (jConnSelect) newMemberDefaults.j_conn = jConnSelect.value;
+        ['i', 'j'].forEach(end => {
+            const { conn, kr, fixity } = readConnectionPopup(`add-popup-${end}`);
+            Object.assign(newMemberDefaults, { [`${end}_conn`]: conn, [`${end}_kr`]: kr, [`${end}_fixity`]: fixity });
+        });
 
         elements.addMemberPopup.style.display = 'none';
         setCanvasMode('addMember');
     };
     document.getElementById('add-popup-cancel').onclick = () => { elements.addMemberPopup.style.display = 'none'; };
+    ['popup-i', 'popup-j', 'add-popup-i', 'add-popup-j'].forEach(prefix => {
+        document.getElementById(`${prefix}-conn`)?.addEventListener('change', () => syncConnectionPopup(prefix));
+    });
 
     elements.modelCanvas.addEventListener('mousedown', (e) => {
         if (e.button !== 0) return;
@@ -8181,19 +10031,20 @@ document.addEventListener('DOMContentLoaded', () => {
                 const iConnIndex = hasDensityColumn ? 12 : 11;
                 const jConnIndex = hasDensityColumn ? 13 : 12;
 
-                const props = {E:E_val, F:F_val, I:I_m4, A:A_m2, Z:Z_m3, i_conn:memberRow.cells[iConnIndex].querySelector('select').value, j_conn:memberRow.cells[jConnIndex].querySelector('select').value};
+                const iConnection = getConnectionCellValues(memberRow.cells[iConnIndex]), jConnection = getConnectionCellValues(memberRow.cells[jConnIndex]);
+                const props = {E:E_val, F:F_val, I:I_m4, A:A_m2, Z:Z_m3, i_conn:iConnection.conn, j_conn:jConnection.conn};
                 memberRow.querySelector('.delete-row-btn').onclick.apply(memberRow.querySelector('.delete-row-btn'));
-                addRow(elements.nodesTable, [`#`,`<input type="number" value="${finalCoords.x.toFixed(2)}">`,`<input type="number" value="${finalCoords.y.toFixed(2)}">`,`<select><option value="free" selected>自由</option><option value="pinned">ピン</option><option value="fixed">固定</option><option value="roller">ローラー</option></select>`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.001">`], false);
+                addRow(elements.nodesTable, [`#`,`<input type="number" value="${finalCoords.x.toFixed(2)}">`,`<input type="number" value="${finalCoords.y.toFixed(2)}">`,supportSelectHTML('free'), `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.001">`], false);
                 const newNodeId = elements.nodesTable.rows.length;
-                addRow(elements.membersTable, [`#`, ...memberRowHTML(startNodeId, newNodeId, props.E, props.F, props.I, props.A, props.Z, props.i_conn, 'rigid')], false);
-                addRow(elements.membersTable, [`#`, ...memberRowHTML(newNodeId, endNodeId, props.E, props.F, props.I, props.A, props.Z, 'rigid', props.j_conn)], false);
+                addRow(elements.membersTable, [`#`, ...memberRowHTML(startNodeId, newNodeId, props.E, props.F, props.I, props.A, props.Z, props.i_conn, 'rigid', '', '', { i_kr: iConnection.kr, i_fixity: iConnection.fixity })], false);
+                addRow(elements.membersTable, [`#`, ...memberRowHTML(newNodeId, endNodeId, props.E, props.F, props.I, props.A, props.Z, 'rigid', props.j_conn, '', '', { j_kr: jConnection.kr, j_fixity: jConnection.fixity })], false);
                 renumberTables(); drawOnCanvas();
             } else { 
                 const spacing=parseFloat(elements.gridSpacing.value), snapTolerance=spacing/2.5;
                 const snappedX=Math.round(modelCoords.x/spacing)*spacing, snappedY=Math.round(modelCoords.y/spacing)*spacing;
                 const dist=Math.sqrt((modelCoords.x-snappedX)**2+(modelCoords.y-snappedY)**2);
                 if (elements.gridToggle.checked && dist < snapTolerance) { modelCoords.x=snappedX; modelCoords.y=snappedY; }
-                addRow(elements.nodesTable, [`#`,`<input type="number" value="${modelCoords.x.toFixed(2)}">`,`<input type="number" value="${modelCoords.y.toFixed(2)}">`,`<select><option value="free" selected>自由</option><option value="pinned">ピン</option><option value="fixed">固定</option><option value="roller">ローラー</option></select>`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.001">`]); 
+                addRow(elements.nodesTable, [`#`,`<input type="number" value="${modelCoords.x.toFixed(2)}">`,`<input type="number" value="${modelCoords.y.toFixed(2)}">`,supportSelectHTML('free'), `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.001">`]); 
             }
         } else if (canvasMode === 'addMember') {
             let targetNodeIndex = clickedNodeIndex;
@@ -8233,7 +10084,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
                 
                 // 新規節点をテーブルに追加
-                addRow(elements.nodesTable, [`#`, `<input type="number" value="${snappedX.toFixed(2)}">`, `<input type="number" value="${snappedY.toFixed(2)}">`, `<select><option value="free" selected>自由</option><option value="pinned">ピン</option><option value="fixed">固定</option><option value="roller">ローラー</option></select>`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.001">`]);
+                addRow(elements.nodesTable, [`#`, `<input type="number" value="${snappedX.toFixed(2)}">`, `<input type="number" value="${snappedY.toFixed(2)}">`, supportSelectHTML('free'), `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.001">`]);
                 
                 // 新規作成された節点のインデックスを取得（テーブルの最後の行）
                 const nodeRows = elements.nodesTable.getElementsByTagName('tr');
@@ -8252,7 +10103,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         const sectionName = newMemberDefaults.sectionName || '';
                         const sectionAxis = newMemberDefaults.sectionAxis || '';
                         console.log('🔍 部材追加: newMemberDefaults:', { sectionName, sectionAxis, I: newMemberDefaults.I, A: newMemberDefaults.A, Z: newMemberDefaults.Z });
-                        addRow(elements.membersTable, [`#`, ...memberRowHTML(firstMemberNode+1, targetNodeIndex+1, newMemberDefaults.E, newMemberDefaults.F, I_m4, A_m2, Z_m3, newMemberDefaults.i_conn, newMemberDefaults.j_conn, sectionName, sectionAxis)]);
+                        addRow(elements.membersTable, [`#`, ...memberRowHTML(firstMemberNode+1, targetNodeIndex+1, newMemberDefaults.E, newMemberDefaults.F, I_m4, A_m2, Z_m3, newMemberDefaults.i_conn, newMemberDefaults.j_conn, sectionName, sectionAxis, newMemberDefaults)]);
                         console.log('✅ 部材を作成しました:', { from: firstMemberNode, to: targetNodeIndex });
                     }
                     firstMemberNode = null;
@@ -8330,7 +10181,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (loadedNodeIndex !== -1) {
             selectedNodeIndex = loadedNodeIndex;
             console.log('💡 荷重編集ポップアップ表示開始 - 節点:', selectedNodeIndex + 1);
-            const currentLoads = Array.from(elements.nodeLoadsTable.rows).find(row => parseInt(row.cells[0].querySelector('input').value)-1 === selectedNodeIndex);
+            const currentLoads = findNodeLoadRow(selectedNodeIndex);
             document.getElementById('popup-px').value=currentLoads?currentLoads.cells[1].querySelector('input').value:'0';
             document.getElementById('popup-py').value=currentLoads?currentLoads.cells[2].querySelector('input').value:'0';
             document.getElementById('popup-mz').value=currentLoads?currentLoads.cells[3].querySelector('input').value:'0';
@@ -8442,6 +10293,14 @@ document.addEventListener('DOMContentLoaded', () => {
             document.getElementById('popup-i').value = memberRow.cells[5].querySelector('input').value;
             document.getElementById('popup-a').value = memberRow.cells[6].querySelector('input').value;
             document.getElementById('popup-z').value = memberRow.cells[7].querySelector('input').value;
+            document.getElementById('popup-as').value = memberRow.dataset.as || '';
+            document.getElementById('popup-zp').value = memberRow.dataset.zp || '';
+            document.getElementById('popup-i-rigid').value = memberRow.dataset.rigidI || '';
+            document.getElementById('popup-j-rigid').value = memberRow.dataset.rigidJ || '';
+            document.getElementById('popup-behavior').value = memberRow.dataset.behavior || 'linear';
+            document.getElementById('popup-ks').value = memberRow.dataset.ks || '';
+            document.getElementById('popup-foundation-width').value = memberRow.dataset.foundationWidth || '';
+            [['popup-taper-i', 'taperI'], ['popup-taper-a', 'taperA'], ['popup-taper-z', 'taperZ'], ['popup-haunch-i', 'haunchI'], ['popup-haunch-j', 'haunchJ']].forEach(([id, key]) => { document.getElementById(id).value = memberRow.dataset[key] || ''; });
             
             // 密度欄の表示/非表示と値設定
             const hasDensityColumn = document.querySelector('.density-column') && document.querySelector('.density-column').style.display !== 'none';
@@ -8515,9 +10374,9 @@ document.addEventListener('DOMContentLoaded', () => {
             const iConnIndex = hasDensityColumn ? 12 : 11;
             const jConnIndex = hasDensityColumn ? 13 : 12;
 
-            document.getElementById('popup-i-conn').value = memberRow.cells[iConnIndex].querySelector('select').value;
-            document.getElementById('popup-j-conn').value = memberRow.cells[jConnIndex].querySelector('select').value;
-            const memberLoadRow = Array.from(elements.memberLoadsTable.rows).find(row => parseInt(row.cells[0].querySelector('input').value)-1 === selectedMemberIndex);
+            writeConnectionPopup('popup-i', getConnectionCellValues(memberRow.cells[iConnIndex]));
+            writeConnectionPopup('popup-j', getConnectionCellValues(memberRow.cells[jConnIndex]));
+            const memberLoadRow = findMemberLoadRow(selectedMemberIndex);
             document.getElementById('popup-w').value = memberLoadRow ? memberLoadRow.cells[1].querySelector('input').value : '0';
             
             // ポップアップを部材に重ならない位置に表示（null チェック付き）
@@ -8872,6 +10731,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // 結果図のキャンバスにマウス操作機能を追加
     addResultCanvasMouseControls('displacement-canvas');
     addResultCanvasMouseControls('moment-canvas');
+    addResultCanvasMouseControls('soil-pressure-canvas');
     addResultCanvasMouseControls('axial-canvas');
     addResultCanvasMouseControls('shear-canvas');
     addResultCanvasMouseControls('ratio-canvas');
@@ -8988,6 +10848,27 @@ document.addEventListener('DOMContentLoaded', () => {
         memberRow.cells[5].querySelector('input').value = document.getElementById('popup-i').value;
         memberRow.cells[6].querySelector('input').value = document.getElementById('popup-a').value;
         memberRow.cells[7].querySelector('input').value = document.getElementById('popup-z').value;
+        const shearArea = parseFloat(document.getElementById('popup-as').value);
+        if (shearArea > 0) memberRow.dataset.as = shearArea; else delete memberRow.dataset.as;
+        const plasticModulus = parseFloat(document.getElementById('popup-zp').value);
+        if (plasticModulus > 0) memberRow.dataset.zp = plasticModulus; else delete memberRow.dataset.zp;
+        // 剛域長（mm）。空欄は自動設定または剛域なし
+        [['popup-i-rigid', 'rigidI'], ['popup-j-rigid', 'rigidJ']].forEach(([id, key]) => {
+            const rigidLength = parseFloat(document.getElementById(id).value);
+            if (rigidLength >= 0) memberRow.dataset[key] = rigidLength; else delete memberRow.dataset[key];
+        });
+        const behavior = document.getElementById('popup-behavior').value;
+        if (behavior && behavior !== 'linear') memberRow.dataset.behavior = behavior; else delete memberRow.dataset.behavior;
+        // 弾性床の地盤反力係数（kN/m³）と接地幅（mm）。ks が空欄・0なら弾性床なし
+        [['popup-ks', 'ks'], ['popup-foundation-width', 'foundationWidth']].forEach(([id, key]) => {
+            const value = parseFloat(document.getElementById(id).value);
+            if (value > 0) memberRow.dataset[key] = value; else delete memberRow.dataset[key];
+        });
+        // 変断面の終端（ハンチ端）の断面（cm⁴, cm², cm³）とハンチ長（mm）。I, A が空欄なら等断面
+        [['popup-taper-i', 'taperI'], ['popup-taper-a', 'taperA'], ['popup-taper-z', 'taperZ'], ['popup-haunch-i', 'haunchI'], ['popup-haunch-j', 'haunchJ']].forEach(([id, key]) => {
+            const value = parseFloat(document.getElementById(id).value);
+            if (value > 0) memberRow.dataset[key] = value; else delete memberRow.dataset[key];
+        });
         
         // 密度の保存処理
         const hasDensityColumn = document.querySelector('.density-column') && document.querySelector('.density-column').style.display !== 'none';
@@ -9015,10 +10896,10 @@ document.addEventListener('DOMContentLoaded', () => {
         const iConnIndex = hasDensityColumn ? 12 : 11;
         const jConnIndex = hasDensityColumn ? 13 : 12;
 
-        memberRow.cells[iConnIndex].querySelector('select').value = document.getElementById('popup-i-conn').value;
-        memberRow.cells[jConnIndex].querySelector('select').value = document.getElementById('popup-j-conn').value;
+        setConnectionCellValues(memberRow.cells[iConnIndex], readConnectionPopup('popup-i'));
+        setConnectionCellValues(memberRow.cells[jConnIndex], readConnectionPopup('popup-j'));
         const wValue = parseFloat(document.getElementById('popup-w').value) || 0;
-        const memberLoadRow = Array.from(elements.memberLoadsTable.rows).find(row => parseInt(row.cells[0].querySelector('input').value) - 1 === selectedMemberIndex);
+        const memberLoadRow = findMemberLoadRow(selectedMemberIndex);
         if (wValue !== 0) {
             if (memberLoadRow) {
                 memberLoadRow.cells[1].querySelector('input').value = wValue;
@@ -9049,10 +10930,7 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
-        const loadRow = Array.from(elements.nodeLoadsTable.rows).find(row => {
-            const input = row.cells[0]?.querySelector('input');
-            return input && parseInt(input.value) - 1 === nodeIndex;
-        });
+        const loadRow = findNodeLoadRow(nodeIndex);
 
         // 各入力フィールドに現在の値を設定（nullチェック付き）
         const xInput = nodeRow.cells[1]?.querySelector('input');
@@ -9068,6 +10946,10 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('popup-dx').value = dxInput ? dxInput.value : '0';
         document.getElementById('popup-dy').value = dyInput ? dyInput.value : '0';
         document.getElementById('popup-dr').value = drInput ? drInput.value : '0';
+        const supportValues = getRowNodeSupport(nodeRow);
+        document.getElementById('popup-support-angle').value = supportValues.angle;
+        NODE_SPRING_KEYS.forEach(key => { document.getElementById(`popup-${key}`).value = supportValues[key]; });
+        document.getElementById('popup-mass').value = supportValues.mass;
 
         // 荷重データの設定（nullチェック付き）
         const pxInput = loadRow?.cells[1]?.querySelector('input');
@@ -9114,13 +10996,24 @@ document.addEventListener('DOMContentLoaded', () => {
         nodeRow.cells[4].querySelector('input').value = document.getElementById('popup-dx').value;
         nodeRow.cells[5].querySelector('input').value = document.getElementById('popup-dy').value;
         nodeRow.cells[6].querySelector('input').value = document.getElementById('popup-dr').value;
+        // 支点角度・ばね定数・節点質量の列がない古い行には列を追加してから設定
+        if (!nodeRow.querySelector('.node-spring-kx')) {
+            const deleteCell = nodeRow.cells[nodeRow.cells.length - 1];
+            nodeSupportCellsHTML().forEach(cellHTML => { nodeRow.insertBefore(document.createElement('td'), deleteCell).innerHTML = cellHTML; });
+        }
+        nodeRow.querySelector('.node-support-angle').value = parseFloat(document.getElementById('popup-support-angle').value) || 0;
+        NODE_SPRING_KEYS.forEach(key => {
+            const value = Math.max(0, parseFloat(document.getElementById(`popup-${key}`).value) || 0);
+            nodeRow.querySelector(`.node-spring-${key}`).value = value;
+        });
+        nodeRow.querySelector('.node-mass').value = Math.max(0, parseFloat(document.getElementById('popup-mass').value) || 0);
 
         // 節点荷重テーブルの値を更新または作成/削除
         const px = document.getElementById('popup-px').value || 0;
         const py = document.getElementById('popup-py').value || 0;
         const mz = document.getElementById('popup-mz').value || 0;
 
-        let loadRow = Array.from(elements.nodeLoadsTable.rows).find(row => parseInt(row.cells[0].querySelector('input').value) - 1 === selectedNodeIndex);
+        let loadRow = findNodeLoadRow(selectedNodeIndex);
 
         if (parseFloat(px) === 0 && parseFloat(py) === 0 && parseFloat(mz) === 0) {
             if (loadRow) loadRow.remove(); // 全ての荷重が0なら行を削除
@@ -9556,7 +11449,11 @@ const createEInputHTML = (idPrefix, currentE = '205000') => {
         return html;
     };
 
-    const memberRowHTML = (i, j, E = '205000', F='235', I = 1.84e-5, A = 2.34e-3, Z = 1.23e-3, i_conn = 'rigid', j_conn = 'rigid', sectionName = '', sectionAxis = '') => {
+    /**
+     * 部材テーブル行のセルのHTMLを作成
+     * @param {object} [connections] - 半剛接合の { i_kr, j_kr, i_fixity, j_fixity }
+     */
+    const memberRowHTML = (i, j, E = '205000', F='235', I = 1.84e-5, A = 2.34e-3, Z = 1.23e-3, i_conn = 'rigid', j_conn = 'rigid', sectionName = '', sectionAxis = '', connections = {}) => {
         const baseColumns = [
             `<input type="number" value="${i}">`,
             `<input type="number" value="${j}">`,
@@ -9583,8 +11480,8 @@ const createEInputHTML = (idPrefix, currentE = '205000') => {
         baseColumns.push(`<span class="section-axis-cell">${sectionAxis || '-'}</span>`);
 
         // 接続条件列を追加
-        baseColumns.push(`<select><option value="rigid" ${i_conn === 'rigid' ? 'selected' : ''}>剛</option><option value="pinned" ${i_conn === 'pinned' || i_conn === 'p' ? 'selected' : ''}>ピン</option></select>`);
-        baseColumns.push(`<select><option value="rigid" ${j_conn === 'rigid' ? 'selected' : ''}>剛</option><option value="pinned" ${j_conn === 'pinned' || j_conn === 'p' ? 'selected' : ''}>ピン</option></select>`);
+        baseColumns.push(connectionCellHTML(i_conn, { kr: connections.i_kr, fixity: connections.i_fixity }));
+        baseColumns.push(connectionCellHTML(j_conn, { kr: connections.j_kr, fixity: connections.j_fixity }));
 
         return baseColumns;
     };
@@ -10228,6 +12125,17 @@ const deriveSectionDimensions = (sectionInfo) => {
     return null;
 };
 
+// 構面内の断面せい (m)。強軸(x)まわりの曲げでは H（角形鋼管・山形鋼は A、円形断面は D）、弱軸(y)まわりではフランジ幅を用いる
+const deriveSectionDepth = (sectionInfo, axisKey) => {
+    const dims = deriveSectionDimensions(sectionInfo);
+    if (!dims) return 0;
+    const typeKey = deriveSectionTypeKey(sectionInfo);
+    const depth = axisKey === 'y'
+        ? (['keimizogatakou', 'rippumizokatakou'].includes(typeKey) ? dims.A : (dims.B || dims.A || dims.D))
+        : (dims.H || dims.A || dims.D);
+    return Number.isFinite(depth) && depth > 0 ? depth / 1000 : 0;
+};
+
 const ensureSectionSvgMarkup = (sectionInfo) => {
     if (!sectionInfo || typeof sectionInfo !== 'object') return sectionInfo;
     if (sectionInfo.svgMarkup && sectionInfo.svgMarkup.includes('<svg')) return sectionInfo;
@@ -10737,7 +12645,11 @@ const loadPreset = (index) => {
         elements.membersTable.innerHTML = '';
         elements.nodeLoadsTable.innerHTML = '';
         elements.memberLoadsTable.innerHTML = '';
-        p.nodes.forEach(n => addRow(elements.nodesTable, [`#`, `<input type="number" value="${n.x}">`, `<input type="number" value="${n.y}">`, `<select><option value="free"${n.s==='f'?' selected':''}>自由</option><option value="pinned"${n.s==='p'?' selected':''}>ピン</option><option value="fixed"${n.s==='x'?' selected':''}>固定</option><option value="roller"${n.s==='r'?' selected':''}>ローラー</option></select>`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.001">`], false));
+        elements.thermalLoadsTable.innerHTML = '';
+        elements.initialStrainLoadsTable.innerHTML = '';
+        elements.constraintsTable.innerHTML = '';
+        elements.loadCombinationsTable.innerHTML = '';
+        p.nodes.forEach(n => addRow(elements.nodesTable, [`#`, `<input type="number" value="${n.x}">`, `<input type="number" value="${n.y}">`, supportSelectHTML({ p: 'pinned', x: 'fixed', r: 'roller' }[n.s] || 'free'), `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.001">`, ...nodeSupportCellsHTML(n)], false));
         p.members.forEach(m => {
             const E_N_mm2 = m.E || '205000';
             const F_N_mm2 = m.F || '235';
@@ -10754,7 +12666,7 @@ const loadPreset = (index) => {
             const sectionName = sectionInfoFromPreset?.label || '';
             const sectionAxis = axisInfo?.label || '';
 
-            const rowCells = memberRowHTML(m.i, m.j, E_N_mm2, F_N_mm2, I_m4, A_m2, Z_m3, m.i_conn || m.ic, m.j_conn || m.jc, sectionName, sectionAxis);
+            const rowCells = memberRowHTML(m.i, m.j, E_N_mm2, F_N_mm2, I_m4, A_m2, Z_m3, m.i_conn || m.ic, m.j_conn || m.jc, sectionName, sectionAxis, m);
             if (!rowCells || !Array.isArray(rowCells)) {
                 console.warn('Failed to build member row cells for preset member:', m);
                 return;
@@ -10802,8 +12714,12 @@ const loadPreset = (index) => {
             if (ixToApply != null) newRow.dataset.ix = ixToApply;
             if (iyToApply != null) newRow.dataset.iy = iyToApply;
         });
-        p.nl.forEach(l => addRow(elements.nodeLoadsTable, [`<input type="number" value="${l.n || l.node}">`, `<input type="number" value="${l.px||0}">`, `<input type="number" value="${l.py||0}">`, `<input type="number" value="${l.mz||0}">`], false));
-        p.ml.forEach(l => addRow(elements.memberLoadsTable, [`<input type="number" value="${l.m || l.member}">`, `<input type="number" value="${l.w||0}">`], false));
+        p.nl.forEach(l => addRow(elements.nodeLoadsTable, [`<input type="number" value="${l.n || l.node}">`, `<input type="number" value="${l.px||0}">`, `<input type="number" value="${l.py||0}">`, `<input type="number" value="${l.mz||0}">`, loadCaseSelectHTML(l.c)], false));
+        p.ml.forEach(l => addRow(elements.memberLoadsTable, [`<input type="number" value="${l.m || l.member}">`, `<input type="number" value="${l.w||0}">`, ...memberLoadDetailCellsHTML({ type: l.t, w2: l.w2, a: l.a, b: l.b, direction: l.d, basis: l.bs }), loadCaseSelectHTML(l.c)], false));
+        (p.tl || []).forEach(l => addRow(elements.thermalLoadsTable, [`<input type="number" value="${l.m}">`, ...thermalLoadCellsHTML({ dT: l.dT, dTg: l.dTg, h: l.h, alpha: l.alpha }), loadCaseSelectHTML(l.c || 'T')], false));
+        (p.il || []).forEach(l => addRow(elements.initialStrainLoadsTable, [`<input type="number" value="${l.m}">`, ...initialStrainLoadCellsHTML({ dL: l.dL, P0: l.P0, kappa: l.kappa }), loadCaseSelectHTML(l.c)], false));
+        (p.mpc || []).forEach(c => addRow(elements.constraintsTable, constraintCellsHTML({ type: c.t, master: c.n, slaves: (c.s || []).join(','), dofs: (c.d || []).join(',') }), false));
+        (p.lc || []).forEach(c => addRow(elements.loadCombinationsTable, loadCombinationCellsHTML(c), false));
         renumberTables();
         
         // プリセット読み込み完了フラグをクリア
@@ -10855,7 +12771,7 @@ const loadPreset = (index) => {
             newX = maxX + parseFloat(elements.gridSpacing.value);
             newY = nodeAtMaxX.y;
         }
-        addRow(elements.nodesTable, [`#`, `<input type="number" value="${newX.toFixed(2)}">`, `<input type="number" value="${newY.toFixed(2)}">`, `<select><option value="free">自由</option><option value="pinned">ピン</option><option value="fixed">固定</option><option value="roller">ローラー</option></select>`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.001">`]);
+        addRow(elements.nodesTable, [`#`, `<input type="number" value="${newX.toFixed(2)}">`, `<input type="number" value="${newY.toFixed(2)}">`, supportSelectHTML('free'), `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.1">`, `<input type="number" value="0" step="0.001">`]);
     };
     elements.addMemberBtn.onclick = () => {
         const nodeCount = elements.nodesTable.rows.length;
@@ -10875,7 +12791,7 @@ const loadPreset = (index) => {
                     const I_m4 = parseFloat(newMemberDefaults.I) * 1e-8;
                     const A_m2 = parseFloat(newMemberDefaults.A) * 1e-4;
                     const Z_m3 = parseFloat(newMemberDefaults.Z) * 1e-6;
-                    addRow(elements.membersTable, [`#`, ...memberRowHTML(i,j,newMemberDefaults.E,newMemberDefaults.F,I_m4,A_m2,Z_m3,newMemberDefaults.i_conn,newMemberDefaults.j_conn)]);
+                    addRow(elements.membersTable, [`#`, ...memberRowHTML(i,j,newMemberDefaults.E,newMemberDefaults.F,I_m4,A_m2,Z_m3,newMemberDefaults.i_conn,newMemberDefaults.j_conn,'','',newMemberDefaults)]);
                     return;
                 }
             }
@@ -10884,6 +12800,25 @@ const loadPreset = (index) => {
     };
     elements.addNodeLoadBtn.onclick = () => { addRow(elements.nodeLoadsTable, ['<input type="number" value="1">', '<input type="number" value="0">', '<input type="number" value="0">', '<input type="number" value="0">']); };
     elements.addMemberLoadBtn.onclick = () => { addRow(elements.memberLoadsTable, ['<input type="number" value="1">', '<input type="number" value="0">']); };
+    elements.addThermalLoadBtn.onclick = () => { addRow(elements.thermalLoadsTable, ['<input type="number" value="1">', ...thermalLoadCellsHTML()]); };
+    elements.addInitialStrainLoadBtn.onclick = () => { addRow(elements.initialStrainLoadsTable, ['<input type="number" value="1">', ...initialStrainLoadCellsHTML()]); };
+    elements.addConstraintBtn.onclick = () => { addRow(elements.constraintsTable, constraintCellsHTML()); };
+    // 応答スペクトル解析の設定欄の表示切替
+    const syncResponseSpectrumOptions = () => {
+        if (!elements.responseSpectrumOptions) return;
+        elements.responseSpectrumOptions.style.display = elements.responseSpectrumCheckbox.checked ? '' : 'none';
+        const isTable = document.getElementById('rs-spectrum-type').value === 'table';
+        document.getElementById('rs-building-standard-options').style.display = isTable ? 'none' : '';
+        document.getElementById('rs-table-options').style.display = isTable ? '' : 'none';
+    };
+    if (elements.responseSpectrumCheckbox) {
+        elements.responseSpectrumCheckbox.addEventListener('change', syncResponseSpectrumOptions);
+        document.getElementById('rs-spectrum-type').addEventListener('change', syncResponseSpectrumOptions);
+    }
+    elements.addLoadCombinationBtn.onclick = () => {
+        const index = elements.loadCombinationsTable.rows.length + 1;
+        addRow(elements.loadCombinationsTable, loadCombinationCellsHTML({ name: `組合せ${index}`, term: 'short', factors: { G: 1, P: 1 } }));
+    };
     
     
     const saveInputData = () => {
@@ -10891,12 +12826,12 @@ const loadPreset = (index) => {
             const state = getCurrentState();
             const csvSections = [];
             if (state.nodes.length > 0) {
-                const header = 'x,y,support';
-                const rows = state.nodes.map(n => `${n.x},${n.y},${n.support}`);
+                const header = 'x,y,support,kx,ky,kr,angle,mass';
+                const rows = state.nodes.map(n => `${n.x},${n.y},${n.support},${n.kx},${n.ky},${n.kr},${n.angle},${n.mass}`);
                 csvSections.push('#NODES\n' + header + '\n' + rows.join('\n'));
             }
             if (state.members.length > 0) {
-                const header = 'i,j,E,strengthType,strengthValue,I,A,Z,i_conn,j_conn,Zx,Zy,ix,iy,sectionLabel,sectionSummary,sectionSource,sectionInfo,sectionAxisKey,sectionAxisMode,sectionAxisLabel';
+                const header = 'i,j,E,strengthType,strengthValue,I,A,Z,i_conn,j_conn,Zx,Zy,ix,iy,sectionLabel,sectionSummary,sectionSource,sectionInfo,sectionAxisKey,sectionAxisMode,sectionAxisLabel,i_kr,j_kr,i_fixity,j_fixity';
                 const rows = state.members.map(m => {
                     const sectionLabel = m.sectionLabel ? encodeURIComponent(m.sectionLabel) : '';
                     const sectionSummary = m.sectionSummary ? encodeURIComponent(m.sectionSummary) : '';
@@ -10906,20 +12841,42 @@ const loadPreset = (index) => {
                     const sectionAxisMode = m.sectionAxisMode || (m.sectionAxis && m.sectionAxis.mode) || '';
                     const sectionAxisLabelRaw = m.sectionAxisLabel || (m.sectionAxis && m.sectionAxis.label) || '';
                     const sectionAxisLabel = sectionAxisLabelRaw ? encodeURIComponent(sectionAxisLabelRaw) : '';
-                    return `${m.i},${m.j},${m.E},${m.strengthType},${m.strengthValue},${m.I},${m.A},${m.Z},${m.i_conn},${m.j_conn},${m.Zx || ''},${m.Zy || ''},${m.ix || ''},${m.iy || ''},${sectionLabel},${sectionSummary},${sectionSource},${sectionInfoEncoded},${sectionAxisKey},${sectionAxisMode},${sectionAxisLabel}`;
+                    return `${m.i},${m.j},${m.E},${m.strengthType},${m.strengthValue},${m.I},${m.A},${m.Z},${m.i_conn},${m.j_conn},${m.Zx || ''},${m.Zy || ''},${m.ix || ''},${m.iy || ''},${sectionLabel},${sectionSummary},${sectionSource},${sectionInfoEncoded},${sectionAxisKey},${sectionAxisMode},${sectionAxisLabel},${m.i_kr ?? ''},${m.j_kr ?? ''},${m.i_fixity ?? ''},${m.j_fixity ?? ''}`;
                 });
                 csvSections.push('#MEMBERS\n' + header + '\n' + rows.join('\n'));
             }
             if (state.nodeLoads.length > 0) {
-                const header = 'node,px,py,mz';
-                const rows = state.nodeLoads.map(l => `${l.node},${l.px},${l.py},${l.mz}`);
+                const header = 'node,px,py,mz,loadCase';
+                const rows = state.nodeLoads.map(l => `${l.node},${l.px},${l.py},${l.mz},${l.loadCase}`);
                 csvSections.push('#NODELOADS\n' + header + '\n' + rows.join('\n'));
             }
             if (state.memberLoads.length > 0) {
-                const header = 'member,w';
-                const rows = state.memberLoads.map(l => `${l.member},${l.w}`);
+                const header = 'member,w,loadCase,type,w2,a,b,direction,basis';
+                const rows = state.memberLoads.map(l => `${l.member},${l.w},${l.loadCase},${l.type},${l.w2},${l.a},${l.b},${l.direction},${l.basis}`);
                 csvSections.push('#MEMBERLOADS\n' + header + '\n' + rows.join('\n'));
             }
+            if (state.thermalLoads.length > 0) {
+                const header = 'member,dT,dTg,h,alpha,loadCase';
+                const rows = state.thermalLoads.map(l => `${l.member},${l.dT},${l.dTg},${l.h},${l.alpha},${l.loadCase}`);
+                csvSections.push('#THERMALLOADS\n' + header + '\n' + rows.join('\n'));
+            }
+            if (state.initialStrainLoads.length > 0) {
+                const header = 'member,dL,P0,kappa,loadCase';
+                const rows = state.initialStrainLoads.map(l => `${l.member},${l.dL},${l.P0},${l.kappa},${l.loadCase}`);
+                csvSections.push('#INITIALSTRAINLOADS\n' + header + '\n' + rows.join('\n'));
+            }
+            if (state.constraints.length > 0) {
+                // 従属節点・自由度はカンマ区切りのためエンコードして保存する
+                const header = 'type,master,slaves,dofs';
+                const rows = state.constraints.map(c => `${c.type},${c.master},${encodeURIComponent(c.slaves)},${encodeURIComponent(c.dofs)}`);
+                csvSections.push('#CONSTRAINTS\n' + header + '\n' + rows.join('\n'));
+            }
+            if (state.loadCombinations.length > 0) {
+                const caseIds = FrameSolver.LOAD_CASES.map(c => c.id);
+                const header = ['name', 'term', ...caseIds].join(',');
+                const rows = state.loadCombinations.map(c => [encodeURIComponent(c.name), c.term, ...caseIds.map(id => c.factors[id] || 0)].join(','));
+                csvSections.push('#LOADCOMBINATIONS\n' + header + '\n' + rows.join('\n'));
+            }
             const csvString = csvSections.join('\n\n');
             const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
             const url = URL.createObjectURL(blob);
@@ -10945,7 +12902,7 @@ const loadPreset = (index) => {
             reader.onload = (event) => {
                 try {
                     const text = event.target.result;
-                    const state = { nodes: [], members: [], nodeLoads: [], memberLoads: [] };
+                    const state = { nodes: [], members: [], nodeLoads: [], memberLoads: [], thermalLoads: [], initialStrainLoads: [], constraints: [], loadCombinations: [] };
                     const sections = text.split(/#\w+\s*/).filter(s => s.trim() !== '');
                     const headers = text.match(/#\w+/g) || [];
                     if (headers.length === 0 || sections.length === 0) throw new Error('有効なセクション（#NODESなど）が見つかりませんでした。');
@@ -10961,6 +12918,14 @@ const loadPreset = (index) => {
                             else if (header === '#MEMBERS') state.members.push(obj);
                             else if (header === '#NODELOADS') state.nodeLoads.push(obj);
                             else if (header === '#MEMBERLOADS') state.memberLoads.push(obj);
+                            else if (header === '#THERMALLOADS') state.thermalLoads.push(obj);
+                            else if (header === '#INITIALSTRAINLOADS') state.initialStrainLoads.push(obj);
+                            else if (header === '#CONSTRAINTS') state.constraints.push({ ...obj, slaves: decodeURIComponent(obj.slaves || ''), dofs: decodeURIComponent(obj.dofs || '') });
+                            else if (header === '#LOADCOMBINATIONS') {
+                                const factors = {};
+                                FrameSolver.LOAD_CASES.forEach(c => { factors[c.id] = parseFloat(obj[c.id]) || 0; });
+                                state.loadCombinations.push({ name: decodeURIComponent(obj.name || ''), term: obj.term, factors });
+                            }
                         });
                     });
                     if (state.nodes.length === 0 && state.members.length === 0) throw new Error('ファイルから有効なデータを読み込めませんでした。');
@@ -11085,11 +13050,35 @@ const loadPreset = (index) => {
             const reportWindow = window.open('', '_blank');
             // 座屈解析結果のレポート用HTML生成
             let bucklingReportHTML = '';
+            let loadCombinationReportHTML = '';
+            let thermalLoadReportHTML = '';
+            if (elements.thermalLoadsTable.rows.length > 0) {
+                thermalLoadReportHTML = `<div class="no-break"><h3>温度荷重</h3>${generateReportTableHTML('thermal-loads-table')}</div>`;
+            }
+            if (elements.initialStrainLoadsTable.rows.length > 0) {
+                thermalLoadReportHTML += `<div class="no-break"><h3>初期ひずみ荷重</h3>${generateReportTableHTML('initial-strain-loads-table')}</div>`;
+            }
+            let constraintReportHTML = '';
+            if (elements.constraintsTable.rows.length > 0) {
+                constraintReportHTML = `<div class="no-break"><h3>拘束条件（多点拘束）</h3>${generateReportTableHTML('constraints-table')}</div>`;
+            }
+            if (elements.loadCombinationsTable.rows.length > 0) {
+                loadCombinationReportHTML = `<div class="no-break"><h3>荷重組合せ</h3>${generateReportTableHTML('load-combinations-table')}</div>`;
+            }
+            const loadSetReportHTML = lastAnalysisResult && lastAnalysisResult.loadSetLabel ? `<p>荷重ケース/組合せ: ${lastAnalysisResult.loadSetLabel}</p>` : '';
+
             if (lastBucklingResults && lastBucklingResults.length > 0) {
-                bucklingReportHTML = `<div class="no-break"><h2>弾性座屈解析結果</h2>${generateReportTableHTML('buckling-analysis-results')}</div>`;
+                const frameBucklingHTML = lastFrameBuckling && lastFrameBuckling.modes.length > 0 ? `<h3>骨組の座屈固有値解析</h3>${generateReportTableHTML('frame-buckling-modes')}` : '';
+                bucklingReportHTML = `<div class="no-break"><h2>弾性座屈解析結果</h2>${frameBucklingHTML}${generateReportTableHTML('buckling-analysis-results')}</div>`;
             }
+            const responseSpectrumReportHTML = lastResponseSpectrum
+                ? `<div class="no-break"><h2>応答スペクトル解析結果（荷重ケース K）</h2><p>${elements.responseSpectrumSummary.textContent}</p>${generateReportTableHTML('response-spectrum-modes')}${generateReportTableHTML('response-spectrum-drifts')}</div>`
+                : '';
+            const modalReportHTML = lastModalResults && lastModalResults.modes.length > 0
+                ? `<div class="no-break"><h2>固有値解析結果（固有振動）</h2><p>${document.getElementById('modal-summary').textContent}</p>${generateReportTableHTML('modal-results')}</div>`
+                : '';
 
-            reportWindow.document.write(`<html><head><title>構造解析レポート</title><style>body{font-family:sans-serif;margin:2em;}h1,h2,h3{color:#005A9C;border-bottom:2px solid #f0f8ff;padding-bottom:5px;}table{width:100%;border-collapse:collapse;margin-bottom:2em;}th,td{border:1px solid #ccc;padding:8px;text-align:center;}th{background-color:#f0f8ff;}img{max-width:100%;height:auto;border:1px solid #ccc;margin:1em 0;}.grid{display:grid;grid-template-columns:1fr;gap:20px;}.no-break{page-break-inside:avoid;}@media print{body{margin:1em;}button{display:none;}}</style></head><body><button onclick="window.print()">レポートを印刷</button><h1>構造解析レポート</h1><p>生成日時: ${new Date().toLocaleString()}</p><div class="no-break"><h2>モデル図</h2><img src="${modelCanvasImg}"></div><h2>入力データ</h2><div class="no-break"><h3>節点座標と境界条件</h3>${generateReportTableHTML('nodes-table')}</div><div class="no-break"><h3>部材 (物性値・接合条件)</h3>${generateReportTableHTML('members-table')}</div><div class="no-break"><h3>節点荷重</h3>${generateReportTableHTML('node-loads-table')}</div><div class="no-break"><h3>部材等分布荷重</h3>${generateReportTableHTML('member-loads-table')}</div><h2>計算結果</h2><div class="no-break grid"><div><h3>変位図</h3><img src="${displacementCanvasImg}"></div><div><h3>曲げモーメント図</h3><img src="${momentCanvasImg}"></div><div><h3>軸力図</h3><img src="${axialCanvasImg}"></div><div><h3>せん断力図</h3><img src="${shearCanvasImg}"></div></div><div class="no-break">${generateReportTableHTML('displacement-results')}</div><div class="no-break">${generateReportTableHTML('reaction-results')}</div><div class="no-break">${generateReportTableHTML('force-results')}</div><div class="no-break"><h2>断面算定結果</h2><h3>検定比図</h3><img src="${ratioCanvasImg}"><h3>検定比 詳細</h3>${generateReportTableHTML('section-check-results')}</div>${bucklingReportHTML}</body></html>`);
+            reportWindow.document.write(`<html><head><title>構造解析レポート</title><style>body{font-family:sans-serif;margin:2em;}h1,h2,h3{color:#005A9C;border-bottom:2px solid #f0f8ff;padding-bottom:5px;}table{width:100%;border-collapse:collapse;margin-bottom:2em;}th,td{border:1px solid #ccc;padding:8px;text-align:center;}th{background-color:#f0f8ff;}img{max-width:100%;height:auto;border:1px solid #ccc;margin:1em 0;}.grid{display:grid;grid-template-columns:1fr;gap:20px;}.no-break{page-break-inside:avoid;}@media print{body{margin:1em;}button{display:none;}}</style></head><body><button onclick="window.print()">レポートを印刷</button><h1>構造解析レポート</h1><p>生成日時: ${new Date().toLocaleString()}</p><div class="no-break"><h2>モデル図</h2><img src="${modelCanvasImg}"></div><h2>入力データ</h2><div class="no-break"><h3>節点座標と境界条件</h3>${generateReportTableHTML('nodes-table')}</div><div class="no-break"><h3>部材 (物性値・接合条件)</h3>${generateReportTableHTML('members-table')}</div>${constraintReportHTML}<div class="no-break"><h3>節点荷重</h3>${generateReportTableHTML('node-loads-table')}</div><div class="no-break"><h3>部材荷重</h3>${generateReportTableHTML('member-loads-table')}</div>${thermalLoadReportHTML}${loadCombinationReportHTML}<h2>計算結果</h2>${loadSetReportHTML}<div class="no-break grid"><div><h3>変位図</h3><img src="${displacementCanvasImg}"></div><div><h3>曲げモーメント図</h3><img src="${momentCanvasImg}"></div><div><h3>軸力図</h3><img src="${axialCanvasImg}"></div><div><h3>せん断力図</h3><img src="${shearCanvasImg}"></div></div><div class="no-break">${generateReportTableHTML('displacement-results')}</div><div class="no-break">${generateReportTableHTML('reaction-results')}</div><div class="no-break">${generateReportTableHTML('force-results')}</div><div class="no-break"><h2>断面算定結果</h2><h3>検定比図</h3><img src="${ratioCanvasImg}"><h3>検定比 詳細</h3>${generateReportTableHTML('section-check-results')}</div>${bucklingReportHTML}${responseSpectrumReportHTML}${modalReportHTML}</body></html>`);
             reportWindow.document.close();
         } catch (e) {
             alert('レポートの生成に失敗しました: ' + e.message);
@@ -11129,7 +13118,7 @@ const loadPreset = (index) => {
     elements.calculateAndAnimateBtn.addEventListener('click', () => {
         runFullAnalysis();
         if (lastResults && lastResults.D) {
-            animateDisplacement(lastResults.nodes, lastResults.members, lastResults.D, lastResults.memberLoads);
+            animateDisplacement(lastResults.nodes, lastResults.members, lastResults.D, lastResults.memberLoads, lastResults.forces);
         }
     });
     
@@ -11140,6 +13129,19 @@ const loadPreset = (index) => {
         }
     }));
     
+    // 表示する荷重ケース/組合せの切替（組合せの長期/短期は断面算定の荷重期間に反映）
+    if (elements.resultLoadSetSelect) {
+        elements.resultLoadSetSelect.addEventListener('change', () => {
+            const set = showLoadSetResult(elements.resultLoadSetSelect.value);
+            if (!set) return;
+            if (set.term) {
+                const radio = Array.from(elements.loadTermRadios).find(r => r.value === set.term);
+                if (radio) radio.checked = true;
+            }
+            runSectionCheck();
+        });
+    }
+    
     elements.gridToggle.addEventListener('change', drawOnCanvas);
     elements.gridSpacing.addEventListener('change', drawOnCanvas);
     
@@ -11234,6 +13236,7 @@ const loadPreset = (index) => {
                     elements.membersTable.innerHTML = '';
                     elements.nodeLoadsTable.innerHTML = '';
                     elements.memberLoadsTable.innerHTML = '';
+                    elements.loadCombinationsTable.innerHTML = '';
                     clearResults();
 
                     restoreState(state);
@@ -11400,8 +13403,9 @@ const loadPreset = (index) => {
                 // 節点を削除
                 elements.nodesTable.rows[nodeIndex].remove();
                 
-                // より大きな番号の節点番号を調整
+                // より大きな番号の節点番号を調整（拘束条件の節点番号を含む）
                 updateNodeNumbersAfterDeletion(deletedNodeNumber);
+                updateConstraintNodesAfterDeletion(deletedNodeNumber);
             }
         });
     };
@@ -11417,7 +13421,7 @@ const loadPreset = (index) => {
                 
                 // この部材に関連する荷重を削除
                 const memberLoadsToDelete = [];
-                Array.from(elements.memberLoadsTable.rows).forEach(row => {
+                [elements.memberLoadsTable, elements.thermalLoadsTable, elements.initialStrainLoadsTable].flatMap(table => Array.from(table.rows)).forEach(row => {
                     const memberInput = row.cells[0].querySelector('input');
                     const memberNumber = parseInt(memberInput.value);
                     if (memberNumber === deletedMemberNumber) {
@@ -11467,8 +13471,8 @@ const loadPreset = (index) => {
 
     // 部材削除後の番号調整
     const updateMemberNumbersAfterDeletion = (deletedMemberNumber) => {
-        // 部材荷重表の部材番号を更新
-        Array.from(elements.memberLoadsTable.rows).forEach(row => {
+        // 部材荷重表・温度荷重表・初期ひずみ荷重表の部材番号を更新
+        [elements.memberLoadsTable, elements.thermalLoadsTable, elements.initialStrainLoadsTable].flatMap(table => Array.from(table.rows)).forEach(row => {
             const memberInput = row.cells[0].querySelector('input');
             const memberNumber = parseInt(memberInput.value);
             
@@ -11486,6 +13490,10 @@ const loadPreset = (index) => {
             elements.membersTable.innerHTML = '';
             elements.nodeLoadsTable.innerHTML = '';
             elements.memberLoadsTable.innerHTML = '';
+            elements.thermalLoadsTable.innerHTML = '';
+            elements.initialStrainLoadsTable.innerHTML = '';
+            elements.constraintsTable.innerHTML = '';
+            elements.loadCombinationsTable.innerHTML = '';
             clearResults();
             drawOnCanvas();
         }
@@ -11722,6 +13730,8 @@ const loadPreset = (index) => {
             setDatasetValue('zy', resolvedZy);
             setDatasetValue('ix', resolvedIx);
             setDatasetValue('iy', resolvedIy);
+            setDatasetValue('as', props.As);
+            setDatasetValue('zp', props.Zp);
 
             if (props.sectionInfo) {
                 setRowSectionInfo(row, props.sectionInfo);
@@ -11973,6 +13983,16 @@ const loadPreset = (index) => {
             if (lastBucklingResults && lastBucklingResults.length > 0) {
                 await addBucklingAnalysisSheet(workbook);
             }
+
+            // 5. 応答スペクトル解析結果シート
+            if (lastResponseSpectrum) {
+                await addResponseSpectrumSheet(workbook);
+            }
+
+            // 6. プッシュオーバー解析結果シート
+            if (lastPushoverResults) {
+                await addPushoverSheet(workbook);
+            }
             
             // ファイル名生成
             const timestamp = new Date().toISOString().slice(0, 19).replace(/[:\-T]/g, '');
@@ -12006,9 +14026,9 @@ const loadPreset = (index) => {
             
             // 節点データ
             data.push(['■ 節点データ']);
-            data.push(['節点番号', 'X座標(m)', 'Y座標(m)', '境界条件']);
+            data.push(['節点番号', 'X座標(m)', 'Y座標(m)', '境界条件', '支点角度(°)', 'ばねkx(kN/m)', 'ばねky(kN/m)', '回転ばねkθ(kN·m/rad)']);
             inputs.nodes.forEach((node, i) => {
-                data.push([i + 1, node.x, node.y, node.support]);
+                data.push([i + 1, node.x, node.y, SUPPORT_TYPE_LABELS[node.support] || node.support, node.support_angle ? node.support_angle * 180 / Math.PI : '', node.kx || '', node.ky || '', node.kr || '']);
             });
             data.push([]);
             
@@ -12025,8 +14045,8 @@ const loadPreset = (index) => {
                     member.E || 0,
                     member.A || 0,
                     member.I || 0,
-                    member.i_conn || 'fixed',
-                    member.j_conn || 'fixed'
+                    connectionLabel(member, 'i'),
+                    connectionLabel(member, 'j')
                 ]);
             });
             data.push([]);
@@ -12046,12 +14066,36 @@ const loadPreset = (index) => {
             // 部材荷重データ
             if (inputs.memberLoads && inputs.memberLoads.length > 0) {
                 data.push(['■ 部材荷重データ']);
-                data.push(['部材番号', '分布荷重(kN/m)']);
+                data.push(['部材番号', '分布荷重(kN/m)・集中荷重(kN)・モーメント(kN·m)', '荷重種別', '終端値w2(kN/m)', '位置a(m)', '位置b(m)', '荷重方向', '基準長さ']);
                 inputs.memberLoads.forEach(load => {
                     if (load.w !== 0) {
-                        data.push([load.memberIndex + 1, load.w]);
+                        const type = load.type || 'uniform', direction = load.direction || 'local';
+                        data.push([load.memberIndex + 1, load.w, MEMBER_LOAD_TYPE_LABELS[type] || type,
+                            type === 'trapezoid' ? load.w2 : '', type === 'uniform' ? '' : load.a, ['partial', 'trapezoid'].includes(type) ? load.b : '',
+                            type === 'moment' ? '' : MEMBER_LOAD_DIRECTION_LABELS[direction],
+                            direction !== 'local' && !['point', 'moment'].includes(type) ? MEMBER_LOAD_BASIS_LABELS[load.basis || 'length'] : '']);
                     }
                 });
+                data.push([]);
+            }
+
+            // 温度荷重データ
+            if (inputs.thermalLoads && inputs.thermalLoads.length > 0) {
+                data.push(['■ 温度荷重データ']);
+                data.push(['部材番号', '一様温度変化ΔT(℃)', '温度差ΔTg(℃)(下面−上面)', '部材せいh(mm)', '線膨張係数α(×10⁻⁶/℃)', '荷重ケース']);
+                inputs.thermalLoads.forEach(load => {
+                    const alpha = load.alpha ?? inputs.members[load.memberIndex]?.alpha;
+                    data.push([load.memberIndex + 1, load.dT, load.dTg, Number.isFinite(load.h) ? load.h * 1000 : '', Number.isFinite(alpha) ? alpha * 1e6 : '', load.loadCase]);
+                });
+            }
+
+            // 初期ひずみ荷重データ
+            if (inputs.initialStrainLoads && inputs.initialStrainLoads.length > 0) {
+                data.push(['■ 初期ひずみ荷重データ']);
+                data.push(['部材番号', '部材長の過不足ΔL(mm)', '導入張力P0(kN)', '初期曲率κ(×10⁻³ 1/m)', '荷重ケース']);
+                inputs.initialStrainLoads.forEach(load => {
+                    data.push([load.memberIndex + 1, load.dL * 1000, load.P0, load.curvature * 1000, load.loadCase]);
+                });
             }
             
         } catch (error) {
@@ -12069,6 +14113,9 @@ const loadPreset = (index) => {
         
         const data = [];
         data.push(['■ 解析結果']);
+        if (lastAnalysisResult && lastAnalysisResult.loadSetLabel) {
+            data.push(['荷重ケース/組合せ', lastAnalysisResult.loadSetLabel]);
+        }
         data.push([]);
         
         if (lastAnalysisResult && lastAnalysisResult.displacements && lastAnalysisResult.displacements.length > 0) {
@@ -12100,6 +14147,40 @@ const loadPreset = (index) => {
         } else {
             data.push(['※ 部材力結果がありません']);
         }
+
+        // 包絡表示時は部材ステーションごとの最大・最小と支配荷重組合せを出力
+        const envelope = lastAnalysisResult && lastAnalysisResult.envelope;
+        if (envelope) {
+            const sectionResults = lastAnalysisResult.sectionCheckResults || lastSectionCheckResults || [];
+            const label = (setIndex) => envelope.labels[setIndex];
+            data.push([]);
+            data.push(['■ 包絡値（全荷重組合せ）']);
+            data.push(['荷重組合せ', ...envelope.labels]);
+            data.push([]);
+            data.push(['節点番号', 'X変位最大(mm)', '支配組合せ', 'X変位最小(mm)', '支配組合せ', 'Y変位最大(mm)', '支配組合せ', 'Y変位最小(mm)', '支配組合せ']);
+            envelope.nodes.forEach((n, i) => {
+                data.push([i + 1, (n.x.max * 1000).toFixed(3), label(n.x.maxSet), (n.x.min * 1000).toFixed(3), label(n.x.minSet),
+                    (n.y.max * 1000).toFixed(3), label(n.y.maxSet), (n.y.min * 1000).toFixed(3), label(n.y.minSet)]);
+            });
+            data.push([]);
+            const header = ['部材番号', '位置(m)'];
+            ['軸力N(kN)', 'せん断力Q(kN)', '曲げモーメントM(kN·m)', 'たわみv(mm)'].forEach(name => header.push(`${name}最大`, '支配組合せ', `${name}最小`, '支配組合せ'));
+            header.push('検定比', '検定支配組合せ');
+            data.push(header);
+            envelope.members.forEach((env, i) => {
+                const check = sectionResults[i];
+                env.x.forEach((x, k) => {
+                    const row = [i + 1, x.toFixed(3)];
+                    [['N', 1, 2], ['Q', 1, 2], ['M', 1, 2], ['v', 1000, 3]].forEach(([key, factor, digits]) => {
+                        const e = env[key];
+                        row.push((e.max[k] * factor).toFixed(digits), label(e.maxSet[k]), (e.min[k] * factor).toFixed(digits), label(e.minSet[k]));
+                    });
+                    const ratio = check && check.ratios ? check.ratios[k] : null;
+                    row.push(typeof ratio === 'number' && isFinite(ratio) ? ratio.toFixed(3) : '-', check && check.governingSets ? check.governingSets[k] : '-');
+                    data.push(row);
+                });
+            });
+        }
         
         const worksheet = XLSX.utils.aoa_to_sheet(data);
         XLSX.utils.book_append_sheet(workbook, worksheet, '解析結果');
@@ -12111,6 +14192,9 @@ const loadPreset = (index) => {
         
         const data = [];
         data.push(['■ 断面検定結果']);
+        if (lastAnalysisResult && lastAnalysisResult.loadSetLabel) {
+            data.push(['荷重ケース/組合せ', lastAnalysisResult.loadSetLabel]);
+        }
         data.push([]);
         data.push(['部材番号', '軸力(kN)', '曲げモーメント(kN·m)', '検定項目', '検定比', '判定', '材料情報', '詳細計算結果']);
         
@@ -12324,9 +14408,23 @@ const loadPreset = (index) => {
                     data.push(['部材長', L.toFixed(3), 'm', '']);
                     data.push(['断面積 A', (A * 1e4).toFixed(2), 'cm²', '']);
                     data.push(['断面係数 Z', (Z * 1e6).toFixed(2), 'cm³', '']);
+                    if (member.sectionProfile) {
+                        const iSection = FrameSolver.getSectionAt(member, member.i_rigid || 0);
+                        const jSection = FrameSolver.getSectionAt(member, L - (member.j_rigid || 0));
+                        data.push(['変断面 i端 A / Z', `${(iSection.A * 1e4).toFixed(2)} / ${(iSection.Z * 1e6).toFixed(2)}`, 'cm² / cm³', '応力度は各位置の断面性能で計算']);
+                        data.push(['変断面 j端 A / Z', `${(jSection.A * 1e4).toFixed(2)} / ${(jSection.Z * 1e6).toFixed(2)}`, 'cm² / cm³', '']);
+                    }
                     data.push(['回転半径 ix', (ix * 1e2).toFixed(2), 'cm', '']);
                     data.push(['回転半径 iy', (iy * 1e2).toFixed(2), 'cm', '']);
                     if (w !== 0) data.push(['等分布荷重', w, 'kN/m', '']);
+                    ((load && load.components) || []).filter(c => !c.foundation).forEach(c => {
+                        const axisNote = c.axis === 'x' ? '（材軸方向）' : '';
+                        if (c.type === 'point') data.push([`集中荷重 P${axisNote}`, c.P.toFixed(3), 'kN', `a=${c.a.toFixed(3)}m`]);
+                        else if (c.type === 'moment') data.push(['集中モーメント M', c.M, 'kN·m', `a=${c.a.toFixed(3)}m`]);
+                        else if (c.type === 'thermal' && c.imposed) data.push(['初期ひずみ荷重 ε0 / κ0', `${c.strain.toExponential(3)} / ${c.curvature.toExponential(3)}`, '- / 1/m', '']);
+                        else if (c.type === 'thermal') data.push(['温度荷重 αΔT / αΔTg/h', `${c.strain.toExponential(3)} / ${c.curvature.toExponential(3)}`, '- / 1/m', '']);
+                        else data.push([`分布荷重 w1→w2${axisNote}`, `${c.w1.toFixed(3)} → ${c.w2.toFixed(3)}`, 'kN/m', `${c.a.toFixed(3)}〜${c.b.toFixed(3)}m`]);
+                    });
                     data.push([]);
                     
                     // 許容応力度
@@ -12352,23 +14450,19 @@ const loadPreset = (index) => {
                     data.push(['位置(m)', '軸力(kN)', 'モーメント(kN·m)', '軸応力度(N/mm²)', '曲げ応力度(N/mm²)', '合成応力度(N/mm²)', '検定比']);
                     
                     const numPoints = result.ratios ? result.ratios.length : 21;
+                    const stations = FrameSolver.calculateMemberStations(members[memberIndex], force, load, null, 20, result.positions ? result.positions.filter(x => x > 0 && x < L) : undefined);
                     for (let k = 0; k < numPoints; k++) {
-                        const x = (k / (numPoints - 1)) * L;
-                        
-                        // 軸力（一定）
-                        const N = Math.abs(-force.N_i);
+                        const x = result.positions ? result.positions[k] : (k / (numPoints - 1)) * L;
                         
-                        // モーメントの計算
-                        let M;
-                        if (w !== 0) {
-                            M = Math.abs(force.M_i + force.Q_i * x - 0.5 * w * x**2);
-                        } else {
-                            M = Math.abs(force.M_i + force.Q_i * x);
-                        }
+                        // 軸力・モーメントの計算（部材荷重を考慮）
+                        const station = stations.find(st => Math.abs(st.x - x) < 1e-9 * Math.max(1, L)) || stations[Math.min(k, stations.length - 1)];
+                        const N = Math.abs(station.N);
+                        const M = Math.abs(station.M);
                         
-                        // 応力度計算
-                        const sigma_axial = N * 1000 / (A * 1e6);
-                        const sigma_bending = M * 1e6 / (Z * 1e9);
+                        // 応力度計算（変断面部材はこの位置の断面性能を用いる）
+                        const section = FrameSolver.getSectionAt(member, x);
+                        const sigma_axial = N * 1000 / (section.A * 1e6);
+                        const sigma_bending = M * 1e6 / (section.Z * 1e9);
                         const sigma_combined = sigma_axial + sigma_bending;
                         
                         // 検定比計算
@@ -12473,7 +14567,7 @@ const loadPreset = (index) => {
                 data.push(['計算項目', '値', '単位', '式・備考']);
                 data.push(['軸力 P', result.axialForce !== undefined ? result.axialForce.toFixed(2) : '-', 'kN', '負の値が圧縮、正の値が引張']);
                 data.push(['部材長 L', result.memberLength !== undefined ? result.memberLength.toFixed(3) : '-', 'm', '']);
-                data.push(['座屈長さ係数 k', result.bucklingLengthFactor !== undefined ? result.bucklingLengthFactor.toFixed(1) : '-', '', '端部条件による']);
+                data.push(['座屈長さ係数 k', result.bucklingLengthFactor !== undefined ? result.bucklingLengthFactor.toFixed(2) : '-', '', result.bucklingLengthBasis || '端部条件による']);
                 data.push(['座屈長さ lk', result.bucklingLength !== undefined ? result.bucklingLength.toFixed(3) : '-', 'm', 'lk = k × L']);
                 data.push(['断面二次モーメント I', result.momentOfInertia !== undefined ? (result.momentOfInertia * 1e12).toFixed(2) : '-', 'mm⁴', '']);
                 data.push(['回転半径 i', result.radiusOfGyration !== undefined ? (result.radiusOfGyration * 1e3).toFixed(2) : '-', 'mm', 'i = √(I/A)']);
@@ -12494,6 +14588,76 @@ const loadPreset = (index) => {
         XLSX.utils.book_append_sheet(workbook, worksheet, '座屈解析結果');
     }
 
+    // プッシュオーバー解析結果シート作成（容量曲線と塑性ヒンジの発生順序）
+    async function addPushoverSheet(workbook) {
+        console.log('プッシュオーバー解析結果シートを作成中...');
+
+        const { curve, hinges, controlNode, direction, loadCase, baseShear, stopReason, members } = lastPushoverResults;
+        const data = [];
+        data.push(['■ プッシュオーバー解析結果']);
+        data.push(['水平荷重パターン', `荷重ケース ${loadCase}`, `${direction.toUpperCase()}方向`]);
+        data.push(['制御節点', controlNode + 1]);
+        data.push(['終了条件', PUSHOVER_STOP_REASONS[stopReason]]);
+        data.push(['最大ベースシア (kN)', baseShear.toFixed(2)]);
+        data.push([]);
+
+        data.push(['■ 容量曲線']);
+        data.push(['ステップ', '荷重係数', 'ベースシア(kN)', '制御節点の変位(mm)']);
+        curve.forEach(p => data.push([p.step, p.loadFactor.toFixed(4), p.baseShear.toFixed(2), (p.displacement * 1000).toFixed(3)]));
+        data.push([]);
+
+        data.push(['■ 塑性ヒンジの発生順序']);
+        data.push(['順序', 'ステップ', '部材番号', '位置', 'Mp(kN・m)', 'ベースシア(kN)', '制御節点の変位(mm)']);
+        hinges.forEach((h, k) => {
+            data.push([k + 1, h.step, h.member + 1, `${h.end}端（節点 ${members[h.member][h.end] + 1}）`, h.Mp.toFixed(2), h.baseShear.toFixed(2), (h.displacement * 1000).toFixed(3)]);
+        });
+
+        const worksheet = XLSX.utils.aoa_to_sheet(data);
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'プッシュオーバー解析結果');
+    }
+
+    // 応答スペクトル解析結果シート作成
+    async function addResponseSpectrumSheet(workbook) {
+        console.log('応答スペクトル解析結果シートを作成中...');
+
+        const { direction, combination, damping, spectrum, baseShear, totalMass, massRatio, modes, drifts } = lastResponseSpectrum;
+        const data = [];
+        data.push(['■ 応答スペクトル解析結果（荷重ケース K）']);
+        data.push(['加振方向', direction.toUpperCase()]);
+        if (spectrum.type === 'table') {
+            data.push(['設計用スペクトル', '任意（周期-加速度の表）']);
+            spectrum.points.forEach(p => data.push(['', `T = ${p.T} s`, `Sa = ${p.Sa} m/s²`]));
+        } else {
+            data.push(['設計用スペクトル', '建築基準法 Sa = Z・Rt・C0・g・Fh']);
+            data.push(['地域係数 Z', spectrum.Z]);
+            data.push(['地盤種別', `第${spectrum.soilClass}種`, `Tc = ${FrameSolver.SOIL_PERIODS[spectrum.soilClass]} s`]);
+            data.push(['標準せん断力係数 C0', spectrum.C0]);
+        }
+        data.push(['減衰定数 h', damping]);
+        data.push(['モードの組合せ', combination]);
+        data.push(['質量 (t)', totalMass.toFixed(3)]);
+        data.push(['ベースシア (kN)', baseShear.toFixed(2)]);
+        data.push(['有効質量比の合計 (%)', (massRatio * 100).toFixed(1)]);
+        data.push([]);
+
+        data.push(['■ モードごとの応答']);
+        data.push(['次数', '固有周期T(s)', '加速度Sa(m/s²)', '刺激係数β', '有効質量(t)', '有効質量比(%)', 'ベースシア(kN)']);
+        modes.forEach((mode, k) => {
+            data.push([k + 1, mode.period.toFixed(4), mode.acceleration.toFixed(3), mode.participationFactor.toFixed(3), mode.effectiveMass.toFixed(3), (mode.massRatio * 100).toFixed(1), mode.baseShear.toFixed(2)]);
+        });
+        data.push([]);
+
+        data.push(['■ 部材角']);
+        data.push(['部材番号', '材軸直交方向の相対変位(mm)', '部材角R(rad)', '1/R']);
+        drifts.forEach((drift, i) => {
+            const angle = Math.abs(drift.angle);
+            data.push([i + 1, (Math.abs(drift.relative) * 1000).toFixed(2), angle.toExponential(3), angle > 0 ? `1/${Math.round(1 / angle)}` : '-']);
+        });
+
+        const worksheet = XLSX.utils.aoa_to_sheet(data);
+        XLSX.utils.book_append_sheet(workbook, worksheet, '応答スペクトル解析結果');
+    }
+
     // エクセル出力のイベントハンドラー
     async function exportToExcelHandler() {
         console.log('=== エクセル出力ボタンがクリックされました ===');
@@ -12600,7 +14764,7 @@ const loadPreset = (index) => {
             case 'node-load-px':
             case 'node-load-py':
             case 'node-load-mz': {
-                let loadRow = Array.from(elements.nodeLoadsTable.rows).find(r => parseInt(r.cells[0].querySelector('input').value) - 1 === index);
+                let loadRow = findNodeLoadRow(index);
                 if (!loadRow) {
                     // 荷重行が存在しない場合は新規作成
                     addRow(elements.nodeLoadsTable, [`<input type="number" value="${index + 1}">`, '<input type="number" value="0">', '<input type="number" value="0">', '<input type="number" value="0">']);
@@ -12611,7 +14775,7 @@ const loadPreset = (index) => {
                 break;
             }
             case 'member-load-w': {
-                let loadRow = Array.from(elements.memberLoadsTable.rows).find(r => parseInt(r.cells[0].querySelector('input').value) - 1 === index);
+                let loadRow = findMemberLoadRow(index);
                 if (!loadRow) {
                     addRow(elements.memberLoadsTable, [`<input type="number" value="${index + 1}">`, '<input type="number" value="0">']);
                     loadRow = elements.memberLoadsTable.rows[elements.memberLoadsTable.rows.length - 1];
@@ -12743,6 +14907,14 @@ const loadPreset = (index) => {
                 document.getElementById('popup-i').value = memberRow.cells[5].querySelector('input').value;
                 document.getElementById('popup-a').value = memberRow.cells[6].querySelector('input').value;
                 document.getElementById('popup-z').value = memberRow.cells[7].querySelector('input').value;
+                document.getElementById('popup-as').value = memberRow.dataset.as || '';
+                document.getElementById('popup-zp').value = memberRow.dataset.zp || '';
+                document.getElementById('popup-i-rigid').value = memberRow.dataset.rigidI || '';
+                document.getElementById('popup-j-rigid').value = memberRow.dataset.rigidJ || '';
+                document.getElementById('popup-behavior').value = memberRow.dataset.behavior || 'linear';
+                document.getElementById('popup-ks').value = memberRow.dataset.ks || '';
+                document.getElementById('popup-foundation-width').value = memberRow.dataset.foundationWidth || '';
+                [['popup-taper-i', 'taperI'], ['popup-taper-a', 'taperA'], ['popup-taper-z', 'taperZ'], ['popup-haunch-i', 'haunchI'], ['popup-haunch-j', 'haunchJ']].forEach(([id, key]) => { document.getElementById(id).value = memberRow.dataset[key] || ''; });
 
                 // 密度欄の表示/非表示と値設定
                 const hasDensityColumn = document.querySelector('.density-column') && document.querySelector('.density-column').style.display !== 'none';
@@ -12790,11 +14962,11 @@ const loadPreset = (index) => {
                 // 接続条件を設定
                 const iConnIndex = hasDensityColumn ? 12 : 11;
                 const jConnIndex = hasDensityColumn ? 13 : 12;
-                document.getElementById('popup-i-conn').value = memberRow.cells[iConnIndex].querySelector('select').value;
-                document.getElementById('popup-j-conn').value = memberRow.cells[jConnIndex].querySelector('select').value;
+                writeConnectionPopup('popup-i', getConnectionCellValues(memberRow.cells[iConnIndex]));
+                writeConnectionPopup('popup-j', getConnectionCellValues(memberRow.cells[jConnIndex]));
 
                 // 部材荷重を設定
-                const memberLoadRow = Array.from(elements.memberLoadsTable.rows).find(row => parseInt(row.cells[0].querySelector('input').value)-1 === selectedMemberIndex);
+                const memberLoadRow = findMemberLoadRow(selectedMemberIndex);
                 document.getElementById('popup-w').value = memberLoadRow ? memberLoadRow.cells[1].querySelector('input').value : '0';
 
                 // ポップアップを表示
@@ -12893,8 +15065,11 @@ const initializeFrameGenerator = () => {
         const membersTable = document.getElementById('members-table')?.getElementsByTagName('tbody')[0];
         const nodeLoadsTable = document.getElementById('node-loads-table')?.getElementsByTagName('tbody')[0];
         const memberLoadsTable = document.getElementById('member-loads-table')?.getElementsByTagName('tbody')[0];
+        const thermalLoadsTable = document.getElementById('thermal-loads-table')?.getElementsByTagName('tbody')[0];
+        const initialStrainLoadsTable = document.getElementById('initial-strain-loads-table')?.getElementsByTagName('tbody')[0];
+        const constraintsTable = document.getElementById('constraints-table')?.getElementsByTagName('tbody')[0];
         
-        const tables = [nodesTable, membersTable, nodeLoadsTable, memberLoadsTable];
+        const tables = [nodesTable, membersTable, nodeLoadsTable, memberLoadsTable, thermalLoadsTable, initialStrainLoadsTable, constraintsTable];
         
         tables.forEach(table => {
             if (table && table.rows) {
@@ -12917,16 +15092,11 @@ const initializeFrameGenerator = () => {
             '#', // 後で renumberTables() で番号が振り直されます
             `<input type="number" step="0.001" value="${x}">`,
             `<input type="number" step="0.001" value="${y}">`,
-            `<select>
-                <option value="free" ${support === 'free' ? 'selected' : ''}>自由</option>
-                <option value="pinned" ${support === 'pinned' ? 'selected' : ''}>ピン</option>
-                <option value="fixed" ${support === 'fixed' ? 'selected' : ''}>固定</option>
-                <option value="roller-x" ${support === 'roller-x' ? 'selected' : ''}>ローラー(X)</option>
-                <option value="roller-y" ${support === 'roller-y' ? 'selected' : ''}>ローラー(Y)</option>
-            </select>`,
+            supportSelectHTML(support),
             `<input type="number" value="0" step="0.1">`, // 強制変位 δx (mm)
             `<input type="number" value="0" step="0.1">`, // 強制変位 δy (mm)
-            `<input type="number" value="0" step="0.001">` // 強制回転 θz (rad)
+            `<input type="number" value="0" step="0.001">`, // 強制回転 θz (rad)
+            ...nodeSupportCellsHTML() // 支点角度、ばね kx, ky, kθ、節点質量
         ];
         
         // 行を手動で作成
@@ -12999,8 +15169,8 @@ const initializeFrameGenerator = () => {
                 `<input type="number" value="${(Z_m3 * 1e6).toFixed(2)}" title="断面係数 Z (cm³)">`,
                 `<input type="number" value="7850" title="密度 ρ (kg/m³)" style="display: none;">`, // 密度列（デフォルト非表示）
                 `<button class="section-select-btn">断面選択</button>`, // 部材断面選択ボタン
-                `<select><option value="rigid" ${startPin === 'rigid' ? 'selected' : ''}>剛</option><option value="pinned" ${startPin === 'pinned' ? 'selected' : ''}>ピン</option></select>`,
-                `<select><option value="rigid" ${endPin === 'rigid' ? 'selected' : ''}>剛</option><option value="pinned" ${endPin === 'pinned' ? 'selected' : ''}>ピン</option></select>`
+                connectionCellHTML(startPin),
+                connectionCellHTML(endPin)
             ];
             
             const membersTable = document.getElementById('members-table')?.getElementsByTagName('tbody')[0];
@@ -15169,6 +17339,10 @@ function applyGeneratedModel(modelData, naturalLanguageInput = '', mode = 'new')
             window.elements.membersTable.innerHTML = '';
             window.elements.nodeLoadsTable.innerHTML = '';
             window.elements.memberLoadsTable.innerHTML = '';
+            window.elements.thermalLoadsTable.innerHTML = '';
+            window.elements.initialStrainLoadsTable.innerHTML = '';
+            window.elements.constraintsTable.innerHTML = '';
+            window.elements.loadCombinationsTable.innerHTML = '';
         } else if (mode === 'edit') {
             console.log('🔍 追加編集モード: 既存データを保持します');
             // 既存データは保持し、AIが返したデータで統合・更新する
@@ -0,0 +1,4130 @@
+/**
+ * 2次元フレーム解析コア (DOM非依存)
+ * 剛性マトリクス法による線形静的解析を、入力テーブルに依存しない純粋なJSONモデルで実行する。
+ * ブラウザでは window.FrameSolver、Node.js では import './frame_solver.js' で設定される globalThis.FrameSolver として利用できる
+ * （package.json が "type": "module" のため ESモジュールとして読み込まれる。CommonJS 環境では module.exports も設定する）。
+ *
+ * モデルの単位系 (parseInputs() の出力と同じ):
+ *   長さ m, 力 kN, 弾性係数 kN/m², 断面積 m², 断面二次モーメント m⁴, 回転 rad
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module && module.exports) {
+        module.exports = api;
+    }
+    root.FrameSolver = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // --- Matrix Math Library ---
+    const mat = {
+        create: (rows, cols, value = 0) => Array(rows).fill().map(() => Array(cols).fill(value)),
+
+        multiply: (A, B) => {
+            // undefinedチェックを追加
+            if (!A || !B || !A.length || !B[0] || !B[0].length) {
+                console.error('Matrix multiply: Invalid matrices', { A, B });
+                return null;
+            }
+            const C = mat.create(A.length, B[0].length);
+            for (let i = 0; i < A.length; i++) {
+                for (let j = 0; j < B[0].length; j++) {
+                    for (let k = 0; k < A[0].length; k++) {
+                        C[i][j] += A[i][k] * B[k][j];
+                    }
+                }
+            }
+            return C;
+        },
+
+        transpose: (A) => {
+            if (!A || !A[0]) return null;
+            return A[0].map((_, colIndex) => A.map(row => row[colIndex]));
+        },
+
+        add: (A, B) => {
+            if (!A || !B || A.length !== B.length) return null;
+            return A.map((row, i) => row.map((val, j) => val + B[i][j]));
+        },
+
+        subtract: (A, B) => {
+            if (!A || !B || A.length !== B.length) return null;
+            return A.map((row, i) => row.map((val, j) => val - B[i][j]));
+        },
+
+        solve: (A, b) => {
+            if (!A || !b || !A.length) return null;
+            const n = A.length;
+            const aug = A.map((row, i) => [...row, b[i][0]]);
+            for (let i = 0; i < n; i++) {
+                let maxRow = i;
+                for (let k = i + 1; k < n; k++) {
+                    if (Math.abs(aug[k][i]) > Math.abs(aug[maxRow][i])) maxRow = k;
+                }
+                [aug[i], aug[maxRow]] = [aug[maxRow], aug[i]];
+                if (aug[i][i] === 0) continue;
+                for (let k = i + 1; k < n; k++) {
+                    const factor = aug[k][i] / aug[i][i];
+                    for (let j = i; j < n + 1; j++) aug[k][j] -= factor * aug[i][j];
+                }
+            }
+            const x = mat.create(n, 1);
+            for (let i = n - 1; i >= 0; i--) {
+                let sum = 0;
+                for (let j = i + 1; j < n; j++) sum += aug[i][j] * x[j][0];
+                if (aug[i][i] === 0 && aug[i][n] - sum !== 0) return null;
+                x[i][0] = aug[i][i] === 0 ? 0 : (aug[i][n] - sum) / aug[i][i];
+            }
+            return x;
+        },
+
+        /**
+         * 実対称行列の固有値と固有ベクトル（巡回Jacobi法）
+         * @param {Array<Array<number>>} A - 実対称行列（変更しない）
+         * @param {number} [tolerance=1e-12] - 非対角成分の二乗和の平方根の、全成分に対する相対許容値
+         * @param {number} [maxSweeps=50] - 最大掃引回数
+         * @returns {object} { values, vectors } vectors[k] は values[k] に対応する正規化固有ベクトル（順序は不定）
+         */
+        symmetricEigen: (A, tolerance = 1e-12, maxSweeps = 50) => {
+            const n = A.length;
+            const a = A.map(row => [...row]);
+            const v = mat.create(n, n);
+            for (let i = 0; i < n; i++) v[i][i] = 1;
+            for (let sweep = 0; sweep < maxSweeps; sweep++) {
+                let offDiagonal = 0, total = 0;
+                for (let i = 0; i < n; i++) {
+                    for (let j = 0; j < n; j++) {
+                        total += a[i][j] ** 2;
+                        if (i !== j) offDiagonal += a[i][j] ** 2;
+                    }
+                }
+                if (offDiagonal <= tolerance ** 2 * total) break;
+                for (let p = 0; p < n - 1; p++) {
+                    for (let q = p + 1; q < n; q++) {
+                        if (a[p][q] === 0) continue;
+                        // 回転角 φ は cot2φ = (a_qq - a_pp) / 2a_pq から小さい方の根 t = tanφ を選ぶ
+                        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                        const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+                        for (let k = 0; k < n; k++) {
+                            const akp = a[k][p], akq = a[k][q];
+                            a[k][p] = c * akp - s * akq;
+                            a[k][q] = s * akp + c * akq;
+                        }
+                        for (let k = 0; k < n; k++) {
+                            const apk = a[p][k], aqk = a[q][k];
+                            a[p][k] = c * apk - s * aqk;
+                            a[q][k] = s * apk + c * aqk;
+                        }
+                        for (let k = 0; k < n; k++) {
+                            const vkp = v[k][p], vkq = v[k][q];
+                            v[k][p] = c * vkp - s * vkq;
+                            v[k][q] = s * vkp + c * vkq;
+                        }
+                    }
+                }
+            }
+            return { values: a.map((row, i) => row[i]), vectors: v[0] ? v[0].map((_, k) => v.map(row => row[k])) : [] };
+        }
+    };
+
+    // --- Sparse Skyline Solver ---
+    // 全体剛性マトリクスは上三角のスカイライン（プロファイル）形式で保持し、LDLᵀ分解で解く。
+    // 節点は逆Cuthill-McKee法で並べ替え、プロファイル（帯幅）を最小化する。
+    const sparse = {
+        /**
+         * 逆Cuthill-McKee法による節点の並べ替え
+         * @param {number} nodeCount - 節点数
+         * @param {Array} members - { i, j } を持つ部材配列
+         * @returns {Array<number>} 新しい順序で並べた節点インデックス
+         */
+        reverseCuthillMcKee: (nodeCount, members) => {
+            const adjacency = Array.from({ length: nodeCount }, () => new Set());
+            members.forEach(({ i, j }) => {
+                if (i === j) return;
+                adjacency[i].add(j);
+                adjacency[j].add(i);
+            });
+            const degree = adjacency.map(set => set.size);
+            const neighbors = adjacency.map(set => Array.from(set).sort((a, b) => degree[a] - degree[b] || a - b));
+            const visited = new Uint8Array(nodeCount);
+
+            // 幅優先探索のレベル構造（最終レベルの節点と深さ）を返す
+            const levelStructure = (start) => {
+                const seen = new Uint8Array(nodeCount);
+                let level = [start], depth = 0, last = level;
+                seen[start] = 1;
+                while (level.length > 0) {
+                    last = level;
+                    const next = [];
+                    level.forEach(n => neighbors[n].forEach(m => { if (!seen[m]) { seen[m] = 1; next.push(m); } }));
+                    if (next.length > 0) depth++;
+                    level = next;
+                }
+                return { depth, last };
+            };
+
+            // 擬似周辺節点（離心率の大きい節点）を探索
+            const findPseudoPeripheral = (start) => {
+                let node = start, { depth, last } = levelStructure(node);
+                for (let iter = 0; iter < 10; iter++) {
+                    const candidate = last.reduce((best, n) => (degree[n] < degree[best] ? n : best), last[0]);
+                    const result = levelStructure(candidate);
+                    if (result.depth <= depth) break;
+                    node = candidate; depth = result.depth; last = result.last;
+                }
+                return node;
+            };
+
+            const order = [];
+            const byDegree = [...Array(nodeCount).keys()].sort((a, b) => degree[a] - degree[b] || a - b);
+            byDegree.forEach(seed => {
+                if (visited[seed]) return;
+                const start = findPseudoPeripheral(seed);
+                const queue = [start];
+                visited[start] = 1;
+                for (let head = 0; head < queue.length; head++) {
+                    const n = queue[head];
+                    order.push(n);
+                    neighbors[n].forEach(m => { if (!visited[m]) { visited[m] = 1; queue.push(m); } });
+                }
+            });
+            return order.reverse();
+        },
+
+        /**
+         * 各列の最上段行番号からスカイライン行列を作成
+         * @param {Array<number>|Int32Array} columnFirst - 列ごとの非零最上段の行番号
+         * @returns {object} { n, maxa, values } maxa[j] は列jの対角要素のアドレス
+         */
+        createSkyline: (columnFirst) => {
+            const n = columnFirst.length;
+            const maxa = new Int32Array(n + 1);
+            for (let j = 0; j < n; j++) maxa[j + 1] = maxa[j] + (j - columnFirst[j] + 1);
+            return { n, maxa, values: new Float64Array(maxa[n]) };
+        },
+
+        /**
+         * スカイライン行列への加算（上三角のみ保持するため i > j は入れ替える）
+         */
+        add: (sky, i, j, value) => {
+            if (i > j) [i, j] = [j, i];
+            const address = sky.maxa[j] + (j - i);
+            if (address >= sky.maxa[j + 1]) throw new Error(`スカイライン外の要素にアクセスしました (${i}, ${j})`);
+            sky.values[address] += value;
+        },
+
+        /**
+         * スカイライン行列の要素を取得（プロファイル外は0）
+         */
+        get: (sky, i, j) => {
+            if (i > j) [i, j] = [j, i];
+            const address = sky.maxa[j] + (j - i);
+            return address < sky.maxa[j + 1] ? sky.values[address] : 0;
+        },
+
+        /**
+         * スカイライン行列とベクトルの積 y = K x
+         */
+        multiply: (sky, x) => {
+            const { n, maxa, values } = sky;
+            const y = new Float64Array(n);
+            for (let j = 0; j < n; j++) {
+                const height = maxa[j + 1] - maxa[j];
+                y[j] += values[maxa[j]] * x[j];
+                for (let k = 1; k < height; k++) {
+                    const i = j - k, v = values[maxa[j] + k];
+                    y[i] += v * x[j];
+                    y[j] += v * x[i];
+                }
+            }
+            return y;
+        },
+
+        /**
+         * スカイライン行列の複製
+         */
+        clone: (sky) => ({ n: sky.n, maxa: sky.maxa, values: Float64Array.from(sky.values) }),
+
+        /**
+         * LDLᵀ分解（その場で分解、Bathe の COLSOL と同じ列単位アルゴリズム）
+         * @param {object} sky - スカイライン行列（分解後は L と D を保持）
+         * @param {object} options
+         *   pivotTolerance: 元の対角要素に対する相対許容値（これ以下のピボットは消失とみなす）
+         *   allowSingular: 消失ピボットを0として分解を続行する（整合する荷重なら変位0として解く）
+         *   allowNegative: 負のピボットを許容する（固有値解析のシフト行列用）
+         * @returns {object} { ok, failedEquation, negativePivots, singularEquations }
+         */
+        factorLDLt: (sky, options = {}) => {
+            const { n, maxa, values } = sky;
+            const pivotTolerance = options.pivotTolerance ?? 1e-12;
+            const allowSingular = options.allowSingular ?? false;
+            const allowNegative = options.allowNegative ?? false;
+            const singularEquations = [];
+            let negativePivots = 0;
+            for (let j = 0; j < n; j++) {
+                const firstJ = j - (maxa[j + 1] - maxa[j]) + 1;
+                const originalDiagonal = values[maxa[j]];
+                // g_ij = K_ij - Σ L_ki g_kj
+                for (let i = firstJ + 1; i < j; i++) {
+                    const firstI = i - (maxa[i + 1] - maxa[i]) + 1;
+                    const kStart = Math.max(firstI, firstJ);
+                    let sum = 0;
+                    for (let k = kStart; k < i; k++) sum += values[maxa[i] + (i - k)] * values[maxa[j] + (j - k)];
+                    values[maxa[j] + (j - i)] -= sum;
+                }
+                // L_ij = g_ij / d_i, d_j = K_jj - Σ L_ij g_ij（消失ピボットの行は L_ij = 0）
+                let diagonal = originalDiagonal;
+                for (let i = firstJ; i < j; i++) {
+                    const address = maxa[j] + (j - i);
+                    const g = values[address];
+                    const pivot = values[maxa[i]];
+                    const l = pivot === 0 ? 0 : g / pivot;
+                    diagonal -= l * g;
+                    values[address] = l;
+                }
+                const scale = Math.abs(originalDiagonal) > 0 ? Math.abs(originalDiagonal) : 1;
+                if (Math.abs(diagonal) <= pivotTolerance * scale) {
+                    if (!allowSingular) return { ok: false, failedEquation: j, negativePivots, singularEquations };
+                    singularEquations.push(j);
+                    values[maxa[j]] = 0;
+                    continue;
+                }
+                if (diagonal < 0) {
+                    if (!allowNegative) return { ok: false, failedEquation: j, negativePivots, singularEquations };
+                    negativePivots++;
+                }
+                values[maxa[j]] = diagonal;
+            }
+            return { ok: true, failedEquation: -1, negativePivots, singularEquations };
+        },
+
+        /**
+         * LDLᵀ分解済み行列による求解
+         * @param {object} sky - factorLDLt 済みのスカイライン行列
+         * @param {Array<number>|Float64Array} b - 右辺ベクトル
+         * @returns {Float64Array} 解ベクトル
+         */
+        solveLDLt: (sky, b) => {
+            const { n, maxa, values } = sky;
+            const x = Float64Array.from(b);
+            // 前進代入 L y = b
+            for (let j = 0; j < n; j++) {
+                const height = maxa[j + 1] - maxa[j];
+                let sum = 0;
+                for (let k = 1; k < height; k++) sum += values[maxa[j] + k] * x[j - k];
+                x[j] -= sum;
+            }
+            // 対角スケーリング D z = y（消失ピボットの方程式は0）
+            for (let j = 0; j < n; j++) x[j] = values[maxa[j]] === 0 ? 0 : x[j] / values[maxa[j]];
+            // 後退代入 Lᵀ x = z
+            for (let j = n - 1; j > 0; j--) {
+                const height = maxa[j + 1] - maxa[j];
+                for (let k = 1; k < height; k++) x[j - k] -= values[maxa[j] + k] * x[j];
+            }
+            return x;
+        }
+    };
+
+    /**
+     * 部材の座標変換マトリクスを作成
+     * @param {number} c - 方向余弦 cosθ
+     * @param {number} s - 方向余弦 sinθ
+     * @returns {Array<Array<number>>} 6×6 座標変換マトリクス
+     */
+    const buildTransformationMatrix = (c, s) => [
+        [c, s, 0, 0, 0, 0],
+        [-s, c, 0, 0, 0, 0],
+        [0, 0, 1, 0, 0, 0],
+        [0, 0, 0, c, s, 0],
+        [0, 0, 0, -s, c, 0],
+        [0, 0, 0, 0, 0, 1]
+    ];
+
+    // 材端の接合条件 rigid: 剛接合 / pinned: ピン接合 / semi-rigid: 半剛接合（材端の回転ばね kθ）
+    const MEMBER_CONNECTION_TYPES = ['rigid', 'pinned', 'semi-rigid'];
+
+    // 部材の軸方向の挙動 linear: 引張・圧縮とも有効 / tension-only: 引張のみ有効（ブレースなど） / compression-only: 圧縮のみ有効（ギャップ・支圧要素など）
+    const MEMBER_BEHAVIORS = ['linear', 'tension-only', 'compression-only'];
+
+    /**
+     * 材端の回転ばね定数 [k_i, k_j]（kN·m/rad）
+     * 剛接合は null（部材端と節点の回転が一致）、ピン接合は 0、半剛接合は i_kr / j_kr。
+     * @param {object} member - { i_conn, j_conn, i_kr, j_kr }
+     * @returns {Array<number|null>}
+     */
+    const getEndRotationalSprings = (member) => ['i', 'j'].map(end => {
+        const conn = member[`${end}_conn`] || 'rigid';
+        if (conn === 'pinned') return 0;
+        if (conn === 'semi-rigid') return member[`${end}_kr`];
+        return null;
+    });
+
+    /**
+     * 半剛接合の材端の回転ばね定数を求め、接合条件を正規化する
+     * 回転剛性 kθ (kN·m/rad) の入力を優先し、なければ固定度 r (0〜1) から kθ = 3EI/L · r/(1−r) とする。
+     * 固定度 1 は剛接合、0 はピン接合として扱う。
+     * @param {object} member - { i_conn, j_conn, i_kr, j_kr, i_fixity, j_fixity }
+     * @param {number} EI - 曲げ剛性 (kN·m²)
+     * @param {number} L - 部材長 (m)
+     * @param {number} index - 部材インデックス（エラーメッセージ用）
+     * @returns {object} { i_conn, j_conn, i_kr, j_kr }
+     */
+    const resolveEndConnections = (member, EI, L, index) => {
+        const resolved = {};
+        ['i', 'j'].forEach(end => {
+            let conn = member[`${end}_conn`] || 'rigid';
+            if (!MEMBER_CONNECTION_TYPES.includes(conn)) throw new Error(`部材 ${index + 1} の${end}端の接合条件 "${conn}" は未対応です。`);
+            let kr;
+            if (conn === 'semi-rigid') {
+                const stiffness = Number(member[`${end}_kr`]);
+                const fixity = Number(member[`${end}_fixity`]);
+                if (stiffness > 0 && Number.isFinite(stiffness)) {
+                    kr = stiffness;
+                } else if (member[`${end}_fixity`] !== undefined && member[`${end}_fixity`] !== '' && fixity >= 0 && fixity <= 1) {
+                    if (fixity >= 1) conn = 'rigid';
+                    else if (fixity <= 0) conn = 'pinned';
+                    else kr = 3 * EI / L * fixity / (1 - fixity);
+                } else {
+                    throw new Error(`部材 ${index + 1} の${end}端の半剛接合には回転剛性 kθ (>0) または固定度 (0〜1) を入力してください。`);
+                }
+            }
+            resolved[`${end}_conn`] = conn;
+            resolved[`${end}_kr`] = kr;
+        });
+        return resolved;
+    };
+
+    /**
+     * 材端の回転を内部自由度として加えた曲げ要素の拡大マトリクスを作成する
+     * 内部自由度は [v_i, θ_i, v_j, θ_j] の後ろに i端、j端の順で並べ、節点回転との間に回転ばねを加える。
+     * @param {Array<Array<number>>} K - 部材端で剛接合とした 4×4 マトリクス
+     * @param {Array<number|null>} springs - 材端の回転ばね定数 [k_i, k_j]（null は剛接合）
+     * @param {boolean} [withSprings=true] - false なら回転ばねを加えず配置のみ行う（幾何剛性用）
+     * @returns {object} { ext, released } released は内部自由度を持つ節点回転の位置（1: i端、3: j端）
+     */
+    const extendEndSprings = (K, springs, withSprings = true) => {
+        const released = [1, 3].filter((_, end) => springs[end] !== null && springs[end] !== undefined);
+        const position = [0, 1, 2, 3].map(a => released.includes(a) ? 4 + released.indexOf(a) : a);
+        const ext = mat.create(4 + released.length, 4 + released.length);
+        K.forEach((row, a) => row.forEach((v, b) => { ext[position[a]][position[b]] += v; }));
+        if (withSprings) {
+            released.forEach((r, n) => {
+                const k = springs[(r - 1) / 2], p = 4 + n;
+                ext[r][r] += k; ext[p][p] += k; ext[r][p] -= k; ext[p][r] -= k;
+            });
+        }
+        return { ext, released };
+    };
+
+    /**
+     * 材端の回転ばねを介して節点に接続される曲げ要素の剛性を静的縮約する
+     * 部材端の回転を内部自由度として加え、ばね（ピン接合は剛性0）で節点回転と結んだうえで内部自由度を消去する。
+     * @param {Array<Array<number>>} K - 部材端で剛接合とした曲げ剛性（4×4、[v_i, θ_i, v_j, θ_j]）
+     * @param {Array<number|null>} springs - 材端の回転ばね定数 [k_i, k_j]（null は剛接合）
+     * @returns {Array<Array<number>>} 節点の [v_i, θ_i, v_j, θ_j] に対する 4×4 剛性
+     */
+    const condenseEndSprings = (K, springs) => {
+        const { ext, released } = extendEndSprings(K, springs);
+        const ext_bb = released.map((_, n) => released.map((_, m) => ext[4 + n][4 + m]));
+        const condensed = mat.create(4, 4);
+        for (let b = 0; b < 4; b++) {
+            const z = mat.solve(ext_bb, released.map((_, n) => [ext[4 + n][b]]));
+            if (!z) throw new Error('材端の回転自由度を縮約できません（材端の回転剛性が失われています）。');
+            for (let a = 0; a < 4; a++) {
+                condensed[a][b] = ext[a][b] - released.reduce((sum, _, n) => sum + ext[a][4 + n] * z[n][0], 0);
+            }
+        }
+        return condensed;
+    };
+
+    // せん断弾性係数 G を指定しない部材のポアソン比（G = E / 2(1 + ν)）
+    const DEFAULT_POISSON_RATIO = 0.3;
+
+    /**
+     * 材端を剛接合とした曲げ剛性マトリクス（[v_i, θ_i, v_j, θ_j]）
+     * せん断変形を考慮する Timoshenko 梁では φ = 12EI/(G·As·L²) とし、φ = 0 で Euler–Bernoulli 梁のマトリクスになる。
+     * @param {number} EI - 曲げ剛性 (kN·m²)
+     * @param {number} L - 部材長 (m)
+     * @param {number} [phi=0] - せん断変形の係数 φ
+     * @returns {Array<Array<number>>} 4×4 マトリクス
+     */
+    const buildBendingStiffness = (EI, L, phi = 0) => {
+        const k = EI / ((1 + phi) * L ** 3);
+        return [
+            [12*k, 6*L*k, -12*k, 6*L*k],
+            [6*L*k, (4 + phi)*L*L*k, -6*L*k, (2 - phi)*L*L*k],
+            [-12*k, -6*L*k, 12*k, -6*L*k],
+            [6*L*k, (2 - phi)*L*L*k, -6*L*k, (4 + phi)*L*L*k]
+        ];
+    };
+
+    // 変断面部材の数値積分で、断面性能を与えた点の間をさらに等分する区間数（各区間は3点ガウス積分）
+    const TAPER_INTEGRATION_DIVISIONS = 8;
+
+    /**
+     * 変断面部材の断面性能の分布（sectionProfile）を作成する
+     * ハンチ長がなければ i端の断面（部材の I, A, Z）から j端の断面（taper の I, A, Z）へ可撓部分の全長で直線的に変化するテーパー部材とする。
+     * ハンチ長 i_haunch, j_haunch を与えた端はフェイス位置で taper の断面とし、フェイス位置からハンチ長の位置で部材の断面となるよう直線的に変化させる。
+     * @param {object} member - { I, A, Z }（部材の断面。ハンチ部材では中央部の断面）
+     * @param {object} taper - { I, A, Z, i_haunch, j_haunch }（m⁴, m², m³, m。Z は省略可）
+     * @param {number} flexibleLength - 可撓部分の長さ (m)
+     * @param {number} index - 部材インデックス（エラーメッセージ用）
+     * @returns {Array<{x: number, I: number, A: number, Z: number|undefined}>} 可撓部分の i端（フェイス位置）からの距離の順の断面性能
+     */
+    const buildSectionProfile = (member, taper, flexibleLength, index) => {
+        const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+        const end = { I: toNumber(taper.I), A: toNumber(taper.A), Z: toNumber(taper.Z) };
+        if (!(end.I > 0) || !(end.A > 0)) throw new Error(`部材 ${index + 1} の変断面の I, A は正の値で入力してください。`);
+        const [i_haunch, j_haunch] = [taper.i_haunch, taper.j_haunch].map(value => toNumber(value) ?? 0);
+        if (!(i_haunch >= 0) || !(j_haunch >= 0)) throw new Error(`部材 ${index + 1} のハンチ長は0以上で入力してください。`);
+        if (i_haunch + j_haunch > flexibleLength * (1 + 1e-9)) throw new Error(`部材 ${index + 1} のハンチ長の合計 (${(i_haunch + j_haunch).toFixed(3)} m) が剛域を除く部材長 (${flexibleLength.toFixed(3)} m) を超えています。`);
+        const base = { I: member.I, A: member.A, Z: toNumber(member.Z) };
+        const points = i_haunch === 0 && j_haunch === 0
+            ? [{ x: 0, ...base }, { x: flexibleLength, ...end }]
+            : [
+                ...(i_haunch > 0 ? [{ x: 0, ...end }, { x: i_haunch, ...base }] : [{ x: 0, ...base }]),
+                ...(j_haunch > 0 ? [{ x: flexibleLength - j_haunch, ...base }, { x: flexibleLength, ...end }] : [{ x: flexibleLength, ...base }])
+            ];
+        return points.filter((p, k) => k === 0 || p.x > points[k - 1].x).map(p => (Number.isFinite(p.Z) && Number.isFinite(end.Z) && Number.isFinite(base.Z) ? p : { ...p, Z: undefined }));
+    };
+
+    // 断面性能の分布の位置 t（可撓部分の i端からの距離）の値を直線補間する
+    const interpolateSection = (profile, t) => {
+        const n = Math.max(0, profile.findIndex((p, k) => k === profile.length - 1 || t <= profile[k + 1].x));
+        const p0 = profile[Math.min(n, profile.length - 2)], p1 = profile[Math.min(n, profile.length - 2) + 1];
+        const r = Math.min(Math.max((t - p0.x) / (p1.x - p0.x), 0), 1);
+        return { I: p0.I + (p1.I - p0.I) * r, A: p0.A + (p1.A - p0.A) * r, Z: p0.Z === undefined ? undefined : p0.Z + (p1.Z - p0.Z) * r };
+    };
+
+    /**
+     * 部材内の位置 x（i端からの距離）の断面性能
+     * 変断面部材は sectionProfile を直線補間し、剛域内はフェイス位置の値とする。等断面の部材は部材の I, A, Z を返す。
+     * @param {object} member - 準備済み部材
+     * @param {number} x - i端からの距離 (m)
+     * @returns {{I: number, A: number, Z: number}}
+     */
+    const getSectionAt = (member, x) => {
+        if (!member.sectionProfile) return { I: member.I, A: member.A, Z: member.Z };
+        const section = interpolateSection(member.sectionProfile, x - (member.i_rigid || 0));
+        return { ...section, Z: section.Z ?? member.Z };
+    };
+
+    // 変断面部材の数値積分の区切り（可撓部分の i端からの距離）
+    const getTaperBreakpoints = (profile) => [
+        ...profile.slice(0, -1).flatMap((p, k) => Array.from({ length: TAPER_INTEGRATION_DIVISIONS }, (_, n) => p.x + (profile[k + 1].x - p.x) * n / TAPER_INTEGRATION_DIVISIONS)),
+        profile[profile.length - 1].x
+    ];
+
+    // 断面性能の分布の区間 [s0, s1] を取り出し、s0 を原点とする（部材を分割した要素の断面性能の分布）
+    const sliceSectionProfile = (profile, s0, s1) => [
+        { x: 0, ...interpolateSection(profile, s0) },
+        ...profile.filter(p => p.x > s0 && p.x < s1).map(p => ({ ...p, x: p.x - s0 })),
+        { x: s1 - s0, ...interpolateSection(profile, s1) }
+    ];
+
+    /**
+     * 変断面部材の可撓部分の剛性（部材端で剛接合）
+     * i端（フェイス位置）で固定した片持ち梁の j端の柔性 F = ∫bᵀ(1/EI)b dx（せん断変形は G·As 一定として L/(G·As) を加える）を数値積分し、
+     * 曲げ剛性は Γᵀ F⁻¹ Γ（Γ は部材端変位から片持ち梁の j端の相対変位を求める変換）、軸剛性は 1/∫dx/EA とする。
+     * @param {object} member - { E, I, length, flexibleLength, shearPhi, sectionProfile }
+     * @returns {{ bending: Array<Array<number>>, axial: number }} bending は [v_i, θ_i, v_j, θ_j] の 4×4
+     */
+    const buildTaperedStiffness = (member) => {
+        const profile = member.sectionProfile, L = member.flexibleLength ?? member.length, E = member.E;
+        const breakpoints = getTaperBreakpoints(profile);
+        const integrate = (f) => breakpoints.slice(0, -1).reduce((sum, p, n) => sum + integrateGauss(f, p, breakpoints[n + 1]), 0);
+        const EI = (x) => E * interpolateSection(profile, x).I;
+        // せん断の柔性 L/(G·As) = φL³/(12EI)（φ は部材の I で求めた係数）
+        const shearFlexibility = (member.shearPhi || 0) * L ** 3 / (12 * E * member.I);
+        const F = [
+            [integrate(x => (L - x) ** 2 / EI(x)) + shearFlexibility, integrate(x => (L - x) / EI(x))],
+            [integrate(x => (L - x) / EI(x)), integrate(x => 1 / EI(x))]
+        ];
+        const det = F[0][0] * F[1][1] - F[0][1] * F[1][0];
+        const K_jj = [[F[1][1] / det, -F[0][1] / det], [-F[1][0] / det, F[0][0] / det]];
+        const gamma = [[-1, -L, 1, 0], [0, -1, 0, 1]];
+        return {
+            bending: mat.multiply(mat.multiply(mat.transpose(gamma), K_jj), gamma),
+            axial: 1 / integrate(x => 1 / (E * interpolateSection(profile, x).A))
+        };
+    };
+
+    // 弾性床（Winkler地盤）上の梁を解く部材内の分割数の範囲（分割要素の長さ h は β·h ≤ 0.25 とする。β = (kf/4EI)^(1/4)）
+    const FOUNDATION_SEGMENTS = { min: 8, max: 128, betaLength: 0.25 };
+
+    // 弾性床上の梁の部材内の分割数
+    const getFoundationSegments = (member) => {
+        const L = member.flexibleLength ?? member.length, beta = Math.pow(member.foundationStiffness / (4 * member.E * member.I), 0.25);
+        const n = Math.ceil(beta * L / FOUNDATION_SEGMENTS.betaLength);
+        return Math.min(FOUNDATION_SEGMENTS.max, Math.max(FOUNDATION_SEGMENTS.min, Number.isFinite(n) ? n : FOUNDATION_SEGMENTS.max));
+    };
+
+    /**
+     * 弾性床（Winkler地盤）上の梁の曲げを、可撓部分を getFoundationSegments() 個に等分した要素（曲げ剛性＋整合地盤ばねマトリクス kf·∫NᵀN dx）で解く
+     * 分割点の自由度は [v, θ]（部材座標系）で、部材端（フェイス位置）の変位を与えて内部の分割点の変位を荷重との釣合いから求める。
+     * 回転ばね（getEndRotationalSprings()）を与えた材端は部材端の回転も未知量とし、節点回転との間にばね（ピン接合は0）を入れる。
+     * @param {object} member - { E, I, length, flexibleLength, shearPhi, foundationStiffness }（foundationStiffness は地盤ばね kf = ks·B (kN/m²)）
+     * @param {Array<number>} ends - 部材端の [v_i, θ_i, v_j, θ_j]（回転ばねを持つ端の θ は節点回転）
+     * @param {Array} [components] - 部材直交方向の荷重成分（位置は可撓部分の i端から。getFlexibleComponents() の戻り値）
+     * @param {Array<number|null>} [springs] - 材端の回転ばね定数 [k_i, k_j]（null は剛接合）
+     * @returns {object} { n, h, phi, u, endForces } n, h, phi は分割数・分割要素の長さとせん断変形の係数、u は分割点の [v, θ] を i端から並べた配列、
+     *   endForces は部材端の [Q_i, M_i, Q_j, M_j]（固定端力と同じ向き）
+     */
+    const solveFoundationBending = (member, ends, components = [], springs = [null, null]) => {
+        const L = member.flexibleLength ?? member.length, kf = member.foundationStiffness;
+        const n = getFoundationSegments(member), h = L / n, phi = (member.shearPhi || 0) * n * n, size = 2 * n + 2;
+        const g = kf * h / 420;
+        const foundation = [
+            [156*g, 22*h*g, 54*g, -13*h*g],
+            [22*h*g, 4*h*h*g, 13*h*g, -3*h*h*g],
+            [54*g, 13*h*g, 156*g, -22*h*g],
+            [-13*h*g, -3*h*h*g, -22*h*g, 4*h*h*g]
+        ];
+        const segment = buildBendingStiffness(member.E * member.I, h, phi).map((row, a) => row.map((v, b) => v + foundation[a][b]));
+        const K = mat.create(size, size), P = new Array(size).fill(0);
+        for (let e = 0; e < n; e++) segment.forEach((row, a) => row.forEach((v, b) => { K[2*e + a][2*e + b] += v; }));
+
+        // 荷重成分の分割要素ごとの等価節点力（calculateFixedEndForces() と同じ向き）
+        const addToSegment = (e, contribution) => contribution.forEach((v, k) => { P[2*e + k] += v; });
+        components.forEach(c => {
+            if (c.type === 'distributed') {
+                const q = (x) => c.w1 + (c.w2 - c.w1) * (x - c.a) / (c.b - c.a);
+                for (let e = 0; e < n; e++) {
+                    const x0 = e * h, s0 = Math.max(c.a, x0), s1 = Math.min(c.b, x0 + h);
+                    if (s1 > s0) addToSegment(e, [0, 1, 2, 3].map(k => integrateGauss(x => q(x) * hermiteShape(x - x0, h, phi)[k], s0, s1)));
+                }
+                return;
+            }
+            const e = Math.min(n - 1, Math.max(0, Math.floor(c.a / h))), t = Math.min(Math.max(c.a - e * h, 0), h);
+            if (c.type === 'point') addToSegment(e, hermiteShape(t, h, phi).map(N => c.P * N));
+            else if (c.type === 'moment') addToSegment(e, hermiteSlope(t, h, phi).map(dN => -c.M * dN));
+        });
+
+        // 部材端の自由度 [v_i, θ_i, v_j, θ_j]。回転ばねを持つ端の回転は未知量とし、ばねを介して節点回転 θ と結ぶ
+        const endDofs = [0, 1, 2*n, 2*n + 1];
+        const springOf = (d) => (d === 1 ? springs[0] : d === 2*n + 1 ? springs[1] : null) ?? null;
+        const u = new Array(size).fill(0);
+        const prescribed = endDofs.filter(d => d === 0 || d === 2*n || springOf(d) === null);
+        prescribed.forEach(d => { u[d] = ends[endDofs.indexOf(d)]; });
+        const free = [...Array(size).keys()].filter(d => !prescribed.includes(d));
+        const A = free.map(r => free.map(c => K[r][c] + (r === c && springOf(r) !== null ? springOf(r) : 0)));
+        const b = free.map(r => [-P[r] - prescribed.reduce((sum, d) => sum + K[r][d] * u[d], 0) + (springOf(r) !== null ? springOf(r) * ends[endDofs.indexOf(r)] : 0)]);
+        const z = mat.solve(A, b);
+        if (!z) throw new Error('弾性床上の梁の部材内の変位を求められません。');
+        free.forEach((d, k) => { u[d] = z[k][0]; });
+        const endForces = endDofs.map(d => K[d].reduce((sum, v, c) => sum + v * u[c], 0) + P[d]);
+        return { n, h, phi, u, endForces };
+    };
+
+    /**
+     * 弾性床上の梁の可撓部分の曲げ剛性（部材端で剛接合とした [v_i, θ_i, v_j, θ_j] の 4×4。部材内の分割点を縮約したもの）
+     */
+    const buildFoundationStiffness = (member) => {
+        const columns = [0, 1, 2, 3].map(k => solveFoundationBending(member, [0, 1, 2, 3].map(m => (m === k ? 1 : 0))).endForces);
+        return [0, 1, 2, 3].map(a => columns.map(column => column[a]));
+    };
+
+    /**
+     * 部材端で剛接合とした可撓部分の曲げ剛性（弾性床上の梁は地盤ばねを含み、変断面部材は断面性能の分布を積分したもの）
+     */
+    const buildFlexibleBendingStiffness = (member) => {
+        if (member.foundationStiffness > 0) return buildFoundationStiffness(member);
+        if (member.sectionProfile) return buildTaperedStiffness(member).bending;
+        return buildBendingStiffness(member.E * member.I, member.flexibleLength ?? member.length, member.shearPhi);
+    };
+
+    /**
+     * 部材荷重のうち可撓部分に作用する部材直交方向の成分（位置は可撓部分の i端（フェイス位置）からの距離に直す）
+     * 全長等分布 w は分布荷重の成分とし、温度荷重・材軸方向の成分・地盤反力の成分は含めない。
+     * @param {object} member - 準備済み部材
+     * @param {number|object} load - 等分布荷重 w (kN/m) または mergeMemberLoads() の荷重 { w, components }
+     * @returns {Array} 荷重成分
+     */
+    const getFlexibleComponents = (member, load) => {
+        const { w = 0, components = [] } = typeof load === 'number' ? { w: load } : (load || {});
+        const L = member.length, a = member.i_rigid || 0, faceJ = L - (member.j_rigid || 0);
+        const loads = w !== 0 ? [...components, { type: 'distributed', w1: w, w2: w, a: 0, b: L }] : components;
+        return loads.filter(c => c.axis !== 'x' && c.type !== 'thermal' && !c.foundation).flatMap(c => {
+            if (c.type !== 'distributed') return c.a >= a && c.a <= faceJ ? [{ ...c, a: c.a - a }] : [];
+            const s0 = Math.max(a, c.a), s1 = Math.min(faceJ, c.b);
+            if (s1 <= s0) return [];
+            const q = (x) => c.w1 + (c.w2 - c.w1) * (x - c.a) / (c.b - c.a);
+            return [{ ...c, w1: q(s0), w2: q(s1), a: s0 - a, b: s1 - a }];
+        });
+    };
+
+    /**
+     * 部材座標系の要素剛性マトリクスを作成（材端接合条件・せん断変形・弾性床・変断面を考慮）
+     * @param {object} props - { E, A, I, length, i_conn, j_conn, i_kr, j_kr, phi, foundation, sectionProfile }（i_kr, j_kr は半剛接合の回転ばね定数、phi はせん断変形の係数 φ、foundation は地盤ばね kf (kN/m²)、sectionProfile は変断面部材の断面性能の分布）
+     * @returns {Array<Array<number>>} 6×6 要素剛性マトリクス
+     */
+    const buildLocalStiffness = ({ E, A, I, length: L, i_conn, j_conn, i_kr, j_kr, phi = 0, foundation = 0, sectionProfile = null }) => {
+        const EAL = sectionProfile ? buildTaperedStiffness({ E, I, length: L, shearPhi: phi, sectionProfile }).axial : E * A / L;
+        const EIL = E * I / L, EIL2 = E * I / L ** 2, EIL3 = E * I / L ** 3;
+        if (foundation > 0 || sectionProfile || ((phi > 0 || i_conn === 'semi-rigid' || j_conn === 'semi-rigid') && !(i_conn === 'pinned' && j_conn === 'pinned'))) {
+            const springs = getEndRotationalSprings({ i_conn, j_conn, i_kr, j_kr });
+            const rigidBending = buildFlexibleBendingStiffness({ E, I, length: L, shearPhi: phi, foundationStiffness: foundation, sectionProfile });
+            const bending = springs.every(k => k === null) ? rigidBending : condenseEndSprings(rigidBending, springs);
+            const k_local = mat.create(6, 6);
+            k_local[0][0] = k_local[3][3] = EAL;
+            k_local[0][3] = k_local[3][0] = -EAL;
+            [1, 2, 4, 5].forEach((p, a) => [1, 2, 4, 5].forEach((q, b) => { k_local[p][q] = bending[a][b]; }));
+            return k_local;
+        }
+        if (i_conn === 'rigid' && j_conn === 'rigid') return [[EAL,0,0,-EAL,0,0],[0,12*EIL3,6*EIL2,0,-12*EIL3,6*EIL2],[0,6*EIL2,4*EIL,0,-6*EIL2,2*EIL],[-EAL,0,0,EAL,0,0],[0,-12*EIL3,-6*EIL2,0,12*EIL3,-6*EIL2],[0,6*EIL2,2*EIL,0,-6*EIL2,4*EIL]];
+        if (i_conn === 'pinned' && j_conn === 'rigid') return [[EAL,0,0,-EAL,0,0],[0,3*EIL3,0,0,-3*EIL3,3*EIL2],[0,0,0,0,0,0],[-EAL,0,0,EAL,0,0],[0,-3*EIL3,0,0,3*EIL3,-3*EIL2],[0,3*EIL2,0,0,-3*EIL2,3*EIL]];
+        if (i_conn === 'rigid' && j_conn === 'pinned') return [[EAL,0,0,-EAL,0,0],[0,3*EIL3,3*EIL2,0,-3*EIL3,0],[0,3*EIL2,3*EIL,0,-3*EIL2,0],[-EAL,0,0,EAL,0,0],[0,-3*EIL3,-3*EIL2,0,3*EIL3,0],[0,0,0,0,0,0]];
+        return [[EAL,0,0,-EAL,0,0],[0,0,0,0,0,0],[0,0,0,0,0,0],[-EAL,0,0,EAL,0,0],[0,0,0,0,0,0],[0,0,0,0,0,0]];
+    };
+
+    /**
+     * 材端の剛域を考慮した変換 Rᵀ·matrix·R（matrix は可撓部分の両端＝フェイス位置の部材座標系 6×6 マトリクス）
+     * フェイス位置の変位は節点変位から v_face,i = v_i + a·θ_i、v_face,j = v_j − b·θ_j とする（a, b は i端・j端の剛域長）。
+     * 軸力 N を与えると、剛域の回転による P-Δ 効果 N·a, N·b を節点回転に加える（幾何剛性用）。
+     * @param {object} member - 準備済み部材（i_rigid, j_rigid）
+     * @param {Array<Array<number>>} matrix - フェイス位置の 6×6 マトリクス
+     * @param {number} [N=0] - 軸力 (kN、引張を正)
+     * @returns {Array<Array<number>>} 節点位置の 6×6 マトリクス（剛域がなければ matrix をそのまま返す）
+     */
+    const transformRigidZones = (member, matrix, N = 0) => {
+        const a = member.i_rigid || 0, b = member.j_rigid || 0;
+        if (a === 0 && b === 0) return matrix;
+        const R = mat.create(6, 6);
+        for (let k = 0; k < 6; k++) R[k][k] = 1;
+        R[1][2] = a;
+        R[4][5] = -b;
+        const result = mat.multiply(mat.multiply(mat.transpose(R), matrix), R);
+        result[2][2] += N * a;
+        result[5][5] += N * b;
+        return result;
+    };
+
+    /**
+     * 部材の幾何量・変換マトリクス・要素剛性を付与した部材オブジェクトを返す
+     * As（せん断断面積 m²）が正の部材はせん断変形を考慮する（G はせん断弾性係数 kN/m²、省略時は E / 2(1 + 0.3)）。
+     * i_rigid, j_rigid（材端の剛域長 m）を与えると、節点から剛域長だけ内側（フェイス位置）までを剛体とし、
+     * 残りの可撓長さ（flexibleLength）で要素剛性・せん断変形の係数・半剛接合の回転ばねを求めて節点位置へ変換する。
+     * behavior（MEMBER_BEHAVIORS、省略時 'linear'）は引張専用・圧縮専用の指定で、静的解析の反復計算（solveMemberBehaviorCase()）で用いる。
+     * ks（地盤反力係数 kN/m³）と foundationWidth（接地幅 m）を与えた部材は弾性床（Winkler地盤）上の梁とし、
+     * 可撓部分に部材直交方向の地盤ばね kf = ks·B (kN/m²) を分布させる（剛域には地盤ばねを設けない）。
+     * taper（{ I, A, Z, i_haunch, j_haunch }）を与えた部材は変断面部材とし、可撓部分の断面性能の分布 sectionProfile（buildSectionProfile()）を
+     * 数値積分して要素剛性・固定端力を求める（部材を分割した要素などでは sectionProfile を直接与えてもよい）。
+     * 変断面部材の I, A, Z は i端（ハンチ部材では中央部）の断面で、せん断変形の係数・半剛接合の固定度の換算にはこの I を用いる。
+     * @param {object} member - { i, j, E, A, I, As, G, i_conn, j_conn, i_kr, j_kr, i_fixity, j_fixity, i_rigid, j_rigid, behavior, ks, foundationWidth, taper, ... } (i, j は0始まりの節点インデックス)
+     * @param {Array} nodes - 節点配列
+     * @param {number} index - 部材インデックス（エラーメッセージ用）
+     * @returns {object} length, flexibleLength, c, s, T, k_local, shearPhi（せん断変形の係数 φ）, foundationStiffness（地盤ばね kf）, sectionProfile（等断面は null）と正規化した接合条件（i_conn, j_conn, i_kr, j_kr）・剛域長を含む部材オブジェクト
+     */
+    const prepareMember = (member, nodes, index) => {
+        const { i, j } = member;
+        if (!Number.isInteger(i) || !Number.isInteger(j) || i < 0 || j < 0 || i >= nodes.length || j >= nodes.length) {
+            throw new Error(`部材 ${index + 1} の節点番号が不正です。`);
+        }
+        const E = Number(member.E), A = Number(member.A), I = Number(member.I);
+        if (!Number.isFinite(E) || !Number.isFinite(A) || !Number.isFinite(I)) {
+            throw new Error(`部材 ${index + 1} の物性値が無効です。`);
+        }
+        const ni = nodes[i], nj = nodes[j];
+        const dx = nj.x - ni.x, dy = nj.y - ni.y, L = Math.sqrt(dx ** 2 + dy ** 2);
+        if (L === 0) throw new Error(`部材 ${index + 1} の長さが0です。`);
+        const c = dx / L, s = dy / L;
+        const [i_rigid, j_rigid] = ['i', 'j'].map(end => {
+            const value = member[`${end}_rigid`];
+            const length = value === undefined || value === null || value === '' ? 0 : Number(value);
+            if (!Number.isFinite(length) || length < 0) throw new Error(`部材 ${index + 1} の${end}端の剛域長は0以上で入力してください。`);
+            return length;
+        });
+        const flexibleLength = L - i_rigid - j_rigid;
+        const behavior = member.behavior || 'linear';
+        if (!MEMBER_BEHAVIORS.includes(behavior)) throw new Error(`部材 ${index + 1} の挙動 "${behavior}" は無効です。`);
+        if (!(flexibleLength > 1e-9 * L)) throw new Error(`部材 ${index + 1} の剛域長の合計 (${(i_rigid + j_rigid).toFixed(3)} m) が部材長 (${L.toFixed(3)} m) 以上です。`);
+        const connections = resolveEndConnections(member, E * I, flexibleLength, index);
+        const As = member.As === undefined || member.As === null || member.As === '' ? 0 : Number(member.As);
+        if (!Number.isFinite(As) || As < 0) throw new Error(`部材 ${index + 1} のせん断断面積 As は0以上で入力してください。`);
+        const G = Number(member.G) > 0 ? Number(member.G) : E / (2 * (1 + DEFAULT_POISSON_RATIO));
+        const shearPhi = As > 0 ? 12 * E * I / (G * As * flexibleLength ** 2) : 0;
+        const [ks, foundationWidth] = ['ks', 'foundationWidth'].map(key => (member[key] === undefined || member[key] === null || member[key] === '' ? 0 : Number(member[key])));
+        if (!Number.isFinite(ks) || ks < 0) throw new Error(`部材 ${index + 1} の地盤反力係数 ks は0以上で入力してください。`);
+        if (ks > 0 && !(Number.isFinite(foundationWidth) && foundationWidth > 0)) throw new Error(`部材 ${index + 1} の弾性床の接地幅 B を正の値で入力してください。`);
+        const foundationStiffness = ks > 0 ? ks * foundationWidth : 0;
+        const sectionProfile = Array.isArray(member.sectionProfile) ? member.sectionProfile
+            : (member.taper ? buildSectionProfile({ I, A, Z: member.Z }, member.taper, flexibleLength, index) : null);
+        if (sectionProfile && foundationStiffness > 0) throw new Error(`部材 ${index + 1} は弾性床上の梁のため変断面にできません。`);
+        const T = buildTransformationMatrix(c, s);
+        const k_local = transformRigidZones({ i_rigid, j_rigid }, buildLocalStiffness({ E, A, I, length: flexibleLength, ...connections, phi: shearPhi, foundation: foundationStiffness, sectionProfile }));
+        return { ...member, E, A, I, As, G, shearPhi, ks, foundationWidth: ks > 0 ? foundationWidth : 0, foundationStiffness, sectionProfile, length: L, flexibleLength, i_rigid, j_rigid, behavior, c, s, T, ...connections, k_local };
+    };
+
+    /**
+     * 接合する部材の断面せいから材端の剛域長を求める
+     * 節点に接合する他の部材の材軸から距離 D/2（D はその部材の断面せい）の位置を接合部のフェイスとし、
+     * フェイスから自部材のせいの1/4だけ節点側に入った位置までを剛域とする（剛域長 = D/2/|sinθ| − D_self/4、θ は材軸のなす角）。
+     * 材軸がほぼ平行な部材（|sinθ| < 0.1）と断面せいのない部材は考慮しない。
+     * @param {Array} nodes - 節点配列
+     * @param {Array} members - [{ i, j, depth }]（depth は構面内の断面せい m）
+     * @returns {Array} [{ i_rigid, j_rigid }] 剛域長 (m)
+     */
+    const calculateRigidZoneLengths = (nodes, members) => {
+        const axes = members.map(({ i, j }) => {
+            if (!nodes[i] || !nodes[j]) return null;
+            const dx = nodes[j].x - nodes[i].x, dy = nodes[j].y - nodes[i].y, L = Math.sqrt(dx ** 2 + dy ** 2);
+            return L > 0 ? { c: dx / L, s: dy / L, L } : null;
+        });
+        return members.map((member, idx) => {
+            const axis = axes[idx], ownDepth = Number(member.depth) > 0 ? Number(member.depth) : 0;
+            const [i_rigid, j_rigid] = [member.i, member.j].map(node => {
+                if (!axis) return 0;
+                const face = members.reduce((max, other, k) => {
+                    const depth = Number(other.depth);
+                    if (k === idx || !axes[k] || !(depth > 0) || (other.i !== node && other.j !== node)) return max;
+                    const sin = Math.abs(axis.c * axes[k].s - axis.s * axes[k].c);
+                    return sin < 0.1 ? max : Math.max(max, depth / 2 / sin);
+                }, 0);
+                return Math.max(0, face - ownDepth / 4);
+            });
+            // 剛域が部材長の大半を占める場合は可撓部分を部材長の1/2残す
+            const total = i_rigid + j_rigid, limit = axis ? axis.L / 2 : 0;
+            return total > limit && total > 0 ? { i_rigid: i_rigid * limit / total, j_rigid: j_rigid * limit / total } : { i_rigid, j_rigid };
+        });
+    };
+
+    // 部材荷重の種別
+    // uniform: 全長等分布 / partial: 部分等分布 / trapezoid: 台形・三角形分布 / point: 集中荷重 / moment: 集中モーメント
+    const MEMBER_LOAD_TYPES = ['uniform', 'partial', 'trapezoid', 'point', 'moment'];
+
+    // 部材荷重の方向
+    // local: 部材座標系の-y方向 / globalX: 全体座標系の+X方向 / globalY: 全体座標系の-Y方向（鉛直下向き）
+    const MEMBER_LOAD_DIRECTIONS = ['local', 'globalX', 'globalY'];
+
+    // 分布荷重の基準長さ
+    // length: 部材の実長あたり / projection: 荷重方向に直交する投影長さあたり（全体Yなら水平投影、全体Xなら鉛直投影）
+    const MEMBER_LOAD_BASES = ['length', 'projection'];
+
+    /**
+     * 部材荷重1件を荷重成分に正規化する
+     * 荷重値 w は分布荷重 (kN/m)・集中荷重 (kN) では荷重方向（direction）を正、集中モーメント (kN·m) では反時計回りを正とする。
+     * a, b は i端からの距離 (m)。集中モーメントを a=0 または a=L に置くと材端モーメントになる。
+     * 投影長さあたりの分布荷重は実長あたりの値に換算して返す。
+     * @param {object} load - { type, w, w2, a, b, direction, basis }
+     * @param {object} member - 準備済み部材
+     * @param {number} index - 荷重のインデックス（エラーメッセージ用）
+     * @returns {object|null} { type: 'distributed', w1, w2, a, b } | { type: 'point', P, a } | { type: 'moment', M, a }。
+     *   全体座標系方向の荷重には direction が付く。部材座標系方向の全長等分布は null
+     */
+    const normalizeMemberLoad = (load, member, index = 0) => {
+        if (load.type === 'thermal') return normalizeThermalLoad(load, member);
+        if (load.type === 'initialStrain') return normalizeInitialStrainLoad(load, member);
+        const type = MEMBER_LOAD_TYPES.includes(load.type) ? load.type : 'uniform';
+        const direction = MEMBER_LOAD_DIRECTIONS.includes(load.direction) ? load.direction : 'local';
+        if (type === 'uniform' && direction === 'local') return null;
+        const L = member.length, tolerance = 1e-9 * Math.max(1, L);
+        const w = Number(load.w) || 0;
+        if (type === 'uniform') return withLoadDirection({ type: 'distributed', w1: w, w2: w, a: 0, b: L }, load, member, direction);
+        const toPosition = (value, fallback) => (value === undefined || value === null || value === '' || !Number.isFinite(Number(value))) ? fallback : Number(value);
+        let a = toPosition(load.a, 0);
+        let b = toPosition(load.b, L);
+        if (a < -tolerance || a > L + tolerance || b < -tolerance || b > L + tolerance) {
+            throw new Error(`部材荷重 ${index + 1} の載荷位置が部材長 (${L.toFixed(3)} m) の範囲外です。`);
+        }
+        a = Math.min(Math.max(a, 0), L);
+        b = Math.min(Math.max(b, 0), L);
+        if (type === 'point') return withLoadDirection({ type, P: w, a }, load, member, direction);
+        if (type === 'moment') return { type, M: w, a };
+        const w2 = type === 'partial' ? w : (Number(load.w2) || 0);
+        if (b < a) return withLoadDirection({ type: 'distributed', w1: w2, w2: w, a: b, b: a }, load, member, direction);
+        return withLoadDirection({ type: 'distributed', w1: w, w2, a, b }, load, member, direction);
+    };
+
+    /**
+     * 温度荷重を自由熱ひずみ・自由熱曲率の荷重成分に正規化する
+     * ΔT は断面一様の温度変化、ΔTg は部材せい h 方向の温度差（下面 − 上面。上面は部材座標系の+y側）。
+     * 線膨張係数は荷重の alpha、なければ部材の alpha を用いる。
+     * @param {object} load - { type: 'thermal', memberIndex, dT, dTg, h, alpha }（h は m、alpha は 1/℃）
+     * @param {object} member - 準備済み部材
+     * @returns {object} { type: 'thermal', strain, curvature } strain は伸びを正、curvature は v'' と同じ向き（下に凸）を正
+     */
+    const normalizeThermalLoad = (load, member) => {
+        const label = `部材 ${(load.memberIndex ?? 0) + 1} の温度荷重`;
+        const alpha = Number.isFinite(Number(load.alpha)) && load.alpha !== '' && load.alpha !== null ? Number(load.alpha) : Number(member.alpha);
+        if (!Number.isFinite(alpha)) throw new Error(`${label}: 線膨張係数が設定されていません。`);
+        const dT = Number(load.dT) || 0, dTg = Number(load.dTg) || 0, h = Number(load.h);
+        if (dTg !== 0 && !(h > 0)) throw new Error(`${label}: 温度差を与える場合は部材せい h を正の値で入力してください。`);
+        return { type: 'thermal', strain: alpha * dT, curvature: dTg !== 0 ? alpha * dTg / h : 0 };
+    };
+
+    /**
+     * 初期ひずみ荷重（製作誤差による部材長の過不足・ターンバックル等による導入張力・初期曲率）を自由ひずみ・自由曲率の荷重成分に正規化する
+     * 温度荷重と同じく部材の可撓部分に一様な自由ひずみ・自由曲率として与え、解析コアで等価な固定端力（節点荷重）に換算する。
+     * 導入張力 P0 は両端を固定した部材に P0 の引張が生じる縮み P0·∫dx/EA に換算する。
+     * @param {object} load - { type: 'initialStrain', memberIndex, dL, P0, curvature }（dL は伸びを正とする長さの過不足 m、P0 は引張を正 kN、curvature は 1/m）
+     * @param {object} member - 準備済み部材
+     * @returns {object} { type: 'thermal', strain, curvature, imposed: true } strain は伸びを正、curvature は v'' と同じ向き（下に凸）を正
+     */
+    const normalizeInitialStrainLoad = (load, member) => {
+        const L = member.flexibleLength ?? member.length;
+        const dL = Number(load.dL) || 0, P0 = Number(load.P0) || 0, curvature = Number(load.curvature) || 0;
+        const axialStiffness = member.sectionProfile ? buildTaperedStiffness(member).axial : member.E * member.A / L;
+        if (P0 !== 0 && !(axialStiffness > 0)) throw new Error(`部材 ${(load.memberIndex ?? 0) + 1} の初期ひずみ荷重: 導入張力を与える部材の E, A が無効です。`);
+        return { type: 'thermal', strain: (dL - (P0 !== 0 ? P0 / axialStiffness : 0)) / L, curvature, imposed: true };
+    };
+
+    // 全体座標系方向の荷重成分に方向を付け、投影長さあたりの分布荷重を実長あたりに換算する
+    const withLoadDirection = (component, load, member, direction) => {
+        if (direction === 'local') return component;
+        const result = { ...component, direction };
+        if (component.type === 'distributed' && load.basis === 'projection') {
+            const factor = Math.abs(direction === 'globalY' ? member.c : member.s);
+            result.w1 *= factor;
+            result.w2 *= factor;
+        }
+        return result;
+    };
+
+    // 部材座標系に分解した荷重成分から方向の指定を除く
+    const withoutLoadDirection = (component) => {
+        const local = { ...component };
+        delete local.direction;
+        return local;
+    };
+
+    /**
+     * 荷重成分を部材座標系の成分に分解する
+     * 全体座標系方向の分布荷重・集中荷重は、部材直交方向（-y方向正）の成分と材軸方向（+x方向正、axis: 'x'）の成分に分ける。
+     * @param {object} component - normalizeMemberLoad() の荷重成分
+     * @param {object} member - 準備済み部材（c, s を使用）
+     * @returns {Array} 部材座標系の荷重成分
+     */
+    const resolveMemberLoadComponent = (component, member) => {
+        if (!component.direction || component.direction === 'local' || component.type === 'moment' || component.type === 'thermal') {
+            return [withoutLoadDirection(component)];
+        }
+        // 単位荷重（globalX: (1, 0)、globalY: (0, -1)）の部材座標系成分
+        const [fx, fy] = component.direction === 'globalX' ? [1, 0] : [0, -1];
+        const transverse = fx * member.s - fy * member.c;
+        const axial = fx * member.c + fy * member.s;
+        const base = withoutLoadDirection(component);
+        const resolved = [];
+        if (Math.abs(transverse) > 1e-12) resolved.push(scaleMemberLoadComponent(base, transverse));
+        if (Math.abs(axial) > 1e-12) resolved.push({ ...scaleMemberLoadComponent(base, axial), axis: 'x' });
+        return resolved;
+    };
+
+    /**
+     * 荷重成分を係数倍する（荷重組合せの重ね合わせ用）
+     */
+    const scaleMemberLoadComponent = (component, factor) => {
+        if (component.type === 'distributed') {
+            const scaled = { ...component, w1: component.w1 * factor, w2: component.w2 * factor };
+            if (component.coefficients) scaled.coefficients = component.coefficients.map(v => v * factor);
+            return scaled;
+        }
+        if (component.type === 'point') return { ...component, P: component.P * factor };
+        if (component.type === 'moment') return { ...component, M: component.M * factor };
+        if (component.type === 'thermal') return { ...component, strain: component.strain * factor, curvature: component.curvature * factor };
+        return { ...component };
+    };
+
+    // 3点ガウス積分（5次までの多項式を厳密に積分）
+    const GAUSS_POINTS_3 = [[-Math.sqrt(3 / 5), 5 / 9], [0, 8 / 9], [Math.sqrt(3 / 5), 5 / 9]];
+    const integrateGauss = (f, a, b) => {
+        if (b <= a) return 0;
+        const half = (b - a) / 2, mid = (a + b) / 2;
+        return GAUSS_POINTS_3.reduce((sum, [t, weight]) => sum + weight * f(mid + half * t), 0) * half;
+    };
+
+    // 曲げのたわみの形状関数 [N1, N2, N3, N4]（v_i, θ_i, v_j, θ_j）と断面の回転角の形状関数
+    // φ = 0 ではエルミート形状関数とその1階微分、φ > 0 では Timoshenko 梁の厳密解（せん断変形の係数 φ）となる
+    const hermiteShape = (x, L, phi = 0) => {
+        const xi = x / L, f = 1 / (1 + phi);
+        return [f * (1 - 3*xi**2 + 2*xi**3 + phi * (1 - xi)), f * L * (xi - 2*xi**2 + xi**3 + phi * (xi - xi**2) / 2), f * (3*xi**2 - 2*xi**3 + phi * xi), f * L * (xi**3 - xi**2 - phi * (xi - xi**2) / 2)];
+    };
+    const hermiteSlope = (x, L, phi = 0) => {
+        const xi = x / L, f = 1 / (1 + phi);
+        return [f * 6 * (xi**2 - xi) / L, f * (1 - 4*xi + 3*xi**2 + phi * (1 - xi)), f * 6 * (xi - xi**2) / L, f * (3*xi**2 - 2*xi + phi * xi)];
+    };
+
+    /**
+     * 変断面部材（剛域なし）の両端固定の固定端力
+     * 曲げは材端モーメント M_i, M_j と単純梁の荷重項による曲げモーメント M(x) に対し、曲率 κ = M/EI(x) + 熱曲率 が両端の回転角・相対たわみを0とする条件
+     * ∫(1−ξ)κ dx = ψ(M_i + M_j + ΣM), ∫ξκ dx = −ψ(M_i + M_j + ΣM)（ψ = 1/(L·G·As)、ΣM は集中モーメントの和。せん断ひずみ γ = −M'/(G·As) の積分による）から M_i, M_j を求め、せん断力は釣合いから求める。
+     * 軸方向は ∫(N/EA(x) + 熱ひずみ) dx = 0 から i端の軸力を求める。積分は断面性能の分布と荷重位置で区切った数値積分とする。
+     * @param {object} member - 準備済み部材（sectionProfile）
+     * @param {Array} components - 荷重成分（全長等分布も成分として含める）
+     * @returns {Array<number>} 部材座標系の固定端力 [N_i, Q_i, M_i, N_j, Q_j, M_j]
+     */
+    const calculateTaperedFixedEndForces = (member, components) => {
+        const L = member.length, E = member.E, profile = member.sectionProfile;
+        const transverse = components.filter(c => c.axis !== 'x' && c.type !== 'thermal' && !c.foundation);
+        const axial = components.filter(c => c.axis === 'x');
+        const strain = components.reduce((sum, c) => sum + (c.type === 'thermal' ? c.strain : 0), 0);
+        const curvature = components.reduce((sum, c) => sum + (c.type === 'thermal' ? c.curvature : 0), 0);
+        const breakpoints = [...new Set([...getTaperBreakpoints(profile), ...getMemberLoadPositions({ components: [...transverse, ...axial] })].filter(p => p >= 0 && p <= L))].sort((p, q) => p - q);
+        const integrate = (f) => breakpoints.slice(0, -1).reduce((sum, p, n) => sum + integrateGauss(f, p, breakpoints[n + 1]), 0);
+        const EI = (x) => E * interpolateSection(profile, x).I, EA = (x) => E * interpolateSection(profile, x).A;
+
+        // 単純梁としての荷重項（getMomentFunction() と同じ向き）
+        const { shear: total, moment: totalMoment } = spanLoadEffects(transverse, L);
+        const simpleMoment = (x) => totalMoment / L * x - spanLoadEffects(transverse, x, L).moment;
+        const appliedMoment = transverse.reduce((sum, c) => sum + (c.type === 'moment' ? c.M : 0), 0);
+        const psi = (member.shearPhi || 0) * L / (12 * E * member.I);
+        const a = integrate(x => (1 - x / L) ** 2 / EI(x)), b = integrate(x => (x / L) * (1 - x / L) / EI(x)), c = integrate(x => (x / L) ** 2 / EI(x));
+        const r1 = integrate(x => (1 - x / L) * (simpleMoment(x) / EI(x) + curvature));
+        const r2 = integrate(x => (x / L) * (simpleMoment(x) / EI(x) + curvature));
+        const [[M_i], [M_j]] = mat.solve([[-a - psi, b - psi], [psi - b, c + psi]], [[psi * appliedMoment - r1], [-psi * appliedMoment - r2]]);
+        const Q_i = (M_i + M_j + totalMoment) / L;
+
+        const axialTotal = axial.length > 0 ? spanLoadEffects(axial, L).axial : 0;
+        const N_i = (strain * L - (axial.length > 0 ? integrate(x => spanLoadEffects(axial, x, L).axial / EA(x)) : 0)) / integrate(x => 1 / EA(x));
+        return [N_i, Q_i, M_i, -N_i - axialTotal, total - Q_i, M_j];
+    };
+
+    /**
+     * 部材荷重（等分布 w と荷重成分）による固定端力
+     * 全長等分布は閉形式、その他の荷重成分は両端固定の固定端力をエルミート形状関数（せん断変形を考慮する部材は Timoshenko 梁の形状関数）から求め、
+     * ピン接合端・半剛接合端のモーメントを静的縮約で解放する。
+     * 半剛接合の部材と、せん断変形を考慮する片端ピン接合の部材では全長等分布も荷重成分として扱う。
+     * 温度荷重は自由熱ひずみ・熱曲率を拘束する軸力 EAε・曲げモーメント EIκ を固定端力とする。
+     * 剛域を持つ部材は calculateRigidZoneFixedEndForces() で節点位置の固定端力を求める。
+     * 弾性床上の梁は部材内の分割点の変位を地盤ばねとの釣合いから求めた両端固定の固定端力とする（solveFoundationBending()）。
+     * 変断面部材は断面性能の分布を数値積分した両端固定の固定端力とする（calculateTaperedFixedEndForces()）。
+     * @param {object} member - 準備済み部材
+     * @param {number|object} load - 等分布荷重 w (kN/m) または mergeMemberLoads() の荷重 { w, components }
+     * @returns {Array<number>} 部材座標系の固定端力 [N_i, Q_i, M_i, N_j, Q_j, M_j]
+     */
+    const calculateFixedEndForces = (member, load) => {
+        if (member.i_rigid > 0 || member.j_rigid > 0) return calculateRigidZoneFixedEndForces(member, load);
+        let { w = 0, components = [] } = typeof load === 'number' ? { w: load } : (load || {});
+        const L = member.length, phi = member.shearPhi || 0;
+        if (w !== 0 && (member.foundationStiffness > 0 || member.sectionProfile || member.i_conn === 'semi-rigid' || member.j_conn === 'semi-rigid' || (phi > 0 && member.i_conn !== member.j_conn))) {
+            components = [...components, { type: 'distributed', w1: w, w2: w, a: 0, b: L }];
+            w = 0;
+        }
+        let fel;
+        if (member.i_conn === 'rigid' && member.j_conn === 'rigid') fel = [0, w*L/2, w*L**2/12, 0, w*L/2, -w*L**2/12];
+        else if (member.i_conn === 'pinned' && member.j_conn === 'rigid') fel = [0, 3*w*L/8, 0, 0, 5*w*L/8, -w*L**2/8];
+        else if (member.i_conn === 'rigid' && member.j_conn === 'pinned') fel = [0, 5*w*L/8, w*L**2/8, 0, 3*w*L/8, 0];
+        else fel = [0, w*L/2, 0, 0, w*L/2, 0];
+        if (components.length === 0) return fel;
+
+        // 両端固定の固定端力 [Q_i, M_i, Q_j, M_j]
+        let fixed = [0, 0, 0, 0];
+        if (member.sectionProfile) {
+            const tapered = calculateTaperedFixedEndForces(member, components);
+            fel[0] += tapered[0]; fel[3] += tapered[3];
+            fixed = [tapered[1], tapered[2], tapered[4], tapered[5]];
+            // すべての荷重成分を含めたので、以下の成分ごとの配分は行わない
+            components = [];
+        } else if (member.foundationStiffness > 0) {
+            fixed = solveFoundationBending(member, [0, 0, 0, 0], getFlexibleComponents(member, { components })).endForces;
+        }
+
+        // 材軸方向の荷重成分（+x方向正）は線形形状関数で両端に配分する
+        components.filter(c => c.axis === 'x').forEach(c => {
+            if (c.type === 'distributed') {
+                const q = (x) => c.w1 + (c.w2 - c.w1) * (x - c.a) / (c.b - c.a);
+                fel[0] -= integrateGauss(x => q(x) * (1 - x / L), c.a, c.b);
+                fel[3] -= integrateGauss(x => q(x) * x / L, c.a, c.b);
+            } else if (c.type === 'point') {
+                fel[0] -= c.P * (1 - c.a / L);
+                fel[3] -= c.P * c.a / L;
+            }
+        });
+
+        components.filter(c => c.axis !== 'x' && !c.foundation).forEach(c => {
+            let contribution;
+            if (c.type === 'thermal') {
+                const axialForce = member.E * member.A * c.strain, bendingMoment = member.E * member.I * c.curvature;
+                fel[0] += axialForce;
+                fel[3] -= axialForce;
+                contribution = [0, bendingMoment, 0, -bendingMoment];
+            } else if (member.foundationStiffness > 0) {
+                return;
+            } else if (c.type === 'distributed') {
+                const q = (x) => c.w1 + (c.w2 - c.w1) * (x - c.a) / (c.b - c.a);
+                contribution = [0, 1, 2, 3].map(k => integrateGauss(x => q(x) * hermiteShape(x, L, phi)[k], c.a, c.b));
+            } else if (c.type === 'point') {
+                contribution = hermiteShape(c.a, L, phi).map(N => c.P * N);
+            } else if (c.type === 'moment') {
+                contribution = hermiteSlope(c.a, L, phi).map(dN => -c.M * dN);
+            } else {
+                return;
+            }
+            contribution.forEach((v, k) => { fixed[k] += v; });
+        });
+
+        // ピン接合端・半剛接合端のモーメントを解放（EI=1 の曲げ剛性で縮約し、回転ばねは kθ/EI とする）
+        // 半剛接合端には回転ばねに伝わるモーメント kθ/(K_rr+kθ)·M が残り、ピン接合端は0になる
+        const springs = getEndRotationalSprings(member);
+        const released = [1, 3].filter((_, end) => springs[end] !== null);
+        if (released.length > 0) {
+            const K = buildFlexibleBendingStiffness(member).map(row => row.map(v => v / (member.E * member.I)));
+            const K_rr = released.map(r => released.map(c => K[r][c] + (r === c ? springs[(r - 1) / 2] / (member.E * member.I) : 0)));
+            const z = mat.solve(K_rr, released.map(r => [fixed[r]])).map(v => v[0]);
+            const correction = [0, 1, 2, 3].map(k => released.reduce((sum, r, n) => sum + K[k][r] * z[n], 0));
+            correction.forEach((v, k) => { fixed[k] -= v; });
+            released.forEach(r => { if (springs[(r - 1) / 2] === 0) fixed[r] = 0; });
+        }
+        fel[1] += fixed[0]; fel[2] += fixed[1]; fel[4] += fixed[2]; fel[5] += fixed[3];
+        return fel;
+    };
+
+    /**
+     * 剛域を持つ部材の固定端力（節点位置）
+     * 可撓部分に作用する荷重は可撓部分を1本の部材とみなした固定端力をフェイス位置で求めて節点位置へ移し、
+     * 剛域に作用する荷重は剛域を介してそのまま節点に伝える。温度荷重は可撓部分にのみ作用させる。
+     * @param {object} member - 準備済み部材（i_rigid, j_rigid, flexibleLength）
+     * @param {number|object} load - 等分布荷重 w (kN/m) または mergeMemberLoads() の荷重 { w, components }
+     * @returns {Array<number>} 部材座標系の固定端力 [N_i, Q_i, M_i, N_j, Q_j, M_j]
+     */
+    const calculateRigidZoneFixedEndForces = (member, load) => {
+        const { w = 0, components = [] } = typeof load === 'number' ? { w: load } : (load || {});
+        const L = member.length, a = member.i_rigid || 0, b = member.j_rigid || 0, faceJ = L - b;
+        const loads = (w !== 0 ? [...components, { type: 'distributed', w1: w, w2: w, a: 0, b: L }] : components).filter(c => !c.foundation);
+        const fel = [0, 0, 0, 0, 0, 0];
+        const flexible = [];
+        // 剛域上の荷重（合力 P と、節点まわりのモーメント M_node: 剛域の曲げモーメントの材端値）を節点に伝える
+        const transferToNode = (c, atI, P, M_node) => {
+            if (c.axis === 'x') {
+                fel[atI ? 0 : 3] -= P;
+            } else {
+                fel[atI ? 1 : 4] += P;
+                fel[atI ? 2 : 5] += M_node;
+            }
+        };
+        loads.forEach(c => {
+            if (c.type === 'thermal') {
+                flexible.push(c);
+            } else if (c.type === 'point' || c.type === 'moment') {
+                if (c.a >= a && c.a <= faceJ) flexible.push({ ...c, a: c.a - a });
+                else if (c.type === 'point') transferToNode(c, c.a < a, c.P, c.a < a ? c.P * c.a : -c.P * (L - c.a));
+                else transferToNode(c, c.a < a, 0, -c.M);
+            } else if (c.type === 'distributed') {
+                const q = (x) => c.w1 + (c.w2 - c.w1) * (x - c.a) / (c.b - c.a);
+                [[0, a], [a, faceJ], [faceJ, L]].forEach(([start, end], zone) => {
+                    const s0 = Math.max(start, c.a), s1 = Math.min(end, c.b);
+                    if (s1 <= s0) return;
+                    if (zone === 1) {
+                        flexible.push({ ...c, w1: q(s0), w2: q(s1), a: s0 - a, b: s1 - a });
+                        return;
+                    }
+                    const arm = zone === 0 ? (x) => x : (x) => -(L - x);
+                    transferToNode(c, zone === 0, integrateGauss(q, s0, s1), integrateGauss(x => q(x) * arm(x), s0, s1));
+                });
+            }
+        });
+        const face = calculateFixedEndForces({ ...member, length: member.flexibleLength, i_rigid: 0, j_rigid: 0 }, { w: 0, components: flexible });
+        return [face[0], face[1], face[2] + a * face[1], face[3], face[4], face[5] - b * face[4]].map((v, k) => v + fel[k]);
+    };
+
+    /**
+     * 同一部材に作用する部材荷重を合計する
+     * 部材座標系方向の全長等分布荷重は w に合計し、それ以外（温度荷重を含む）は部材座標系の荷重成分 components に正規化して保持する。
+     * @param {Array} memberLoads - [{ memberIndex, w, type, w2, a, b, direction, basis }] または合計済みの [{ memberIndex, w, components }]
+     * @param {Array} [members] - 準備済み部材配列（荷重成分の正規化に使用）
+     * @returns {Map<number, {memberIndex: number, w: number, components: Array}>}
+     */
+    const mergeMemberLoads = (memberLoads, members) => {
+        const memberLoadMap = new Map();
+        (memberLoads || []).forEach((load, index) => {
+            const memberIndex = load.memberIndex;
+            if (!memberLoadMap.has(memberIndex)) memberLoadMap.set(memberIndex, { memberIndex, w: 0, components: [] });
+            const entry = memberLoadMap.get(memberIndex);
+            if (Array.isArray(load.components)) {
+                entry.w += Number(load.w) || 0;
+                entry.components.push(...load.components);
+                return;
+            }
+            const member = members && members[memberIndex];
+            const component = member ? normalizeMemberLoad(load, member, index) : null;
+            if (component) entry.components.push(...resolveMemberLoadComponent(component, member));
+            else entry.w += Number(load.w) || 0;
+        });
+        return memberLoadMap;
+    };
+
+    /**
+     * 荷重成分の載荷位置（集中荷重・モーメントの位置、分布荷重の始点・終点。弾性床の地盤反力の成分は除く）
+     * @param {object} load - mergeMemberLoads() の荷重
+     * @returns {Array<number>} i端からの距離 (m)
+     */
+    const getMemberLoadPositions = (load) => {
+        const positions = [];
+        ((load && load.components) || []).forEach(c => {
+            if (c.type === 'thermal' || c.foundation) return;
+            positions.push(c.a);
+            if (c.type === 'distributed') positions.push(c.b);
+        });
+        return positions;
+    };
+
+    /**
+     * 同一節点に作用する節点荷重を合計する
+     * @param {Array} nodeLoads - [{ nodeIndex, px, py, mz }]
+     * @returns {Array} 節点ごとに合計された荷重
+     */
+    const mergeNodeLoads = (nodeLoads) => {
+        const nodeLoadMap = new Map();
+        (nodeLoads || []).forEach(load => {
+            const entry = nodeLoadMap.get(load.nodeIndex) || { nodeIndex: load.nodeIndex, px: 0, py: 0, mz: 0 };
+            entry.px += Number(load.px) || 0;
+            entry.py += Number(load.py) || 0;
+            entry.mz += Number(load.mz) || 0;
+            nodeLoadMap.set(load.nodeIndex, entry);
+        });
+        return Array.from(nodeLoadMap.values());
+    };
+
+    // 支点種別ごとの拘束 [ux, uy, θz]（roller は roller-y と同じく鉛直方向のみ拘束）
+    const SUPPORT_RESTRAINTS = {
+        free: [false, false, false],
+        pinned: [true, true, false],
+        fixed: [true, true, true],
+        roller: [false, true, false],
+        'roller-x': [true, false, false],
+        'roller-y': [false, true, false],
+        'slide-x': [false, true, true],
+        'slide-y': [true, false, true],
+        rotation: [false, false, true]
+    };
+
+    /**
+     * 節点の拘束 [ux, uy, θz] を求める
+     * 支点種別による拘束に restraint_x / restraint_y / restraint_r の個別指定（true のもの）を加える。
+     * support_angle (rad) を持つ傾斜支点では ux, uy は支点座標系（全体X軸から反時計回りに support_angle 回転した x', y'）の成分。
+     * @param {object} node - 節点
+     * @returns {Array<boolean>} [ux, uy, θz]
+     */
+    const getNodeRestraints = (node) => {
+        const preset = SUPPORT_RESTRAINTS[node.support] || SUPPORT_RESTRAINTS.free;
+        return [node.restraint_x, node.restraint_y, node.restraint_r].map((flag, d) => preset[d] || flag === true);
+    };
+
+    /**
+     * 節点の境界条件から拘束自由度を求める
+     * @param {Array} nodes - 節点配列
+     * @returns {Set<number>} 拘束される全体自由度番号
+     */
+    const getSupportConstraints = (nodes) => {
+        const support_constraints = new Set();
+        nodes.forEach((node, i) => {
+            getNodeRestraints(node).forEach((restrained, d) => {
+                if (restrained) support_constraints.add(i * 3 + d);
+            });
+        });
+        return support_constraints;
+    };
+
+    /**
+     * 傾斜支点の節点について、節点ベクトルの並進成分を全体座標系と支点座標系の間で変換する
+     * 支点座標系の成分 v' と全体座標系の成分 v の関係は v = R v'（R は support_angle の回転行列）。
+     * @param {Array<Array<number>>} vector - 全体自由度の列ベクトル（その場で書き換える）
+     * @param {Array} nodes - 正規化済み節点配列
+     * @param {boolean} toSupportFrame - true なら全体座標系→支点座標系、false なら支点座標系→全体座標系
+     * @returns {Array<Array<number>>} 変換後の vector
+     */
+    const rotateNodalVector = (vector, nodes, toSupportFrame) => {
+        nodes.forEach((node, i) => {
+            if (!node.support_angle) return;
+            const c = Math.cos(node.support_angle), s = Math.sin(node.support_angle) * (toSupportFrame ? 1 : -1);
+            const x = vector[i*3][0], y = vector[i*3+1][0];
+            vector[i*3][0] = c * x + s * y;
+            vector[i*3+1][0] = -s * x + c * y;
+        });
+        return vector;
+    };
+
+    /**
+     * 部材の全体座標系剛性マトリクスを、傾斜支点の節点について支点座標系に変換する（Rᵀ k R）
+     * @param {Array<Array<number>>} ke - 全体座標系の6x6マトリクス
+     * @param {object} member - 準備済み部材
+     * @param {Array} nodes - 正規化済み節点配列
+     * @returns {Array<Array<number>>} 6x6 マトリクス（傾斜支点がなければ ke そのもの）
+     */
+    const toSupportFrame = (ke, member, nodes) => {
+        const angles = [nodes[member.i].support_angle || 0, nodes[member.j].support_angle || 0];
+        if (!angles[0] && !angles[1]) return ke;
+        const R = mat.create(6, 6);
+        angles.forEach((angle, end) => {
+            const c = Math.cos(angle), s = Math.sin(angle), o = end * 3;
+            R[o][o] = c; R[o][o+1] = -s;
+            R[o+1][o] = s; R[o+1][o+1] = c;
+            R[o+2][o+2] = 1;
+        });
+        return mat.multiply(mat.multiply(mat.transpose(R), ke), R);
+    };
+
+    /**
+     * 節点のばね支点（kx, ky, kθ）を全体自由度ごとのばね定数に展開する
+     * 支点条件で拘束された自由度のばねは剛な拘束が優先されるため無視する。
+     * @param {Array} nodes - 正規化済み節点配列（kx, ky: kN/m、kr: kN·m/rad）
+     * @param {Set<number>} [constrainedSet] - 拘束自由度
+     * @returns {Float64Array} 全体自由度ごとのばね定数
+     */
+    const getSpringStiffness = (nodes, constrainedSet = new Set()) => {
+        const springs = new Float64Array(nodes.length * 3);
+        nodes.forEach((node, i) => {
+            [node.kx, node.ky, node.kr].forEach((k, d) => {
+                if (k > 0 && !constrainedSet.has(i * 3 + d)) springs[i * 3 + d] = k;
+            });
+        });
+        return springs;
+    };
+
+    // 多点拘束の種類（rigid: 剛体リンク、diaphragm: 剛床（水平変位の同一化）、equal: 指定した自由度の同一化）
+    const CONSTRAINT_TYPES = ['rigid', 'diaphragm', 'equal'];
+
+    // 自由度の名称（エラーメッセージ用）
+    const DOF_LABELS = ['X方向変位', 'Y方向変位', '回転角'];
+
+    /**
+     * 多点拘束を従属節点の自由度ごとの拘束式に展開し、正規化済み節点の dofConstraints に設定する
+     * 従属自由度 u_s は主節点の自由度の線形結合 u_s = Σ c·u_m とし、dofConstraints[d] は [[全体自由度, 係数], ...]（拘束しない自由度は null）。
+     * 剛体リンクは微小回転の剛体変位 u_s = u_m − Δy·θ_m、v_s = v_m + Δx·θ_m、θ_s = θ_m（Δx, Δy は主節点から従属節点へのベクトル）、
+     * 剛床は X方向変位を同一とする（slaves を省略すると主節点と同じ高さ（Y座標）の X方向が拘束されていない節点を従属節点とする）。
+     * @param {Array} constraints - [{ type: 'rigid'|'diaphragm'|'equal', master, slaves, dofs }]（master, slaves は節点インデックス、dofs は 'equal' の ['x', 'y', 'r'] の部分集合）
+     * @param {Array} nodes - 正規化済み節点配列（dofConstraints を書き換える）
+     * @returns {Array} 正規化した拘束 [{ type, master, slaves, dofs }]（dofs は自由度番号 0〜2）
+     * @throws {Error} 節点が存在しない、支点・強制変位で拘束された自由度や傾斜支点の節点を含む、同じ自由度を二重に拘束する場合
+     */
+    const applyNodeConstraints = (constraints, nodes) => {
+        const tolerance = 1e-9 * Math.max(1, ...nodes.map(n => Math.max(Math.abs(n.x), Math.abs(n.y))));
+        return (constraints || []).map((constraint, k) => {
+            const label = `拘束条件 ${k + 1}`;
+            const type = constraint.type;
+            if (!CONSTRAINT_TYPES.includes(type)) throw new Error(`${label} の種類 "${type}" は未対応です。`);
+            const master = Number(constraint.master);
+            if (!Number.isInteger(master) || !nodes[master]) throw new Error(`${label}: 主節点が存在しません。`);
+            let slaves = (constraint.slaves || []).map(Number);
+            if (type === 'diaphragm' && slaves.length === 0) {
+                // 同じ高さの節点のうち X方向が支点・強制変位で拘束されていないもの
+                slaves = nodes.map((_, i) => i).filter(i => i !== master && Math.abs(nodes[i].y - nodes[master].y) <= tolerance
+                    && !getNodeRestraints(nodes[i])[0] && !(Math.abs(nodes[i].dx_forced) > 1e-9));
+            }
+            slaves = [...new Set(slaves)].filter(i => i !== master);
+            if (slaves.some(i => !Number.isInteger(i) || !nodes[i])) throw new Error(`${label}: 従属節点が存在しません。`);
+            if (slaves.length === 0) throw new Error(`${label}: 従属節点がありません。`);
+            const dofs = type === 'rigid' ? [0, 1, 2] : type === 'diaphragm' ? [0]
+                : [...new Set((constraint.dofs || []).map(d => ['x', 'y', 'r'].indexOf(d)))].filter(d => d >= 0).sort();
+            if (dofs.length === 0) throw new Error(`${label}: 同一とする自由度を指定してください。`);
+            [master, ...slaves].forEach(i => {
+                if (nodes[i].support_angle) throw new Error(`${label}: 傾斜支点の節点 ${i + 1} には拘束条件を設定できません。`);
+            });
+            const m = nodes[master];
+            slaves.forEach(i => {
+                const node = nodes[i];
+                const restraints = getNodeRestraints(node), forced = [node.dx_forced, node.dy_forced, node.r_forced];
+                if (!node.dofConstraints) node.dofConstraints = [null, null, null];
+                dofs.forEach(d => {
+                    if (restraints[d] || Math.abs(forced[d]) > 1e-9) throw new Error(`${label}: 節点 ${i + 1} の${DOF_LABELS[d]}は支点または強制変位で拘束されているため従属自由度にできません。`);
+                    if (node.dofConstraints[d]) throw new Error(`${label}: 節点 ${i + 1} の${DOF_LABELS[d]}は他の拘束条件の従属自由度です。`);
+                    const terms = [[master * 3 + d, 1]];
+                    if (type === 'rigid' && d === 0 && node.y !== m.y) terms.push([master * 3 + 2, -(node.y - m.y)]);
+                    if (type === 'rigid' && d === 1 && node.x !== m.x) terms.push([master * 3 + 2, node.x - m.x]);
+                    node.dofConstraints[d] = terms;
+                });
+            });
+            return { type, master, slaves, dofs };
+        });
+    };
+
+    /**
+     * 節点の拘束式から従属自由度ごとの独立自由度の線形結合を求める（主節点が他の拘束の従属節点である連鎖は展開する）
+     * @param {Array} nodes - 正規化済み節点配列（dofConstraints）
+     * @returns {Map<number, Array<Array<number>>>} 従属自由度 → [[独立自由度, 係数], ...]（全体自由度の昇順）
+     * @throws {Error} 拘束が循環している場合
+     */
+    const getConstraintMap = (nodes) => {
+        const direct = new Map();
+        nodes.forEach((node, i) => (node.dofConstraints || []).forEach((terms, d) => { if (terms) direct.set(i * 3 + d, terms); }));
+        const resolved = new Map(), visiting = new Set();
+        const resolve = (dof) => {
+            if (!direct.has(dof)) return [[dof, 1]];
+            if (resolved.has(dof)) return resolved.get(dof);
+            if (visiting.has(dof)) throw new Error(`節点 ${Math.floor(dof / 3) + 1} の${DOF_LABELS[dof % 3]}の拘束条件が循環しています。`);
+            visiting.add(dof);
+            const combined = new Map();
+            direct.get(dof).forEach(([master, c]) => resolve(master).forEach(([d, a]) => combined.set(d, (combined.get(d) || 0) + c * a)));
+            visiting.delete(dof);
+            const terms = [...combined].filter(([, c]) => c !== 0).sort((p, q) => p[0] - q[0]);
+            resolved.set(dof, terms);
+            return terms;
+        };
+        [...direct.keys()].sort((a, b) => a - b).forEach(resolve);
+        return new Map([...resolved].sort((p, q) => p[0] - q[0]));
+    };
+
+    /**
+     * 全体自由度のベクトルの従属自由度の値を独立自由度の値から求める（その場で書き換える）
+     * @param {object} numbering - numberEquations() の戻り値（constraints）
+     * @param {Float64Array|Array<number>} values - 全体自由度の値
+     * @returns {Float64Array|Array<number>} values
+     */
+    const expandConstrainedDofs = (numbering, values) => {
+        numbering.constraints.forEach((terms, slave) => { values[slave] = terms.reduce((sum, [d, c]) => sum + c * values[d], 0); });
+        return values;
+    };
+
+    /**
+     * 全体自由度の力のベクトルの従属自由度の成分を独立自由度へ移す（Cᵀ f。従属自由度の成分は0になる）
+     * @param {object} numbering - numberEquations() の戻り値（constraints）
+     * @param {Float64Array|Array<number>} values - 全体自由度の力
+     * @returns {Float64Array} 変換後の新しいベクトル
+     */
+    const condenseConstrainedDofs = (numbering, values) => {
+        const result = Float64Array.from(values);
+        numbering.constraints.forEach((terms, slave) => {
+            terms.forEach(([d, c]) => { result[d] += c * values[slave]; });
+            result[slave] = 0;
+        });
+        return result;
+    };
+
+    /**
+     * 全体自由度の方程式番号と係数の組（独立自由度は自身、従属自由度は独立自由度の線形結合。未知量でない自由度の項は除く）
+     */
+    const getEquationTerms = (numbering, dof) => {
+        const terms = numbering.constraints.get(dof) || [[dof, 1]];
+        return terms.map(([d, c]) => [numbering.equationOf[d], c]).filter(([e]) => e >= 0);
+    };
+
+    /**
+     * 方程式番号順のベクトルを全体自由度のベクトルに展開する（未知量でない自由度は0、従属自由度は独立自由度から求める）
+     * @param {object} numbering - numberEquations() の戻り値
+     * @param {Float64Array|Array<number>} vector - 方程式番号順の値
+     * @param {number} dof - 全体自由度数
+     * @returns {Float64Array}
+     */
+    const scatterEquations = (numbering, vector, dof) => {
+        const values = new Float64Array(dof);
+        numbering.dofOf.forEach((d, e) => { values[d] = vector[e]; });
+        return expandConstrainedDofs(numbering, values);
+    };
+
+    /**
+     * 節点の1自由度に対角項（ばね定数・節点質量）をスカイライン行列に加える（従属自由度の値は Cᵀ k C として独立自由度に配分する）
+     */
+    const addNodalDiagonal = (sky, numbering, dof, value) => {
+        const terms = getEquationTerms(numbering, dof);
+        terms.forEach(([er, cr], a) => terms.slice(a).forEach(([ec, cc], b) => {
+            sparse.add(sky, er, ec, value * cr * cc * (b > 0 && er === ec ? 2 : 1));
+        }));
+    };
+
+    /**
+     * 全体変位から部材端力（部材座標系）を求める
+     * @param {Array} members - 準備済み部材配列
+     * @param {Array<Array<number>>} D_global - 全体変位ベクトル
+     * @param {object} fixedEndForces - 部材インデックスをキーとする固定端力
+     * @returns {Array} [{ N_i, Q_i, M_i, N_j, Q_j, M_j }]
+     */
+    const calculateMemberForces = (members, D_global, fixedEndForces) => members.map((member, idx) => {
+        const { T, k_local, i, j } = member;
+        const d_global_member = [ ...D_global.slice(i * 3, i * 3 + 3), ...D_global.slice(j * 3, j * 3 + 3) ];
+        const d_local = mat.multiply(T, d_global_member);
+        let f_local = d_local ? mat.multiply(k_local, d_local) : null;
+        if (!f_local) {
+            console.error('Matrix multiply failed for member', idx);
+            return { N_i: 0, Q_i: 0, M_i: 0, N_j: 0, Q_j: 0, M_j: 0 };
+        }
+        if (fixedEndForces[idx]) { const fel_mat = fixedEndForces[idx].map(v => [v]); f_local = mat.add(f_local, fel_mat); }
+        return { N_i: f_local[0][0], Q_i: f_local[1][0], M_i: f_local[2][0], N_j: f_local[3][0], Q_j: f_local[4][0], M_j: f_local[5][0] };
+    });
+
+    /**
+     * 部材内の荷重成分による、位置 x より i端側の荷重の合力と x まわりのモーメント
+     * 位置 x ちょうどの集中荷重・モーメントは x < L なら含める（j端に置いたものは部材内側の値とするため含めない）
+     * @param {Array} components - 荷重成分
+     * @param {number} x - i端からの距離
+     * @param {number} [L=Infinity] - 部材長
+     * @returns {{ shear: number, moment: number, axial: number }} shear は-y方向を正、moment は x 点の曲げモーメントを減じる向きを正、axial は+x方向を正
+     */
+    const spanLoadEffects = (components, x, L = Infinity) => {
+        let shear = 0, moment = 0, axial = 0;
+        const isLeft = (a) => a < x || (a === x && a < L);
+        components.forEach(c => {
+            if (c.axis === 'x') {
+                if (c.type === 'distributed' && x > c.a) {
+                    const t = Math.min(x, c.b) - c.a, k = (c.w2 - c.w1) / (c.b - c.a);
+                    axial += c.w1 * t + k * t**2 / 2;
+                } else if (c.type === 'point' && isLeft(c.a)) {
+                    axial += c.P;
+                }
+                return;
+            }
+            if (c.type === 'distributed') {
+                if (x <= c.a) return;
+                // 分布形は区間始点からの距離の多項式（台形分布は1次式、弾性床の地盤反力は coefficients の3次式）
+                const t = Math.min(x, c.b) - c.a, X = x - c.a;
+                const coefficients = c.coefficients || [c.w1, (c.w2 - c.w1) / (c.b - c.a)];
+                coefficients.forEach((coefficient, n) => {
+                    shear += coefficient * t ** (n + 1) / (n + 1);
+                    moment += coefficient * (X * t ** (n + 1) / (n + 1) - t ** (n + 2) / (n + 2));
+                });
+            } else if (c.type === 'point') {
+                if (!isLeft(c.a)) return;
+                shear += c.P;
+                moment += c.P * (x - c.a);
+            } else if (c.type === 'moment') {
+                if (!isLeft(c.a)) return;
+                moment += c.M;
+            }
+        });
+        return { shear, moment, axial };
+    };
+
+    /**
+     * 部材内の位置 x（i端からの距離）の曲げモーメントを求める関数
+     * 材端モーメントの直線分布に単純梁としての荷重項を加えたもので、v'' = M/EI となる向き（下に凸）を正とする。
+     * 部材端力と荷重について線形（極限解析では単位の端力・荷重に対する値を重ね合わせて用いる）。
+     * @param {object} member - 準備済み部材
+     * @param {object} force - 部材端力 { M_i, M_j }
+     * @param {number|object} load - 等分布荷重 w (kN/m) または mergeMemberLoads() の荷重 { w, components }
+     * @returns {function(number): number}
+     */
+    const getMomentFunction = (member, force, load) => {
+        const L = member.length;
+        const { w = 0, components = [] } = typeof load === 'number' ? { w: load } : (load || {});
+        // 荷重成分を単純梁として扱ったときの i端反力
+        const R_i = components.length > 0 ? spanLoadEffects(components, L).moment / L : 0;
+        return (x) => -force.M_i * (1 - x / L) + force.M_j * (x / L) + w * L * x / 2 - w * x**2 / 2 + (components.length > 0 ? R_i * x - spanLoadEffects(components, x, L).moment : 0);
+    };
+
+    /**
+     * 部材の分割点（ステーション）における断面力と局所変位を求める
+     * 曲げモーメントは材端モーメントの直線分布に単純梁としての荷重項を加え、たわみは v'' = M/EI を両端の変位を境界条件として積分して求める。
+     * せん断変形を考慮する部材（shearPhi > 0）は、せん断変形によるたわみ v' = -Q/(G·As) を同様に両端で0として加える。
+     * 材軸方向の荷重成分があれば軸力は位置により変化し、軸方向変位も EA u'' = -p を同様に積分して求める。
+     * 温度荷重の熱曲率 κ はたわみの式に v'' = M/EI + κ として加える（熱ひずみによる伸びは端部変位に含まれる）。
+     * 弾性床上の梁の地盤反力は solveStaticCase() が部材荷重の成分（foundation: true）として加えたものを荷重として扱う。
+     * 変断面部材は位置ごとの EI, EA（getSectionAt()）で積分し、軸方向変位は u' = N/EA として求める。
+     * 剛域を持つ部材は剛域を節点とともに剛体として変位させ、曲げ・せん断・軸方向の変形は可撓部分（フェイス位置の間）でフェイス位置の変位を境界条件として積分する。
+     * 断面力は節点間の釣合いから全長で求め、ステーションにはフェイス位置を含める。
+     * 集中荷重位置ではその直後（j端側）の値を返す。
+     * @param {object} member - 準備済み部材
+     * @param {object} force - 部材端力 { N_i, Q_i, M_i, N_j, Q_j, M_j }
+     * @param {number|object} load - 等分布荷重 w (kN/m) または mergeMemberLoads() の荷重 { w, components }
+     * @param {Array<Array<number>>} [D_global] - 全体変位ベクトル（省略時は変位を0とする）
+     * @param {number} [numPoints=20] - 等分割数
+     * @param {Array<number>} [extraPositions] - 等分割点に追加する位置（省略時は部材荷重の載荷位置）
+     * @returns {Array} [{ x, N, Q, M, u, v }] N は引張を正、u, v は部材座標系の変位
+     */
+    const calculateMemberStations = (member, force, load, D_global, numPoints = 20, extraPositions) => {
+        const { length: L, E, I, A } = member;
+        const { w = 0, components = [] } = typeof load === 'number' ? { w: load } : (load || {});
+        let ui = 0, vi = 0, ri = 0, uj = 0, vj = 0, rj = 0;
+        if (D_global) {
+            const d_global_member = [ ...D_global.slice(member.i * 3, member.i * 3 + 3), ...D_global.slice(member.j * 3, member.j * 3 + 3) ];
+            [ui, vi, ri, uj, vj, rj] = mat.multiply(member.T, d_global_member).map(v => v[0]);
+        }
+
+        const momentAt = getMomentFunction(member, force, load);
+
+        // 可撓部分（フェイス位置 faceI〜faceJ）とフェイス位置の変位。剛域のない部材では全長と材端の変位
+        const faceI = member.i_rigid || 0, faceJ = L - (member.j_rigid || 0), Lf = faceJ - faceI;
+        const faces = [faceI, faceJ].filter(p => p > 0 && p < L);
+        const vFaceI = vi + faceI * ri, vFaceJ = vj - (L - faceJ) * rj;
+
+        // 単純梁（可撓部分）のグリーン関数による v'' = M/EI の特解（フェイス位置で0）。区間内の M は3次以下なので3点ガウス積分で厳密
+        const loadPositions = getMemberLoadPositions({ components });
+        const positions = [...(extraPositions || loadPositions), ...faces];
+        // 弾性床の地盤反力の区間境界と変断面部材の数値積分の区切りは積分の区切りにのみ用いる
+        const foundationPositions = components.filter(c => c.foundation).map(c => c.a);
+        const taperPositions = member.sectionProfile ? getTaperBreakpoints(member.sectionProfile).map(t => faceI + t) : [];
+        const breakpoints = [...new Set([faceI, faceJ, ...positions, ...loadPositions, ...foundationPositions, ...taperPositions].filter(p => p >= faceI && p <= faceJ))].sort((p, q) => p - q);
+        const thermalCurvature = components.reduce((sum, c) => sum + (c.type === 'thermal' ? c.curvature : 0), 0);
+        const stiffnessAt = (t) => E * getSectionAt(member, t).I;
+        const bendingDeflection = (x) => {
+            if (x <= faceI || x >= faceJ) return 0;
+            const g = (t) => (t <= x ? (t - faceI) * (faceJ - x) : (x - faceI) * (faceJ - t)) / Lf;
+            const points = [...new Set([...breakpoints, x])].sort((p, q) => p - q);
+            let sum = 0, thermal = 0;
+            for (let n = 0; n < points.length - 1; n++) {
+                if (thermalCurvature !== 0) thermal -= thermalCurvature * integrateGauss(g, points[n], points[n + 1]);
+                if (member.sectionProfile) sum += integrateGauss(t => g(t) * momentAt(t) / stiffnessAt(t), points[n], points[n + 1]);
+                else if (E > 0 && I > 0) sum += integrateGauss(t => g(t) * momentAt(t), points[n], points[n + 1]);
+            }
+            if (member.sectionProfile) return -sum + thermal;
+            return (E > 0 && I > 0 ? -sum / (E * I) : 0) + thermal;
+        };
+
+        // 可撓部分のひずみ strainAt(t) をフェイス位置 faceI から積分した変位から、フェイス位置で0となるよう直線分を除いたもの
+        // 積分は荷重位置で区切り、区間内は2次以下なので3点ガウス積分で厳密
+        const strainBreakpoints = [...new Set([faceI, faceJ, ...[...loadPositions, ...foundationPositions, ...taperPositions].filter(p => p > faceI && p < faceJ)])].sort((p, q) => p - q);
+        const integrateStrain = (strainAt, x) => strainBreakpoints.slice(0, -1).reduce((sum, p, n) => sum + integrateGauss(strainAt, p, Math.min(x, strainBreakpoints[n + 1])), 0);
+        const relativeDeflection = (strainAt, x) => integrateStrain(strainAt, x) - (x - faceI) / Lf * integrateStrain(strainAt, faceJ);
+
+        // せん断変形によるたわみ（フェイス位置で0）: v' = -Q/(G·As)
+        const shearAt = (x) => force.Q_i - w * x - (components.length > 0 ? spanLoadEffects(components, x, L).shear : 0);
+        const shearDeflection = (x) => {
+            if (!(member.shearPhi > 0) || x <= faceI || x >= faceJ) return 0;
+            return -relativeDeflection(shearAt, x) / (member.G * member.As);
+        };
+
+        // 材軸方向荷重による軸方向変位（フェイス位置で0）: u' = -(荷重による軸力の変化)/EA
+        // 変断面部材は軸力 N 全体について u' = N/EA とする（EA が一定なら N_i による分は直線補間に含まれる）
+        const axialComponents = components.filter(c => c.axis === 'x');
+        const axialDeflection = (x) => {
+            if (x <= faceI || x >= faceJ) return 0;
+            if (member.sectionProfile) return relativeDeflection(t => (-force.N_i - (axialComponents.length > 0 ? spanLoadEffects(axialComponents, t, L).axial : 0)) / (E * getSectionAt(member, t).A), x);
+            if (axialComponents.length === 0 || !(E > 0 && A > 0)) return 0;
+            return -relativeDeflection(t => spanLoadEffects(axialComponents, t, L).axial, x) / (E * A);
+        };
+
+        // 剛域は節点とともに剛体として変位し、可撓部分はフェイス位置の変位を直線補間した値に変形分を加える
+        const displacementAt = (x) => {
+            if (x < faceI) return { u: ui, v: vi + x * ri };
+            if (x > faceJ) return { u: uj, v: vj - (L - x) * rj };
+            const xi = (x - faceI) / Lf;
+            return {
+                u: (1 - xi) * ui + xi * uj + axialDeflection(x),
+                v: (1 - xi) * vFaceI + xi * vFaceJ + bendingDeflection(x) + shearDeflection(x)
+            };
+        };
+
+        const xs = [];
+        for (let k = 0; k <= numPoints; k++) xs.push((k / numPoints) * L);
+        // 荷重位置と重なる等分点は荷重位置そのものに置き換える（不連続点の判定を厳密にするため）
+        positions.forEach(p => {
+            if (p < 0 || p > L) return;
+            const k = xs.findIndex(x => Math.abs(x - p) < 1e-9 * Math.max(1, L));
+            if (k >= 0) xs[k] = p; else xs.push(p);
+        });
+        xs.sort((p, q) => p - q);
+
+        return xs.map(x => ({
+            x,
+            N: -force.N_i - (axialComponents.length > 0 ? spanLoadEffects(axialComponents, x, L).axial : 0),
+            Q: force.Q_i - w * x - (components.length > 0 ? spanLoadEffects(components, x, L).shear : 0),
+            M: momentAt(x),
+            ...displacementAt(x)
+        }));
+    };
+
+    /**
+     * 部材内でせん断力が0となる位置（曲げモーメントの極値位置）を求める
+     * 分布荷重区間ではせん断力が連続なので、符号の変わる区間を二分法で絞り込む
+     * @param {object} member - 準備済み部材
+     * @param {object} force - 部材端力
+     * @param {number|object} load - 等分布荷重 w または mergeMemberLoads() の荷重
+     * @returns {Array<number>} i端からの距離 (m)
+     */
+    const findShearZeroPositions = (member, force, load) => {
+        const L = member.length;
+        const { w = 0, components = [] } = typeof load === 'number' ? { w: load } : (load || {});
+        const shearAt = (x) => force.Q_i - w * x - (components.length > 0 ? spanLoadEffects(components, x, L).shear : 0);
+        const breakpoints = [...new Set([0, L, ...getMemberLoadPositions({ components }).filter(p => p > 0 && p < L)])].sort((p, q) => p - q);
+        const zeros = [];
+        const scale = Math.max(1e-9, Math.abs(force.Q_i), Math.abs(force.Q_j));
+        for (let n = 0; n < breakpoints.length - 1; n++) {
+            // 区間端の集中荷重による不連続を避けるため、わずかに内側で評価する
+            const eps = 1e-9 * L;
+            let lo = breakpoints[n] + eps, hi = breakpoints[n + 1] - eps;
+            let q_lo = shearAt(lo), q_hi = shearAt(hi);
+            if (Math.abs(q_lo) < 1e-12 * scale || Math.abs(q_hi) < 1e-12 * scale || q_lo * q_hi > 0) continue;
+            for (let iter = 0; iter < 60; iter++) {
+                const mid = (lo + hi) / 2, q_mid = shearAt(mid);
+                if (q_lo * q_mid <= 0) { hi = mid; q_hi = q_mid; } else { lo = mid; q_lo = q_mid; }
+            }
+            zeros.push((lo + hi) / 2);
+        }
+        return zeros;
+    };
+
+    /**
+     * 平易なJSONモデルを解析用の内部形式に正規化する
+     * 多点拘束 constraints は applyNodeConstraints() で従属節点の dofConstraints に展開する。
+     * @param {object} model - { nodes, members, nodeLoads, memberLoads, constraints }
+     * @returns {object} 正規化された { nodes, members, nodeLoads, memberLoads, constraints }
+     */
+    const normalizeModel = (model) => {
+        if (!model || !Array.isArray(model.nodes) || !Array.isArray(model.members)) {
+            throw new Error('モデルには nodes と members の配列が必要です。');
+        }
+        const nodes = model.nodes.map((node, i) => {
+            const x = Number(node.x), y = Number(node.y);
+            if (!Number.isFinite(x) || !Number.isFinite(y)) throw new Error(`節点 ${i + 1} の座標が無効です。`);
+            return {
+                ...node,
+                x,
+                y,
+                support: node.support || 'free',
+                support_angle: Number(node.support_angle) || 0,
+                ...['kx', 'ky', 'kr'].reduce((springs, key) => {
+                    const k = Number(node[key]) || 0;
+                    if (k < 0) throw new Error(`節点 ${i + 1} のばね定数 ${key} は0以上で入力してください。`);
+                    springs[key] = k;
+                    return springs;
+                }, {}),
+                dx_forced: Number(node.dx_forced) || 0,
+                dy_forced: Number(node.dy_forced) || 0,
+                r_forced: Number(node.r_forced) || 0,
+                dofConstraints: null
+            };
+        });
+        const constraints = applyNodeConstraints(model.constraints, nodes);
+        const members = model.members.map((member, index) => prepareMember(member, nodes, index));
+        const nodeLoads = (model.nodeLoads || []).filter(load => load.nodeIndex >= 0 && load.nodeIndex < nodes.length);
+        const memberLoads = (model.memberLoads || []).filter(load => load.memberIndex >= 0 && load.memberIndex < members.length);
+        return { nodes, members, nodeLoads, memberLoads, constraints };
+    };
+
+    /**
+     * 部材の全体座標系剛性マトリクス Tᵀ k T
+     * @param {object} member - 準備済み部材
+     * @returns {Array<Array<number>>} 6x6 マトリクス
+     */
+    const getGlobalElementStiffness = (member) => mat.multiply(mat.multiply(mat.transpose(member.T), member.k_local), member.T);
+
+    /**
+     * 部材ごとの全体自由度番号 [i*3, i*3+1, i*3+2, j*3, j*3+1, j*3+2]
+     */
+    const getMemberDofs = (member) => [member.i*3, member.i*3+1, member.i*3+2, member.j*3, member.j*3+1, member.j*3+2];
+
+    /**
+     * 逆Cuthill-McKee順に未知自由度へ方程式番号を付ける
+     * @param {number} nodeCount - 節点数
+     * @param {Array} members - 部材配列
+     * @param {function(number): boolean} isActive - 全体自由度が未知量かどうか（従属自由度は未知量としない）
+     * @param {Map} [constraints] - getConstraintMap() の戻り値（従属節点と主節点を隣接として並べ替える）
+     * @returns {object} { equationOf: Int32Array(全体自由度→方程式番号, 非未知は-1), dofOf: Array(方程式番号→全体自由度), count, constraints }
+     */
+    const numberEquations = (nodeCount, members, isActive, constraints = new Map()) => {
+        const links = [...constraints].flatMap(([slave, terms]) => terms.map(([d]) => ({ i: Math.floor(slave / 3), j: Math.floor(d / 3) })));
+        const order = sparse.reverseCuthillMcKee(nodeCount, [...members, ...links]);
+        const equationOf = new Int32Array(nodeCount * 3).fill(-1);
+        const dofOf = [];
+        order.forEach(node => {
+            for (let k = 0; k < 3; k++) {
+                const dof = node * 3 + k;
+                if (!isActive(dof)) continue;
+                equationOf[dof] = dofOf.length;
+                dofOf.push(dof);
+            }
+        });
+        return { equationOf, dofOf, count: dofOf.length, constraints };
+    };
+
+    /**
+     * 要素マトリクスをスカイライン形式の全体マトリクスに重ね合わせる
+     * 従属自由度の行・列は独立自由度の線形結合に置き換えて重ね合わせる（Cᵀ k C）。
+     * @param {Array} members - 部材配列
+     * @param {Array<Array<Array<number>>>} elementMatrices - 部材ごとの全体座標系6x6マトリクス
+     * @param {object} numbering - numberEquations() の戻り値
+     * @returns {object} スカイライン行列
+     */
+    const assembleSkyline = (members, elementMatrices, numbering) => {
+        const { equationOf, count, constraints } = numbering;
+        const columnFirst = Int32Array.from({ length: count }, (_, j) => j);
+        const couple = (eqs) => {
+            if (eqs.length === 0) return;
+            const first = Math.min(...eqs);
+            eqs.forEach(e => { if (first < columnFirst[e]) columnFirst[e] = first; });
+        };
+        members.forEach(member => couple(getMemberDofs(member).flatMap(d => getEquationTerms(numbering, d).map(([e]) => e))));
+        constraints.forEach(terms => couple(terms.map(([d]) => equationOf[d]).filter(e => e >= 0)));
+        const sky = sparse.createSkyline(columnFirst);
+        members.forEach((member, idx) => {
+            const ke = elementMatrices[idx];
+            const terms = getMemberDofs(member).map(d => getEquationTerms(numbering, d));
+            for (let row = 0; row < 6; row++) {
+                for (let col = row; col < 6; col++) {
+                    if (ke[row][col] === 0) continue;
+                    // 上三角のみ重ね合わせるため、異なる行・列が同じ方程式に対応する対角項は2倍する
+                    terms[row].forEach(([er, cr]) => terms[col].forEach(([ec, cc]) => {
+                        sparse.add(sky, er, ec, ke[row][col] * cr * cc * (row !== col && er === ec ? 2 : 1));
+                    }));
+                }
+            }
+        });
+        return sky;
+    };
+
+    /**
+     * 要素マトリクスを用いて全体ベクトル積 y = K x を計算する（全体自由度）
+     */
+    const multiplyElementMatrices = (members, elementMatrices, x, dof) => {
+        const y = new Float64Array(dof);
+        members.forEach((member, idx) => {
+            const ke = elementMatrices[idx];
+            const dofs = getMemberDofs(member);
+            for (let row = 0; row < 6; row++) {
+                let sum = 0;
+                for (let col = 0; col < 6; col++) sum += ke[row][col] * x[dofs[col]];
+                y[dofs[row]] += sum;
+            }
+        });
+        return y;
+    };
+
+    /**
+     * 解析モデルの剛性を組み立て、未知自由度の剛性マトリクスをLDLᵀ分解する
+     * 荷重ケースが変わっても同じ分解結果を再利用できる（強制変位のある自由度は全ケースで拘束扱い）
+     * ばね支点のばね定数は未知自由度の対角項に加える。
+     * 傾斜支点の節点の並進自由度は支点座標系で扱う（拘束・強制変位・ばね・反力はすべて支点座標系の成分）。
+     * 多点拘束（節点の dofConstraints）の従属自由度は未知量から除き、独立自由度の線形結合に置き換えて組み立てる（変換法）。
+     * @param {Array} nodes - 正規化済み節点配列
+     * @param {Array} members - 準備済み部材配列
+     * @returns {object} { dof, elementMatrices, springs, diagonal, constrainedSet, constrainedIndices, freeIndices, prescribed, numbering, K_ff, singularDofs, solverInfo }
+     *   solverInfo.negativePivots は分解時の負のピボット数（幾何剛性を含む剛性が正定値でないことを示す）
+     */
+    const buildStaticSystem = (nodes, members) => {
+        const dof = nodes.length * 3;
+
+        // 要素剛性（全体座標系）と全体剛性の対角成分
+        const elementMatrices = members.map(member => toSupportFrame(getGlobalElementStiffness(member), member, nodes));
+        const diagonal = new Float64Array(dof);
+        members.forEach((member, idx) => getMemberDofs(member).forEach((d, k) => { diagonal[d] += elementMatrices[idx][k][k]; }));
+
+        // 強制変位が与えられた自由度を特定し、既知変位ベクトルD_sを作成
+        const prescribed = new Float64Array(dof);
+        const forced_disp_constraints = new Set();
+        nodes.forEach((node, i) => {
+            if (Math.abs(node.dx_forced) > 1e-9) { prescribed[i * 3] = node.dx_forced; forced_disp_constraints.add(i * 3); }
+            if (Math.abs(node.dy_forced) > 1e-9) { prescribed[i * 3 + 1] = node.dy_forced; forced_disp_constraints.add(i * 3 + 1); }
+            if (Math.abs(node.r_forced) > 1e-9) { prescribed[i * 3 + 2] = node.r_forced; forced_disp_constraints.add(i * 3 + 2); }
+        });
+
+        // 物理支点と強制変位を合算し、拘束自由度と自由度を決定（多点拘束の従属自由度は自由度に含めない）
+        const constrainedSet = new Set([...getSupportConstraints(nodes), ...forced_disp_constraints]);
+        const constrainedIndices = Array.from(constrainedSet).sort((a, b) => a - b);
+        const constraints = getConstraintMap(nodes);
+        const freeIndices = [...Array(dof).keys()].filter(i => !constrainedSet.has(i) && !constraints.has(i));
+        const springs = getSpringStiffness(nodes, constrainedSet);
+        springs.forEach((k, d) => { diagonal[d] += k; });
+        // 従属自由度の剛性は独立自由度の対角成分に加える（剛性の有無の判定用）
+        constraints.forEach((terms, slave) => terms.forEach(([d, c]) => { diagonal[d] += c * c * diagonal[slave]; }));
+
+        // 剛性を全く持たない自由度（両端ピン部材のみが集まる節点の回転など）は方程式から除外し変位0とする。
+        // 分解中にピボットが消失した自由度（荷重が励起しない機構）も変位0として解き、後で釣合いを確認する。
+        const numbering = numberEquations(nodes.length, members, idx => !constrainedSet.has(idx) && !constraints.has(idx) && diagonal[idx] !== 0, constraints);
+        const singularDofs = freeIndices.filter(idx => diagonal[idx] === 0);
+        const solverInfo = { equations: numbering.count, profile: 0, singularDofs };
+        let K_ff = null;
+        if (numbering.count > 0) {
+            K_ff = assembleSkyline(members, elementMatrices, numbering);
+            springs.forEach((k, d) => { if (k > 0) addNodalDiagonal(K_ff, numbering, d, k); });
+            solverInfo.profile = K_ff.values.length;
+            const factorization = sparse.factorLDLt(K_ff, { allowSingular: true, allowNegative: true });
+            factorization.singularEquations.forEach(e => singularDofs.push(numbering.dofOf[e]));
+            solverInfo.negativePivots = factorization.negativePivots;
+        }
+
+        return { dof, elementMatrices, springs, diagonal, constrainedSet, constrainedIndices, freeIndices, prescribed, numbering, K_ff, singularDofs, solverInfo };
+    };
+
+    /**
+     * 弾性床上の梁の地盤反力を部材荷重に加える
+     * 部材端の変位と荷重から部材内の分割点の変位を求め（solveFoundationBending()）、分割要素ごとの地盤反力 kf·v（v は3次式）を
+     * 分布荷重の成分（foundation: true、-y方向正）とする。分布形は区間始点からの距離 t の多項式の係数 coefficients で表し、w1, w2 は両端の値。
+     * @param {Array} members - 準備済み部材配列
+     * @param {Array<Array<number>>} D_global - 全体変位ベクトル（全体座標系）
+     * @param {Map} memberLoadMap - mergeMemberLoads() の戻り値（地盤反力の成分を加えて書き換える）
+     */
+    const addFoundationReactions = (members, D_global, memberLoadMap) => {
+        members.forEach((member, idx) => {
+            if (!(member.foundationStiffness > 0) || member.inactive) return;
+            const d_global_member = [ ...D_global.slice(member.i * 3, member.i * 3 + 3), ...D_global.slice(member.j * 3, member.j * 3 + 3) ];
+            const [, vi, ri, , vj, rj] = mat.multiply(member.T, d_global_member).map(v => v[0]);
+            const a = member.i_rigid || 0, b = member.j_rigid || 0;
+            const load = memberLoadMap.get(idx) || { memberIndex: idx, w: 0, components: [] };
+            const components = load.components.filter(c => !c.foundation);
+            const { n, h, phi, u } = solveFoundationBending(member, [vi + a * ri, ri, vj - b * rj, rj], getFlexibleComponents(member, { ...load, components }), getEndRotationalSprings(member));
+            // 3次式の係数は区間内の4点の値から求める
+            const samples = [0, 1, 2, 3].map(k => h * k / 3);
+            const vandermonde = samples.map(t => [1, t, t ** 2, t ** 3]);
+            const reactions = Array.from({ length: n }, (_, e) => {
+                const pressure = samples.map(t => [member.foundationStiffness * hermiteShape(t, h, phi).reduce((sum, N, k) => sum + N * u[2*e + k], 0)]);
+                const coefficients = mat.solve(vandermonde, pressure).map(v => v[0]);
+                return { type: 'distributed', w1: pressure[0][0], w2: pressure[3][0], a: a + e * h, b: a + (e + 1) * h, coefficients, foundation: true };
+            });
+            memberLoadMap.set(idx, { ...load, components: [...components, ...reactions] });
+        });
+    };
+
+    /**
+     * 弾性床上の梁の接地圧の分布（kN/m²、圧縮を正）を、解析結果の部材荷重に含まれる地盤反力の成分から求める
+     * 荷重組合せの結果のように同じ区間の成分が複数あるものは合計する。
+     * @param {object} member - 準備済み部材
+     * @param {object} load - 解析結果の部材荷重（mergeMemberLoads() の形式）
+     * @returns {Array<{x: number, pressure: number}>} i端からの距離の順（弾性床上の梁でなければ空配列）
+     */
+    const getFoundationPressures = (member, load) => {
+        const pieces = ((load && load.components) || []).filter(c => c.foundation);
+        if (!(member.foundationStiffness > 0) || pieces.length === 0) return [];
+        const starts = new Map(), ends = new Map();
+        pieces.forEach(c => {
+            starts.set(c.a, (starts.get(c.a) || 0) + c.w1);
+            ends.set(c.b, (ends.get(c.b) || 0) + c.w2);
+        });
+        const last = Math.max(...ends.keys());
+        return [...[...starts].sort((p, q) => p[0] - q[0]), [last, ends.get(last)]].map(([x, w]) => ({ x, pressure: -w / member.foundationWidth }));
+    };
+
+    /**
+     * 分解済みの剛性で1つの荷重状態を解く
+     * @param {object} system - buildStaticSystem() の戻り値
+     * @param {Array} nodes - 正規化済み節点配列
+     * @param {Array} members - 準備済み部材配列
+     * @param {object} loads - { nodeLoads, memberLoads, applyForcedDisplacements, forcedDisplacementFactor }
+     *   forcedDisplacementFactor は強制変位に乗じる係数（省略時 1）
+     * @returns {object} analyzeModel() と同じ形式の結果
+     */
+    const solveStaticCase = (system, nodes, members, loads) => {
+        const { dof, elementMatrices, springs, diagonal, constrainedIndices, freeIndices, numbering, K_ff, singularDofs } = system;
+        const F_global = mat.create(dof, 1);
+        const fixedEndForces = {};
+
+        // 同一部材の荷重を合計して固定端力を計算
+        const memberLoadMap = mergeMemberLoads(loads.memberLoads, members);
+        memberLoadMap.forEach(load => {
+            const member = members[load.memberIndex];
+            const fel = calculateFixedEndForces(member, load);
+            const T_t = mat.transpose(member.T), feg = mat.multiply(T_t, fel.map(v => [v])), i = member.i, j = member.j;
+            F_global[i*3][0] -= feg[0][0]; F_global[i*3+1][0] -= feg[1][0]; F_global[i*3+2][0] -= feg[2][0];
+            F_global[j*3][0] -= feg[3][0]; F_global[j*3+1][0] -= feg[4][0]; F_global[j*3+2][0] -= feg[5][0];
+            fixedEndForces[load.memberIndex] = fel;
+        });
+        const mergedNodeLoads = mergeNodeLoads(loads.nodeLoads);
+        mergedNodeLoads.forEach(load => { const i = load.nodeIndex * 3; F_global[i][0] += load.px; F_global[i+1][0] += load.py; F_global[i+2][0] += load.mz; });
+        rotateNodalVector(F_global, nodes, true);
+
+        const forcedFactor = loads.applyForcedDisplacements === false ? 0 : (loads.forcedDisplacementFactor ?? 1);
+        // 拘束自由度の既知変位（従属自由度には拘束された主節点の既知変位による値を与える）
+        const D_s = expandConstrainedDofs(numbering, system.prescribed.map(v => v * forcedFactor));
+        const D_values = Float64Array.from(D_s);
+
+        if (K_ff) {
+            // 強制変位による等価節点力を考慮した荷重ベクトル F - K * D_s（従属自由度の成分は独立自由度へ移す）
+            const KD_s = multiplyElementMatrices(members, elementMatrices, D_s, dof);
+            const F_f = condenseConstrainedDofs(numbering, F_global.map(([v], idx) => v - KD_s[idx]));
+            const D_f = sparse.solveLDLt(K_ff, numbering.dofOf.map(idx => F_f[idx]));
+            numbering.dofOf.forEach((idx, e) => { D_values[idx] += D_f[e]; });
+        }
+        expandConstrainedDofs(numbering, D_values);
+        const D_global = Array.from(D_values, v => [v]);
+
+        // 反力 R = K * D - F（拘束自由度のみ）。ばね支点はばね力 -k * D を反力とする
+        // 従属自由度の不釣合い（多点拘束が伝える力）は主節点側に移してから反力と釣合いを求める
+        const KD = multiplyElementMatrices(members, elementMatrices, D_global.map(([v]) => v), dof);
+        springs.forEach((k, d) => { if (k !== 0) KD[d] += k * D_global[d][0]; });
+        const residual = condenseConstrainedDofs(numbering, F_global.map(([v], idx) => KD[idx] - v));
+        const R = mat.create(dof, 1);
+        constrainedIndices.forEach(r => { R[r][0] = residual[r]; });
+        springs.forEach((k, d) => { if (k !== 0) R[d][0] = -k * D_global[d][0]; });
+
+        // 機構がある場合は自由度の釣合い K * D = F が満たされているかを確認する
+        if (singularDofs.length > 0) {
+            const loadScale = Math.max(1, ...F_global.map(([v]) => Math.abs(v)), ...constrainedIndices.map(r => Math.abs(R[r][0])));
+            const unbalanced = freeIndices.some(idx => Math.abs(residual[idx]) > 1e-8 * loadScale);
+            if (unbalanced) {
+                const error = new Error('解を求めることができませんでした。構造が不安定であるか、拘束が不適切である可能性があります。');
+                error.code = 'UNSTABLE';
+                error.diagonal = Array.from(diagonal);
+                error.freeIndices = freeIndices;
+                error.singularDofs = singularDofs;
+                throw error;
+            }
+        }
+
+        // 傾斜支点の変位を全体座標系に戻してから部材端力を求める（反力 R は支点座標系のまま）
+        rotateNodalVector(D_global, nodes, false);
+        const forces = calculateMemberForces(members, D_global, fixedEndForces);
+        addFoundationReactions(members, D_global, memberLoadMap);
+        const finalMemberLoads = Array.from(memberLoadMap.values());
+
+        return {
+            D: D_global,
+            R,
+            forces,
+            displacements: nodes.map((_, i) => ({ x: D_global[i*3][0], y: D_global[i*3+1][0], rotation: D_global[i*3+2][0] })),
+            reactions: nodes.map((_, i) => ({ x: -R[i*3][0] || 0, y: -R[i*3+1][0] || 0, mz: -R[i*3+2][0] || 0 })),
+            nodes,
+            members,
+            nodeLoads: mergedNodeLoads,
+            memberLoads: finalMemberLoads,
+            solverInfo: system.solverInfo
+        };
+    };
+
+    // --- P-Delta (Second-Order) Analysis ---
+    // P-Δ解析の既定の収束判定（変位増分の相対値）と最大反復回数
+    const P_DELTA_DEFAULTS = { tolerance: 1e-6, maxIterations: 30 };
+
+    /**
+     * 部材座標系の幾何剛性マトリクス（整合幾何剛性、軸力 N は引張を正）
+     * @param {number} L - 部材長
+     * @param {number} N - 軸力 (kN)
+     * @returns {Array<Array<number>>} 6×6 マトリクス
+     */
+    const buildLocalGeometricStiffness = (L, N) => {
+        const g = N / (30 * L);
+        return [
+            [0, 0, 0, 0, 0, 0],
+            [0, 36*g, 3*L*g, 0, -36*g, 3*L*g],
+            [0, 3*L*g, 4*L*L*g, 0, -3*L*g, -L*L*g],
+            [0, 0, 0, 0, 0, 0],
+            [0, -36*g, -3*L*g, 0, 36*g, -3*L*g],
+            [0, 3*L*g, -L*L*g, 0, -3*L*g, 4*L*L*g]
+        ];
+    };
+
+    /**
+     * 軸力を考慮した部材座標系の接線剛性マトリクス（弾性剛性＋幾何剛性）
+     * ピン接合端・半剛接合端は幾何剛性を加えた曲げ剛性から材端の回転を縮約する。
+     * 剛域を持つ部材は可撓部分の接線剛性を transformRigidZones() で節点位置へ変換する。
+     * 引張専用・圧縮専用の条件により無効化した部材（inactive）は0マトリクスとする。
+     * @param {object} member - 準備済み部材
+     * @param {number} N - 軸力 (kN、引張を正)
+     * @returns {Array<Array<number>>} 6×6 マトリクス
+     */
+    const buildTangentStiffness = (member, N) => {
+        if (member.inactive) return mat.create(6, 6);
+        const { E, A } = member, L = member.flexibleLength ?? member.length;
+        const springs = getEndRotationalSprings(member);
+        const k_geo = buildLocalGeometricStiffness(L, N);
+        if (springs.every(k => k === null)) return mat.add(member.k_local, transformRigidZones(member, k_geo, N));
+        const bendingDofs = [1, 2, 4, 5];
+        const bending = buildFlexibleBendingStiffness(member)
+            .map((row, a) => row.map((v, b) => v + k_geo[bendingDofs[a]][bendingDofs[b]]));
+        const condensed = condenseEndSprings(bending, springs);
+        const EAL = member.sectionProfile ? buildTaperedStiffness(member).axial : E * A / L;
+        const k_tangent = mat.create(6, 6);
+        k_tangent[0][0] = k_tangent[3][3] = EAL;
+        k_tangent[0][3] = k_tangent[3][0] = -EAL;
+        bendingDofs.forEach((p, a) => bendingDofs.forEach((q, b) => { k_tangent[p][q] = condensed[a][b]; }));
+        return transformRigidZones(member, k_tangent, N);
+    };
+
+    /**
+     * 2次解析の結果の1次解析に対する増幅率
+     * モーメントは部材端モーメントの絶対値の最大、変形は節点の水平変位（層間変位の指標）の絶対値の最大で比較する。
+     * @returns {object} { moment, drift, members: [{ first, second, ratio }], nodes: [{ first, second, ratio }] }（1次の値が0なら ratio は null）
+     */
+    const calculatePDeltaAmplification = (firstOrder, secondOrder) => {
+        const ratio = (first, second) => Math.abs(first) > 1e-12 ? Math.abs(second) / Math.abs(first) : null;
+        const endMoment = (f) => Math.max(Math.abs(f.M_i), Math.abs(f.M_j));
+        const members = firstOrder.forces.map((f, idx) => {
+            const first = endMoment(f), second = endMoment(secondOrder.forces[idx]);
+            return { first, second, ratio: ratio(first, second) };
+        });
+        const nodes = firstOrder.displacements.map((d, i) => {
+            const first = Math.abs(d.x), second = Math.abs(secondOrder.displacements[i].x);
+            return { first, second, ratio: ratio(first, second) };
+        });
+        const maxOf = (items, key) => Math.max(0, ...items.map(item => item[key]));
+        return {
+            moment: ratio(maxOf(members, 'first'), maxOf(members, 'second')),
+            drift: ratio(maxOf(nodes, 'first'), maxOf(nodes, 'second')),
+            members,
+            nodes
+        };
+    };
+
+    /**
+     * P-Δ解析（幾何剛性による2次解析）で1つの荷重状態を解く
+     * 1次解析の軸力から幾何剛性を組み込んだ剛性を作り直して解き、得られた軸力で変位が収束するまで反復する。
+     * 部材端力は変形後の釣合い（接線剛性 × 変位 + 固定端力）から求める。
+     * @param {object} system - 1次解析の buildStaticSystem() の戻り値
+     * @param {Array} nodes - 正規化済み節点配列
+     * @param {Array} members - 準備済み部材配列
+     * @param {object} loads - solveStaticCase() の荷重
+     * @param {object} [options] - { tolerance, maxIterations }
+     * @returns {object} solveStaticCase() の結果に pDelta: { iterations, firstOrder, amplification } を加えたもの
+     * @throws {Error} 剛性が正定値でなくなった場合は error.code === 'PDELTA_CRITICAL'、収束しない場合は 'PDELTA_NOT_CONVERGED'
+     */
+    const solvePDeltaCase = (system, nodes, members, loads, options = {}) => {
+        const { tolerance, maxIterations } = { ...P_DELTA_DEFAULTS, ...options };
+        const criticalError = (cause) => {
+            const error = new Error('P-Δ解析: 圧縮軸力により骨組の剛性が失われました。荷重が弾性座屈荷重に達しているか近づいています。荷重・断面・拘束を見直してください。');
+            error.code = 'PDELTA_CRITICAL';
+            if (cause) error.cause = cause;
+            return error;
+        };
+        const firstOrder = solveStaticCase(system, nodes, members, loads);
+        let result = firstOrder;
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            const axialForces = result.forces.map(f => -f.N_i);
+            let tangentMembers, tangentSystem, next;
+            try {
+                tangentMembers = members.map((member, idx) => ({ ...member, k_local: buildTangentStiffness(member, axialForces[idx]) }));
+                tangentSystem = buildStaticSystem(nodes, tangentMembers);
+                if (tangentSystem.solverInfo.negativePivots > 0) throw criticalError();
+                next = solveStaticCase(tangentSystem, nodes, tangentMembers, loads);
+            } catch (error) {
+                throw error.code === 'PDELTA_CRITICAL' ? error : criticalError(error);
+            }
+            const change = Math.max(0, ...next.D.map(([v], k) => Math.abs(v - result.D[k][0])));
+            const scale = Math.max(1e-12, ...next.D.map(([v]) => Math.abs(v)));
+            result = next;
+            if (change <= tolerance * scale) {
+                return {
+                    ...result,
+                    members,
+                    solverInfo: system.solverInfo,
+                    pDelta: { iterations: iteration, firstOrder, amplification: calculatePDeltaAmplification(firstOrder, result) }
+                };
+            }
+        }
+        const error = new Error(`P-Δ解析が ${maxIterations} 回の反復で収束しませんでした。荷重が弾性座屈荷重に近づいている可能性があります。`);
+        error.code = 'PDELTA_NOT_CONVERGED';
+        throw error;
+    };
+
+    // --- Tension-only / Compression-only Members ---
+    // 引張専用・圧縮専用部材の反復計算の既定の最大反復回数
+    const MEMBER_BEHAVIOR_DEFAULTS = { maxIterations: 30 };
+
+    // 引張専用・圧縮専用の部材を含むかどうか（含む場合は荷重の重ね合わせが成り立たない）
+    const hasAxialOnlyMembers = (members) => members.some(member => member.behavior === 'tension-only' || member.behavior === 'compression-only');
+
+    /**
+     * 引張専用・圧縮専用部材の条件を満たすまで部材を無効化して1つの荷重状態を解く
+     * 全部材を有効として解き、条件に反する軸力（部材両端の平均、引張を正）が生じた部材を無効化（剛性0）して解き直す。
+     * 無効化した部材は、元の剛性に戻したときの軸力が条件を満たせば再び有効とし、有効・無効の組合せが変わらなくなるまで繰り返す。
+     * 無効化した部材は曲げ剛性も失い、部材荷重は固定端力として節点へそのまま伝える。
+     * @param {object} system - 全部材を有効とした buildStaticSystem() の戻り値
+     * @param {Array} nodes - 正規化済み節点配列
+     * @param {Array} members - 準備済み部材配列
+     * @param {object} loads - solveStaticCase() の荷重
+     * @param {object} [options] - { maxIterations, pDelta }（pDelta に solvePDeltaCase() のオプションを与えると各反復を P-Δ解析で解く）
+     * @returns {object} solveStaticCase()（P-Δ解析では solvePDeltaCase()）の結果に memberBehavior: { iterations, inactiveMembers } を加えたもの
+     *   inactiveMembers は無効化した部材のインデックス（昇順）
+     * @throws {Error} 収束しない場合は error.code === 'MEMBER_BEHAVIOR_NOT_CONVERGED'。
+     *   部材の無効化で構造が不安定になった場合は 'UNSTABLE'（error.inactiveMembers に無効化した部材）
+     */
+    const solveMemberBehaviorCase = (system, nodes, members, loads, options = {}) => {
+        const { maxIterations, pDelta } = { ...MEMBER_BEHAVIOR_DEFAULTS, ...options };
+        // 有効となる側の軸力の符号（引張専用は引張、圧縮専用は圧縮を正とする）
+        const signs = members.map(member => (member.behavior === 'tension-only' ? 1 : member.behavior === 'compression-only' ? -1 : 0));
+        const sorted = (set) => [...set].sort((a, b) => a - b);
+        let inactive = new Set();
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            const activeMembers = members.map((member, idx) => (inactive.has(idx) ? { ...member, inactive: true, k_local: mat.create(6, 6) } : member));
+            const activeSystem = inactive.size > 0 ? buildStaticSystem(nodes, activeMembers) : system;
+            let result;
+            try {
+                result = pDelta
+                    ? solvePDeltaCase(activeSystem, nodes, activeMembers, loads, pDelta)
+                    : solveStaticCase(activeSystem, nodes, activeMembers, loads);
+            } catch (error) {
+                if (error.code === 'UNSTABLE' && inactive.size > 0) {
+                    error.inactiveMembers = sorted(inactive);
+                    error.message += `（引張専用・圧縮専用の条件により無効化した部材: ${error.inactiveMembers.map(idx => idx + 1).join(', ')}）`;
+                }
+                throw error;
+            }
+            // 部材を有効としたときの平均軸力（無効化した部材は節点変位に元の剛性を乗じた端力を加える）
+            const axialForces = members.map((member, idx) => {
+                const { N_i, N_j } = result.forces[idx];
+                if (!inactive.has(idx)) return (N_j - N_i) / 2;
+                const d_global_member = [ ...result.D.slice(member.i * 3, member.i * 3 + 3), ...result.D.slice(member.j * 3, member.j * 3 + 3) ];
+                const f_elastic = mat.multiply(member.k_local, mat.multiply(member.T, d_global_member));
+                return (N_j + f_elastic[3][0] - N_i - f_elastic[0][0]) / 2;
+            });
+            // 軸力がほぼ0の部材が有効・無効を繰り返さないよう、判定に許容差を設ける
+            const tolerance = 1e-8 * Math.max(1, ...axialForces.map(Math.abs));
+            const next = new Set(members.map((_, idx) => idx).filter(idx => {
+                if (!signs[idx]) return false;
+                const N = signs[idx] * axialForces[idx];
+                return inactive.has(idx) ? N <= tolerance : N < -tolerance;
+            }));
+            if (next.size === inactive.size && sorted(next).every(idx => inactive.has(idx))) {
+                return {
+                    ...result,
+                    members,
+                    solverInfo: system.solverInfo,
+                    memberBehavior: { iterations: iteration, inactiveMembers: sorted(inactive) }
+                };
+            }
+            inactive = next;
+        }
+        const error = new Error(`引張専用・圧縮専用部材の反復計算が ${maxIterations} 回で収束しませんでした。部材の有効・無効が定まらないため、部材の挙動指定や荷重を見直してください。`);
+        error.code = 'MEMBER_BEHAVIOR_NOT_CONVERGED';
+        throw error;
+    };
+
+    /**
+     * 線形静的解析を実行する（DOM非依存）
+     * @param {object} model - { nodes, members, nodeLoads, memberLoads }
+     *   nodes: [{ x, y, support, restraint_x, restraint_y, restraint_r, support_angle, dx_forced, dy_forced, r_forced, kx, ky, kr }]
+     *     support: 'free'|'pinned'|'fixed'|'roller'|'roller-x'|'roller-y'|'slide-x'|'slide-y'|'rotation'（restraint_* の個別指定を追加できる）
+     *     support_angle (rad) を与えた傾斜支点では拘束・強制変位・ばね（kx, ky: kN/m、kr: kN·m/rad）と反力は支点座標系の成分
+     *   members: [{ i, j, E, A, I, i_conn: 'rigid'|'pinned'|'semi-rigid', j_conn, i_kr, j_kr, i_fixity, j_fixity, alpha, behavior }]
+     *     （alpha は線膨張係数 1/℃。半剛接合端は回転剛性 i_kr / j_kr (kN·m/rad) または固定度 i_fixity / j_fixity (0〜1) を指定）
+     *     behavior: 'tension-only'|'compression-only' の部材を含むと、条件に反する部材を無効化する反復計算（solveMemberBehaviorCase()）を行う
+     *   nodeLoads: [{ nodeIndex, px, py, mz }]
+     *   constraints: [{ type: 'rigid'|'diaphragm'|'equal', master, slaves, dofs }]（多点拘束。master, slaves は節点インデックス、dofs は 'equal' で同一とする ['x', 'y', 'r']）
+     *   memberLoads: [{ memberIndex, w, type: 'uniform'|'partial'|'trapezoid'|'point'|'moment', w2, a, b,
+     *     direction: 'local'|'globalX'|'globalY', basis: 'length'|'projection' }]（type 省略時は全長等分布、direction 省略時は部材直交方向）
+     *     温度荷重は { memberIndex, type: 'thermal', dT, dTg, h, alpha }（dTg は下面 − 上面の温度差、h は部材せい m）
+     *     初期ひずみ荷重は { memberIndex, type: 'initialStrain', dL, P0, curvature }（dL は部材長の過不足 m（伸び正）、P0 は導入張力 kN、curvature は初期曲率 1/m）
+     *   pDelta: true または { tolerance, maxIterations } を与えると P-Δ解析（幾何剛性による2次解析）を行う
+     * @returns {object} { D, R, forces, displacements, reactions, nodes, members, nodeLoads, memberLoads, solverInfo }
+     *   D, R は全体自由度の列ベクトル、displacements / reactions は節点ごとの値（傾斜支点の R / reactions は支点座標系）
+     *   P-Δ解析では pDelta: { iterations, firstOrder, amplification } を、引張専用・圧縮専用部材を含む場合は memberBehavior: { iterations, inactiveMembers } を加える
+     * @throws {Error} 構造が不安定な場合は error.code === 'UNSTABLE'（diagonal, freeIndices, singularDofs を付与）、P-Δ解析の失敗は 'PDELTA_CRITICAL' / 'PDELTA_NOT_CONVERGED'、
+     *   引張専用・圧縮専用部材の反復計算が収束しない場合は 'MEMBER_BEHAVIOR_NOT_CONVERGED'
+     */
+    const analyzeModel = (model) => {
+        const { nodes, members, nodeLoads, memberLoads } = normalizeModel(model);
+        const system = buildStaticSystem(nodes, members);
+        const loads = { nodeLoads, memberLoads, applyForcedDisplacements: true };
+        if (hasAxialOnlyMembers(members)) return solveMemberBehaviorCase(system, nodes, members, loads, { pDelta: model.pDelta ? getPDeltaOptions(model.pDelta) : null });
+        if (model.pDelta) return solvePDeltaCase(system, nodes, members, loads, getPDeltaOptions(model.pDelta));
+        return solveStaticCase(system, nodes, members, loads);
+    };
+
+    // モデルの pDelta 指定（true またはオプション）を solvePDeltaCase() のオプションにする
+    const getPDeltaOptions = (pDelta) => (typeof pDelta === 'object' ? pDelta : {});
+
+    // --- Eigenvalue Analysis (Common) ---
+    // 座屈・振動の固有値解析では、部材内部の変形（節点間のたわみ）を表せるよう各部材を等分した解析モデルを用いる。
+
+    /**
+     * ピン接合端・半剛接合端を持つ部材の 4×4 マトリクス（[v_i, θ_i, v_j, θ_j]）を、
+     * 弾性剛性の静的縮約と同じ変位モード（材端の回転を節点変位から静的に定める縮約変換 [I; -K_bb⁻¹K_ba]）で縮約する
+     * 剛域を持つ部材では可撓部分（フェイス位置の [v_i, θ_i, v_j, θ_j]）のマトリクスとして扱う。
+     * @param {object} member - 準備済み部材
+     * @param {Array<Array<number>>} matrix - 部材端で剛接合とした 4×4 マトリクス（幾何剛性・質量など）
+     * @returns {Array<Array<number>>} 節点の [v_i, θ_i, v_j, θ_j] に対する 4×4 マトリクス
+     */
+    const condenseWithEndShapes = (member, matrix) => {
+        const springs = getEndRotationalSprings(member);
+        if (springs.every(k => k === null)) return matrix;
+        const { ext, released } = extendEndSprings(buildFlexibleBendingStiffness(member), springs);
+        const { ext: ext_matrix } = extendEndSprings(matrix, springs, false);
+        const ext_bb = released.map((_, n) => released.map((_, m) => ext[4 + n][4 + m]));
+        const transform = [...[0, 1, 2, 3].map(a => [0, 1, 2, 3].map(b => (a === b ? 1 : 0))), ...released.map(() => [0, 0, 0, 0])];
+        for (let b = 0; b < 4; b++) {
+            const z = mat.solve(ext_bb, released.map((_, n) => [ext[4 + n][b]]));
+            if (!z) throw new Error('材端の回転自由度を縮約できません（材端の回転剛性が失われています）。');
+            released.forEach((_, n) => { transform[4 + n][b] = -z[n][0]; });
+        }
+        return mat.multiply(mat.multiply(mat.transpose(transform), ext_matrix), transform);
+    };
+
+    /**
+     * 各部材を segments 個の要素に等分した解析モデルを作成する（分割点には自由節点を加える）
+     * 材端の接合条件は両端の要素に引き継ぎ、要素は元の部材の物性値（E, A, I, As, G, mass, ks, foundationWidth）を持つ。
+     * 変断面部材の要素は断面性能の分布のうち要素の区間を受け持ち、要素の i端の断面を I, A とする。
+     * 剛域を持つ部材は可撓部分を等分し、剛域は両端の要素の剛域とする。
+     * @param {Array} nodes - 正規化済み節点配列
+     * @param {Array} members - 準備済み部材配列
+     * @param {number} segments - 分割数
+     * @returns {object} { nodes, members, segmentsOf } segmentsOf[部材] は分割要素のインデックス配列（i端側から順）
+     */
+    const subdivideMembers = (nodes, members, segments) => {
+        const expandedNodes = [...nodes];
+        const subMembers = [];
+        const segmentsOf = members.map((member, idx) => {
+            const ni = nodes[member.i], nj = nodes[member.j];
+            const L = member.length, a = member.i_rigid || 0, flexibleLength = member.flexibleLength ?? L;
+            const chain = [member.i];
+            for (let k = 1; k < segments; k++) {
+                const t = (a + flexibleLength * k / segments) / L;
+                expandedNodes.push({
+                    x: ni.x + (nj.x - ni.x) * t,
+                    y: ni.y + (nj.y - ni.y) * t,
+                    support: 'free', support_angle: 0, kx: 0, ky: 0, kr: 0, dx_forced: 0, dy_forced: 0, r_forced: 0
+                });
+                chain.push(expandedNodes.length - 1);
+            }
+            chain.push(member.j);
+            return chain.slice(1).map((j, k) => {
+                const sectionProfile = member.sectionProfile ? sliceSectionProfile(member.sectionProfile, flexibleLength * k / segments, flexibleLength * (k + 1) / segments) : null;
+                subMembers.push(prepareMember({
+                    i: chain[k], j, E: member.E, A: sectionProfile ? sectionProfile[0].A : member.A, I: sectionProfile ? sectionProfile[0].I : member.I, As: member.As, G: member.G, mass: member.mass, ks: member.ks, foundationWidth: member.foundationWidth, sectionProfile,
+                    i_conn: k === 0 ? member.i_conn : 'rigid', i_kr: k === 0 ? member.i_kr : undefined,
+                    j_conn: k === segments - 1 ? member.j_conn : 'rigid', j_kr: k === segments - 1 ? member.j_kr : undefined,
+                    i_rigid: k === 0 ? member.i_rigid : 0, j_rigid: k === segments - 1 ? member.j_rigid : 0
+                }, expandedNodes, idx));
+                return subMembers.length - 1;
+            });
+        });
+        return { nodes: expandedNodes, members: subMembers, segmentsOf };
+    };
+
+    /**
+     * 部材座標系の 6×6 マトリクスを全体座標系（傾斜支点の節点は支点座標系）に変換する
+     */
+    const toGlobalElementMatrix = (matrix, member, nodes) => toSupportFrame(mat.multiply(mat.multiply(mat.transpose(member.T), matrix), member.T), member, nodes);
+
+    /**
+     * 一般化固有値問題 B φ = μ K φ（K は正定値、B は対称）の正の固有値を大きい順に部分空間反復法で求める
+     * X̄ = K⁻¹BX を K に関して正規直交化し、部分空間内の固有値問題をJacobi法で解く操作を固有値が収束するまで繰り返す。
+     * 最後にシフト行列 K − σB（σ は求めた最小の 1/μ のわずかに上）の負のピボット数（スツルム列）で見落とした固有値がないことを確認し、
+     * 見落としがあれば部分空間の次元を増やして解き直す。
+     * @param {object} system - buildStaticSystem() の戻り値（K_ff は分解済み）
+     * @param {Array} members - system を作成した部材配列
+     * @param {object} B_sky - system.numbering で組み立てたスカイライン行列 B
+     * @param {object} options - { modes, tolerance, maxIterations, label, errorCode }（label, errorCode は収束しない場合のエラー用）
+     * @returns {object} { values, vectors, subspace, iterations, sturmCount } values は正の μ の大きい順（最大 modes 個）
+     */
+    const solveSubspaceEigen = (system, members, B_sky, { modes, tolerance, maxIterations, label, errorCode }) => {
+        const { numbering, K_ff, diagonal } = system;
+        const n = numbering.count;
+        const applyB = (x) => sparse.multiply(B_sky, x);
+        const dot = (x, y) => x.reduce((sum, v, k) => sum + v * y[k], 0);
+
+        // 初期ベクトル：1列目は B と K の対角比、残りは擬似乱数（再現性のため線形合同法）
+        let seed = 12345;
+        const random = () => { seed = (seed * 1103515245 + 12345) % 2147483648; return seed / 2147483648 - 0.5; };
+        const startVectors = (q) => Array.from({ length: q }, (_, k) => Float64Array.from({ length: n }, (_, e) => {
+            if (k > 0) return random();
+            const K_ee = diagonal[numbering.dofOf[e]];
+            return K_ee > 0 ? Math.abs(sparse.get(B_sky, e, e)) / K_ee : 0;
+        }));
+
+        const iterate = (q) => {
+            let X = startVectors(q), previous = null;
+            for (let iteration = 1; iteration <= maxIterations; iteration++) {
+                const Y = X.map(applyB);
+                const Xb = Y.map(y => sparse.solveLDLt(K_ff, y));
+                // K に関する修正Gram-Schmidt直交化（K X̄ = Y を利用し、一次従属なベクトルは除く）
+                const basis = [], basisK = [];
+                Xb.forEach((x, a) => {
+                    const y = Float64Array.from(Y[a]);
+                    const initial = Math.sqrt(Math.abs(dot(x, y)));
+                    basis.forEach((b, m) => {
+                        const r = dot(b, y);
+                        for (let e = 0; e < n; e++) { x[e] -= r * b[e]; y[e] -= r * basisK[m][e]; }
+                    });
+                    const norm = Math.sqrt(Math.abs(dot(x, y)));
+                    if (!(norm > 1e-10 * initial)) return;
+                    basis.push(x.map(v => v / norm));
+                    basisK.push(y.map(v => v / norm));
+                });
+                if (basis.length === 0) return { values: [], vectors: [], iterations: iteration };
+                const BB = basis.map(applyB);
+                const C = basis.map((x, a) => basis.map((_, b) => dot(x, BB[b])));
+                C.forEach((row, a) => row.forEach((_, b) => { if (b > a) C[a][b] = C[b][a] = (C[a][b] + C[b][a]) / 2; }));
+                const eigen = mat.symmetricEigen(C);
+                const order = eigen.values.map((_, k) => k).sort((a, b) => eigen.values[b] - eigen.values[a]);
+                const values = order.map(k => eigen.values[k]);
+                X = order.map(k => {
+                    const x = new Float64Array(n);
+                    eigen.vectors[k].forEach((w, a) => { for (let e = 0; e < n; e++) x[e] += w * basis[a][e]; });
+                    return x;
+                });
+                const scale = Math.max(...values.map(Math.abs));
+                const wanted = values.filter(mu => mu > 1e-10 * scale).slice(0, modes);
+                const converged = previous !== null && previous.length === wanted.length
+                    && wanted.every((mu, k) => Math.abs(mu - previous[k]) <= tolerance * Math.abs(mu));
+                if (converged) return { values: wanted, vectors: X.slice(0, wanted.length), iterations: iteration };
+                previous = wanted;
+            }
+            const error = new Error(`${label}の固有値計算が ${maxIterations} 回の反復で収束しませんでした。`);
+            error.code = errorCode;
+            throw error;
+        };
+
+        // シフト行列 K − σB の負のピボット数 = 1/μ が σ より小さい固有値の数
+        const K_sky = assembleSkyline(members, system.elementMatrices, numbering);
+        system.springs.forEach((k, d) => { if (k > 0) addNodalDiagonal(K_sky, numbering, d, k); });
+        const countBelow = (sigma) => {
+            const shifted = sparse.clone(K_sky);
+            shifted.values.forEach((v, k) => { shifted.values[k] = v - sigma * B_sky.values[k]; });
+            return sparse.factorLDLt(shifted, { allowSingular: true, allowNegative: true }).negativePivots;
+        };
+
+        let q = Math.min(n, Math.max(2 * modes, modes + 8));
+        for (;;) {
+            const found = iterate(q);
+            const result = { ...found, subspace: q, sturmCount: 0 };
+            if (found.values.length === 0) return result;
+            result.sturmCount = countBelow(1.0001 / found.values[found.values.length - 1]);
+            if (result.sturmCount <= found.values.length || q >= n) return result;
+            q = Math.min(n, 2 * q);
+        }
+    };
+
+    /**
+     * 分割モデルの固有ベクトルから元の節点・部材のモード形を求める
+     * モード形は最大の並進成分が +1 となるよう正規化し、部材内は分割要素ごとの変位分布をつなげる。
+     * @param {object} model - subdivideMembers() の戻り値
+     * @param {Array} nodes - 元の節点配列
+     * @param {Array} members - 元の部材配列
+     * @param {object} numbering - 方程式番号
+     * @param {Float64Array} vector - 固有ベクトル（方程式番号順）
+     * @returns {object} { D, displacements, memberShapes, forces, amplitude }
+     *   memberShapes[部材] は部材座標系の [{ x, u, v }]、forces[部材] は正規化したモード形の部材端力（両端の分割要素の端力）、
+     *   amplitude は正規化前の最大の並進成分（D に乗じると固有ベクトルの大きさに戻る）
+     */
+    const extractModeShape = (model, nodes, members, numbering, vector) => {
+        const D = Array.from(scatterEquations(numbering, vector, model.nodes.length * 3), v => [v]);
+        rotateNodalVector(D, model.nodes, false);
+        let peak = 0;
+        model.nodes.forEach((_, i) => [D[i*3][0], D[i*3+1][0]].forEach(v => { if (Math.abs(v) > Math.abs(peak)) peak = v; }));
+        if (peak !== 0) D.forEach(row => { row[0] /= peak; });
+        const forces = calculateMemberForces(model.members, D, {});
+        const memberShapes = model.segmentsOf.map((subs, idx) => {
+            const stationsPerSegment = Math.max(2, Math.ceil(20 / subs.length));
+            return subs.flatMap((s, m) => {
+                const offset = subs.slice(0, m).reduce((sum, p) => sum + model.members[p].length, 0);
+                return calculateMemberStations(model.members[s], forces[s], null, D, stationsPerSegment)
+                    .filter((_, p) => m === 0 || p > 0)
+                    .map(({ x, u, v }) => ({ x: x + offset, u, v }));
+            });
+        });
+        const originalD = D.slice(0, nodes.length * 3);
+        return {
+            D: originalD,
+            displacements: nodes.map((_, i) => ({ x: originalD[i*3][0], y: originalD[i*3+1][0], rotation: originalD[i*3+2][0] })),
+            memberShapes,
+            forces: model.segmentsOf.map(subs => {
+                const first = forces[subs[0]], last = forces[subs[subs.length - 1]];
+                return { N_i: first.N_i, Q_i: first.Q_i, M_i: first.M_i, N_j: last.N_j, Q_j: last.Q_j, M_j: last.M_j };
+            }),
+            amplitude: peak || 1
+        };
+    };
+
+    // --- Linear Buckling (Eigenvalue) Analysis ---
+    // 座屈固有値解析の既定値（求めるモード数、部材の分割数、固有値の収束判定、最大反復回数）
+    const BUCKLING_DEFAULTS = { modes: 3, segments: 4, tolerance: 1e-8, maxIterations: 100 };
+
+    /**
+     * 座屈固有値解析用の部材座標系の幾何剛性マトリクス（軸力 N は引張を正）
+     * ピン接合端・半剛接合端は condenseWithEndShapes() で縮約するため、得られるマトリクスは N に比例し、
+     * 固有値問題 (K + λK_G)φ = 0 にそのまま用いることができる（剛域を持つ部材は transformRigidZones() で節点位置へ変換する）。
+     * @param {object} member - 準備済み部材
+     * @param {number} N - 軸力 (kN、引張を正)
+     * @returns {Array<Array<number>>} 6×6 マトリクス
+     */
+    const buildLinearGeometricStiffness = (member, N) => {
+        const k_geo = buildLocalGeometricStiffness(member.flexibleLength ?? member.length, N);
+        const bendingDofs = [1, 2, 4, 5];
+        const condensed = condenseWithEndShapes(member, bendingDofs.map(p => bendingDofs.map(q => k_geo[p][q])));
+        const k_linear = mat.create(6, 6);
+        bendingDofs.forEach((p, a) => bendingDofs.forEach((q, b) => { k_linear[p][q] = condensed[a][b]; }));
+        return transformRigidZones(member, k_linear, N);
+    };
+
+    /**
+     * 線形座屈固有値問題 (K + λK_G)φ = 0 を解き、小さい順に正の座屈荷重係数 λ と座屈モードを求める
+     * K φ = λ(-K_G) φ を μ = 1/λ の問題 (-K_G) φ = μ K φ として solveSubspaceEigen() で解く。
+     * 分割要素の軸力は部材両端の軸力を直線補間した要素中央の値とする。
+     * @param {Array} nodes - 正規化済み節点配列
+     * @param {Array} members - 準備済み部材配列
+     * @param {Array<number|Array<number>>} axialForces - 部材ごとの基準軸力 (kN、引張を正)。[i端, j端] の組を与えると部材内で直線補間する
+     * @param {object} [options] - { modes, segments, tolerance, maxIterations }
+     * @returns {object} { modes, solverInfo }
+     *   modes: [{ factor, D, displacements, memberShapes, members }]（factor の小さい順、圧縮軸力がなければ空配列）
+     *     D / displacements は最大の並進成分を1とした元の節点のモード形、memberShapes[部材] は部材座標系の [{ x, u, v }]
+     *     members[部材] は { compression, criticalAxialForce, effectiveLength, effectiveLengthFactor }（圧縮軸力のない部材は null）
+     *   solverInfo: { equations, subspace, iterations, segments, sturmCount }
+     * @throws {Error} 軸力0でも不安定な場合は error.code === 'BUCKLING_UNSTABLE'、反復が収束しない場合は 'BUCKLING_NOT_CONVERGED'
+     */
+    const solveBucklingModes = (nodes, members, axialForces, options = {}) => {
+        const { modes, segments, tolerance, maxIterations } = { ...BUCKLING_DEFAULTS, ...options };
+        const segmentCount = Math.max(1, Math.round(segments));
+        const model = subdivideMembers(nodes, members, segmentCount);
+        const axialPair = (idx) => (Array.isArray(axialForces[idx]) ? axialForces[idx] : [axialForces[idx], axialForces[idx]]).map(N => Number(N) || 0);
+        const geometricMatrices = [];
+        model.segmentsOf.forEach((subs, idx) => {
+            const [N_i, N_j] = axialPair(idx);
+            subs.forEach((s, k) => {
+                const sub = model.members[s];
+                // -K_G（圧縮で正）を組み立てる
+                geometricMatrices[s] = toGlobalElementMatrix(buildLinearGeometricStiffness(sub, -(N_i + (N_j - N_i) * (k + 0.5) / subs.length)), sub, model.nodes);
+            });
+        });
+        const system = buildStaticSystem(model.nodes, model.members);
+        const solverInfo = { equations: system.numbering.count, subspace: 0, iterations: 0, segments: segmentCount, sturmCount: 0 };
+        if (system.solverInfo.negativePivots > 0 || system.singularDofs.some(d => system.diagonal[d] !== 0)) {
+            const error = new Error('座屈解析: 軸力がなくても骨組が不安定です。支点・接合条件を見直してください。');
+            error.code = 'BUCKLING_UNSTABLE';
+            throw error;
+        }
+        if (system.numbering.count === 0) return { modes: [], solverInfo };
+
+        const G_sky = assembleSkyline(model.members, geometricMatrices, system.numbering);
+        const found = solveSubspaceEigen(system, model.members, G_sky, { modes, tolerance, maxIterations, label: '座屈解析', errorCode: 'BUCKLING_NOT_CONVERGED' });
+        Object.assign(solverInfo, { subspace: found.subspace, iterations: found.iterations, sturmCount: found.sturmCount });
+
+        const modeResults = found.values.map((mu, k) => {
+            const factor = 1 / mu;
+            const memberResults = members.map((member, idx) => {
+                const compression = Math.max(0, ...axialPair(idx).map(N => -N));
+                if (!(compression > 0) || !(member.E * member.I > 0)) return null;
+                const criticalAxialForce = factor * compression;
+                const effectiveLength = Math.PI * Math.sqrt(member.E * member.I / criticalAxialForce);
+                return { compression, criticalAxialForce, effectiveLength, effectiveLengthFactor: effectiveLength / member.length };
+            });
+            return { factor, ...extractModeShape(model, nodes, members, system.numbering, found.vectors[k]), members: memberResults };
+        });
+        return { modes: modeResults, solverInfo };
+    };
+
+    /**
+     * 骨組全体の線形座屈解析（固有値解析）を実行する（DOM非依存）
+     * @param {object} model - analyzeModel() と同じモデル。axialForces（部材ごとの軸力 kN、引張を正、[i端, j端] の組も可）を与えるとそれを基準軸力とし、
+     *   なければモデルの荷重による線形解析の軸力を用いる
+     * @param {object} [options] - { modes, segments, tolerance, maxIterations }
+     * @returns {object} solveBucklingModes() の戻り値に基準軸力 axialForces を加えたもの
+     */
+    const analyzeBuckling = (model, options = {}) => {
+        const { nodes, members, nodeLoads, memberLoads } = normalizeModel(model);
+        let axialForces = model.axialForces;
+        if (!axialForces) {
+            const result = solveStaticCase(buildStaticSystem(nodes, members), nodes, members, { nodeLoads, memberLoads, applyForcedDisplacements: true });
+            axialForces = result.forces.map(f => [-f.N_i, f.N_j]);
+        }
+        return { ...solveBucklingModes(nodes, members, axialForces, options), axialForces };
+    };
+
+    // --- Modal (Natural Vibration) Analysis ---
+    // 固有値解析の既定値（求めるモード数、質量マトリクスの種類、部材の分割数、固有値の収束判定、最大反復回数）
+    const MODAL_DEFAULTS = { modes: 6, massType: 'consistent', segments: 4, tolerance: 1e-10, maxIterations: 100 };
+
+    // 質量マトリクスの種類（consistent: 整合質量、lumped: 集中質量）
+    const MASS_MATRIX_TYPES = ['consistent', 'lumped'];
+
+    /**
+     * 部材座標系の質量マトリクス（単位長さあたり質量 m: t/m）
+     * 整合質量は軸方向に線形、曲げに3次エルミート関数を用いたもの（ピン接合端・半剛接合端は condenseWithEndShapes() で縮約）、
+     * 集中質量は部材の質量の1/2ずつを両端の並進自由度に置き、回転慣性は無視する。
+     * 剛域を持つ部材は可撓部分の質量マトリクスを節点位置へ変換し、剛域の質量は剛体として節点に加える（集中質量では並進のみ）。
+     * @param {object} member - 準備済み部材（mass: 単位長さあたり質量 t/m）
+     * @param {string} [massType='consistent'] - 'consistent' | 'lumped'
+     * @returns {Array<Array<number>>} 6×6 マトリクス
+     */
+    const buildLocalMassMatrix = (member, massType = 'consistent') => {
+        const L = member.flexibleLength ?? member.length, m = Number(member.mass) || 0, total = m * L;
+        const a = member.i_rigid || 0, b = member.j_rigid || 0;
+        const m_local = mat.create(6, 6);
+        if (massType === 'lumped') {
+            [0, 1, 3, 4].forEach(d => { m_local[d][d] = total / 2 + m * (d < 3 ? a : b); });
+            return m_local;
+        }
+        m_local[0][0] = m_local[3][3] = total / 3;
+        m_local[0][3] = m_local[3][0] = total / 6;
+        const c = total / 420, bendingDofs = [1, 2, 4, 5];
+        const bending = condenseWithEndShapes(member, [
+            [156*c, 22*L*c, 54*c, -13*L*c],
+            [22*L*c, 4*L*L*c, 13*L*c, -3*L*L*c],
+            [54*c, 13*L*c, 156*c, -22*L*c],
+            [-13*L*c, -3*L*L*c, -22*L*c, 4*L*L*c]
+        ]);
+        bendingDofs.forEach((p, a) => bendingDofs.forEach((q, b) => { m_local[p][q] = bending[a][b]; }));
+        if (a === 0 && b === 0) return m_local;
+        // 剛域（節点から長さ a, b の剛体棒）の質量: 並進 m·a、並進と回転の連成 ±m·a²/2、回転慣性 m·a³/3
+        const m_rigid = transformRigidZones(member, m_local);
+        [[0, 1, 2, a, 1], [3, 4, 5, b, -1]].forEach(([u, v, r, length, sign]) => {
+            m_rigid[u][u] += m * length;
+            m_rigid[v][v] += m * length;
+            m_rigid[v][r] += sign * m * length ** 2 / 2;
+            m_rigid[r][v] += sign * m * length ** 2 / 2;
+            m_rigid[r][r] += m * length ** 3 / 3;
+        });
+        return m_rigid;
+    };
+
+    /**
+     * 振動解析用に部材を分割したモデルの剛性（分解済み）と質量マトリクスを作成する
+     * 質量は部材の分布質量（buildLocalMassMatrix()）と節点質量（X・Y方向）の和とする。
+     * @param {Array} nodes - 正規化済み節点配列（mass: 節点質量 t）
+     * @param {Array} members - 準備済み部材配列（mass: 単位長さあたり質量 t/m）
+     * @param {object} options - { massType, segments }
+     * @param {string} label - エラーメッセージに付ける解析の名称
+     * @returns {object} { model, system, M_sky, influence, Mr, totalMass, segmentCount }
+     *   influence は全体X・Y方向の単位変位ベクトル（方程式番号順、傾斜支点の節点は支点座標系の成分）、Mr はそれに M を乗じたもの、
+     *   totalMass は { x, y } 支点で拘束されていない自由度の質量 (t)
+     * @throws {Error} 不安定な場合は error.code === 'MODAL_UNSTABLE'、質量がない場合は 'MODAL_NO_MASS'
+     */
+    const buildMassSystem = (nodes, members, { massType, segments }, label) => {
+        if (!MASS_MATRIX_TYPES.includes(massType)) throw new Error(`質量マトリクスの種類 "${massType}" は未対応です。`);
+        const segmentCount = Math.max(1, Math.round(segments));
+        const model = subdivideMembers(nodes, members, segmentCount);
+        const system = buildStaticSystem(model.nodes, model.members);
+        const { numbering } = system;
+        if (system.solverInfo.negativePivots > 0 || system.singularDofs.some(d => system.diagonal[d] !== 0)) {
+            const error = new Error(`${label}: 骨組が不安定です。支点・接合条件を見直してください。`);
+            error.code = 'MODAL_UNSTABLE';
+            throw error;
+        }
+
+        // 質量マトリクス（部材の分布質量＋節点質量）
+        const massMatrices = model.members.map(sub => toGlobalElementMatrix(buildLocalMassMatrix(sub, massType), sub, model.nodes));
+        const M_sky = numbering.count > 0 ? assembleSkyline(model.members, massMatrices, numbering) : null;
+        nodes.forEach((node, i) => {
+            const mass = Number(node.mass) || 0;
+            if (mass < 0) throw new Error(`節点 ${i + 1} の質量は0以上で入力してください。`);
+            [i * 3, i * 3 + 1].forEach(d => { if (mass > 0) addNodalDiagonal(M_sky, numbering, d, mass); });
+        });
+        if (!M_sky || !M_sky.values.some(v => v > 0)) {
+            const error = new Error(`${label}: 質量がありません。部材の密度または節点質量を入力してください。`);
+            error.code = 'MODAL_NO_MASS';
+            throw error;
+        }
+
+        const influence = ['x', 'y'].map((_, direction) => {
+            const r = mat.create(model.nodes.length * 3, 1);
+            model.nodes.forEach((_, i) => { r[i * 3 + direction][0] = 1; });
+            rotateNodalVector(r, model.nodes, true);
+            return Float64Array.from(numbering.dofOf, d => r[d][0]);
+        });
+        const dot = (x, y) => x.reduce((sum, v, k) => sum + v * y[k], 0);
+        const Mr = influence.map(r => sparse.multiply(M_sky, r));
+        const totalMass = { x: dot(influence[0], Mr[0]), y: dot(influence[1], Mr[1]) };
+        return { model, system, M_sky, influence, Mr, totalMass, segmentCount };
+    };
+
+    /**
+     * 固有振動解析 K φ = ω² M φ を解き、固有周期・振動数・モード形・有効質量比を求める
+     * μ = 1/ω² の問題 M φ = μ K φ として solveSubspaceEigen() で周期の長い順に求める。
+     * 刺激係数は質量で正規化したモード φ（φᵀMφ = 1）について β = φᵀ M r（r は全体X・Y方向の単位変位ベクトル）とし、
+     * 有効質量 β² を支点で拘束されていない自由度の全質量で除して有効質量比とする。
+     * @param {Array} nodes - 正規化済み節点配列（mass: 節点質量 t、X・Y方向に同じ値）
+     * @param {Array} members - 準備済み部材配列（mass: 単位長さあたり質量 t/m）
+     * @param {object} [options] - { modes, massType, segments, tolerance, maxIterations }
+     * @returns {object} { modes, totalMass, solverInfo }
+     *   modes: [{ circularFrequency, frequency, period, D, displacements, memberShapes, forces, R, massNormalizedScale, participation }]（周期の長い順）
+     *     D / displacements は最大の並進成分を1としたモード形、forces / R はそのモード形の部材端力・反力（支点座標系）、
+     *     massNormalizedScale は D に乗じると質量で正規化したモード（φᵀMφ = 1）となる係数
+     *     participation: { x: { factor, effectiveMass, ratio, cumulative }, y: {...} }（factor は質量正規化モードの刺激係数、ratio, cumulative は0〜1）
+     *   totalMass: { x, y } 有効質量比の基準とした質量 (t)
+     *   solverInfo: { equations, subspace, iterations, segments, sturmCount, massType }
+     * @throws {Error} 質量がない場合は error.code === 'MODAL_NO_MASS'、不安定な場合は 'MODAL_UNSTABLE'、反復が収束しない場合は 'MODAL_NOT_CONVERGED'
+     */
+    const solveModalAnalysis = (nodes, members, options = {}) => {
+        const { modes, massType, segments, tolerance, maxIterations } = { ...MODAL_DEFAULTS, ...options };
+        const { model, system, M_sky, Mr, totalMass, segmentCount } = buildMassSystem(nodes, members, { massType, segments }, '固有値解析');
+        const { numbering } = system;
+        const solverInfo = { equations: numbering.count, subspace: 0, iterations: 0, segments: segmentCount, sturmCount: 0, massType };
+        const dot = (x, y) => x.reduce((sum, v, k) => sum + v * y[k], 0);
+
+        const found = solveSubspaceEigen(system, model.members, M_sky, { modes, tolerance, maxIterations, label: '固有値解析', errorCode: 'MODAL_NOT_CONVERGED' });
+        Object.assign(solverInfo, { subspace: found.subspace, iterations: found.iterations, sturmCount: found.sturmCount });
+
+        // モード形の反力（支点座標系、R = K * D。ばね支点はばね力 -k * D）
+        const modeReactions = (vector, amplitude) => {
+            const d = scatterEquations(numbering, vector, system.dof).map(v => v / amplitude);
+            const KD = multiplyElementMatrices(model.members, system.elementMatrices, d, system.dof);
+            system.springs.forEach((k, idx) => { if (k !== 0) KD[idx] += k * d[idx]; });
+            const residual = condenseConstrainedDofs(numbering, KD);
+            const R = mat.create(nodes.length * 3, 1);
+            system.constrainedIndices.forEach(r => { if (r < R.length) R[r][0] = residual[r]; });
+            system.springs.forEach((k, idx) => { if (k !== 0 && idx < R.length) R[idx][0] = -k * d[idx]; });
+            return R;
+        };
+
+        const cumulative = { x: 0, y: 0 };
+        const modeResults = found.values.map((mu, k) => {
+            const generalizedMass = dot(found.vectors[k], sparse.multiply(M_sky, found.vectors[k]));
+            const vector = found.vectors[k].map(v => v / Math.sqrt(generalizedMass));
+            const participation = {};
+            ['x', 'y'].forEach((key, direction) => {
+                const factor = dot(vector, Mr[direction]);
+                const effectiveMass = factor * factor;
+                const ratio = totalMass[key] > 0 ? effectiveMass / totalMass[key] : 0;
+                cumulative[key] += ratio;
+                participation[key] = { factor, effectiveMass, ratio, cumulative: cumulative[key] };
+            });
+            const circularFrequency = Math.sqrt(1 / mu);
+            const { amplitude, ...shape } = extractModeShape(model, nodes, members, numbering, vector);
+            return {
+                circularFrequency,
+                frequency: circularFrequency / (2 * Math.PI),
+                period: 2 * Math.PI / circularFrequency,
+                ...shape,
+                R: modeReactions(vector, amplitude),
+                massNormalizedScale: amplitude,
+                participation
+            };
+        });
+        return { modes: modeResults, totalMass, solverInfo };
+    };
+
+    /**
+     * 固有振動解析（モーダル解析）を実行する（DOM非依存）
+     * @param {object} model - analyzeModel() と同じ節点・部材。節点の mass（節点質量 t）、部材の mass（単位長さあたり質量 t/m）を質量とする
+     * @param {object} [options] - { modes, massType: 'consistent'|'lumped', segments, tolerance, maxIterations }
+     * @returns {object} solveModalAnalysis() の戻り値
+     */
+    const analyzeModal = (model, options = {}) => {
+        const { nodes, members } = normalizeModel(model);
+        return solveModalAnalysis(nodes, members, options);
+    };
+
+    // --- Response Spectrum Analysis ---
+    // 重力加速度 (m/s²)
+    const GRAVITY = 9.80665;
+
+    // 設計用スペクトルの種類（building-standard: 建築基準法の振動特性係数 Rt による加速度スペクトル、table: 周期と加速度の表）
+    const SPECTRUM_TYPES = ['building-standard', 'table'];
+
+    // 地盤種別ごとの地盤周期 Tc (s)（昭和55年建設省告示第1793号）
+    const SOIL_PERIODS = { 1: 0.4, 2: 0.6, 3: 0.8 };
+
+    // モードの組合せ方法（SRSS: 二乗和平方根、CQC: 完全2次結合）
+    const MODAL_COMBINATION_METHODS = ['SRSS', 'CQC'];
+
+    // 応答スペクトル解析の既定値（加振方向、モードの組合せ方法、減衰定数、考慮するモード数、質量マトリクスの種類、設計用スペクトル）
+    const RESPONSE_SPECTRUM_DEFAULTS = {
+        direction: 'x',
+        combination: 'CQC',
+        damping: 0.05,
+        modes: 12,
+        massType: 'consistent',
+        spectrum: { type: 'building-standard', Z: 1.0, soilClass: 2, C0: 0.2 }
+    };
+
+    /**
+     * 設計用加速度応答スペクトル Sa(T) (m/s²) を作成する
+     * building-standard は Sa = Z・Rt・C0・g・Fh とする（Rt は地盤種別による振動特性係数、Fh = 1.5/(1+10h) は減衰による低減で h = 0.05 のとき 1）。
+     * table は { T (s), Sa (m/s²) } の点を直線補間し、範囲外は両端の値とする（減衰による補正はしない）。
+     * @param {object} spectrum - { type: 'building-standard', Z, soilClass: 1|2|3, C0 } または { type: 'table', points: [{ T, Sa }] }
+     * @param {number} [damping=0.05] - 減衰定数
+     * @returns {function(number): number} 周期 T (s) から加速度 Sa (m/s²) を返す関数
+     */
+    const buildDesignSpectrum = (spectrum = {}, damping = 0.05) => {
+        const type = spectrum.type || 'building-standard';
+        if (!SPECTRUM_TYPES.includes(type)) throw new Error(`設計用スペクトルの種類 "${type}" は未対応です。`);
+        if (type === 'table') {
+            const points = (spectrum.points || [])
+                .map(p => ({ T: Number(p.T), Sa: Number(p.Sa) }))
+                .filter(p => Number.isFinite(p.T) && Number.isFinite(p.Sa))
+                .sort((a, b) => a.T - b.T);
+            if (points.length === 0) throw new Error('設計用スペクトルの表に有効な点（周期 T, 加速度 Sa）がありません。');
+            if (points.some(p => p.T < 0 || p.Sa < 0)) throw new Error('設計用スペクトルの周期・加速度は0以上で入力してください。');
+            return (T) => {
+                if (T <= points[0].T) return points[0].Sa;
+                const k = points.findIndex(p => p.T >= T);
+                if (k < 0) return points[points.length - 1].Sa;
+                const a = points[k - 1], b = points[k];
+                return b.T === a.T ? b.Sa : a.Sa + (b.Sa - a.Sa) * (T - a.T) / (b.T - a.T);
+            };
+        }
+        const Z = Number(spectrum.Z ?? 1.0), C0 = Number(spectrum.C0 ?? 0.2);
+        const Tc = SOIL_PERIODS[spectrum.soilClass ?? 2];
+        if (!Tc) throw new Error(`地盤種別 "${spectrum.soilClass}" は第1種〜第3種（1, 2, 3）で指定してください。`);
+        if (!(Z > 0) || !(C0 > 0)) throw new Error('地震地域係数 Z と標準せん断力係数 C0 は正の値で入力してください。');
+        const Fh = 1.5 / (1 + 10 * damping);
+        const Rt = (T) => (T < Tc ? 1 : T < 2 * Tc ? 1 - 0.2 * (T / Tc - 1) ** 2 : 1.6 * Tc / T);
+        return (T) => Z * Rt(T) * C0 * GRAVITY * Fh;
+    };
+
+    /**
+     * CQC法のモード間相関係数 ρij（全モードで減衰定数が等しい場合の Der Kiureghian の式）
+     */
+    const modalCorrelation = (omega_i, omega_j, damping) => {
+        const r = omega_j / omega_i, h = damping;
+        if (h === 0) return r === 1 ? 1 : 0;
+        return 8 * h * h * (1 + r) * r ** 1.5 / ((1 - r * r) ** 2 + 4 * h * h * r * (1 + r) ** 2);
+    };
+
+    /**
+     * 各モードの応答値を組み合わせる（符号は寄与の最も大きいモードの符号とする）
+     * @param {Array<number>} values - モードごとの応答値
+     * @param {Array<Array<number>>|null} correlation - CQC法の相関係数行列（SRSS法では null）
+     * @returns {number}
+     */
+    const combineModalValues = (values, correlation) => {
+        let sum = 0, dominant = 0;
+        values.forEach((a, i) => {
+            if (Math.abs(a) > Math.abs(dominant)) dominant = a;
+            if (!correlation) { sum += a * a; return; }
+            values.forEach((b, j) => { sum += correlation[i][j] * a * b; });
+        });
+        return Math.sign(dominant) * Math.sqrt(Math.max(0, sum));
+    };
+
+    /**
+     * 応答スペクトル解析を行い、モードごとの最大応答を SRSS または CQC で組み合わせる
+     * モード n の変位は un = βn・Sa(Tn)/ωn²・φn（φn は質量で正規化したモード、βn は加振方向の刺激係数）とし、
+     * 変位・部材端力・反力・部材角は成分ごとに組み合わせる。組み合わせた値は符号を持たないため、
+     * 寄与の最も大きいモードの符号を付け、荷重組合せでは正負両方向の加振を係数 ±1.0 で考慮する。
+     * 各モードのベースシアは有効質量と加速度の積 βn²・Sa(Tn) とする。
+     * @param {Array} nodes - 正規化済み節点配列（mass: 節点質量 t）
+     * @param {Array} members - 準備済み部材配列（mass: 単位長さあたり質量 t/m）
+     * @param {object} [options] - { direction: 'x'|'y', combination: 'SRSS'|'CQC', damping, modes, massType, segments, spectrum }
+     * @returns {object} analyzeModel() と同じ形式の結果に responseSpectrum を加えたもの（荷重は空）
+     *   responseSpectrum: { direction, combination, damping, spectrum, baseShear, totalMass, massRatio, modes, drifts, solverInfo }
+     *     modes: [{ period, acceleration, participationFactor, effectiveMass, massRatio, baseShear }]
+     *     drifts[部材]: { relative, angle } 部材両端の材軸直交方向の相対変位 (m) と部材角（相対変位/部材長）
+     */
+    const solveResponseSpectrum = (nodes, members, options = {}) => {
+        const { direction, combination, damping, modes, massType, segments, spectrum } = { ...RESPONSE_SPECTRUM_DEFAULTS, ...options };
+        if (direction !== 'x' && direction !== 'y') throw new Error(`加振方向 "${direction}" は 'x' または 'y' で指定してください。`);
+        if (!MODAL_COMBINATION_METHODS.includes(combination)) throw new Error(`モードの組合せ方法 "${combination}" は未対応です。`);
+        if (!(damping >= 0 && damping < 1)) throw new Error('減衰定数は0以上1未満で入力してください。');
+        const Sa = buildDesignSpectrum(spectrum, damping);
+        const modal = solveModalAnalysis(nodes, members, { modes, massType, ...(segments ? { segments } : {}) });
+
+        const modeResponses = modal.modes.map(mode => {
+            const { factor, effectiveMass, ratio } = mode.participation[direction];
+            const acceleration = Sa(mode.period);
+            return {
+                mode,
+                // 正規化したモード形 D に乗じる係数
+                scale: factor * acceleration / mode.circularFrequency ** 2 * mode.massNormalizedScale,
+                summary: { period: mode.period, acceleration, participationFactor: factor, effectiveMass, massRatio: ratio, baseShear: effectiveMass * acceleration }
+            };
+        });
+        const correlation = combination === 'CQC'
+            ? modeResponses.map(a => modeResponses.map(b => modalCorrelation(a.mode.circularFrequency, b.mode.circularFrequency, damping)))
+            : null;
+        const combine = (valueOf) => combineModalValues(modeResponses.map(({ mode, scale }) => scale * valueOf(mode)), correlation);
+
+        const dof = nodes.length * 3;
+        const D = mat.create(dof, 1), R = mat.create(dof, 1);
+        for (let k = 0; k < dof; k++) {
+            D[k][0] = combine(mode => mode.D[k][0]);
+            R[k][0] = combine(mode => mode.R[k][0]);
+        }
+        const forces = members.map((_, idx) => ['N_i', 'Q_i', 'M_i', 'N_j', 'Q_j', 'M_j'].reduce((force, key) => {
+            force[key] = combine(mode => mode.forces[idx][key]);
+            return force;
+        }, {}));
+        const drifts = members.map(member => {
+            // モード形の部材両端の材軸直交方向変位の差
+            const relativeOf = (mode) => {
+                const d = [...mode.D.slice(member.i * 3, member.i * 3 + 3), ...mode.D.slice(member.j * 3, member.j * 3 + 3)];
+                const local = mat.multiply(member.T, d);
+                return local[4][0] - local[1][0];
+            };
+            const relative = combine(relativeOf);
+            return { relative, angle: relative / member.length };
+        });
+        const baseShear = combineModalValues(modeResponses.map(r => r.summary.baseShear), correlation);
+        const totalMass = modal.totalMass[direction];
+
+        return {
+            D,
+            R,
+            forces,
+            displacements: nodes.map((_, i) => ({ x: D[i*3][0], y: D[i*3+1][0], rotation: D[i*3+2][0] })),
+            reactions: nodes.map((_, i) => ({ x: -R[i*3][0] || 0, y: -R[i*3+1][0] || 0, mz: -R[i*3+2][0] || 0 })),
+            nodes,
+            members,
+            nodeLoads: [],
+            memberLoads: [],
+            responseSpectrum: {
+                direction,
+                combination,
+                damping,
+                spectrum,
+                baseShear,
+                totalMass,
+                massRatio: modeResponses.reduce((sum, r) => sum + r.summary.massRatio, 0),
+                modes: modeResponses.map(r => r.summary),
+                drifts,
+                solverInfo: modal.solverInfo
+            }
+        };
+    };
+
+    /**
+     * 応答スペクトル解析を実行する（DOM非依存）
+     * @param {object} model - analyzeModal() と同じモデル（節点・部材の mass を質量とする）
+     * @param {object} [options] - solveResponseSpectrum() のオプション
+     * @returns {object} solveResponseSpectrum() の戻り値
+     */
+    const analyzeResponseSpectrum = (model, options = {}) => {
+        const { nodes, members } = normalizeModel(model);
+        return solveResponseSpectrum(nodes, members, options);
+    };
+
+    // --- Time History Analysis ---
+    // 加速度記録の単位（m/s² への換算係数）
+    const ACCELERATION_UNITS = { 'm/s2': 1, gal: 0.01, g: GRAVITY };
+
+    // 時刻歴応答解析の既定値（加振方向、加速度の倍率、時間刻み・継続時間（null は記録の値）、減衰定数、
+    // レーリー減衰で減衰定数を合わせるモード次数、Newmark-β法の β・γ、質量マトリクスの種類、部材の分割数、最大ステップ数）
+    const TIME_HISTORY_DEFAULTS = {
+        direction: 'x',
+        scale: 1,
+        dt: null,
+        duration: null,
+        damping: 0.02,
+        rayleighModes: [1, 2],
+        newmarkBeta: 0.25,
+        newmarkGamma: 0.5,
+        massType: 'consistent',
+        segments: 4,
+        maxSteps: 100000
+    };
+
+    /**
+     * 加速度記録のテキスト（CSV または空白・タブ区切り）を読み取る
+     * 2列以上の行は1列目を時刻 (s)、2列目を加速度とし、1列だけの記録は時間刻み dt の等間隔とみなす。
+     * 数値で始まらない行（見出し・コメント）は読み飛ばす。
+     * @param {string} text - 記録のテキスト
+     * @param {object} [options] - { unit: 'm/s2'|'gal'|'g'（既定 'm/s2'）, dt: 1列の記録の時間刻み (s) }
+     * @returns {object} { time: Float64Array (s), acceleration: Float64Array (m/s²) }
+     */
+    const parseAccelerogram = (text, options = {}) => {
+        const unit = options.unit || 'm/s2';
+        const factor = ACCELERATION_UNITS[unit];
+        if (!factor) throw new Error(`加速度の単位 "${unit}" は未対応です（m/s2, gal, g）。`);
+        const rows = String(text || '').split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line !== '')
+            .map(line => line.split(/[\s,;]+/).map(Number))
+            .filter(values => values.length > 0 && Number.isFinite(values[0]) && values.every(v => Number.isFinite(v)));
+        if (rows.length < 2) throw new Error('加速度記録に数値のデータが2行以上ありません。');
+        const singleColumn = rows.every(values => values.length === 1);
+        if (singleColumn && !(Number(options.dt) > 0)) throw new Error('1列だけの加速度記録には時間刻み dt を指定してください。');
+        const time = Float64Array.from(rows, (values, k) => (singleColumn ? k * Number(options.dt) : values[0]));
+        const acceleration = Float64Array.from(rows, values => (singleColumn ? values[0] : values[1] ?? 0) * factor);
+        for (let k = 1; k < time.length; k++) {
+            if (!(time[k] > time[k - 1])) throw new Error(`加速度記録の時刻が増加していません（${k + 1} 行目のデータ）。`);
+        }
+        return { time, acceleration };
+    };
+
+    /**
+     * 値の時刻歴から最大値・最小値とその時刻を求める
+     * @returns {object} { max, min, maxTime, minTime, absMax }
+     */
+    const historyPeak = (values, time) => {
+        let max = -Infinity, min = Infinity, maxTime = 0, minTime = 0;
+        values.forEach((v, k) => {
+            if (v > max) { max = v; maxTime = time[k]; }
+            if (v < min) { min = v; minTime = time[k]; }
+        });
+        return { max, min, maxTime, minTime, absMax: Math.max(Math.abs(max), Math.abs(min)) };
+    };
+
+    /**
+     * 地動加速度に対する線形時刻歴応答解析（Newmark-β法による直接積分）
+     * 運動方程式 M ü + C u̇ + K u = -M r üg(t)（u は地盤に対する相対変位、r は加振方向の単位変位ベクトル）を、
+     * 初期静止状態から時間刻み dt で積分する。減衰はレーリー減衰 C = αM + βK とし、rayleighModes の2つのモードの減衰定数を damping に合わせる。
+     * 記録の時刻の間の加速度は直線補間し、記録の終了後は 0（自由振動）とする。
+     * @param {Array} nodes - 正規化済み節点配列（mass: 節点質量 t）
+     * @param {Array} members - 準備済み部材配列（mass: 単位長さあたり質量 t/m）
+     * @param {object} record - { time: Array<number> (s), acceleration: Array<number> (m/s²) }（parseAccelerogram() の戻り値）
+     * @param {object} [options] - TIME_HISTORY_DEFAULTS と同じキー
+     * @returns {object} { time, groundAcceleration, displacements, forces, baseShear, peaks, rayleigh, solverInfo }
+     *   displacements[節点] = { x, y, rotation }、forces[部材] = { N_i, Q_i, M_i, N_j, Q_j, M_j } は各時刻の値の Float64Array（部材端力は analyzeModel() と同じ符号）
+     *   baseShear は加振方向の慣性力の合計 (kN)、peaks は同じ構成で各値の historyPeak()
+     *   rayleigh: { alpha, beta, circularFrequencies: [ω1, ω2] }
+     * @throws {Error} 質量がない・不安定な場合は error.code === 'MODAL_NO_MASS' / 'MODAL_UNSTABLE'、有効剛性マトリクスを分解できない場合は 'UNSTABLE'（singularDofs を付与）、
+     *   応答が発散した場合は 'TIME_HISTORY_DIVERGED'
+     */
+    const solveTimeHistory = (nodes, members, record, options = {}) => {
+        const { direction, scale, damping, rayleighModes, newmarkBeta: beta, newmarkGamma: gamma, massType, segments, maxSteps } = { ...TIME_HISTORY_DEFAULTS, ...options };
+        if (direction !== 'x' && direction !== 'y') throw new Error(`加振方向 "${direction}" は 'x' または 'y' で指定してください。`);
+        if (!(beta > 0) || !(gamma >= 0.5)) throw new Error('Newmark-β法のパラメータは β > 0、γ ≥ 0.5 としてください。');
+        if (!(damping >= 0 && damping < 1)) throw new Error('減衰定数は0以上1未満で入力してください。');
+        const recordTime = Array.from(record?.time || []), recordAcceleration = Array.from(record?.acceleration || []);
+        if (recordTime.length < 2 || recordTime.length !== recordAcceleration.length) throw new Error('加速度記録には時刻と加速度が2点以上必要です。');
+        const t0 = recordTime[0];
+        const dt = Number(options.dt) > 0 ? Number(options.dt) : recordTime[1] - t0;
+        const duration = Number(options.duration) > 0 ? Number(options.duration) : recordTime[recordTime.length - 1] - t0;
+        const steps = Math.floor(duration / dt + 1e-9);
+        if (!(dt > 0) || steps < 1) throw new Error('時間刻みと継続時間を正しく指定してください。');
+        if (steps > maxSteps) throw new Error(`ステップ数 ${steps} が上限 ${maxSteps} を超えています。時間刻みを大きくするか継続時間を短くしてください。`);
+        let cursor = 0;
+        const groundAccelerationAt = (t) => {
+            const time = t0 + t;
+            if (time > recordTime[recordTime.length - 1]) return 0;
+            while (cursor < recordTime.length - 2 && recordTime[cursor + 1] < time) cursor++;
+            const ta = recordTime[cursor], tb = recordTime[cursor + 1];
+            return scale * (recordAcceleration[cursor] + (recordAcceleration[cursor + 1] - recordAcceleration[cursor]) * Math.min(1, Math.max(0, (time - ta) / (tb - ta))));
+        };
+
+        const { model, system, M_sky, influence, Mr, totalMass, segmentCount } = buildMassSystem(nodes, members, { massType, segments }, '時刻歴応答解析');
+        const { numbering } = system;
+        const n = numbering.count;
+        const dirIndex = direction === 'x' ? 0 : 1;
+
+        // レーリー減衰の係数（指定モードの円振動数から）
+        const highestMode = Math.max(1, ...rayleighModes.map(m => Math.round(m) || 1));
+        const eigen = solveSubspaceEigen(system, model.members, M_sky, { modes: highestMode, tolerance: MODAL_DEFAULTS.tolerance, maxIterations: MODAL_DEFAULTS.maxIterations, label: '時刻歴応答解析', errorCode: 'MODAL_NOT_CONVERGED' });
+        const omegas = eigen.values.map(mu => Math.sqrt(1 / mu));
+        const [w1, w2] = rayleighModes.map(m => omegas[Math.min(omegas.length, Math.max(1, Math.round(m))) - 1]);
+        const alpha = 2 * damping * w1 * w2 / (w1 + w2), betaR = 2 * damping / (w1 + w2);
+
+        // 有効剛性 K̂ = K + γ/(βΔt)·C + 1/(βΔt²)·M（K と M は同じ部材構成から組み立てるのでスカイラインの形が等しい）
+        const K_sky = assembleSkyline(model.members, system.elementMatrices, numbering);
+        system.springs.forEach((k, d) => { if (k > 0) addNodalDiagonal(K_sky, numbering, d, k); });
+        const a0 = 1 / (beta * dt * dt), a1 = gamma / (beta * dt), a2 = 1 / (beta * dt), a3 = 1 / (2 * beta) - 1, a4 = gamma / beta - 1, a5 = dt * (gamma / (2 * beta) - 1);
+        const K_eff = sparse.clone(K_sky);
+        K_eff.values.forEach((v, k) => { K_eff.values[k] = v * (1 + a1 * betaR) + M_sky.values[k] * (a0 + a1 * alpha); });
+        const factorization = sparse.factorLDLt(K_eff);
+        if (!factorization.ok) {
+            const error = new Error('時刻歴応答解析の有効剛性マトリクスを分解できませんでした。構造が不安定であるか、拘束が不適切である可能性があります。');
+            error.code = 'UNSTABLE';
+            error.singularDofs = [numbering.dofOf[factorization.failedEquation]];
+            throw error;
+        }
+
+        // 出力（元の節点の変位と部材端力。部材端力は両端の分割要素から求める）
+        const outputCount = steps + 1;
+        const time = Float64Array.from({ length: outputCount }, (_, k) => k * dt);
+        const groundAcceleration = new Float64Array(outputCount);
+        const displacements = nodes.map(() => ({ x: new Float64Array(outputCount), y: new Float64Array(outputCount), rotation: new Float64Array(outputCount) }));
+        const forceKeys = ['N_i', 'Q_i', 'M_i', 'N_j', 'Q_j', 'M_j'];
+        const forces = members.map(() => forceKeys.reduce((f, key) => { f[key] = new Float64Array(outputCount); return f; }, {}));
+        const baseShear = new Float64Array(outputCount);
+        const endMembers = model.segmentsOf.flatMap(subs => [model.members[subs[0]], model.members[subs[subs.length - 1]]]);
+        const D = mat.create(model.nodes.length * 3, 1);
+        const store = (k, u, acc, ag) => {
+            scatterEquations(numbering, u, D.length).forEach((v, d) => { D[d][0] = v; });
+            rotateNodalVector(D, model.nodes, false);
+            displacements.forEach((h, i) => { h.x[k] = D[i*3][0]; h.y[k] = D[i*3+1][0]; h.rotation[k] = D[i*3+2][0]; });
+            const endForces = calculateMemberForces(endMembers, D, {});
+            forces.forEach((f, idx) => {
+                const first = endForces[idx * 2], last = endForces[idx * 2 + 1];
+                f.N_i[k] = first.N_i; f.Q_i[k] = first.Q_i; f.M_i[k] = first.M_i;
+                f.N_j[k] = last.N_j; f.Q_j[k] = last.Q_j; f.M_j[k] = last.M_j;
+            });
+            groundAcceleration[k] = ag;
+            // 加振方向の慣性力の合計 rᵀM(ü + r üg)
+            baseShear[k] = acc.reduce((sum, v, e) => sum + Mr[dirIndex][e] * v, 0) + totalMass[direction] * ag;
+        };
+
+        // 初期静止状態（初期の相対加速度は地動と逆向きの剛体加速度）
+        const r = influence[dirIndex];
+        let u = new Float64Array(n), v = new Float64Array(n);
+        let ag = groundAccelerationAt(0);
+        let acc = r.map(value => -value * ag);
+        store(0, u, acc, ag);
+        for (let k = 1; k <= steps; k++) {
+            ag = groundAccelerationAt(k * dt);
+            const x1 = new Float64Array(n), x2 = new Float64Array(n);
+            for (let e = 0; e < n; e++) {
+                x2[e] = a1 * u[e] + a4 * v[e] + a5 * acc[e];
+                x1[e] = a0 * u[e] + a2 * v[e] + a3 * acc[e] + alpha * x2[e];
+            }
+            const Mx = sparse.multiply(M_sky, x1), Kx = sparse.multiply(K_sky, x2);
+            const rhs = Float64Array.from({ length: n }, (_, e) => -Mr[dirIndex][e] * ag + Mx[e] + betaR * Kx[e]);
+            const uNew = sparse.solveLDLt(K_eff, rhs);
+            // β < 1/4 は条件付き安定なので、発散したら中止する（変位 1e6 m を超えたら発散とみなす）
+            if (uNew.some(value => !(Math.abs(value) < 1e6))) {
+                const error = new Error(`時刻歴応答解析: 時刻 ${(k * dt).toFixed(3)} s で応答が発散しました。β = 1/4 とするか、時間刻みを小さくしてください。`);
+                error.code = 'TIME_HISTORY_DIVERGED';
+                throw error;
+            }
+            const accNew = uNew.map((value, e) => a0 * (value - u[e]) - a2 * v[e] - a3 * acc[e]);
+            v = v.map((value, e) => value + dt * ((1 - gamma) * acc[e] + gamma * accNew[e]));
+            u = Float64Array.from(uNew);
+            acc = accNew;
+            store(k, u, acc, ag);
+        }
+
+        const peakOf = (values) => historyPeak(values, time);
+        return {
+            time,
+            groundAcceleration,
+            displacements,
+            forces,
+            baseShear,
+            peaks: {
+                displacements: displacements.map(h => ({ x: peakOf(h.x), y: peakOf(h.y), rotation: peakOf(h.rotation) })),
+                forces: forces.map(f => forceKeys.reduce((p, key) => { p[key] = peakOf(f[key]); return p; }, {})),
+                baseShear: peakOf(baseShear),
+                groundAcceleration: peakOf(groundAcceleration)
+            },
+            rayleigh: { alpha, beta: betaR, circularFrequencies: [w1, w2] },
+            solverInfo: { equations: n, steps, dt, duration: steps * dt, newmarkBeta: beta, newmarkGamma: gamma, massType, segments: segmentCount, direction, damping }
+        };
+    };
+
+    /**
+     * 時刻歴応答解析を実行する（DOM非依存）
+     * @param {object} model - analyzeModal() と同じモデル（節点・部材の mass を質量とする）
+     * @param {object} record - 加速度記録 { time, acceleration }（parseAccelerogram() の戻り値）
+     * @param {object} [options] - solveTimeHistory() のオプション
+     * @returns {object} solveTimeHistory() の戻り値
+     */
+    const analyzeTimeHistory = (model, record, options = {}) => {
+        const { nodes, members } = normalizeModel(model);
+        return solveTimeHistory(nodes, members, record, options);
+    };
+
+    // --- Pushover (Nonlinear Static) Analysis ---
+    // プッシュオーバー解析の既定値（maxSteps: 塑性ヒンジの発生を追跡する最大ステップ数、maxDisplacement: 制御節点の変位の上限 m）
+    const PUSHOVER_DEFAULTS = { direction: 'x', maxSteps: 100, maxDisplacement: null };
+
+    /**
+     * 部材端の全塑性モーメント [i端, j端]（kN·m）
+     * i_Mp / j_Mp（省略時は Mp）を与えた端を塑性ヒンジの発生位置とする。ピン接合端と指定のない端は null。
+     * @param {object} member - 準備済み部材
+     * @param {number} index - 部材インデックス（エラーメッセージ用）
+     * @returns {Array<number|null>}
+     */
+    const getPlasticMoments = (member, index) => ['i', 'j'].map(end => {
+        if (member[`${end}_conn`] === 'pinned') return null;
+        const value = member[`${end}_Mp`] ?? member.Mp;
+        if (value === undefined || value === null || value === '') return null;
+        const Mp = Number(value);
+        if (!Number.isFinite(Mp) || Mp <= 0) throw new Error(`部材 ${index + 1} の${end}端の全塑性モーメント Mp は正の値で入力してください。`);
+        return Mp;
+    });
+
+    // 部材端力から可撓部分の材端（剛域のフェイス位置）の曲げモーメント [i端, j端] を求める（部材端力と同じく反時計回りを正）
+    const getFaceMoments = (member, f) => [f.M_i - (member.i_rigid || 0) * f.Q_i, f.M_j + (member.j_rigid || 0) * f.Q_j];
+
+    /**
+     * 荷重増分法（イベント・トゥ・イベント法）によるプッシュオーバー解析
+     * 鉛直荷重を先行して載荷したのち、水平荷重パターンを係数倍して漸増させる。各ステップでは現在の剛性で荷重パターンを解き、
+     * 部材端（剛域のフェイス位置）の曲げモーメントが全塑性モーメント Mp に達する荷重係数まで進めて、その端をピン接合（塑性ヒンジ）に置き換える。
+     * ヒンジの位置のモーメントは以後 Mp に保たれる。崩壊機構が形成されて剛性が失われるか、制御節点の変位が上限に達するまで繰り返す。
+     * 軸力による Mp の低減、ヒンジの除荷、部材中間のヒンジ、引張専用・圧縮専用の指定は考慮しない（全部材を線形として扱う）。
+     * @param {Array} nodes - 正規化済み節点配列
+     * @param {Array} members - 準備済み部材配列（Mp または i_Mp / j_Mp を持つ端に塑性ヒンジが生じる）
+     * @param {object} options - { pattern, gravity, controlNode, direction, maxSteps, maxDisplacement }
+     *   pattern: 水平荷重パターンの節点荷重 [{ nodeIndex, px, py, mz }]（荷重係数1のときの荷重）
+     *   gravity: 先行載荷する荷重 { nodeLoads, memberLoads }（強制変位も先行載荷時に与える）
+     *   controlNode: 変位を追跡する節点（省略時は最も高い位置の節点）、direction: 'x'|'y' 荷重パターンと変位の方向
+     * @returns {object} { curve, hinges, stopReason, loadFactor, baseShear, controlNode, direction, patternTotal, result }
+     *   curve: [{ step, loadFactor, baseShear, displacement }]（ベースシアは荷重係数 × 荷重パターンの合計、変位は荷重パターンの向きを正とする制御節点の変位 m）
+     *   hinges: [{ member, end: 'i'|'j', step, loadFactor, baseShear, displacement, moment, Mp }]（発生順）
+     *   stopReason: 'mechanism'（崩壊機構の形成）|'maxDisplacement'|'maxSteps'|'noHinge'（ヒンジが生じる部材端に曲げモーメントが生じない）
+     *   result: 最終ステップの { D, R, forces, displacements, reactions }
+     * @throws {Error} 荷重パターンがない場合は error.code === 'PUSHOVER_NO_PATTERN'、Mp の指定がない場合は 'PUSHOVER_NO_HINGES'、
+     *   鉛直荷重のみで Mp を超える場合は 'PUSHOVER_GRAVITY_YIELD'、鉛直荷重時に不安定な場合は 'UNSTABLE'
+     */
+    const solvePushover = (nodes, members, options = {}) => {
+        const { pattern, gravity, controlNode, direction, maxSteps, maxDisplacement } = { ...PUSHOVER_DEFAULTS, ...options };
+        if (!['x', 'y'].includes(direction)) throw new Error(`プッシュオーバー解析の方向 "${direction}" は無効です（x または y）。`);
+        const component = direction === 'x' ? 'px' : 'py';
+        const patternLoads = (pattern || []).filter(load => load.nodeIndex >= 0 && load.nodeIndex < nodes.length);
+        const patternTotal = patternLoads.reduce((sum, load) => sum + (Number(load[component]) || 0), 0);
+        if (!(Math.abs(patternTotal) > 1e-12)) {
+            const error = new Error(`プッシュオーバー解析の荷重パターンに${direction.toUpperCase()}方向の節点荷重を入力してください。`);
+            error.code = 'PUSHOVER_NO_PATTERN';
+            throw error;
+        }
+        const capacities = members.map(getPlasticMoments);
+        if (capacities.every(ends => ends.every(Mp => Mp === null))) {
+            const error = new Error('塑性ヒンジを考慮する部材端がありません。部材の全塑性モーメント Mp を入力してください。');
+            error.code = 'PUSHOVER_NO_HINGES';
+            throw error;
+        }
+        const control = Number.isInteger(controlNode) && controlNode >= 0 && controlNode < nodes.length
+            ? controlNode
+            : nodes.reduce((best, node, i) => (node.y > nodes[best].y ? i : best), 0);
+        const sign = Math.sign(patternTotal);
+        const controlDof = control * 3 + (direction === 'x' ? 0 : 1);
+        const displacementOf = (D) => sign * D[controlDof][0];
+        const forceKeys = ['N_i', 'Q_i', 'M_i', 'N_j', 'Q_j', 'M_j'];
+
+        // 鉛直荷重の先行載荷（弾性）
+        const system = buildStaticSystem(nodes, members);
+        const initial = solveStaticCase(system, nodes, members, { nodeLoads: gravity?.nodeLoads || [], memberLoads: gravity?.memberLoads || [], applyForcedDisplacements: true });
+        let D = initial.D.map(row => [...row]), R = initial.R.map(row => [...row]), forces = initial.forces.map(f => ({ ...f }));
+        members.forEach((member, idx) => getFaceMoments(member, forces[idx]).forEach((M, k) => {
+            const Mp = capacities[idx][k];
+            if (Mp !== null && Math.abs(M) > Mp * (1 + 1e-9)) {
+                const error = new Error(`鉛直荷重のみで部材 ${idx + 1} の${k === 0 ? 'i' : 'j'}端の曲げモーメント (${Math.abs(M).toFixed(2)} kN·m) が全塑性モーメント Mp (${Mp.toFixed(2)} kN·m) を超えています。`);
+                error.code = 'PUSHOVER_GRAVITY_YIELD';
+                throw error;
+            }
+        }));
+
+        const hinged = members.map(() => [false, false]);
+        let loadFactor = 0;
+        const point = (step) => ({ step, loadFactor, baseShear: loadFactor * Math.abs(patternTotal), displacement: displacementOf(D) });
+        const curve = [point(0)];
+        const hinges = [];
+        let stopReason = 'maxSteps';
+        for (let step = 1; step <= maxSteps; step++) {
+            // 塑性ヒンジの生じた端をピン接合とした部材で、荷重パターン（荷重係数1）に対する増分を求める
+            const current = members.map((member, idx) => (hinged[idx][0] || hinged[idx][1]
+                ? prepareMember({ ...member, ...(hinged[idx][0] ? { i_conn: 'pinned' } : {}), ...(hinged[idx][1] ? { j_conn: 'pinned' } : {}) }, nodes, idx)
+                : member));
+            let unit;
+            try {
+                unit = solveStaticCase(step === 1 ? system : buildStaticSystem(nodes, current), nodes, current, { nodeLoads: patternLoads, memberLoads: [], applyForcedDisplacements: false });
+            } catch (error) {
+                if (error.code !== 'UNSTABLE') throw error;
+                stopReason = 'mechanism';
+                break;
+            }
+
+            // 次に全塑性モーメントに達する部材端までの荷重係数の増分
+            const unitMoments = current.map((member, idx) => getFaceMoments(member, unit.forces[idx]));
+            const momentScale = Math.max(0, ...unitMoments.flat().map(Math.abs));
+            const candidates = [];
+            current.forEach((member, idx) => {
+                const moments = getFaceMoments(member, forces[idx]);
+                unitMoments[idx].forEach((dM, k) => {
+                    const Mp = capacities[idx][k];
+                    if (Mp === null || hinged[idx][k] || !(Math.abs(dM) > 1e-9 * momentScale)) return;
+                    candidates.push({ member: idx, k, increment: Math.max(0, ((dM > 0 ? Mp : -Mp) - moments[k]) / dM), Mp });
+                });
+            });
+            let increment = Math.min(Infinity, ...candidates.map(c => c.increment));
+            const unitDisplacement = displacementOf(unit.D);
+            const reachesLimit = maxDisplacement > 0 && unitDisplacement > 0 && displacementOf(D) + increment * unitDisplacement >= maxDisplacement;
+            if (reachesLimit) {
+                increment = Math.max(0, (maxDisplacement - displacementOf(D)) / unitDisplacement);
+            } else if (!Number.isFinite(increment)) {
+                stopReason = 'noHinge';
+                break;
+            }
+
+            loadFactor += increment;
+            D = D.map(([v], k) => [v + increment * unit.D[k][0]]);
+            R = R.map(([v], k) => [v + increment * unit.R[k][0]]);
+            forces = forces.map((f, idx) => forceKeys.reduce((sum, key) => { sum[key] = f[key] + increment * unit.forces[idx][key]; return sum; }, {}));
+            if (reachesLimit) {
+                curve.push(point(step));
+                stopReason = 'maxDisplacement';
+                break;
+            }
+            // 同時に全塑性モーメントに達した部材端はまとめてヒンジとする
+            const tolerance = 1e-9 * Math.max(increment, loadFactor);
+            candidates.filter(c => c.increment <= increment + tolerance).forEach(({ member, k, Mp }) => {
+                hinged[member][k] = true;
+                hinges.push({ member, end: k === 0 ? 'i' : 'j', step, loadFactor, baseShear: loadFactor * Math.abs(patternTotal), displacement: displacementOf(D), moment: getFaceMoments(current[member], forces[member])[k], Mp });
+            });
+            curve.push(point(step));
+        }
+
+        return {
+            curve,
+            hinges,
+            stopReason,
+            loadFactor,
+            baseShear: loadFactor * Math.abs(patternTotal),
+            controlNode: control,
+            direction,
+            patternTotal,
+            result: {
+                D,
+                R,
+                forces,
+                displacements: nodes.map((_, i) => ({ x: D[i*3][0], y: D[i*3+1][0], rotation: D[i*3+2][0] })),
+                reactions: nodes.map((_, i) => ({ x: -R[i*3][0] || 0, y: -R[i*3+1][0] || 0, mz: -R[i*3+2][0] || 0 }))
+            }
+        };
+    };
+
+    /**
+     * プッシュオーバー解析を実行する（DOM非依存）
+     * @param {object} model - analyzeModel() と同じモデル（nodeLoads / memberLoads は先行載荷する鉛直荷重、部材に Mp または i_Mp / j_Mp）
+     * @param {object} options - solvePushover() のオプション（pattern に水平荷重パターン）
+     * @returns {object} solvePushover() の戻り値
+     */
+    const analyzePushover = (model, options = {}) => {
+        const { nodes, members, nodeLoads, memberLoads } = normalizeModel(model);
+        return solvePushover(nodes, members, { ...options, gravity: { nodeLoads, memberLoads } });
+    };
+
+    // --- Plastic Limit Analysis ---
+    // 極限解析の既定値（maxRefinements: 部材中間の曲げモーメントの極値位置を検討断面に加えて解き直す最大回数）
+    const LIMIT_ANALYSIS_DEFAULTS = { maxRefinements: 10 };
+
+    /**
+     * 線形計画問題 max cᵀz（Az = b, z ≥ 0）を2段階単体法で解く
+     * 各行を係数の最大絶対値で正規化し、右辺が負の行は符号を反転してから全行に人為変数を置く。
+     * ピボット列は相対費用係数の最大の列とし、退化したピボットが続く間は循環を避けるため Bland の規則に切り替える。
+     * 第2段階では人為変数を基底に入れず、最終表の人為変数の列の相対費用係数から各等式制約の双対変数を求める。
+     * @param {object} problem - { c, A, b }（A は m×n の配列、c は長さ n、b は長さ m）
+     * @returns {object} { status: 'optimal'|'infeasible'|'unbounded', z, objective, duals }（duals は cᵀ ≤ yᵀA を満たす双対変数 y）
+     * @throws {Error} 反復回数が上限に達した場合は error.code === 'LP_NOT_CONVERGED'
+     */
+    const solveLinearProgram = ({ c, A, b }) => {
+        const m = A.length, n = c.length, width = n + m + 1, rhs = n + m;
+        const factors = A.map((row, r) => {
+            const scale = Math.max(0, ...row.map(Math.abs));
+            const f = scale > 0 ? 1 / scale : 1;
+            return b[r] < 0 ? -f : f;
+        });
+        const tableau = A.map((row, r) => {
+            const t = new Float64Array(width);
+            row.forEach((v, k) => { t[k] = v * factors[r]; });
+            t[n + r] = 1;
+            t[rhs] = b[r] * factors[r];
+            return t;
+        });
+        const basis = tableau.map((_, r) => n + r);
+        const eps = 1e-9;
+        const maxIterations = 50 * (m + n) + 1000;
+        let iterations = 0;
+
+        const pivot = (row, col) => {
+            const p = tableau[row], value = p[col];
+            for (let k = 0; k < width; k++) p[k] /= value;
+            tableau.forEach((t, r) => {
+                if (r === row || t[col] === 0) return;
+                const f = t[col];
+                for (let k = 0; k < width; k++) t[k] -= f * p[k];
+            });
+            basis[row] = col;
+        };
+        // 相対費用係数 d_j = c_j − c_Bᵀ B⁻¹ A_j
+        const reducedCosts = (cost) => {
+            const d = Float64Array.from({ length: width }, (_, k) => (k < rhs ? cost(k) : 0));
+            tableau.forEach((t, r) => {
+                const cb = cost(basis[r]);
+                if (cb !== 0) for (let k = 0; k < width; k++) d[k] -= cb * t[k];
+            });
+            return d;
+        };
+        const iterate = (cost, columns) => {
+            const d = reducedCosts(cost);
+            const scale = Math.max(1, ...Array.from(d.subarray(0, columns)).map(Math.abs));
+            let degenerate = 0;
+            for (;;) {
+                if (++iterations > maxIterations) {
+                    const error = new Error('線形計画問題の反復計算が収束しませんでした。');
+                    error.code = 'LP_NOT_CONVERGED';
+                    throw error;
+                }
+                const bland = degenerate > 20;
+                let col = -1;
+                for (let k = 0; k < columns; k++) {
+                    if (d[k] <= eps * scale) continue;
+                    if (col < 0 || (!bland && d[k] > d[col])) col = k;
+                    if (bland) break;
+                }
+                if (col < 0) return 'optimal';
+                let row = -1, best = Infinity;
+                tableau.forEach((t, r) => {
+                    if (t[col] <= eps) return;
+                    const ratio = t[rhs] / t[col];
+                    if (ratio < best - eps || (ratio <= best + eps && row >= 0 && basis[r] < basis[row])) { best = ratio; row = r; }
+                });
+                if (row < 0) return 'unbounded';
+                degenerate = best <= eps ? degenerate + 1 : 0;
+                pivot(row, col);
+                const f = d[col];
+                const p = tableau[row];
+                for (let k = 0; k < width; k++) d[k] -= f * p[k];
+            }
+        };
+
+        // 第1段階: 人為変数の和を最小化
+        iterate((k) => (k >= n ? -1 : 0), rhs);
+        const infeasibility = tableau.reduce((sum, t, r) => sum + (basis[r] >= n ? t[rhs] : 0), 0);
+        if (infeasibility > eps * Math.max(1, ...tableau.map(t => Math.abs(t[rhs])))) return { status: 'infeasible', z: null, objective: null, duals: null };
+        // 値0で基底に残った人為変数は元の変数と入れ替える（入れ替えられない行は冗長な制約）
+        tableau.forEach((t, r) => {
+            if (basis[r] < n) return;
+            let col = -1;
+            for (let k = 0; k < n; k++) if (Math.abs(t[k]) > eps && (col < 0 || Math.abs(t[k]) > Math.abs(t[col]))) col = k;
+            if (col >= 0) pivot(r, col);
+        });
+
+        // 第2段階
+        const cost = (k) => (k < n ? c[k] : 0);
+        const status = iterate(cost, n);
+        if (status === 'unbounded') return { status, z: null, objective: Infinity, duals: null };
+        const z = new Array(n).fill(0);
+        tableau.forEach((t, r) => { if (basis[r] < n) z[basis[r]] = t[rhs]; });
+        const d = reducedCosts(cost);
+        return {
+            status,
+            z,
+            objective: z.reduce((sum, v, k) => sum + c[k] * v, 0),
+            duals: factors.map((f, r) => -d[n + r] * f),
+            iterations
+        };
+    };
+
+    /**
+     * 剛塑性解析（極限解析）により、荷重を係数倍したときの崩壊荷重係数と崩壊機構を求める
+     * 下界定理に基づき、釣合い条件を満たし検討断面の曲げモーメントが全塑性モーメント Mp を超えない範囲で荷重係数を最大化する線形計画問題として解く。
+     * 未知数は荷重係数と各部材の軸力・材端（剛域のフェイス位置）の曲げモーメントで、部材内の荷重は両端ピンの単純梁として釣り合わせる。
+     * 検討断面（塑性ヒンジの候補位置）は材端と部材荷重の載荷位置とし、解いた応力場で部材中間の曲げモーメントの極値が Mp を超える位置を加えて解き直す。
+     * 崩壊機構（変位速度と塑性ヒンジの回転角）は線形計画問題の双対変数から求め、節点と部材中間の最大の並進変位が1となるよう正規化する。
+     * 軸力による Mp の低減、せん断・軸方向の塑性化は考慮しない。ピン接合端はヒンジの候補とせず、半剛接合端は剛接合として扱う。
+     * ばね支点・強制変位を与えた自由度は剛な拘束とし、Mp を与えない部材（端）は塑性化しないものとする。
+     * @param {Array} nodes - 正規化済み節点配列
+     * @param {Array} members - 準備済み部材配列（Mp は部材全体の、i_Mp / j_Mp は材端の全塑性モーメント kN·m）
+     * @param {object} options - { loads, constantLoads, maxRefinements }
+     *   loads: 係数倍する荷重 { nodeLoads, memberLoads }、constantLoads: 係数倍しない荷重（先行する鉛直荷重など）
+     * @returns {object} { loadFactor, hinges, mechanism, work, forces, sections, refinements }
+     *   hinges: [{ member, x, end: 'i'|'j'|null, moment, Mp, rotation }]（x は i端からの距離 m、rotation は正規化した回転角で曲げモーメントと同符号）
+     *   mechanism: { displacements: [{ x, y, rotation }], shapes: [[{ x, u, v }]] }（shapes は部材ごとの材端・フェイス位置・ヒンジ位置の部材座標系の変位）
+     *   work: { loads, constantLoads, dissipation } 崩壊機構に対する荷重の仕事（荷重係数1）・係数倍しない荷重の仕事・塑性ヒンジの消費エネルギー
+     *     （loadFactor = (dissipation − constantLoads) / loads）
+     *   forces: 崩壊時の部材端力（釣合いを満たす応力場の一つ）、sections: 部材ごとの検討断面 [{ x, M, Mp, end }]
+     * @throws {Error} 係数倍する荷重がない場合は error.code === 'LIMIT_NO_LOAD'、Mp の指定がない場合は 'LIMIT_NO_HINGES'、
+     *   崩壊機構が形成されない場合は 'LIMIT_UNBOUNDED'、係数倍しない荷重だけで釣り合えない（Mp を超える）場合は 'LIMIT_INFEASIBLE'
+     */
+    const solveLimitAnalysis = (nodes, members, options = {}) => {
+        const { loads, constantLoads, maxRefinements } = { ...LIMIT_ANALYSIS_DEFAULTS, ...options };
+        const dof = nodes.length * 3;
+
+        // ばね支点・強制変位の自由度も拘束とし、それ以外の自由度ごとに釣合い式を立てる（多点拘束の従属自由度の力は独立自由度の式に移す）
+        const constrained = getSupportConstraints(nodes);
+        nodes.forEach((node, i) => {
+            [node.kx, node.ky, node.kr].forEach((k, d) => { if (k > 0) constrained.add(i * 3 + d); });
+            [node.dx_forced, node.dy_forced, node.r_forced].forEach((v, d) => { if (Math.abs(v) > 1e-9) constrained.add(i * 3 + d); });
+        });
+        const dofMapping = { constraints: getConstraintMap(nodes) };
+        const freeDofs = [...Array(dof).keys()].filter(d => !constrained.has(d) && !dofMapping.constraints.has(d));
+        // 部材座標系の部材端力を節点の自由度ごとの力（傾斜支点は支点座標系）に変換する
+        const toEquations = (member, f) => {
+            const vector = mat.create(dof, 1);
+            const g = mat.multiply(mat.transpose(member.T), f.map(v => [v]));
+            getMemberDofs(member).forEach((d, k) => { vector[d][0] += g[k][0]; });
+            rotateNodalVector(vector, nodes, true);
+            const condensed = condenseConstrainedDofs(dofMapping, vector.map(([v]) => v));
+            return freeDofs.map(d => condensed[d]);
+        };
+        const toForce = (f) => ({ N_i: f[0], Q_i: f[1], M_i: f[2], N_j: f[3], Q_j: f[4], M_j: f[5] });
+
+        // 荷重: 両端ピンとした部材の固定端力（部材内の荷重と釣り合う端力）と節点荷重
+        const pinnedMembers = members.map((member, idx) => prepareMember({ ...member, i_conn: 'pinned', j_conn: 'pinned' }, nodes, idx));
+        const loadTerms = (set) => {
+            const memberLoadMap = mergeMemberLoads(set?.memberLoads, members);
+            const equation = new Array(freeDofs.length).fill(0);
+            const ends = members.map(() => [0, 0, 0, 0, 0, 0]);
+            memberLoadMap.forEach(load => {
+                const fel = calculateFixedEndForces(pinnedMembers[load.memberIndex], load);
+                ends[load.memberIndex] = fel;
+                toEquations(members[load.memberIndex], fel).forEach((v, k) => { equation[k] += v; });
+            });
+            const external = mat.create(dof, 1);
+            mergeNodeLoads(set?.nodeLoads).forEach(load => {
+                if (load.nodeIndex < 0 || load.nodeIndex >= nodes.length) return;
+                const i = load.nodeIndex * 3;
+                external[i][0] += load.px; external[i+1][0] += load.py; external[i+2][0] += load.mz;
+            });
+            rotateNodalVector(external, nodes, true);
+            const condensed = condenseConstrainedDofs(dofMapping, external.map(([v]) => v));
+            freeDofs.forEach((d, k) => { equation[k] -= condensed[d]; });
+            const hasLoad = memberLoadMap.size > 0 || external.some(([v]) => v !== 0);
+            return { equation, ends, loadOf: (idx) => memberLoadMap.get(idx) || null, hasLoad };
+        };
+        const scaled = loadTerms(loads), constant = loadTerms(constantLoads);
+        if (!scaled.hasLoad) {
+            const error = new Error('係数倍する荷重がありません。');
+            error.code = 'LIMIT_NO_LOAD';
+            throw error;
+        }
+        const capacities = members.map((member, idx) => {
+            const [i_Mp, j_Mp] = getPlasticMoments(member, idx);
+            const value = member.Mp;
+            const Mp = value === undefined || value === null || value === '' ? null : Number(value);
+            return { i: i_Mp, j: j_Mp, span: Number.isFinite(Mp) && Mp > 0 ? Mp : null };
+        });
+        if (capacities.every(cap => cap.i === null && cap.j === null && cap.span === null)) {
+            const error = new Error('塑性ヒンジを考慮する部材がありません。部材の全塑性モーメント Mp を入力してください。');
+            error.code = 'LIMIT_NO_HINGES';
+            throw error;
+        }
+
+        // 未知数: 各部材の軸力 N と、ピン接合でない材端のフェイス位置の曲げモーメント（部材端力と同じく反時計回りを正）
+        const unknowns = [];
+        members.forEach((member, idx) => {
+            const Lf = member.flexibleLength ?? member.length, a = member.i_rigid || 0, b = member.j_rigid || 0;
+            unknowns.push({ member: idx, f: [-1, 0, 0, 1, 0, 0] });
+            if (member.i_conn !== 'pinned') unknowns.push({ member: idx, f: [0, 1 / Lf, 1 + a / Lf, 0, -1 / Lf, b / Lf] });
+            if (member.j_conn !== 'pinned') unknowns.push({ member: idx, f: [0, 1 / Lf, a / Lf, 0, -1 / Lf, 1 + b / Lf] });
+        });
+        unknowns.forEach(u => { u.equation = toEquations(members[u.member], u.f); u.moment = getMomentFunction(members[u.member], toForce(u.f), null); });
+        const unknownsOf = members.map((_, idx) => unknowns.filter(u => u.member === idx));
+        const scaledMoment = members.map((member, idx) => getMomentFunction(member, toForce(scaled.ends[idx]), scaled.loadOf(idx)));
+        const constantMoment = members.map((member, idx) => getMomentFunction(member, toForce(constant.ends[idx]), constant.loadOf(idx)));
+
+        // 検討断面: ピン接合でない材端のフェイス位置と可撓部分内の荷重位置（部材荷重のある部材は可撓部分の中央も加える）
+        const sections = members.map((member, idx) => {
+            const cap = capacities[idx], L = member.length, faceI = member.i_rigid || 0, faceJ = L - (member.j_rigid || 0);
+            const list = [];
+            if (member.i_conn !== 'pinned' && cap.i !== null) list.push({ x: faceI, Mp: cap.i, end: 'i' });
+            if (member.j_conn !== 'pinned' && cap.j !== null) list.push({ x: faceJ, Mp: cap.j, end: 'j' });
+            const memberLoads = [scaled.loadOf(idx), constant.loadOf(idx)].filter(Boolean);
+            if (cap.span !== null && memberLoads.length > 0) {
+                [...memberLoads.flatMap(load => getMemberLoadPositions(load)), (faceI + faceJ) / 2]
+                    .filter(x => x > faceI + 1e-9 * L && x < faceJ - 1e-9 * L)
+                    .forEach(x => { if (!list.some(sec => Math.abs(sec.x - x) < 1e-9 * L)) list.push({ x, Mp: cap.span, end: null }); });
+            }
+            return list;
+        });
+
+        let solution, refinements = 0;
+        for (;;) {
+            // 変数: [λ, 未知数（正負に分ける）, 検討断面ごとの余裕（+Mp 側, −Mp 側）]
+            const checks = sections.flatMap((list, idx) => list.map(sec => ({ member: idx, sec })));
+            const n = 1 + 2 * unknowns.length + 2 * checks.length;
+            const A = [], b = [];
+            freeDofs.forEach((_, k) => {
+                const row = new Array(n).fill(0);
+                row[0] = scaled.equation[k];
+                unknowns.forEach((u, q) => { row[1 + 2 * q] = u.equation[k]; row[2 + 2 * q] = -u.equation[k]; });
+                A.push(row);
+                b.push(-constant.equation[k]);
+            });
+            checks.forEach(({ member, sec }, k) => {
+                const coefficients = unknowns.map(u => (u.member === member ? u.moment(sec.x) : 0));
+                [1, -1].forEach((sign, side) => {
+                    const row = new Array(n).fill(0);
+                    row[0] = sign * scaledMoment[member](sec.x);
+                    coefficients.forEach((v, q) => { if (v !== 0) { row[1 + 2 * q] = sign * v; row[2 + 2 * q] = -sign * v; } });
+                    row[1 + 2 * unknowns.length + 2 * k + side] = 1;
+                    A.push(row);
+                    b.push(sec.Mp - sign * constantMoment[member](sec.x));
+                });
+            });
+            const c = new Array(n).fill(0);
+            c[0] = 1;
+            const lp = solveLinearProgram({ c, A, b });
+            if (lp.status === 'infeasible') {
+                const error = new Error('係数倍しない荷重だけで釣合いを満たせないか、全塑性モーメントを超えています。');
+                error.code = 'LIMIT_INFEASIBLE';
+                throw error;
+            }
+            if (lp.status === 'unbounded') {
+                const error = new Error('崩壊機構が形成されません（荷重を負担する部材に全塑性モーメント Mp が与えられていない可能性があります）。');
+                error.code = 'LIMIT_UNBOUNDED';
+                throw error;
+            }
+            const loadFactor = lp.z[0];
+            const values = unknowns.map((_, q) => lp.z[1 + 2 * q] - lp.z[2 + 2 * q]);
+            const forces = members.map((member, idx) => {
+                const f = scaled.ends[idx].map((v, k) => loadFactor * v + constant.ends[idx][k]);
+                unknownsOf[idx].forEach(u => u.f.forEach((v, k) => { f[k] += values[unknowns.indexOf(u)] * v; }));
+                return toForce(f);
+            });
+            const momentAt = (idx, x) => loadFactor * scaledMoment[idx](x) + constantMoment[idx](x)
+                + unknownsOf[idx].reduce((sum, u) => sum + values[unknowns.indexOf(u)] * u.moment(x), 0);
+            solution = { lp, loadFactor, values, forces, momentAt, checks };
+
+            // 部材中間の曲げモーメントの極値位置で Mp を超えるものを検討断面に加える
+            if (refinements >= maxRefinements) break;
+            let added = false;
+            members.forEach((member, idx) => {
+                const Mp = capacities[idx].span;
+                if (Mp === null) return;
+                const L = member.length, faceI = member.i_rigid || 0, faceJ = L - (member.j_rigid || 0);
+                const loadsOnMember = [scaled.loadOf(idx), constant.loadOf(idx)].filter(Boolean);
+                if (loadsOnMember.length === 0) return;
+                const combined = { w: 0, components: [] };
+                [[scaled.loadOf(idx), loadFactor], [constant.loadOf(idx), 1]].forEach(([load, factor]) => {
+                    if (!load) return;
+                    combined.w += factor * (load.w || 0);
+                    combined.components.push(...(load.components || []).map(comp => scaleMemberLoadComponent(comp, factor)));
+                });
+                findShearZeroPositions(member, forces[idx], combined).forEach(x => {
+                    if (x <= faceI || x >= faceJ || Math.abs(momentAt(idx, x)) <= Mp * (1 + 1e-6)) return;
+                    if (sections[idx].some(sec => Math.abs(sec.x - x) < 1e-6 * L)) return;
+                    sections[idx].push({ x, Mp, end: null });
+                    added = true;
+                });
+            });
+            if (!added) break;
+            refinements++;
+        }
+
+        // 崩壊機構: 釣合い式の双対変数（の符号反転）が変位速度、検討断面の制約の双対変数の差が塑性ヒンジの回転角
+        const { lp, loadFactor, forces, momentAt, checks } = solution;
+        const velocityValues = new Float64Array(dof);
+        freeDofs.forEach((d, k) => { velocityValues[d] = -lp.duals[k]; });
+        const velocity = Array.from(expandConstrainedDofs(dofMapping, velocityValues), v => [v]);
+        rotateNodalVector(velocity, nodes, false);
+        const rotations = checks.map((_, k) => lp.duals[freeDofs.length + 2 * k] - lp.duals[freeDofs.length + 2 * k + 1]);
+        const rotationScale = Math.max(0, ...rotations.map(Math.abs));
+        const hingeSections = checks.map((check, k) => ({ ...check, rotation: rotations[k] }))
+            .filter(h => Math.abs(h.rotation) > 1e-7 * rotationScale);
+
+        // 部材の変位: 剛域は節点とともに剛体変位し、可撓部分はヒンジ位置で折れる直線（j端側の誤差は可撓部分に直線で配分）
+        const shapes = members.map((member, idx) => {
+            const d = mat.multiply(member.T, getMemberDofs(member).map(k => [velocity[k][0]])).map(v => v[0]);
+            const L = member.length, a = member.i_rigid || 0, b = member.j_rigid || 0, faceJ = L - b, Lf = faceJ - a;
+            const kinks = hingeSections.filter(h => h.member === idx).map(h => ({ x: h.sec.x, rotation: h.rotation }));
+            const vFaceI = d[1] + a * d[2], vFaceJ = d[4] - b * d[5];
+            const fromI = (x) => vFaceI + d[2] * (x - a) + kinks.reduce((sum, h) => sum + (h.x <= x ? h.rotation * (x - h.x) : 0), 0);
+            const residual = vFaceJ - fromI(faceJ);
+            const vAt = (x) => {
+                if (x < a) return d[1] + x * d[2];
+                if (x > faceJ) return d[4] - (L - x) * d[5];
+                return fromI(x) + residual * (x - a) / Lf;
+            };
+            const xs = [...new Set([0, a, ...kinks.map(h => h.x), faceJ, L])].sort((p, q) => p - q);
+            return xs.map(x => ({ x, u: d[0] + (d[3] - d[0]) * x / L, v: vAt(x) }));
+        });
+
+        // 最大の並進変位が1となるよう正規化する
+        const scale = Math.max(
+            ...nodes.map((_, i) => Math.hypot(velocity[i*3][0], velocity[i*3+1][0])),
+            ...shapes.flat().map(p => Math.hypot(p.u, p.v))
+        ) || 1;
+        const hinges = hingeSections.map(({ member, sec, rotation }) => ({
+            member, x: sec.x, end: sec.end, moment: momentAt(member, sec.x), Mp: sec.Mp, rotation: rotation / scale
+        }));
+        const work = {
+            loads: (lp.duals.reduce((sum, y, k) => sum + y * (k < freeDofs.length ? scaled.equation[k] : 0), 0)
+                + checks.reduce((sum, { member, sec }, k) => sum + rotations[k] * scaledMoment[member](sec.x), 0)) / scale,
+            constantLoads: (lp.duals.reduce((sum, y, k) => sum + y * (k < freeDofs.length ? constant.equation[k] : 0), 0)
+                + checks.reduce((sum, { member, sec }, k) => sum + rotations[k] * constantMoment[member](sec.x), 0)) / scale,
+            dissipation: hinges.reduce((sum, h) => sum + h.Mp * Math.abs(h.rotation), 0)
+        };
+
+        return {
+            loadFactor,
+            hinges,
+            mechanism: {
+                displacements: nodes.map((_, i) => ({ x: velocity[i*3][0] / scale, y: velocity[i*3+1][0] / scale, rotation: velocity[i*3+2][0] / scale })),
+                shapes: shapes.map(points => points.map(p => ({ x: p.x, u: p.u / scale, v: p.v / scale })))
+            },
+            work,
+            forces,
+            sections: sections.map((list, idx) => list.map(sec => ({ ...sec, M: momentAt(idx, sec.x) })).sort((p, q) => p.x - q.x)),
+            refinements
+        };
+    };
+
+    /**
+     * 極限解析を実行する（DOM非依存）
+     * @param {object} model - analyzeModel() と同じモデル（nodeLoads / memberLoads は係数倍する荷重、部材に Mp または i_Mp / j_Mp）
+     * @param {object} [options] - solveLimitAnalysis() のオプション（constantLoads に係数倍しない荷重）
+     * @returns {object} solveLimitAnalysis() の戻り値
+     */
+    const analyzeLimit = (model, options = {}) => {
+        const { nodes, members, nodeLoads, memberLoads } = normalizeModel(model);
+        return solveLimitAnalysis(nodes, members, { ...options, loads: { nodeLoads, memberLoads } });
+    };
+
+    // --- Influence Lines & Moving Loads ---
+    // 影響線・移動荷重の既定値（segments: 載荷経路の部材ごとの分割数、step: 移動荷重の先頭軸の移動刻み m（null は経路長の1/200））
+    const INFLUENCE_DEFAULTS = { segments: 20, step: null, bothDirections: true };
+    // 影響線を求める応答（reaction: 節点の反力、member: 部材内の位置の断面力）
+    const INFLUENCE_RESPONSES = { reaction: ['x', 'y', 'mz'], member: ['N', 'Q', 'M'] };
+
+    /**
+     * 部材内の位置 x の断面力（calculateMemberStations() と同じ符号: N は引張、M は下に凸を正）
+     * 位置 x ちょうどの集中荷重は j端側の値とする。
+     * @param {object} member - 準備済み部材
+     * @param {object} force - 部材端力
+     * @param {number|object} load - 等分布荷重 w または mergeMemberLoads() の荷重
+     * @param {number} x - i端からの距離 (m)
+     * @returns {{ N: number, Q: number, M: number }}
+     */
+    const calculateSectionForces = (member, force, load, x) => {
+        const L = member.length;
+        const { w = 0, components = [] } = typeof load === 'number' ? { w: load } : (load || {});
+        const effects = components.length > 0 ? spanLoadEffects(components, x, L) : { shear: 0, axial: 0 };
+        const axialEffects = components.some(c => c.axis === 'x') ? spanLoadEffects(components.filter(c => c.axis === 'x'), x, L).axial : 0;
+        return {
+            N: -force.N_i - axialEffects,
+            Q: force.Q_i - w * x - effects.shear,
+            M: getMomentFunction(member, force, load)(x)
+        };
+    };
+
+    /**
+     * 部材番号の並びから載荷経路を作成する（連続する部材は節点を共有すること）
+     * @param {Array} members - 準備済み部材配列
+     * @param {Array<number>} path - 部材インデックスの配列（経路の始点側から順）
+     * @returns {object} { legs: [{ member, reversed, start, length }], length, locate(s) } locate(s) は経路上の距離 s の { member, a }
+     * @throws {Error} error.code === 'INFLUENCE_INVALID_PATH'
+     */
+    const buildLoadPath = (members, path) => {
+        const fail = (message) => {
+            const error = new Error(message);
+            error.code = 'INFLUENCE_INVALID_PATH';
+            throw error;
+        };
+        if (!Array.isArray(path) || path.length === 0) fail('載荷経路の部材を指定してください。');
+        path.forEach(idx => { if (!Number.isInteger(idx) || idx < 0 || idx >= members.length) fail(`載荷経路の部材 ${Number(idx) + 1} は存在しません。`); });
+        if (new Set(path).size !== path.length) fail('載荷経路に同じ部材が複数回含まれています。');
+        // 始点: 2本目の部材と共有しない側の節点（1本だけなら i端）
+        const first = members[path[0]];
+        let current = first.i;
+        if (path.length > 1) {
+            const next = members[path[1]];
+            current = next.i === first.i || next.j === first.i ? first.j : first.i;
+        }
+        let start = 0;
+        const legs = path.map((idx, k) => {
+            const member = members[idx];
+            if (member.i !== current && member.j !== current) fail(`載荷経路の部材 ${path[k - 1] + 1} と部材 ${idx + 1} が節点を共有していません。`);
+            const reversed = member.j === current;
+            current = reversed ? member.i : member.j;
+            const leg = { member: idx, reversed, start, length: member.length };
+            start += member.length;
+            return leg;
+        });
+        const length = start;
+        const locate = (s) => {
+            const leg = legs.find(l => s <= l.start + l.length) || legs[legs.length - 1];
+            const t = Math.min(Math.max(s - leg.start, 0), leg.length);
+            return { member: leg.member, a: leg.reversed ? leg.length - t : t };
+        };
+        return { legs, length, locate };
+    };
+
+    // 応答の指定を検証し、解析結果から応答値を取り出す関数を返す（反力は result.reactions と同じ符号）
+    const createResponseEvaluator = (nodes, members, response) => {
+        const fail = (message) => {
+            const error = new Error(message);
+            error.code = 'INFLUENCE_INVALID_RESPONSE';
+            throw error;
+        };
+        const { type, component } = response || {};
+        if (!INFLUENCE_RESPONSES[type] || !INFLUENCE_RESPONSES[type].includes(component)) fail('影響線を求める応答の種類が無効です。');
+        if (type === 'reaction') {
+            const node = nodes[response.node];
+            if (!node) fail(`節点 ${Number(response.node) + 1} は存在しません。`);
+            const d = INFLUENCE_RESPONSES.reaction.indexOf(component);
+            const spring = [node.kx, node.ky, node.kr][d] > 0;
+            if (!getNodeRestraints(node)[d] && !spring) fail(`節点 ${response.node + 1} は${['X', 'Y', '回転'][d]}方向に拘束されていないため反力が生じません。`);
+            return (result) => result.reactions[response.node][component];
+        }
+        const member = members[response.member];
+        if (!member) fail(`部材 ${Number(response.member) + 1} は存在しません。`);
+        const x = Number(response.x);
+        if (!(x >= 0 && x <= member.length)) fail(`部材 ${response.member + 1} の位置 ${response.x} m が部材長 (${member.length.toFixed(3)} m) の範囲外です。`);
+        return (result, loadMap) => calculateSectionForces(member, result.forces[response.member], loadMap.get(response.member), x)[component];
+    };
+
+    /**
+     * 影響線: 載荷経路上を単位荷重（全体座標系の鉛直下向き 1 kN）が移動するときの応答値
+     * 剛性マトリクスの分解は1回だけ行い、載荷位置ごとに荷重ベクトルだけを変えて解く（線形解析。引張専用・圧縮専用の指定は考慮しない）。
+     * 経路上の位置は部材ごとの等分点と節点で、応答位置が経路上にあればその直前・直後も加える（せん断力などの不連続を表すため）。
+     * @param {Array} nodes - 正規化済み節点配列
+     * @param {Array} members - 準備済み部材配列
+     * @param {object} options - { path, response, segments }
+     *   path: 載荷経路の部材インデックスの配列、response: { type: 'reaction', node, component: 'x'|'y'|'mz' } | { type: 'member', member, x, component: 'N'|'Q'|'M' }
+     * @returns {object} { points: [{ s, member, a, value }], legs, length, max: { value, s }, min: { value, s } }（s は経路の始点からの距離 m）
+     * @throws {Error} 経路が不正な場合は error.code === 'INFLUENCE_INVALID_PATH'、応答の指定が不正な場合は 'INFLUENCE_INVALID_RESPONSE'
+     */
+    const solveInfluenceLine = (nodes, members, options = {}) => {
+        const { path, response, segments } = { ...INFLUENCE_DEFAULTS, ...options };
+        const route = buildLoadPath(members, path);
+        const evaluate = createResponseEvaluator(nodes, members, response);
+        const system = buildStaticSystem(nodes, members);
+
+        const positions = route.legs.flatMap(leg => Array.from({ length: segments + 1 }, (_, k) => leg.start + leg.length * k / segments));
+        if (response.type === 'member') {
+            const leg = route.legs.find(l => l.member === response.member);
+            if (leg) {
+                const s = leg.start + (leg.reversed ? leg.length - response.x : response.x), eps = 1e-6 * leg.length;
+                positions.push(...[s - eps, s, s + eps].filter(p => p >= leg.start && p <= leg.start + leg.length));
+            }
+        }
+        const unique = [...new Set(positions.map(s => Math.min(Math.max(s, 0), route.length)))].sort((p, q) => p - q);
+        const points = unique.map(s => {
+            const { member, a } = route.locate(s);
+            const result = solveStaticCase(system, nodes, members, { nodeLoads: [], memberLoads: [{ memberIndex: member, type: 'point', w: 1, a, direction: 'globalY' }], applyForcedDisplacements: false });
+            const loadMap = new Map(result.memberLoads.map(l => [l.memberIndex, l]));
+            return { s, member, a, value: evaluate(result, loadMap) };
+        });
+        const peak = (better) => points.reduce((best, p) => (better(p.value, best.value) ? p : best), points[0]);
+        const max = peak((v, best) => v > best), min = peak((v, best) => v < best);
+        return { points, legs: route.legs, length: route.length, max: { value: max.value, s: max.s }, min: { value: min.value, s: min.s } };
+    };
+
+    /**
+     * 軸重の表（1行に「軸重 kN, 先頭軸からの距離 m」）を読み込む。空行と # で始まる行は無視する
+     * @returns {Array<{P: number, offset: number}>} 先頭軸からの距離の順
+     */
+    const parseAxleLoads = (text) => {
+        const axles = [];
+        String(text || '').split(/\r?\n/).forEach((line, k) => {
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed.startsWith('#')) return;
+            const values = trimmed.split(/[\s,;]+/).map(Number);
+            const [P, offset = 0] = values;
+            if (!Number.isFinite(P) || !Number.isFinite(offset) || offset < 0) throw new Error(`軸重の ${k + 1} 行目が不正です（軸重 kN, 先頭軸からの距離 m）。`);
+            axles.push({ P, offset });
+        });
+        if (axles.length === 0) throw new Error('軸重を1つ以上入力してください。');
+        return axles.sort((p, q) => p.offset - q.offset);
+    };
+
+    /**
+     * 移動荷重: 軸重の列（鉛直下向き）が載荷経路上を移動するときの応答の最大・最小と、経路の部材の断面力の包絡値
+     * 先頭軸が経路の始点に載ってから最後尾の軸が終点を離れるまで step ごとに荷重を置いて解く（経路外の軸は載荷しない）。
+     * bothDirections では終点から始点への移動も含める。剛性マトリクスの分解は1回だけ行う。
+     * @param {Array} nodes - 正規化済み節点配列
+     * @param {Array} members - 準備済み部材配列
+     * @param {object} options - { path, axles, response, step, segments, bothDirections }
+     *   axles: [{ P, offset }]（P: 軸重 kN 下向き正、offset: 先頭軸からの距離 m）、response: solveInfluenceLine() と同じ（省略可）
+     * @returns {object} { positions, response, envelope, length }
+     *   positions: [{ s, direction: 'forward'|'backward', value }]（s は先頭軸の経路上の位置、value は応答値）
+     *   response: { max, min, maxPosition, minPosition }（応答を指定した場合。Position は positions のインデックス）
+     *   envelope: calculateEnvelope() と同じ形式の { labels, members }（経路外の部材は null。キーは N, Q, M）
+     * @throws {Error} 経路・応答の指定が不正な場合は solveInfluenceLine() と同じ、軸重がない場合は error.code === 'MOVING_LOAD_NO_AXLES'
+     */
+    const solveMovingLoad = (nodes, members, options = {}) => {
+        const { path, axles, response, step, segments, bothDirections } = { ...INFLUENCE_DEFAULTS, ...options };
+        const route = buildLoadPath(members, path);
+        const evaluate = response ? createResponseEvaluator(nodes, members, response) : null;
+        if (!Array.isArray(axles) || axles.length === 0) {
+            const error = new Error('移動荷重の軸重を入力してください。');
+            error.code = 'MOVING_LOAD_NO_AXLES';
+            throw error;
+        }
+        const trainLength = Math.max(...axles.map(axle => axle.offset));
+        const increment = Number(step) > 0 ? Number(step) : route.length / 200;
+        const system = buildStaticSystem(nodes, members);
+
+        // 経路の部材のステーション（等分点と応答位置）
+        const stationsOf = new Map(route.legs.map(leg => {
+            const member = members[leg.member];
+            const xs = Array.from({ length: segments + 1 }, (_, k) => member.length * k / segments);
+            if (response?.type === 'member' && response.member === leg.member && !xs.some(x => Math.abs(x - response.x) < 1e-9 * member.length)) xs.push(Number(response.x));
+            return [leg.member, xs.sort((p, q) => p - q)];
+        }));
+
+        const count = Math.floor((route.length + trainLength) / increment + 1e-9) + 1;
+        const leads = Array.from({ length: count }, (_, k) => k * increment);
+        if (leads[leads.length - 1] < route.length + trainLength - 1e-9) leads.push(route.length + trainLength);
+        const positions = [], stations = [];
+        (bothDirections ? ['forward', 'backward'] : ['forward']).forEach(direction => leads.forEach(s => {
+            const memberLoads = [];
+            axles.forEach(axle => {
+                const t = s - axle.offset;
+                if (t < 0 || t > route.length) return;
+                const { member, a } = route.locate(direction === 'forward' ? t : route.length - t);
+                memberLoads.push({ memberIndex: member, type: 'point', w: axle.P, a, direction: 'globalY' });
+            });
+            const result = solveStaticCase(system, nodes, members, { nodeLoads: [], memberLoads, applyForcedDisplacements: false });
+            const loadMap = new Map(result.memberLoads.map(l => [l.memberIndex, l]));
+            positions.push({ s: direction === 'forward' ? s : route.length - s, direction, value: evaluate ? evaluate(result, loadMap) : null });
+            stations.push(new Map([...stationsOf].map(([idx, xs]) => [idx, xs.map(x => calculateSectionForces(members[idx], result.forces[idx], loadMap.get(idx), x))])));
+        }));
+
+        const envelopeMembers = members.map((_, idx) => {
+            const xs = stationsOf.get(idx);
+            if (!xs) return null;
+            const env = { x: xs };
+            ['N', 'Q', 'M'].forEach(key => {
+                const entry = { max: [], min: [], maxSet: [], minSet: [] };
+                xs.forEach((_, k) => {
+                    let max = -Infinity, min = Infinity, maxSet = 0, minSet = 0;
+                    stations.forEach((set, p) => {
+                        const value = set.get(idx)[k][key];
+                        if (value > max) { max = value; maxSet = p; }
+                        if (value < min) { min = value; minSet = p; }
+                    });
+                    entry.max.push(max); entry.min.push(min); entry.maxSet.push(maxSet); entry.minSet.push(minSet);
+                });
+                env[key] = entry;
+            });
+            return env;
+        });
+        const labels = positions.map(p => `先頭軸 ${p.s.toFixed(2)} m${bothDirections ? (p.direction === 'forward' ? '・順方向' : '・逆方向') : ''}`);
+
+        let responsePeak = null;
+        if (evaluate) {
+            responsePeak = positions.reduce((peak, p, k) => {
+                if (p.value > peak.max) { peak.max = p.value; peak.maxPosition = k; }
+                if (p.value < peak.min) { peak.min = p.value; peak.minPosition = k; }
+                return peak;
+            }, { max: -Infinity, min: Infinity, maxPosition: 0, minPosition: 0 });
+        }
+        return { positions, response: responsePeak, envelope: { labels, members: envelopeMembers }, length: route.length, trainLength };
+    };
+
+    /**
+     * 影響線を求める（DOM非依存）
+     * @param {object} model - analyzeModel() と同じモデル（荷重は用いない）
+     * @param {object} options - solveInfluenceLine() のオプション
+     */
+    const analyzeInfluenceLine = (model, options = {}) => {
+        const { nodes, members } = normalizeModel({ ...model, nodeLoads: [], memberLoads: [] });
+        return solveInfluenceLine(nodes, members, options);
+    };
+
+    /**
+     * 移動荷重の応答と包絡値を求める（DOM非依存）
+     * @param {object} model - analyzeModel() と同じモデル（荷重は用いない）
+     * @param {object} options - solveMovingLoad() のオプション
+     */
+    const analyzeMovingLoad = (model, options = {}) => {
+        const { nodes, members } = normalizeModel({ ...model, nodeLoads: [], memberLoads: [] });
+        return solveMovingLoad(nodes, members, options);
+    };
+
+    // --- Load Cases & Combinations ---
+    // 荷重ケース（建築基準法施行令の荷重記号に準拠）。強制変位は節点テーブルの値をケース FD として扱う。
+    const LOAD_CASES = [
+        { id: 'G', name: '固定荷重' },
+        { id: 'P', name: '積載荷重' },
+        { id: 'S', name: '積雪荷重' },
+        { id: 'W', name: '風荷重' },
+        { id: 'K', name: '地震荷重' },
+        { id: 'T', name: '温度荷重' },
+        { id: 'FD', name: '強制変位' }
+    ];
+    const DEFAULT_LOAD_CASE = 'G';
+
+    /**
+     * 荷重ケースIDを正規化する（未指定・不明なIDは固定荷重）
+     */
+    const normalizeLoadCaseId = (id) => (LOAD_CASES.some(c => c.id === id) ? id : DEFAULT_LOAD_CASE);
+
+    /**
+     * 解析結果を係数倍して重ね合わせる（線形解析なので荷重組合せは各ケースの結果の線形和）
+     * @param {Array<{result: object, factor: number}>} terms - 重ね合わせる結果と係数
+     * @param {Array} nodes - 節点配列
+     * @param {Array} members - 部材配列
+     * @returns {object} analyzeModel() と同じ形式の結果
+     */
+    const superposeResults = (terms, nodes, members) => {
+        const dof = nodes.length * 3;
+        const D = mat.create(dof, 1), R = mat.create(dof, 1);
+        const forces = members.map(() => ({ N_i: 0, Q_i: 0, M_i: 0, N_j: 0, Q_j: 0, M_j: 0 }));
+        const nodeLoads = [], memberLoads = [];
+        terms.forEach(({ result, factor }) => {
+            for (let k = 0; k < dof; k++) { D[k][0] += factor * result.D[k][0]; R[k][0] += factor * result.R[k][0]; }
+            result.forces.forEach((f, idx) => Object.keys(f).forEach(key => { forces[idx][key] += factor * f[key]; }));
+            result.nodeLoads.forEach(l => nodeLoads.push({ nodeIndex: l.nodeIndex, px: factor * l.px, py: factor * l.py, mz: factor * l.mz }));
+            result.memberLoads.forEach(l => memberLoads.push({ memberIndex: l.memberIndex, w: factor * l.w, components: (l.components || []).map(c => scaleMemberLoadComponent(c, factor)) }));
+        });
+        return {
+            D,
+            R,
+            forces,
+            displacements: nodes.map((_, i) => ({ x: D[i*3][0], y: D[i*3+1][0], rotation: D[i*3+2][0] })),
+            reactions: nodes.map((_, i) => ({ x: -R[i*3][0] || 0, y: -R[i*3+1][0] || 0, mz: -R[i*3+2][0] || 0 })),
+            nodes,
+            members,
+            nodeLoads: mergeNodeLoads(nodeLoads),
+            memberLoads: Array.from(mergeMemberLoads(memberLoads).values())
+        };
+    };
+
+    /**
+     * 複数の荷重セット（荷重組合せなど）の結果から包絡値を求める
+     * 部材ステーションごとの N, Q, M, たわみ v と節点変位・反力について最大値・最小値と支配荷重セットを記録する。
+     * @param {Array<{label: string, result: object}>} loadSets - 荷重セットと解析結果
+     * @param {Array} members - 準備済み部材配列
+     * @param {number} [numPoints=20] - 部材の分割数
+     * @returns {object} { labels, stations, members, nodes, reactions }
+     *   stations[set][member] は各荷重セットのステーション値（calculateMemberStations の戻り値）
+     *   members[member][key] = { x, max, min, maxSet, minSet }（key: N, Q, M, v、各配列はステーション順、Set は loadSets のインデックス）
+     *   nodes[node][key] / reactions[node][key] = { max, min, maxSet, minSet }（key: x, y, rotation / x, y, mz）
+     */
+    const calculateEnvelope = (loadSets, members, numPoints = 20) => {
+        if (!loadSets || loadSets.length === 0) throw new Error('包絡値を求める荷重セットがありません。');
+        const labels = loadSets.map(set => set.label);
+        // 全荷重セットで同じ位置のステーションを比較できるよう、載荷位置は全セットの和集合とする
+        const findLoad = (result, idx) => result.memberLoads.find(l => l.memberIndex === idx);
+        const positions = members.map((_, idx) => loadSets.flatMap(({ result }) => getMemberLoadPositions(findLoad(result, idx))));
+        const stations = loadSets.map(({ result }) => members.map((member, idx) =>
+            calculateMemberStations(member, result.forces[idx], findLoad(result, idx), result.D, numPoints, positions[idx])));
+
+        // 値の配列から最大・最小と支配荷重セットを求める
+        const extremes = (values) => {
+            let max = -Infinity, min = Infinity, maxSet = 0, minSet = 0;
+            values.forEach((value, setIndex) => {
+                if (value > max) { max = value; maxSet = setIndex; }
+                if (value < min) { min = value; minSet = setIndex; }
+            });
+            return { max, min, maxSet, minSet };
+        };
+
+        const memberEnvelopes = members.map((member, idx) => {
+            const envelope = { x: stations[0][idx].map(st => st.x) };
+            ['N', 'Q', 'M', 'v'].forEach(key => {
+                const entry = { max: [], min: [], maxSet: [], minSet: [] };
+                stations[0][idx].forEach((_, k) => {
+                    const e = extremes(stations.map(setStations => setStations[idx][k][key]));
+                    entry.max.push(e.max); entry.min.push(e.min); entry.maxSet.push(e.maxSet); entry.minSet.push(e.minSet);
+                });
+                envelope[key] = entry;
+            });
+            return envelope;
+        });
+
+        const nodeCount = loadSets[0].result.displacements.length;
+        const nodes = Array.from({ length: nodeCount }, (_, i) => ({
+            x: extremes(loadSets.map(({ result }) => result.displacements[i].x)),
+            y: extremes(loadSets.map(({ result }) => result.displacements[i].y)),
+            rotation: extremes(loadSets.map(({ result }) => result.displacements[i].rotation))
+        }));
+        const reactions = Array.from({ length: nodeCount }, (_, i) => ({
+            x: extremes(loadSets.map(({ result }) => result.reactions[i].x)),
+            y: extremes(loadSets.map(({ result }) => result.reactions[i].y)),
+            mz: extremes(loadSets.map(({ result }) => result.reactions[i].mz))
+        }));
+
+        return { labels, stations, members: memberEnvelopes, nodes, reactions };
+    };
+
+    /**
+     * 荷重ケースごとに解析し、荷重組合せを重ね合わせで求める
+     * 剛性マトリクスの分解は1回だけ行い、全ケースで再利用する。
+     * P-Δ解析と引張専用・圧縮専用部材を含むモデルでは重ね合わせが成り立たないため、荷重組合せと全ケース合計は係数倍した荷重で直接解く。
+     * @param {object} model - analyzeModel() のモデルに以下を追加したもの
+     *   nodeLoads / memberLoads の各要素に loadCase: 'G'|'P'|'S'|'W'|'K'|'T'（省略時 'G'）
+     *   combinations: [{ name, term: 'long'|'short', factors: { G: 1.0, P: 1.0, ... } }]
+     *   responseSpectrum: 与えると地震荷重ケース K を solveResponseSpectrum() の結果とする（そのオプション。節点・部材の mass が必要）
+     * @returns {object} { cases: [{ id, name, result }], combinations: [{ name, term, factors, result }], total, nodes, members }
+     *   cases には荷重または強制変位が存在するケースのみ含まれる。total は重ね合わせによらず直接解いたときの全ケース合計の結果（線形解析では null）
+     * @throws {Error} 構造が不安定な場合は error.code === 'UNSTABLE'、error.loadCase に該当ケースID。
+     *   応答スペクトル解析で K に静的荷重がある場合や P-Δ解析・引張専用・圧縮専用部材と併用した場合は error.code === 'RESPONSE_SPECTRUM_CONFLICT'
+     */
+    const analyzeLoadCases = (model) => {
+        const { nodes, members, nodeLoads, memberLoads } = normalizeModel(model);
+        const system = buildStaticSystem(nodes, members);
+        const hasForcedDisplacement = system.prescribed.some(v => v !== 0);
+        const axialOnly = hasAxialOnlyMembers(members);
+        // 重ね合わせが成り立たず、荷重組合せを直接解く解析
+        const direct = !!model.pDelta || axialOnly;
+
+        const solve = (loads) => {
+            const pDelta = model.pDelta ? getPDeltaOptions(model.pDelta) : null;
+            if (axialOnly) return solveMemberBehaviorCase(system, nodes, members, loads, { pDelta });
+            return pDelta ? solvePDeltaCase(system, nodes, members, loads, pDelta) : solveStaticCase(system, nodes, members, loads);
+        };
+
+        const cases = [];
+        LOAD_CASES.forEach(loadCase => {
+            const caseNodeLoads = nodeLoads.filter(l => normalizeLoadCaseId(l.loadCase) === loadCase.id);
+            const caseMemberLoads = memberLoads.filter(l => normalizeLoadCaseId(l.loadCase) === loadCase.id);
+            const isForcedCase = loadCase.id === 'FD';
+            const isSpectrumCase = loadCase.id === 'K' && !!model.responseSpectrum;
+            if (isSpectrumCase && (caseNodeLoads.length > 0 || caseMemberLoads.length > 0 || direct)) {
+                const error = new Error(model.pDelta
+                    ? '応答スペクトル解析は P-Δ解析と併用できません。'
+                    : axialOnly
+                        ? '応答スペクトル解析は引張専用・圧縮専用の部材を含むモデルには適用できません。'
+                        : '応答スペクトル解析を行う場合は、荷重ケース K（地震荷重）に静的な荷重を入力しないでください。');
+                error.code = 'RESPONSE_SPECTRUM_CONFLICT';
+                error.loadCase = loadCase.id;
+                throw error;
+            }
+            if (caseNodeLoads.length === 0 && caseMemberLoads.length === 0 && !(isForcedCase && hasForcedDisplacement) && !isSpectrumCase) return;
+            try {
+                const result = isSpectrumCase
+                    ? solveResponseSpectrum(nodes, members, model.responseSpectrum)
+                    : solve({ nodeLoads: caseNodeLoads, memberLoads: caseMemberLoads, applyForcedDisplacements: isForcedCase });
+                cases.push({ id: loadCase.id, name: isSpectrumCase ? `${loadCase.name}（応答スペクトル）` : loadCase.name, result });
+            } catch (error) {
+                error.loadCase = loadCase.id;
+                throw error;
+            }
+        });
+
+        // 荷重組合せを直接解くときに用いる、各ケースの荷重を係数倍して合計した荷重
+        const factoredLoads = (factorOf) => {
+            const loads = { nodeLoads: [], memberLoads: [], applyForcedDisplacements: true, forcedDisplacementFactor: 0 };
+            cases.forEach(c => {
+                const factor = factorOf(c.id);
+                if (!factor) return;
+                c.result.nodeLoads.forEach(l => loads.nodeLoads.push({ nodeIndex: l.nodeIndex, px: factor * l.px, py: factor * l.py, mz: factor * l.mz }));
+                c.result.memberLoads.forEach(l => loads.memberLoads.push({ memberIndex: l.memberIndex, w: factor * l.w, components: (l.components || []).map(comp => scaleMemberLoadComponent(comp, factor)) }));
+                if (c.id === 'FD') loads.forcedDisplacementFactor = factor;
+            });
+            return loads;
+        };
+
+        const combinations = (model.combinations || []).map((combination, index) => {
+            const factors = combination.factors || {};
+            const factorOf = (id) => (Number.isFinite(Number(factors[id])) ? Number(factors[id]) : 0);
+            const name = combination.name || `組合せ${index + 1}`;
+            let result;
+            if (direct) {
+                try {
+                    result = solve(factoredLoads(factorOf));
+                } catch (error) {
+                    error.combination = name;
+                    throw error;
+                }
+            } else {
+                const terms = cases
+                    .filter(c => factorOf(c.id))
+                    .map(c => ({ result: c.result, factor: factorOf(c.id) }));
+                result = superposeResults(terms, nodes, members);
+            }
+            return {
+                name,
+                term: combination.term === 'long' ? 'long' : 'short',
+                factors,
+                result
+            };
+        });
+
+        const total = direct && cases.length > 0 ? solve(factoredLoads(() => 1)) : null;
+
+        return { cases, combinations, total, nodes, members, solverInfo: system.solverInfo };
+    };
+
+    return {
+        mat,
+        sparse,
+        buildTransformationMatrix,
+        MEMBER_CONNECTION_TYPES,
+        MEMBER_BEHAVIORS,
+        getEndRotationalSprings,
+        buildLocalStiffness,
+        prepareMember,
+        getSectionAt,
+        calculateRigidZoneLengths,
+        MEMBER_LOAD_TYPES,
+        MEMBER_LOAD_DIRECTIONS,
+        MEMBER_LOAD_BASES,
+        normalizeMemberLoad,
+        resolveMemberLoadComponent,
+        calculateFixedEndForces,
+        mergeMemberLoads,
+        getMemberLoadPositions,
+        mergeNodeLoads,
+        SUPPORT_RESTRAINTS,
+        getNodeRestraints,
+        getSupportConstraints,
+        rotateNodalVector,
+        getSpringStiffness,
+        CONSTRAINT_TYPES,
+        applyNodeConstraints,
+        calculateMemberForces,
+        calculateMemberStations,
+        findShearZeroPositions,
+        normalizeModel,
+        getGlobalElementStiffness,
+        getMemberDofs,
+        numberEquations,
+        assembleSkyline,
+        multiplyElementMatrices,
+        buildStaticSystem,
+        getFoundationPressures,
+        solveStaticCase,
+        analyzeModel,
+        P_DELTA_DEFAULTS,
+        buildLocalGeometricStiffness,
+        buildTangentStiffness,
+        calculatePDeltaAmplification,
+        solvePDeltaCase,
+        MEMBER_BEHAVIOR_DEFAULTS,
+        solveMemberBehaviorCase,
+        BUCKLING_DEFAULTS,
+        buildLinearGeometricStiffness,
+        solveBucklingModes,
+        analyzeBuckling,
+        MODAL_DEFAULTS,
+        MASS_MATRIX_TYPES,
+        buildLocalMassMatrix,
+        solveModalAnalysis,
+        analyzeModal,
+        GRAVITY,
+        SPECTRUM_TYPES,
+        SOIL_PERIODS,
+        MODAL_COMBINATION_METHODS,
+        RESPONSE_SPECTRUM_DEFAULTS,
+        buildDesignSpectrum,
+        solveResponseSpectrum,
+        analyzeResponseSpectrum,
+        ACCELERATION_UNITS,
+        TIME_HISTORY_DEFAULTS,
+        parseAccelerogram,
+        solveTimeHistory,
+        analyzeTimeHistory,
+        PUSHOVER_DEFAULTS,
+        getPlasticMoments,
+        solvePushover,
+        analyzePushover,
+        LIMIT_ANALYSIS_DEFAULTS,
+        solveLinearProgram,
+        solveLimitAnalysis,
+        analyzeLimit,
+        INFLUENCE_DEFAULTS,
+        INFLUENCE_RESPONSES,
+        calculateSectionForces,
+        buildLoadPath,
+        solveInfluenceLine,
+        parseAxleLoads,
+        solveMovingLoad,
+        analyzeInfluenceLine,
+        analyzeMovingLoad,
+        LOAD_CASES,
+        DEFAULT_LOAD_CASE,
+        normalizeLoadCaseId,
+        superposeResults,
+        calculateEnvelope,
+        analyzeLoadCases
+    };
+});
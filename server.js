@@ -1,7 +1,12 @@
 // 必要なライブラリを読み込む
-const express = require('express');
-const path = require('path');
-const apiRouter = require('./api/generate-model'); // APIロジックをインポート
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import apiRouter from './api/generate-model.js'; // APIロジックをインポート
+import analyzeRouter from './api/analyze-model.js'; // 構造解析APIをインポート
+
+// ESモジュールには __dirname がないため、このファイルの位置から求める
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Expressアプリケーションを作成
 const app = express();
@@ -17,6 +22,9 @@ app.use(express.static(path.join(__dirname, '')));
 // APIエンドポイント "/api/generate-model" を設定
 app.use('/api/generate-model', apiRouter);
 
+// APIエンドポイント "/api/analyze-model" を設定（DOM非依存の解析コアを使用）
+app.use('/api/analyze-model', analyzeRouter);
+
 // ルートURL ("/") にアクセスがあった場合にindex.htmlを返す
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
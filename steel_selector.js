@@ -1368,6 +1368,10 @@ const calculateLabelOptions = (maxDim, scale = 1) => {
             axisInfo: sectionAxisInfo
         });
 
+        props.As = calculateShearArea(selectedTypeKey, dims, resolvedAxisKey);
+        const zpxValue = parseNumericValue(getProp('Zpx')), zpyValue = parseNumericValue(getProp('Zpy'));
+        const tabulatedZp = resolvedAxisKey === 'y' ? zpyValue : zpxValue;
+        props.Zp = Number.isFinite(tabulatedZp) && tabulatedZp > 0 ? tabulatedZp : calculatePlasticModulus(selectedTypeKey, dims, resolvedAxisKey);
         props.sectionInfo = sectionInfo;
         props.sectionLabel = sectionInfo.label;
         props.sectionName = sectionInfo.label; // 互換性のため追加
@@ -1513,6 +1517,8 @@ const calculateLabelOptions = (maxDim, scale = 1) => {
             source: 'custom',
             axisInfo: sectionAxisInfo
         });
+        props.As = calculateShearArea(selectedTypeKey, latestCustomInputs, resolvedAxisKey);
+        props.Zp = calculatePlasticModulus(selectedTypeKey, latestCustomInputs, resolvedAxisKey);
         props.sectionInfo = sectionInfo;
         props.sectionLabel = sectionInfo.label;
         props.sectionName = sectionInfo.label; // 互換性のため追加
@@ -1534,6 +1540,90 @@ const calculateLabelOptions = (maxDim, scale = 1) => {
         }
     });
 
+    // せん断断面積 As (cm²) を断面寸法 (mm) から求める。
+    // 強軸(x)まわりの曲げではウェブ、弱軸(y)まわりではフランジがせん断を負担するものとし、
+    // 矩形は 5/6、円形・フランジの長方形分布は 1/1.2 の形状係数を用いる。
+    const calculateShearArea = (typeKey, dims, axisKey) => {
+        if (!dims) return undefined;
+        const useWeakAxis = axisKey === 'y';
+        let areaMm2;
+        switch (typeKey) {
+            case 'hkatakou_hiro': case 'hkatakou_naka': case 'hkatakou_hoso': case 'ikatakou':
+            case 'keiryouhkatakou': case 'keiryourippuhkatakou': case 'mizogatakou': {
+                const { H, B, t1, t2 } = dims;
+                areaMm2 = useWeakAxis ? 2 * B * t2 / 1.2 : (H - 2 * t2) * t1;
+                break;
+            }
+            case 'keimizogatakou': case 'rippumizokatakou': {
+                const { H, A, t } = dims;
+                areaMm2 = useWeakAxis ? 2 * A * t / 1.2 : (H - 2 * t) * t;
+                break;
+            }
+            case 'touhenyamakatakou': case 'futouhenyamagata': {
+                const sideA = dims.A;
+                const sideB = typeKey === 'touhenyamakatakou' ? dims.A : dims.B;
+                areaMm2 = (useWeakAxis ? sideB : sideA) * dims.t / 1.2;
+                break;
+            }
+            case 'seihoukei': case 'tyouhoukei': {
+                const sideA = dims.A;
+                const sideB = typeKey === 'seihoukei' ? dims.A : dims.B;
+                areaMm2 = 2 * ((useWeakAxis ? sideB : sideA) - 2 * dims.t) * dims.t;
+                break;
+            }
+            case 'koukan':
+                areaMm2 = Math.PI * (dims.D - dims.t) * dims.t / 2;
+                break;
+            case '矩形':
+                areaMm2 = 5 / 6 * dims.B * dims.H;
+                break;
+            case '円形':
+                areaMm2 = 0.9 * Math.PI * dims.D ** 2 / 4;
+                break;
+            default:
+                return undefined;
+        }
+        return Number.isFinite(areaMm2) && areaMm2 > 0 ? areaMm2 / 100 : undefined;
+    };
+
+    // 塑性断面係数 Zp (cm³) を断面寸法 (mm) から求める（フィレットは無視）。
+    // 規格表に Zpx / Zpy がない断面とカスタム断面で用いる。弱軸まわりが非対称な溝形などは求めない。
+    const calculatePlasticModulus = (typeKey, dims, axisKey) => {
+        if (!dims) return undefined;
+        const useWeakAxis = axisKey === 'y';
+        let modulusMm3;
+        switch (typeKey) {
+            case 'hkatakou_hiro': case 'hkatakou_naka': case 'hkatakou_hoso': case 'ikatakou':
+            case 'keiryouhkatakou': case 'keiryourippuhkatakou': case 'mizogatakou': {
+                const { H, B, t1, t2 } = dims;
+                if (useWeakAxis && typeKey === 'mizogatakou') return undefined;
+                modulusMm3 = useWeakAxis
+                    ? t2 * B ** 2 / 2 + (H - 2 * t2) * t1 ** 2 / 4
+                    : B * t2 * (H - t2) + t1 * (H - 2 * t2) ** 2 / 4;
+                break;
+            }
+            case 'seihoukei': case 'tyouhoukei': {
+                const sideA = dims.A;
+                const sideB = typeKey === 'seihoukei' ? dims.A : dims.B;
+                const [depth, width] = useWeakAxis ? [sideB, sideA] : [sideA, sideB];
+                modulusMm3 = width * depth ** 2 / 4 - (width - 2 * dims.t) * (depth - 2 * dims.t) ** 2 / 4;
+                break;
+            }
+            case 'koukan':
+                modulusMm3 = (dims.D ** 3 - (dims.D - 2 * dims.t) ** 3) / 6;
+                break;
+            case '矩形':
+                modulusMm3 = useWeakAxis ? dims.H * dims.B ** 2 / 4 : dims.B * dims.H ** 2 / 4;
+                break;
+            case '円形':
+                modulusMm3 = dims.D ** 3 / 6;
+                break;
+            default:
+                return undefined;
+        }
+        return Number.isFinite(modulusMm3) && modulusMm3 > 0 ? modulusMm3 / 1000 : undefined;
+    };
+
     const getDimensionsFromRow = (type, rowData, headers) => { 
         const dims = {}; 
         const findValue = (namePart) => { 
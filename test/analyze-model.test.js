@@ -0,0 +1,56 @@
+// 構造解析API（/api/analyze-model）のエンドツーエンドテスト
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import analyzeRouter from '../api/analyze-model.js';
+
+// ルーターを実際の Express アプリに組み込み、空きポートで起動して HTTP で呼び出す
+const startServer = () => new Promise(resolve => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/analyze-model', analyzeRouter);
+    const server = app.listen(0, () => resolve(server));
+});
+
+const post = async (server, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/analyze-model`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('POST /api/analyze-model', async (t) => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    await t.test('片持ち梁の先端荷重の変位・反力・部材端力を返す', async () => {
+        const E = 2.05e8, I = 1e-4, L = 3, P = 10;
+        const { status, body } = await post(server, {
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0 }],
+            members: [{ i: 0, j: 1, E, A: 1e-2, I }],
+            nodeLoads: [{ nodeIndex: 1, py: -P }]
+        });
+        assert.equal(status, 200);
+        assert.ok(Math.abs(body.displacements[1].y - (-P * L ** 3 / (3 * E * I))) < 1e-12);
+        assert.ok(Math.abs(body.reactions[0].mz - (-P * L)) < 1e-9);
+        assert.ok(Math.abs(body.forces[0].M_i - P * L) < 1e-9);
+    });
+
+    await t.test('nodes / members がない場合は 400', async () => {
+        const { status, body } = await post(server, { nodes: [] });
+        assert.equal(status, 400);
+        assert.match(body.error, /nodes, members/);
+    });
+
+    await t.test('不安定な構造は 422', async () => {
+        const { status, body } = await post(server, {
+            nodes: [{ x: 0, y: 0, support: 'pinned' }, { x: 4, y: 0 }],
+            members: [{ i: 0, j: 1, E: 2.05e8, A: 1e-2, I: 1e-4 }],
+            nodeLoads: [{ nodeIndex: 1, py: -10 }]
+        });
+        assert.equal(status, 422);
+        assert.ok(body.error);
+    });
+});
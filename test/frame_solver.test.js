@@ -0,0 +1,865 @@
+// DOM非依存の解析コア（frame_solver.js）の回帰テスト
+// 閉じた形の解（たわみ公式・固定端力・座屈荷重など）と比較する
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import '../frame_solver.js';
+
+const { FrameSolver } = globalThis;
+
+// 相対誤差（基準値が小さい場合は絶対誤差）で比較する
+const assertClose = (actual, expected, tolerance = 1e-9, message = '') => {
+    const scale = Math.max(1, Math.abs(expected));
+    assert.ok(Math.abs(actual - expected) <= tolerance * scale, `${message} 期待値 ${expected}、実際 ${actual}`);
+};
+
+// 標準の部材（鋼材相当、m・kN 単位）
+const E = 2.05e8, A = 1e-2, I = 1e-4;
+
+describe('線形静的解析（analyzeModel）', () => {
+    it('片持ち梁の先端集中荷重: δ = PL³/3EI、θ = PL²/2EI、M = PL', () => {
+        const L = 4, P = 12;
+        const result = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0 }],
+            members: [{ i: 0, j: 1, E, A, I }],
+            nodeLoads: [{ nodeIndex: 1, py: -P }]
+        });
+        assertClose(result.displacements[1].y, -P * L ** 3 / (3 * E * I));
+        assertClose(result.displacements[1].rotation, -P * L ** 2 / (2 * E * I));
+        assertClose(result.forces[0].M_i, P * L);
+        // reactions は支点が構造から受ける力（支点が構造を支える力と逆向き）
+        assertClose(result.reactions[0].y, -P);
+        assertClose(result.reactions[0].mz, -P * L);
+    });
+
+    it('単純梁の中央集中荷重: δ = PL³/48EI、M = PL/4', () => {
+        const L = 6, P = 30;
+        const result = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'pinned' }, { x: L / 2, y: 0 }, { x: L, y: 0, support: 'roller' }],
+            members: [{ i: 0, j: 1, E, A, I }, { i: 1, j: 2, E, A, I }],
+            nodeLoads: [{ nodeIndex: 1, py: -P }]
+        });
+        assertClose(result.displacements[1].y, -P * L ** 3 / (48 * E * I));
+        assertClose(result.forces[0].M_j, P * L / 4);
+        assertClose(result.reactions[0].y + result.reactions[2].y, -P);
+    });
+
+    it('軸方向荷重: δ = PL/EA', () => {
+        const L = 5, P = 100;
+        const result = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0 }],
+            members: [{ i: 0, j: 1, E, A, I }],
+            nodeLoads: [{ nodeIndex: 1, px: P }]
+        });
+        assertClose(result.displacements[1].x, P * L / (E * A));
+        assertClose(result.forces[0].N_j, P);
+    });
+
+    it('強制変位: 片持ち梁先端の強制変位 δ による反力 −3EIδ/L³（支点が受ける力）', () => {
+        const L = 3, delta = 0.01;
+        const result = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0, support: 'roller', dy_forced: delta }],
+            members: [{ i: 0, j: 1, E, A, I }]
+        });
+        assertClose(result.displacements[1].y, delta);
+        assertClose(result.reactions[1].y, -3 * E * I * delta / L ** 3);
+    });
+
+    it('不安定な構造は code === "UNSTABLE" のエラー', () => {
+        assert.throws(() => FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'pinned' }, { x: 4, y: 0 }],
+            members: [{ i: 0, j: 1, E, A, I }],
+            nodeLoads: [{ nodeIndex: 1, py: -10 }]
+        }), error => error.code === 'UNSTABLE');
+    });
+
+    it('nodes / members のないモデルはエラー', () => {
+        assert.throws(() => FrameSolver.analyzeModel({ nodes: [] }), /nodes と members/);
+    });
+});
+
+describe('スパース（スカイライン）ソルバーと節点番号の付け替え', () => {
+    // 3スパン3層のラーメン（order は節点の並び順。入力順によらず同じ解と方程式の profile になることを確かめる）
+    const buildFrame = (order) => {
+        const points = [];
+        for (let level = 0; level <= 3; level++) {
+            for (let column = 0; column <= 3; column++) points.push({ x: column * 6, y: level * 4, support: level === 0 ? 'fixed' : 'free' });
+        }
+        const index = points.map((_, k) => order.indexOf(k));
+        const members = [];
+        points.forEach((p, k) => {
+            if (p.y > 0) members.push({ i: index[k - 4], j: index[k], E, A, I });
+            if (p.y > 0 && p.x > 0) members.push({ i: index[k - 1], j: index[k], E, A, I });
+        });
+        const nodeLoads = points.map((p, k) => p.y > 0 && p.x === 0 ? { nodeIndex: index[k], px: 10 * p.y / 4 } : null).filter(Boolean);
+        const result = FrameSolver.analyzeModel({ nodes: order.map(k => points[k]), members, nodeLoads });
+        return { result, index };
+    };
+
+    it('節点の並び順を入れ替えても同じ変位と profile になる', () => {
+        const natural = [...Array(16).keys()];
+        const scrambled = natural.map((_, k) => (k * 7) % 16);
+        const a = buildFrame(natural), b = buildFrame(scrambled);
+        assert.equal(a.result.solverInfo.profile, b.result.solverInfo.profile);
+        natural.forEach(k => {
+            assertClose(b.result.displacements[b.index[k]].x, a.result.displacements[a.index[k]].x);
+            assertClose(b.result.displacements[b.index[k]].rotation, a.result.displacements[a.index[k]].rotation);
+        });
+    });
+
+    it('反力の合計が荷重と釣り合う', () => {
+        const { result } = buildFrame([...Array(16).keys()]);
+        const total = result.reactions.reduce((sum, r) => sum + r.x, 0);
+        assertClose(total, 10 + 20 + 30, 1e-9);
+    });
+});
+
+describe('荷重ケースと荷重組合せ（analyzeLoadCases）', () => {
+    const model = {
+        nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: 3, y: 0 }],
+        members: [{ i: 0, j: 1, E, A, I }],
+        nodeLoads: [{ nodeIndex: 1, py: -10, loadCase: 'G' }, { nodeIndex: 1, py: -4, loadCase: 'P' }, { nodeIndex: 1, px: 5, loadCase: 'K' }],
+        combinations: [
+            { name: 'G+P', term: 'long', factors: { G: 1, P: 1 } },
+            { name: '1.2G+K', term: 'short', factors: { G: 1.2, K: 1 } }
+        ]
+    };
+
+    it('荷重組合せは係数倍した荷重で直接解いた結果と一致する', () => {
+        const analysis = FrameSolver.analyzeLoadCases(model);
+        assert.deepEqual(analysis.cases.map(c => c.id), ['G', 'P', 'K']);
+        const direct = FrameSolver.analyzeModel({ ...model, nodeLoads: [{ nodeIndex: 1, py: -12, px: 5 }] });
+        const combined = analysis.combinations[1].result;
+        assertClose(combined.displacements[1].y, direct.displacements[1].y);
+        assertClose(combined.displacements[1].x, direct.displacements[1].x);
+        assertClose(combined.forces[0].M_i, direct.forces[0].M_i);
+        assertClose(analysis.combinations[0].result.reactions[0].y, -14);
+    });
+
+    it('loadCase を省略した荷重は固定荷重 G とする', () => {
+        const analysis = FrameSolver.analyzeLoadCases({ ...model, nodeLoads: [{ nodeIndex: 1, py: -10 }], combinations: [] });
+        assert.deepEqual(analysis.cases.map(c => c.id), ['G']);
+    });
+});
+
+describe('荷重組合せの包絡値（calculateEnvelope）', () => {
+    it('節点変位・反力・部材の断面力の最大値・最小値と支配荷重セットを求める', () => {
+        const analysis = FrameSolver.analyzeLoadCases({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: 3, y: 0 }],
+            members: [{ i: 0, j: 1, E, A, I }],
+            nodeLoads: [{ nodeIndex: 1, py: -10, loadCase: 'G' }, { nodeIndex: 1, px: 5, loadCase: 'K' }],
+            combinations: [
+                { name: 'G+K', term: 'short', factors: { G: 1, K: 1 } },
+                { name: 'G-K', term: 'short', factors: { G: 1, K: -1 } }
+            ]
+        });
+        const envelope = FrameSolver.calculateEnvelope(analysis.combinations.map(c => ({ label: c.name, result: c.result })), analysis.members);
+        assert.deepEqual(envelope.labels, ['G+K', 'G-K']);
+        assert.equal(envelope.nodes[1].x.maxSet, 0);
+        assert.equal(envelope.nodes[1].x.minSet, 1);
+        assertClose(envelope.reactions[0].x.max, 5);
+        assertClose(envelope.reactions[0].x.min, -5);
+        assertClose(envelope.members[0].N.max[0], 5);
+        assertClose(envelope.members[0].N.min[0], -5);
+        assertClose(envelope.members[0].M.min[0], -30);
+    });
+});
+
+describe('部材荷重と固定端力', () => {
+    const L = 6;
+    // 両端固定梁の材端モーメント [M_i, M_j]（部材端力 forces の符号）
+    const endMoments = (memberLoad) => {
+        const { forces } = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0, support: 'fixed' }],
+            members: [{ i: 0, j: 1, E, A, I }],
+            memberLoads: [{ memberIndex: 0, ...memberLoad }]
+        });
+        return [forces[0].M_i, forces[0].M_j];
+    };
+
+    it('全長等分布: wL²/12', () => {
+        const [Mi, Mj] = endMoments({ w: 10 });
+        assertClose(Mi, 10 * L ** 2 / 12);
+        assertClose(Mj, -10 * L ** 2 / 12);
+    });
+
+    it('集中荷重: Pab²/L²、Pa²b/L²', () => {
+        const P = 10, a = 2, b = L - a;
+        const [Mi, Mj] = endMoments({ type: 'point', w: P, a });
+        assertClose(Mi, P * a * b ** 2 / L ** 2);
+        assertClose(Mj, -P * a ** 2 * b / L ** 2);
+    });
+
+    it('三角形分布（0 → w）: wL²/30、wL²/20', () => {
+        const [Mi, Mj] = endMoments({ type: 'trapezoid', w: 0, w2: 10, a: 0, b: L });
+        assertClose(Mi, 10 * L ** 2 / 30);
+        assertClose(Mj, -10 * L ** 2 / 20);
+    });
+
+    it('半スパンの部分等分布: 11wL²/192、5wL²/192', () => {
+        const [Mi, Mj] = endMoments({ type: 'partial', w: 10, a: 0, b: L / 2 });
+        assertClose(Mi, 11 * 10 * L ** 2 / 192);
+        assertClose(Mj, -5 * 10 * L ** 2 / 192);
+    });
+
+    it('中央の集中モーメント: M/4', () => {
+        const [Mi, Mj] = endMoments({ type: 'moment', w: 10, a: L / 2 });
+        assertClose(Mi, 10 / 4);
+        assertClose(Mj, 10 / 4);
+    });
+
+    it('荷重位置が部材外の場合はエラー', () => {
+        assert.throws(() => endMoments({ type: 'point', w: 10, a: L + 1 }));
+    });
+});
+
+describe('全体座標系方向の部材荷重と投影長さあたりの荷重', () => {
+    // 3:4:5 の傾斜部材（実長 5 m、水平投影長 4 m、鉛直投影長 3 m）の単純支持
+    const reactions = (memberLoad) => FrameSolver.analyzeModel({
+        nodes: [{ x: 0, y: 0, support: 'pinned' }, { x: 4, y: 3, support: 'roller' }],
+        members: [{ i: 0, j: 1, E, A, I }],
+        memberLoads: [{ memberIndex: 0, ...memberLoad }]
+    }).reactions;
+
+    it('全体Y方向（鉛直下向き）の実長あたりの荷重は w × 実長', () => {
+        const R = reactions({ w: 10, direction: 'globalY' });
+        assertClose(R[0].y + R[1].y, -10 * 5);
+        assertClose(R[0].x, 0);
+    });
+
+    it('全体Y方向の水平投影長さあたりの荷重は w × 水平投影長', () => {
+        const R = reactions({ w: 10, direction: 'globalY', basis: 'projection' });
+        assertClose(R[0].y + R[1].y, -10 * 4);
+    });
+
+    it('全体X方向の荷重は w × 実長の水平力', () => {
+        const R = reactions({ w: 10, direction: 'globalX' });
+        assertClose(R[0].x + R[1].x, 10 * 5);
+    });
+});
+
+describe('温度荷重', () => {
+    const L = 6, alpha = 1.2e-5, h = 0.3;
+    const fixedBeam = { nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0, support: 'fixed' }], members: [{ i: 0, j: 1, E, A, I }] };
+
+    it('両端固定の一様温度上昇: 圧縮軸力 EAαΔT', () => {
+        const { forces } = FrameSolver.analyzeModel({ ...fixedBeam, memberLoads: [{ memberIndex: 0, type: 'thermal', dT: 20, dTg: 0, h, alpha }] });
+        assertClose(forces[0].N_j, -E * A * alpha * 20);
+    });
+
+    it('両端固定の温度差: 一定の曲げモーメント EIαΔTg/h', () => {
+        const { forces } = FrameSolver.analyzeModel({ ...fixedBeam, memberLoads: [{ memberIndex: 0, type: 'thermal', dT: 0, dTg: 20, h, alpha }] });
+        assertClose(forces[0].M_i, E * I * alpha * 20 / h);
+        assertClose(forces[0].M_j, -E * I * alpha * 20 / h);
+    });
+
+    it('片持ち梁は応力を生じず、伸び αΔTL と先端たわみ κL²/2 を生じる', () => {
+        const { forces, displacements } = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0 }],
+            members: [{ i: 0, j: 1, E, A, I }],
+            memberLoads: [{ memberIndex: 0, type: 'thermal', dT: 20, dTg: 20, h, alpha }]
+        });
+        assertClose(displacements[1].x, alpha * 20 * L);
+        assertClose(displacements[1].y, alpha * 20 / h * L ** 2 / 2);
+        assertClose(forces[0].M_i, 0, 1e-9);
+    });
+});
+
+describe('ばね支点', () => {
+    const L = 6, P = 10;
+
+    it('先端の並進ばね: δ = P / (k + 3EI/L³)、ばね反力 kδ', () => {
+        const k = 5000;
+        const { displacements, reactions } = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0, ky: k }],
+            members: [{ i: 0, j: 1, E, A, I }],
+            nodeLoads: [{ nodeIndex: 1, py: -P }]
+        });
+        const delta = -P / (k + 3 * E * I / L ** 3);
+        assertClose(displacements[1].y, delta);
+        assertClose(reactions[1].y, k * delta);
+    });
+
+    it('柱脚の回転ばね: δ = PL³/3EI + PL²/kθ', () => {
+        const kr = 2000;
+        const { displacements, reactions } = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'pinned', kr }, { x: L, y: 0 }],
+            members: [{ i: 0, j: 1, E, A, I }],
+            nodeLoads: [{ nodeIndex: 1, py: -P }]
+        });
+        assertClose(displacements[1].y, -(P * L ** 3 / (3 * E * I) + P * L ** 2 / kr));
+        assertClose(reactions[0].mz, -P * L);
+    });
+
+    it('負のばね定数はエラー', () => {
+        assert.throws(() => FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0, ky: -1 }],
+            members: [{ i: 0, j: 1, E, A, I }]
+        }), /ばね定数/);
+    });
+});
+
+describe('自由度ごとの拘束と傾斜支点', () => {
+    it('傾斜ローラー支点の反力は支点座標系の法線方向 P/(2cosθ)、ピン支点に水平反力 (P/2)tanθ', () => {
+        const L = 6, P = 10, angle = Math.PI / 6;
+        const { reactions } = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'pinned' }, { x: L / 2, y: 0 }, { x: L, y: 0, support: 'roller', support_angle: angle }],
+            members: [{ i: 0, j: 1, E, A, I }, { i: 1, j: 2, E, A, I }],
+            nodeLoads: [{ nodeIndex: 1, py: -P }]
+        });
+        assertClose(reactions[2].x, 0);
+        assertClose(Math.abs(reactions[2].y), P / (2 * Math.cos(angle)));
+        assertClose(Math.abs(reactions[0].x), P / 2 * Math.tan(angle));
+    });
+
+    it('restraint_* の個別指定は support に追加される', () => {
+        assert.deepEqual(FrameSolver.getNodeRestraints({ support: 'roller', restraint_r: true }), [false, true, true]);
+        assert.deepEqual(FrameSolver.getNodeRestraints({ support: 'free', restraint_x: true }), [true, false, false]);
+    });
+});
+
+describe('半剛接合', () => {
+    const L = 6, w = 10;
+    const fixedBeam = (member) => FrameSolver.analyzeModel({
+        nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0, support: 'fixed' }],
+        members: [{ i: 0, j: 1, E, A, I, ...member }],
+        memberLoads: [{ memberIndex: 0, w }]
+    }).forces[0];
+
+    it('両端半剛接合の等分布荷重: M = (wL²/12)·kL/(kL + 2EI)', () => {
+        const k = 3000;
+        const force = fixedBeam({ i_conn: 'semi-rigid', j_conn: 'semi-rigid', i_kr: k, j_kr: k });
+        assertClose(force.M_i, w * L ** 2 / 12 * k * L / (k * L + 2 * E * I));
+    });
+
+    it('一端ピン接合: 固定端モーメント wL²/8', () => {
+        const force = fixedBeam({ j_conn: 'pinned' });
+        assertClose(force.M_i, w * L ** 2 / 8);
+        assertClose(force.M_j, 0, 1e-9);
+    });
+
+    it('回転剛性が十分大きい半剛接合は剛接合に近づく', () => {
+        const force = fixedBeam({ i_conn: 'semi-rigid', j_conn: 'semi-rigid', i_kr: 1e12, j_kr: 1e12 });
+        assertClose(force.M_i, w * L ** 2 / 12, 1e-6);
+    });
+});
+
+// 8分割した片持ち柱（高さ H、柱脚固定）
+const H = 4;
+const cantileverColumn = (segments = 8, member = {}) => ({
+    nodes: Array.from({ length: segments + 1 }, (_, k) => ({ x: 0, y: H * k / segments, support: k === 0 ? 'fixed' : 'free' })),
+    members: Array.from({ length: segments }, (_, k) => ({ i: k, j: k + 1, E, A, I, ...member }))
+});
+const eulerCantilever = Math.PI ** 2 * E * I / (4 * H ** 2);
+
+describe('P-Δ解析', () => {
+    it('軸圧縮と水平力を受ける片持ち柱の頂部変位: 厳密解 H(tan μL − μL)/(Pμ)', () => {
+        const P = 0.3 * eulerCantilever, Hx = 10, mu = Math.sqrt(P / (E * I));
+        const result = FrameSolver.analyzeModel({ ...cantileverColumn(), nodeLoads: [{ nodeIndex: 8, px: Hx, py: -P }], pDelta: true });
+        assertClose(result.displacements[8].x, Hx * (Math.tan(mu * H) - mu * H) / (P * mu), 1e-5);
+        assert.ok(result.pDelta.amplification.drift > 1);
+    });
+
+    it('座屈荷重を超える軸力は code === "PDELTA_CRITICAL" のエラー', () => {
+        assert.throws(() => FrameSolver.analyzeModel({ ...cantileverColumn(), nodeLoads: [{ nodeIndex: 8, px: 1, py: -1.2 * eulerCantilever }], pDelta: true }),
+            error => error.code === 'PDELTA_CRITICAL');
+    });
+});
+
+describe('骨組の弾性座屈解析（analyzeBuckling）', () => {
+    it('片持ち柱の座屈荷重係数: π²EI/(4H²)、2次は9倍', () => {
+        const P = 100;
+        const { modes } = FrameSolver.analyzeBuckling({ ...cantileverColumn(), nodeLoads: [{ nodeIndex: 8, py: -P }] }, { modes: 2 });
+        assertClose(modes[0].factor, eulerCantilever / P, 1e-5);
+        assertClose(modes[1].factor, 9 * eulerCantilever / P, 1e-4);
+    });
+
+    it('基準軸力 axialForces を直接与えられる', () => {
+        const P = 100;
+        const { modes } = FrameSolver.analyzeBuckling({ ...cantileverColumn(), axialForces: Array(8).fill(-P) }, { modes: 1 });
+        assertClose(modes[0].factor, eulerCantilever / P, 1e-5);
+    });
+});
+
+describe('固有値解析（analyzeModal）', () => {
+    it('頂部に集中質量を持つ片持ち柱: T = 2π√(m/(3EI/H³))', () => {
+        const mass = 10;
+        const { modes } = FrameSolver.analyzeModal({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: 0, y: H, mass }],
+            members: [{ i: 0, j: 1, E, A, I }]
+        }, { modes: 1 });
+        assertClose(modes[0].period, 2 * Math.PI * Math.sqrt(mass / (3 * E * I / H ** 3)));
+    });
+
+    it('分布質量の片持ち柱の1次周期: ω = 1.8751²√(EI/(mH⁴))', () => {
+        const mass = 1.5;
+        const { modes, totalMass } = FrameSolver.analyzeModal(cantileverColumn(8, { mass }), { modes: 1 });
+        assertClose(modes[0].period, 2 * Math.PI / (1.875104 ** 2 * Math.sqrt(E * I / (mass * H ** 4))), 1e-5);
+        assert.ok(totalMass.x > 0);
+    });
+
+    it('質量がないモデルは code === "MODAL_NO_MASS" のエラー', () => {
+        assert.throws(() => FrameSolver.analyzeModal(cantileverColumn()), error => error.code === 'MODAL_NO_MASS');
+    });
+});
+
+// 頂部に集中質量を持つ1質点系の片持ち柱
+const oneMassColumn = (mass = 10) => ({
+    nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: 0, y: H, mass }],
+    members: [{ i: 0, j: 1, E, A, I }]
+});
+
+describe('応答スペクトル解析（analyzeResponseSpectrum）', () => {
+    it('1質点系に一定の加速度 Sa: ベースシア mSa、変位 Sa/ω²', () => {
+        const mass = 10, Sa = 3, omega2 = 3 * E * I / H ** 3 / mass;
+        const result = FrameSolver.analyzeResponseSpectrum(oneMassColumn(mass), { spectrum: { type: 'table', points: [{ T: 0, Sa }, { T: 5, Sa }] }, modes: 1 });
+        assertClose(result.responseSpectrum.baseShear, mass * Sa);
+        assertClose(result.displacements[1].x, Sa / omega2);
+    });
+
+    it('告示スペクトルの地盤種別が不正な場合はエラー', () => {
+        assert.throws(() => FrameSolver.buildDesignSpectrum({ type: 'building-standard', soilClass: 4 }), /地盤種別/);
+    });
+});
+
+describe('時刻歴応答解析（analyzeTimeHistory）', () => {
+    it('減衰のない1質点系に一定の地動加速度 a: 最大相対変位 2a/ω²', () => {
+        const mass = 10, omega2 = 3 * E * I / H ** 3 / mass;
+        const record = FrameSolver.parseAccelerogram('0 1\n10 1', { unit: 'm/s2' });
+        const result = FrameSolver.analyzeTimeHistory(oneMassColumn(mass), record, { damping: 0, dt: 0.002, duration: 3 });
+        assertClose(result.peaks.displacements[1].x.absMax, 2 / omega2, 1e-4);
+    });
+
+    it('有効剛性マトリクスを分解できない場合は code === "UNSTABLE" のエラー', (t) => {
+        const factorLDLt = FrameSolver.sparse.factorLDLt;
+        // 固有値解析（シフト行列の分解）はそのまま行い、有効剛性マトリクスの分解だけを失敗させる
+        t.mock.method(FrameSolver.sparse, 'factorLDLt', (sky, options) => (options ? factorLDLt(sky, options) : { ok: false, failedEquation: 0, negativePivots: 0, singularEquations: [] }));
+        const record = FrameSolver.parseAccelerogram('0 1\n1 1', { unit: 'm/s2' });
+        assert.throws(() => FrameSolver.analyzeTimeHistory(oneMassColumn(), record, { damping: 0.02, dt: 0.01, duration: 0.5 }), error => error.code === 'UNSTABLE' && error.singularDofs.length === 1);
+    });
+
+    it('加速度記録の単位 gal は m/s² に換算する', () => {
+        const record = FrameSolver.parseAccelerogram('time,acc\n0,100\n0.01,-50', { unit: 'gal' });
+        assert.deepEqual(Array.from(record.acceleration), [1, -0.5]);
+        assert.deepEqual(Array.from(record.time), [0, 0.01]);
+    });
+});
+
+describe('せん断変形を考慮した部材（Timoshenko 梁）', () => {
+    it('片持ち梁の先端集中荷重: δ = PL³/3EI + PL/(G·As)', () => {
+        const L = 2, P = 50, As = 4e-3, G = 7.9e7;
+        const result = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0 }],
+            members: [{ i: 0, j: 1, E, A, I, As, G }],
+            nodeLoads: [{ nodeIndex: 1, py: -P }]
+        });
+        assertClose(result.displacements[1].y, -(P * L ** 3 / (3 * E * I) + P * L / (G * As)));
+        assertClose(result.displacements[1].rotation, -P * L ** 2 / (2 * E * I));
+        assertClose(result.forces[0].M_i, P * L);
+    });
+
+    it('両端固定梁の中央集中荷重: δ = PL³/192EI + PL/(4G·As)、端部モーメントは PL/8 のまま', () => {
+        const L = 4, P = 80, As = 4e-3, G = 7.9e7;
+        const result = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L / 2, y: 0 }, { x: L, y: 0, support: 'fixed' }],
+            members: [{ i: 0, j: 1, E, A, I, As, G }, { i: 1, j: 2, E, A, I, As, G }],
+            nodeLoads: [{ nodeIndex: 1, py: -P }]
+        });
+        assertClose(result.displacements[1].y, -(P * L ** 3 / (192 * E * I) + P * L / (4 * G * As)));
+        assertClose(Math.abs(result.forces[0].M_i), P * L / 8);
+    });
+
+    it('G を省略した場合は E / 2(1 + 0.3) を用いる', () => {
+        const L = 2, P = 50, As = 4e-3;
+        const result = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0 }],
+            members: [{ i: 0, j: 1, E, A, I, As }],
+            nodeLoads: [{ nodeIndex: 1, py: -P }]
+        });
+        assertClose(result.displacements[1].y, -(P * L ** 3 / (3 * E * I) + P * L * 2 * 1.3 / (E * As)));
+    });
+
+    it('負のせん断断面積はエラー', () => {
+        assert.throws(() => FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: 2, y: 0 }],
+            members: [{ i: 0, j: 1, E, A, I, As: -1 }],
+            nodeLoads: [{ nodeIndex: 1, py: -1 }]
+        }), /せん断断面積/);
+    });
+});
+
+describe('材端の剛域', () => {
+    it('固定端側に剛域長 a を持つ片持ち梁: δ = P(L−a)³/3EI、フェイス位置の曲げモーメント P(L−a)', () => {
+        const L = 3, a = 0.5, P = 20;
+        const model = {
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0 }],
+            members: [{ i: 0, j: 1, E, A, I, i_rigid: a }],
+            nodeLoads: [{ nodeIndex: 1, py: -P }]
+        };
+        const result = FrameSolver.analyzeModel(model);
+        assertClose(result.displacements[1].y, -P * (L - a) ** 3 / (3 * E * I));
+        assertClose(result.forces[0].M_i, P * L);
+
+        const member = FrameSolver.prepareMember(model.members[0], model.nodes, 0);
+        const D = result.displacements.flatMap(d => [[d.x], [d.y], [d.rotation]]);
+        const face = FrameSolver.calculateMemberStations(member, result.forces[0], 0, D).find(station => Math.abs(station.x - a) < 1e-12);
+        assertClose(Math.abs(face.M), P * (L - a));
+    });
+
+    it('直交する柱・梁の剛域長: 相手部材のせい D/2 から自部材のせいの1/4を引いた長さ', () => {
+        const [column, beam] = FrameSolver.calculateRigidZoneLengths(
+            [{ x: 0, y: 0 }, { x: 0, y: 4 }, { x: 6, y: 4 }],
+            [{ i: 0, j: 1, depth: 0.6 }, { i: 1, j: 2, depth: 0.8 }]
+        );
+        assertClose(column.i_rigid, 0);
+        assertClose(column.j_rigid, 0.8 / 2 - 0.6 / 4);
+        assertClose(beam.i_rigid, 0.6 / 2 - 0.8 / 4);
+        assertClose(beam.j_rigid, 0);
+    });
+
+    it('剛域長の合計が部材長以上の場合はエラー', () => {
+        assert.throws(() => FrameSolver.prepareMember({ i: 0, j: 1, E, A, I, i_rigid: 1, j_rigid: 1 }, [{ x: 0, y: 0 }, { x: 2, y: 0 }], 0), /剛域長の合計/);
+    });
+});
+
+describe('引張専用・圧縮専用部材', () => {
+    // 片持ち柱の頂部を2本の斜材で支えたモデル（斜材は両端ピン）
+    const bracedColumn = (behavior, braces = [0, 1]) => ({
+        nodes: [{ x: -3, y: 0, support: 'pinned' }, { x: 3, y: 0, support: 'pinned' }, { x: 0, y: 0, support: 'fixed' }, { x: 0, y: H }],
+        members: [
+            { i: 2, j: 3, E, A, I },
+            ...braces.map(k => ({ i: k, j: 3, E, A: 2e-3, I: 1e-6, i_conn: 'pinned', j_conn: 'pinned', behavior }))
+        ],
+        nodeLoads: [{ nodeIndex: 3, px: 100 }]
+    });
+
+    it('引張専用の斜材は圧縮側を無効化し、引張側の斜材だけを持つモデルと一致する', () => {
+        const result = FrameSolver.analyzeModel(bracedColumn('tension-only'));
+        const reference = FrameSolver.analyzeModel(bracedColumn('linear', [0]));
+        assert.deepEqual(result.memberBehavior.inactiveMembers, [2]);
+        assertClose(result.displacements[3].x, reference.displacements[3].x);
+        assertClose(result.forces[1].N_j, reference.forces[1].N_j);
+        assert.ok(result.forces[1].N_j > 0);
+        assertClose(result.forces[2].N_i, 0);
+        assertClose(result.forces[2].N_j, 0);
+    });
+
+    it('圧縮専用の斜材は引張側を無効化する', () => {
+        const result = FrameSolver.analyzeModel(bracedColumn('compression-only'));
+        const reference = FrameSolver.analyzeModel(bracedColumn('linear', [1]));
+        assert.deepEqual(result.memberBehavior.inactiveMembers, [1]);
+        assertClose(result.displacements[3].x, reference.displacements[3].x);
+        assert.ok(result.forces[2].N_j < 0);
+    });
+
+    it('不正な挙動の指定はエラー', () => {
+        assert.throws(() => FrameSolver.analyzeModel(bracedColumn('cable')), /挙動 "cable" は無効/);
+    });
+});
+
+// 柱脚固定の1層1スパン門形ラーメン（柱の両端に全塑性モーメント Mp、梁の両端に beamMp）
+const portalFrame = (Mp, beamMp = Mp, span = 6) => ({
+    nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: 0, y: H }, { x: span, y: H }, { x: span, y: 0, support: 'fixed' }],
+    members: [{ i: 0, j: 1, E, A, I, Mp }, { i: 1, j: 2, E, A, I, Mp: beamMp }, { i: 2, j: 3, E, A, I, Mp }]
+});
+
+describe('プッシュオーバー解析（analyzePushover）', () => {
+    it('片持ち柱: 荷重係数 Mp/H で柱脚にヒンジが生じて崩壊機構となり、そのときの変位は PH³/3EI', () => {
+        const Mp = 120;
+        const result = FrameSolver.analyzePushover({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: 0, y: H }],
+            members: [{ i: 0, j: 1, E, A, I, Mp }]
+        }, { pattern: [{ nodeIndex: 1, px: 1 }] });
+        assert.equal(result.stopReason, 'mechanism');
+        assert.equal(result.hinges.length, 1);
+        assert.deepEqual([result.hinges[0].member, result.hinges[0].end], [0, 'i']);
+        assertClose(result.hinges[0].loadFactor, Mp / H);
+        assertClose(result.hinges[0].displacement, (Mp / H) * H ** 3 / (3 * E * I));
+    });
+
+    it('梁が強い門形ラーメンの水平荷重: 柱の両端4箇所のヒンジによる層崩壊機構で P = 4Mp/H', () => {
+        const Mp = 150;
+        const result = FrameSolver.analyzePushover(portalFrame(Mp, 2 * Mp), { pattern: [{ nodeIndex: 1, px: 1 }] });
+        assert.equal(result.stopReason, 'mechanism');
+        assert.deepEqual(result.hinges.map(hinge => `${hinge.member}${hinge.end}`).sort(), ['0i', '0j', '2i', '2j']);
+        assertClose(result.loadFactor, 4 * Mp / H);
+        assertClose(result.baseShear, 4 * Mp / H);
+        // 容量曲線は原点から始まり、変位・ベースシアとも単調に増加する
+        assert.deepEqual([result.curve[0].baseShear, result.curve[0].displacement], [0, 0]);
+        result.curve.slice(1).forEach((point, k) => {
+            assert.ok(point.displacement > result.curve[k].displacement);
+            assert.ok(point.baseShear > result.curve[k].baseShear);
+        });
+    });
+
+    it('Mp の指定がない場合は code === "PUSHOVER_NO_HINGES" のエラー', () => {
+        assert.throws(() => FrameSolver.analyzePushover(cantileverColumn(1), { pattern: [{ nodeIndex: 1, px: 1 }] }), error => error.code === 'PUSHOVER_NO_HINGES');
+    });
+});
+
+describe('剛塑性解析による崩壊荷重（analyzeLimit）', () => {
+    const L = 6, Mp = 150;
+    const fixedBeam = (memberLoads) => ({
+        nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0, support: 'fixed' }],
+        members: [{ i: 0, j: 1, E, A, I, Mp }],
+        memberLoads
+    });
+
+    it('両端固定梁の中央集中荷重: P = 8Mp/L、両端と載荷点の3ヒンジ機構', () => {
+        const result = FrameSolver.analyzeLimit(fixedBeam([{ memberIndex: 0, type: 'point', w: 1, a: L / 2 }]));
+        assertClose(result.loadFactor, 8 * Mp / L);
+        assert.deepEqual(result.hinges.map(hinge => hinge.x).sort((a, b) => a - b), [0, L / 2, L]);
+        // 仕事の釣合い: 荷重係数 = 塑性ヒンジの消費エネルギー / 荷重の仕事
+        assertClose(result.loadFactor, result.work.dissipation / result.work.loads);
+    });
+
+    it('両端固定梁の等分布荷重: w = 16Mp/L²', () => {
+        const result = FrameSolver.analyzeLimit(fixedBeam([{ memberIndex: 0, w: 1 }]));
+        assertClose(result.loadFactor, 16 * Mp / L ** 2);
+        assert.ok(result.hinges.some(hinge => Math.abs(hinge.x - L / 2) < 1e-6));
+    });
+
+    it('門形ラーメンの水平荷重: 層崩壊機構で P = 4Mp/H（機構の頂部の水平変位を1に正規化）', () => {
+        const result = FrameSolver.analyzeLimit({ ...portalFrame(Mp), nodeLoads: [{ nodeIndex: 1, px: 1 }] });
+        assertClose(result.loadFactor, 4 * Mp / H);
+        assert.equal(result.hinges.length, 4);
+        assertClose(result.mechanism.displacements[1].x, 1);
+        assertClose(result.mechanism.displacements[2].x, 1);
+    });
+
+    it('Mp の指定がない場合は code === "LIMIT_NO_HINGES" のエラー', () => {
+        assert.throws(() => FrameSolver.analyzeLimit({ ...cantileverColumn(1), nodeLoads: [{ nodeIndex: 1, px: 1 }] }), error => error.code === 'LIMIT_NO_HINGES');
+    });
+});
+
+describe('影響線と移動荷重（analyzeInfluenceLine / analyzeMovingLoad）', () => {
+    const L = 10;
+    // 中央に節点を持つ単純梁（2部材）
+    const simpleBeam = {
+        nodes: [{ x: 0, y: 0, support: 'pinned' }, { x: L / 2, y: 0 }, { x: L, y: 0, support: 'roller' }],
+        members: [{ i: 0, j: 1, E, A, I }, { i: 1, j: 2, E, A, I }]
+    };
+
+    it('単純梁の支点反力の影響線は直線 −(1 − s/L)（支点が受ける力）', () => {
+        const result = FrameSolver.analyzeInfluenceLine(simpleBeam, { path: [0, 1], response: { type: 'reaction', node: 0, component: 'y' } });
+        assertClose(result.length, L);
+        result.points.forEach(point => assertClose(point.value, -(1 - point.s / L), 1e-9, `s = ${point.s}`));
+    });
+
+    it('1/4点の曲げモーメントの影響線の最大値 a(L−a)/L、せん断力は載荷点で −a/L から 1 − a/L に跳ぶ', () => {
+        const a = L / 4;
+        const moment = FrameSolver.analyzeInfluenceLine(simpleBeam, { path: [0, 1], response: { type: 'member', member: 0, x: a, component: 'M' } });
+        assertClose(moment.max.value, a * (L - a) / L);
+        assertClose(moment.max.s, a);
+        const shear = FrameSolver.analyzeInfluenceLine(simpleBeam, { path: [0, 1], response: { type: 'member', member: 0, x: a, component: 'Q' } });
+        assertClose(shear.min.value, -a / L);
+        assertClose(shear.max.value, 1 - a / L, 1e-5);
+    });
+
+    it('2軸の移動荷重: 中央の曲げモーメントの最大 P(L/4)+P(L/4−d/2)、絶対最大 ΣP(L−d/2)²/4L', () => {
+        const P = 100, d = 2;
+        const axles = FrameSolver.parseAxleLoads(`# 軸重, 先頭軸からの距離\n${P}, 0\n\n${P}, ${d}\n`);
+        assert.deepEqual(axles, [{ P, offset: 0 }, { P, offset: d }]);
+        const result = FrameSolver.analyzeMovingLoad(simpleBeam, { path: [0, 1], axles, response: { type: 'member', member: 1, x: 0, component: 'M' } });
+        assertClose(result.response.max, P * L / 4 + P * (L / 4 - d / 2));
+        const envelopeMax = Math.max(...result.envelope.members[0].M.max, ...result.envelope.members[1].M.max);
+        assertClose(envelopeMax, 2 * P * (L - d / 2) ** 2 / (4 * L));
+    });
+
+    it('経路・軸重の指定が不正な場合はエラー', () => {
+        assert.throws(() => FrameSolver.analyzeInfluenceLine(simpleBeam, { path: [0, 5], response: { type: 'reaction', node: 0, component: 'y' } }), error => error.code === 'INFLUENCE_INVALID_PATH');
+        assert.throws(() => FrameSolver.analyzeMovingLoad(simpleBeam, { path: [0, 1], axles: [] }), error => error.code === 'MOVING_LOAD_NO_AXLES');
+    });
+});
+
+describe('弾性床上の梁（Winkler地盤）', () => {
+    const ks = 3e4, B = 1.5, kf = ks * B, half = 20;
+    // 両端自由の長い地中梁（中央に節点、水平方向のみ拘束）
+    const groundBeam = (loads) => ({
+        nodes: [{ x: 0, y: 0, support: 'roller-x' }, { x: half, y: 0 }, { x: 2 * half, y: 0 }],
+        members: [{ i: 0, j: 1, E, A, I, ks, foundationWidth: B }, { i: 1, j: 2, E, A, I, ks, foundationWidth: B }],
+        ...loads
+    });
+
+    it('無限長梁の集中荷重: δ = Pβ/2kf、M = P/4β（β = (kf/4EI)^(1/4)）', () => {
+        const P = 100, beta = Math.pow(kf / (4 * E * I), 0.25);
+        assert.ok(beta * half > 10);
+        const result = FrameSolver.analyzeModel(groundBeam({ nodeLoads: [{ nodeIndex: 1, py: -P }] }));
+        assertClose(result.displacements[1].y, -P * beta / (2 * kf), 1e-4);
+        assertClose(result.forces[0].M_j, P / (4 * beta), 1e-4);
+    });
+
+    it('両端自由の梁の等分布荷重: 一様な沈下 w/kf、接地圧 w/B、曲げモーメント0', () => {
+        const w = 20;
+        const model = groundBeam({ memberLoads: [{ memberIndex: 0, w }, { memberIndex: 1, w }] });
+        const result = FrameSolver.analyzeModel(model);
+        result.displacements.forEach(d => assertClose(d.y, -w / kf));
+        assertClose(result.forces[0].M_i, 0, 1e-9);
+        assertClose(result.forces[0].M_j, 0, 1e-9);
+        const member = FrameSolver.prepareMember(model.members[0], model.nodes, 0);
+        const pressures = FrameSolver.getFoundationPressures(member, result.memberLoads[0]);
+        assert.ok(pressures.length > 2);
+        assertClose(pressures[pressures.length - 1].x, half);
+        pressures.forEach(p => assertClose(p.pressure, w / B));
+    });
+
+    it('地盤反力係数を与えて接地幅がない場合はエラー', () => {
+        assert.throws(() => FrameSolver.analyzeModel(groundBeam({ members: [{ i: 0, j: 1, E, A, I, ks }, { i: 1, j: 2, E, A, I }] })), /接地幅 B/);
+    });
+});
+
+describe('変断面部材', () => {
+    const L = 4, P = 100;
+    // 断面積が i端 2A から j端 A へ直線的に変化する部材の軸方向荷重
+    const taperedBar = (member = {}, pDelta = false) => ({
+        pDelta,
+        nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0, support: 'roller' }],
+        members: [{ i: 0, j: 1, E, A: 2 * A, I, taper: { I, A }, ...member }],
+        nodeLoads: [{ nodeIndex: 1, px: -P }]
+    });
+
+    it('断面積が直線的に変化する部材の軸方向変位: δ = PL·ln2/(EA)', () => {
+        const result = FrameSolver.analyzeModel(taperedBar());
+        assertClose(result.displacements[1].x, -P * L * Math.log(2) / (E * A), 1e-8);
+    });
+
+    it('断面二次モーメントが i端 2I から j端 I へ変化する片持ち梁: δ = PL³(ln2 − 1/2)/EI', () => {
+        const result = FrameSolver.analyzeModel({
+            nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0 }],
+            members: [{ i: 0, j: 1, E, A, I: 2 * I, taper: { I, A } }],
+            nodeLoads: [{ nodeIndex: 1, py: -P }]
+        });
+        assertClose(result.displacements[1].y, -P * L ** 3 * (Math.log(2) - 0.5) / (E * I), 1e-8);
+        assertClose(result.forces[0].M_i, P * L);
+    });
+
+    it('両端のハンチ: フェイス位置で taper の断面、ハンチ長の位置から中央部の断面', () => {
+        const member = FrameSolver.prepareMember({ i: 0, j: 1, E, A, I, Z: 1e-3, taper: { I: 3 * I, A: 2 * A, Z: 2e-3, i_haunch: 1, j_haunch: 0.5 } }, [{ x: 0, y: 0 }, { x: L, y: 0 }], 0);
+        assert.deepEqual(member.sectionProfile.map(p => p.x), [0, 1, L - 0.5, L]);
+        assertClose(FrameSolver.getSectionAt(member, 0).I, 3 * I);
+        assertClose(FrameSolver.getSectionAt(member, 0.5).I, 2 * I);
+        assertClose(FrameSolver.getSectionAt(member, 0.5).Z, 1.5e-3);
+        assertClose(FrameSolver.getSectionAt(member, L / 2).A, A);
+        assertClose(FrameSolver.getSectionAt(member, L - 0.25).A, 1.5 * A);
+    });
+
+    it('ハンチ長の合計が部材長を超える場合はエラー', () => {
+        assert.throws(() => FrameSolver.prepareMember({ i: 0, j: 1, E, A, I, taper: { I, A, i_haunch: 3, j_haunch: 2 } }, [{ x: 0, y: 0 }, { x: L, y: 0 }], 0), /ハンチ長の合計/);
+    });
+
+    it('半剛接合の変断面部材の P-Δ解析でも軸剛性は変断面の値を用いる', () => {
+        const semiRigid = { i_conn: 'semi-rigid', i_kr: 5e3 };
+        const linear = FrameSolver.analyzeModel(taperedBar(semiRigid));
+        const secondOrder = FrameSolver.analyzeModel(taperedBar(semiRigid, true));
+        assertClose(linear.displacements[1].x, -P * L * Math.log(2) / (E * A), 1e-8);
+        assertClose(secondOrder.displacements[1].x, linear.displacements[1].x);
+    });
+});
+
+describe('初期ひずみ荷重（部材長の過不足・導入張力・初期曲率）', () => {
+    const L = 5;
+    const withInitialStrain = (supportJ, load) => ({
+        nodes: [{ x: 0, y: 0, support: 'fixed' }, { x: L, y: 0, support: supportJ }],
+        members: [{ i: 0, j: 1, E, A, I }],
+        memberLoads: [{ memberIndex: 0, type: 'initialStrain', ...load }]
+    });
+
+    it('両端固定の部材の長さ不足 dL: 引張力 EA|dL|/L', () => {
+        const { forces } = FrameSolver.analyzeModel(withInitialStrain('fixed', { dL: -0.002 }));
+        assertClose(forces[0].N_j, E * A * 0.002 / L);
+        assertClose(forces[0].N_i, -E * A * 0.002 / L);
+    });
+
+    it('片持ち部材の長さの過不足は応力を生じず先端の変位 dL となる', () => {
+        const result = FrameSolver.analyzeModel(withInitialStrain('free', { dL: -0.002 }));
+        assertClose(result.displacements[1].x, -0.002);
+        assertClose(result.forces[0].N_j, 0);
+    });
+
+    it('両端固定の部材の導入張力 P0 はそのまま軸力となる', () => {
+        const { forces } = FrameSolver.analyzeModel(withInitialStrain('fixed', { P0: 300 }));
+        assertClose(forces[0].N_j, 300);
+    });
+
+    it('初期曲率 κ: 片持ち梁の先端 v = κL²/2、θ = κL、両端固定では M = EIκ', () => {
+        const kappa = 1e-3;
+        const cantilever = FrameSolver.analyzeModel(withInitialStrain('free', { curvature: kappa }));
+        assertClose(cantilever.displacements[1].y, kappa * L ** 2 / 2);
+        assertClose(cantilever.displacements[1].rotation, kappa * L);
+        const { forces } = FrameSolver.analyzeModel(withInitialStrain('fixed', { curvature: kappa }));
+        assertClose(forces[0].M_i, E * I * kappa);
+        assertClose(forces[0].M_j, -E * I * kappa);
+        assertClose(forces[0].Q_i, 0);
+    });
+});
+
+describe('多点拘束（剛床・剛体リンク・自由度の同一化）', () => {
+    const span = 6, k = 3 * E * I / H ** 3;
+    const portalNodes = [{ x: 0, y: 0, support: 'fixed' }, { x: 0, y: H }, { x: span, y: H }, { x: span, y: 0, support: 'fixed' }];
+    const portalMembers = (beamA) => [{ i: 0, j: 1, E, A, I }, { i: 1, j: 2, E, A: beamA, I }, { i: 3, j: 2, E, A, I }];
+    const portalLoads = { nodeLoads: [{ nodeIndex: 1, px: 10 }], memberLoads: [{ memberIndex: 1, w: 5 }] };
+    // 同じ剛性の2本の片持ち柱
+    const twinColumns = (nodes = [{ x: 0, y: 0, support: 'fixed' }, { x: 0, y: H }, { x: span, y: 0, support: 'fixed' }, { x: span, y: H }]) => ({
+        nodes,
+        members: [{ i: 0, j: 1, E, A, I }, { i: 2, j: 3, E, A, I }]
+    });
+
+    it('剛床の門形ラーメンは梁の軸剛性を十分大きくしたモデルと一致する', () => {
+        const diaphragm = FrameSolver.analyzeModel({ nodes: portalNodes, members: portalMembers(A), ...portalLoads, constraints: [{ type: 'diaphragm', master: 1 }] });
+        const stiffBeam = FrameSolver.analyzeModel({ nodes: portalNodes, members: portalMembers(A * 1e7), ...portalLoads });
+        assertClose(diaphragm.displacements[2].x, diaphragm.displacements[1].x);
+        assertClose(diaphragm.displacements[1].x, stiffBeam.displacements[1].x, 1e-5);
+        [0, 1, 2].forEach(idx => assertClose(diaphragm.forces[idx].M_i, stiffBeam.forces[idx].M_i, 1e-5, `部材 ${idx + 1}`));
+        [0, 3].forEach(idx => assertClose(diaphragm.reactions[idx].x, stiffBeam.reactions[idx].x, 1e-5, `節点 ${idx + 1}`));
+    });
+
+    it('剛体リンク: 張り出した従属節点の荷重は主節点への等価な荷重と同じ応答となり、従属節点は剛体変位に従う', () => {
+        const dx = 1.5, dy = 0.5;
+        const nodes = [{ x: 0, y: 0, support: 'fixed' }, { x: 0, y: H }, { x: dx, y: H + dy }];
+        const linked = FrameSolver.analyzeModel({ nodes, members: [{ i: 0, j: 1, E, A, I }], nodeLoads: [{ nodeIndex: 2, px: 4, py: -10 }], constraints: [{ type: 'rigid', master: 1, slaves: [2] }] });
+        const equivalent = FrameSolver.analyzeModel({ nodes: nodes.slice(0, 2), members: [{ i: 0, j: 1, E, A, I }], nodeLoads: [{ nodeIndex: 1, px: 4, py: -10, mz: -10 * dx - 4 * dy }] });
+        ['x', 'y', 'rotation'].forEach(key => assertClose(linked.displacements[1][key], equivalent.displacements[1][key], 1e-9, key));
+        const master = linked.displacements[1];
+        assertClose(linked.displacements[2].x, master.x - dy * master.rotation);
+        assertClose(linked.displacements[2].y, master.y + dx * master.rotation);
+        assertClose(linked.displacements[2].rotation, master.rotation);
+        assertClose(linked.forces[0].M_i, equivalent.forces[0].M_i);
+    });
+
+    it('X方向変位の同一化: 2本の柱で水平力を等分する', () => {
+        const P = 10;
+        const result = FrameSolver.analyzeModel({ ...twinColumns(), nodeLoads: [{ nodeIndex: 1, px: P }], constraints: [{ type: 'equal', master: 1, slaves: [3], dofs: ['x'] }] });
+        assertClose(result.displacements[1].x, P / (2 * k));
+        assertClose(result.displacements[3].x, P / (2 * k));
+        assertClose(result.reactions[0].x, result.reactions[2].x);
+    });
+
+    it('ばね支点を持つ従属節点: ばねの剛性も主節点に集める', () => {
+        const kx = 1000, P = 30;
+        const nodes = [{ x: 0, y: 0, support: 'fixed' }, { x: 0, y: H, kx }, { x: span, y: 0, support: 'fixed' }, { x: span, y: H }];
+        const result = FrameSolver.analyzeModel({ ...twinColumns(nodes), nodeLoads: [{ nodeIndex: 3, px: P }], constraints: [{ type: 'equal', master: 3, slaves: [1], dofs: ['x'] }] });
+        assertClose(result.displacements[1].x, P / (2 * k + kx));
+        assertClose(result.displacements[3].x, P / (2 * k + kx));
+    });
+
+    it('強制変位を与えた主節点の反力は従属節点を含む剛性の合計 −2kδ（支点が受ける力）', () => {
+        const delta = 0.01;
+        const nodes = [{ x: 0, y: 0, support: 'fixed' }, { x: 0, y: H, support: 'roller-x', dx_forced: delta }, { x: span, y: 0, support: 'fixed' }, { x: span, y: H }];
+        const result = FrameSolver.analyzeModel({ ...twinColumns(nodes), constraints: [{ type: 'equal', master: 1, slaves: [3], dofs: ['x'] }] });
+        assertClose(result.displacements[3].x, delta);
+        assertClose(result.reactions[1].x, -2 * k * delta);
+    });
+
+    it('剛床の固有値解析は梁の軸剛性を十分大きくしたモデルと一致する', () => {
+        const nodes = portalNodes.map((node, idx) => (idx === 1 || idx === 2 ? { ...node, mass: 10 } : node));
+        const diaphragm = FrameSolver.analyzeModal({ nodes, members: portalMembers(A), constraints: [{ type: 'diaphragm', master: 1 }] }, { modes: 1 });
+        const stiffBeam = FrameSolver.analyzeModal({ nodes, members: portalMembers(A * 1e7) }, { modes: 1 });
+        assertClose(diaphragm.modes[0].period, stiffBeam.modes[0].period, 1e-5);
+    });
+
+    it('支点で拘束された従属自由度・循環する従属関係・不正な種別はエラー', () => {
+        const analyze = (constraints) => FrameSolver.analyzeModel({ nodes: portalNodes, members: portalMembers(A), ...portalLoads, constraints });
+        assert.throws(() => analyze([{ type: 'rigid', master: 1, slaves: [0] }]), /支点または強制変位で拘束されているため従属自由度にできません/);
+        assert.throws(() => analyze([{ type: 'equal', master: 1, slaves: [2], dofs: ['x'] }, { type: 'equal', master: 2, slaves: [1], dofs: ['x'] }]), /循環しています/);
+        assert.throws(() => analyze([{ type: 'foo', master: 1, slaves: [2] }]), /種類 "foo" は未対応/);
+    });
+});